@@ -0,0 +1,251 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title AdminCouncil
+ * @dev Набор администраторов Payroll и PrisonFund с подтверждением M-of-N.
+ *
+ *  - admins: every admin may call the day-to-day admin functions of Payroll
+ *    and PrisonFund directly (they ask isAdmin())
+ *  - high-risk calls (withdrawEth, claimTokenFunds, transferTokenOwnership,
+ *    role changes, PrisonFund.setPayroll and the council's own settings) are
+ *    only accepted from this contract, i.e. through propose -> approve -> execute
+ *  - a proposal can be executed once `threshold` current admins approved it
+ *    and `delay` seconds have passed since it was proposed
+ */
+contract AdminCouncil {
+    /* ---------------------------
+       STRUCTS & STATE
+       --------------------------- */
+
+    struct Proposal {
+        address target;
+        bytes data;
+        address proposer;
+        uint256 eta; // earliest execution time (proposed at + delay)
+        bool executed;
+        bool cancelled;
+    }
+
+    address[] private admins;
+    mapping(address => bool) public isAdmin;
+
+    uint256 public threshold; // approvals needed to execute
+    uint256 public delay; // timelock in seconds
+
+    Proposal[] private proposals;
+    mapping(uint256 => mapping(address => bool)) public approvedBy;
+
+    /* ---------------------------
+       EVENTS
+       --------------------------- */
+
+    event AdminAdded(address indexed admin);
+    event AdminRemoved(address indexed admin);
+    event PolicyChanged(uint256 threshold, uint256 delay);
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        address target,
+        bytes data,
+        uint256 eta,
+        string description
+    );
+    event ProposalApproved(uint256 indexed proposalId, address indexed admin);
+    event ProposalExecuted(uint256 indexed proposalId);
+    event ProposalCancelled(uint256 indexed proposalId);
+
+    /* ---------------------------
+       CONSTRUCTOR
+       --------------------------- */
+
+    constructor(address[] memory _admins, uint256 _threshold, uint256 _delay) {
+        for (uint256 i = 0; i < _admins.length; i++) {
+            _addAdmin(_admins[i]);
+        }
+        _setPolicy(_threshold, _delay);
+    }
+
+    /* ---------------------------
+       MODIFIERS
+       --------------------------- */
+
+    modifier onlyByAdmin() {
+        require(isAdmin[msg.sender], "Only Admin");
+        _;
+    }
+
+    // Council settings change only through an executed proposal
+    modifier onlyByCouncil() {
+        require(msg.sender == address(this), "Only via council proposal");
+        _;
+    }
+
+    modifier pending(uint256 _proposalId) {
+        require(_proposalId < proposals.length, "Invalid proposal");
+        Proposal storage p = proposals[_proposalId];
+        require(!p.executed, "Already executed");
+        require(!p.cancelled, "Proposal cancelled");
+        _;
+    }
+
+    /* ---------------------------
+       PROPOSALS
+       --------------------------- */
+
+    /// @notice Proposes `_target.call(_data)`; the proposer's approval is counted right away
+    function propose(
+        address _target,
+        bytes calldata _data,
+        string calldata _description
+    ) external onlyByAdmin returns (uint256 proposalId) {
+        require(_target != address(0), "Invalid target");
+        proposalId = proposals.length;
+        proposals.push(
+            Proposal(_target, _data, msg.sender, block.timestamp + delay, false, false)
+        );
+        emit ProposalCreated(
+            proposalId,
+            msg.sender,
+            _target,
+            _data,
+            block.timestamp + delay,
+            _description
+        );
+
+        approvedBy[proposalId][msg.sender] = true;
+        emit ProposalApproved(proposalId, msg.sender);
+    }
+
+    function approve(
+        uint256 _proposalId
+    ) external onlyByAdmin pending(_proposalId) {
+        require(!approvedBy[_proposalId][msg.sender], "Already approved");
+        approvedBy[_proposalId][msg.sender] = true;
+        emit ProposalApproved(_proposalId, msg.sender);
+    }
+
+    /// @notice Runs an approved proposal once its timelock has expired. Any admin may execute.
+    function execute(
+        uint256 _proposalId
+    ) external onlyByAdmin pending(_proposalId) {
+        Proposal storage p = proposals[_proposalId];
+        require(approvals(_proposalId) >= threshold, "Not enough approvals");
+        require(block.timestamp >= p.eta, "Timelock not expired");
+
+        p.executed = true;
+        (bool ok, bytes memory result) = p.target.call(p.data);
+        if (!ok) {
+            // bubble the target's revert reason up unchanged
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        emit ProposalExecuted(_proposalId);
+    }
+
+    /// @notice Withdraws a proposal. Only its proposer can cancel it.
+    function cancel(uint256 _proposalId) external pending(_proposalId) {
+        require(
+            proposals[_proposalId].proposer == msg.sender,
+            "Only the proposer can cancel"
+        );
+        proposals[_proposalId].cancelled = true;
+        emit ProposalCancelled(_proposalId);
+    }
+
+    /* ---------------------------
+       COUNCIL SETTINGS (via proposal)
+       --------------------------- */
+
+    function addAdmin(address _admin) external onlyByCouncil {
+        _addAdmin(_admin);
+    }
+
+    function removeAdmin(address _admin) external onlyByCouncil {
+        require(isAdmin[_admin], "Not an admin");
+        require(admins.length - 1 >= threshold, "Would drop below threshold");
+
+        isAdmin[_admin] = false;
+        for (uint256 i = 0; i < admins.length; i++) {
+            if (admins[i] == _admin) {
+                admins[i] = admins[admins.length - 1];
+                admins.pop();
+                break;
+            }
+        }
+        emit AdminRemoved(_admin);
+    }
+
+    function setPolicy(
+        uint256 _threshold,
+        uint256 _delay
+    ) external onlyByCouncil {
+        _setPolicy(_threshold, _delay);
+    }
+
+    function _addAdmin(address _admin) private {
+        require(_admin != address(0), "Invalid admin");
+        require(!isAdmin[_admin], "Already admin");
+        isAdmin[_admin] = true;
+        admins.push(_admin);
+        emit AdminAdded(_admin);
+    }
+
+    function _setPolicy(uint256 _threshold, uint256 _delay) private {
+        require(
+            _threshold > 0 && _threshold <= admins.length,
+            "Invalid threshold"
+        );
+        threshold = _threshold;
+        delay = _delay;
+        emit PolicyChanged(_threshold, _delay);
+    }
+
+    /* ---------------------------
+       VIEW HELPERS
+       --------------------------- */
+
+    function getAdmins() external view returns (address[] memory) {
+        return admins;
+    }
+
+    /// @notice Approvals by current admins (approvals of removed admins no longer count)
+    function approvals(uint256 _proposalId) public view returns (uint256 count) {
+        for (uint256 i = 0; i < admins.length; i++) {
+            if (approvedBy[_proposalId][admins[i]]) count++;
+        }
+    }
+
+    function getProposalCount() external view returns (uint256) {
+        return proposals.length;
+    }
+
+    function getProposal(
+        uint256 _proposalId
+    )
+        external
+        view
+        returns (
+            address target,
+            bytes memory data,
+            address proposer,
+            uint256 eta,
+            uint256 approvalCount,
+            bool executed,
+            bool cancelled
+        )
+    {
+        require(_proposalId < proposals.length, "Invalid proposal");
+        Proposal storage p = proposals[_proposalId];
+        return (
+            p.target,
+            p.data,
+            p.proposer,
+            p.eta,
+            approvals(_proposalId),
+            p.executed,
+            p.cancelled
+        );
+    }
+}
@@ -2,7 +2,10 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 import "./PayrollInterface.sol";
+import "./AdminCouncil.sol";
 
 /**
  * @title Payroll
@@ -10,11 +13,49 @@ import "./PayrollInterface.sol";
  *
  *  - сохраняет оригинальную минимальную функциональность (addEmployee, payday, allowToken и т.д.)
  *  - добавляет поддержку mintable токенов (через IMintable)
- *  - добавляет Campaigns (create, contribute, finalize, refund helpers)
+ *  - добавляет Campaigns (create, contribute, finalize; награду или возврат ETH участники забирают сами)
  *  - добавляет приём ETH (receive) и учёт ethReserve
- *  - сохраняет модификаторы/роли Owner / Oracle / Employee
+ *  - ETH кампаний лежит отдельно (campaignEscrowWei) и попадает в резерв только при успехе кампании
+ *  - роли: Admin (члены AdminCouncil) / HR / Oracle / Employee
+ *
+ *  Fixed-point conventions: every EUR amount (salaries, allocations, totals,
+ *  campaign goals) has EUR_DECIMALS decimals, and exchange rates are whole
+ *  tokens per 1 EUR with RATE_DECIMALS decimals. Token amounts are converted
+ *  to each token's own decimals() when paid out.
+ *
+ *  Pay modes: in Monthly mode (the default) each token allocation is paid in
+ *  full by payday() at most once every 4 weeks. Once an admin calls
+ *  enableAccrual() the allocations accrue per second instead (one monthly
+ *  allocation per ACCRUAL_PERIOD) and employees withdraw with claim() at any
+ *  time. An allocation paid by payday() shortly before the switch starts
+ *  accruing once its 4 weeks are over. removeEmployee pays out what accrued,
+ *  or keeps it as final pay for claimFinalPay() when it cannot be paid right
+ *  then.
+ *
+ *  Access: admins are the members of the AdminCouncil. HR operators (and
+ *  admins) manage employees, oracles set rates. High-risk calls (moving ETH or
+ *  tokens out, handing over mintable tokens, role changes, the rate safeguards,
+ *  changing an already supported token) only accept the council itself, i.e.
+ *  an executed M-of-N proposal.
+ *
+ *  Rate safeguards: every rate change emits ExchangeRateUpdated (the ETH rate
+ *  EthToEurRateUpdated) and stamps when it happened. The council can set a
+ *  maximum rate age (payouts in a token whose rate is older are refused,
+ *  runPayroll skips them) and a maximum change per rate update in basis
+ *  points, which also bounds the ETH rate and re-adding a supported token;
+ *  0 disables either.
+ *
+ *  Migration: a new Payroll version is deployed next to the old one and the
+ *  old state (tokens and their rate times, employees, allocations, payment
+ *  times, accruals, final pay, campaigns) is replayed into it with the
+ *  import* functions, which only work until an admin calls closeImport(). Balances move with claimTokenFunds / withdrawEth
+ *  / transferTokenOwnership (see tasks/migrate.js).
  */
 
+interface IOwnable {
+    function transferOwnership(address newOwner) external;
+}
+
 interface IMintable {
     function mint(address to, uint256 amount) external;
 }
@@ -26,8 +67,10 @@ contract Payroll is PayrollInterface {
 
     struct Token {
         address id;
-        uint256 exchangeRate; // Number of tokens per 1 EUR
+        uint256 exchangeRate; // Whole tokens per 1 EUR, RATE_DECIMALS fixed point
         bool mintable;
+        uint8 decimals; // token's decimals(), read when the token is added
+        uint256 rateUpdatedAt; // when exchangeRate was last set
     }
 
     struct Employee {
@@ -39,6 +82,40 @@ contract Payroll is PayrollInterface {
         mapping(address => uint256) lastAllocationTime;
         mapping(address => uint256) lastPaymentTime;
         mapping(address => uint256) distributionMonthlyAmount; // In EUR
+        mapping(address => uint256) accruedEUR; // Accrual mode: settled, not yet claimed
+        mapping(address => uint256) accruedUntil; // Accrual mode: accruedEUR covers time up to here
+    }
+
+    // Migration snapshots (see importEmployees / importCampaigns)
+    struct TokenSnapshot {
+        address token;
+        uint256 monthlyEUR;
+        uint256 lastAllocationTime;
+        uint256 lastPaymentTime;
+        uint256 accruedEUR; // accrual mode: accrued and unclaimed as of accruedUntil
+        uint256 accruedUntil;
+    }
+
+    struct EmployeeSnapshot {
+        address id;
+        uint256 yearlyEURSalary;
+        uint256 totalReceivedEUR;
+        TokenSnapshot[] tokens;
+    }
+
+    struct CampaignSnapshot {
+        string title;
+        uint256 goalEUR;
+        uint256 raisedEUR;
+        uint256 deadline;
+        bool finalized;
+        address rewardToken;
+        uint256 totalEthWei;
+        uint256 rewardRate;
+        address[] contributors;
+        uint256[] contributionsEUR;
+        uint256[] contributionsWei;
+        bool[] claimed;
     }
 
     enum State {
@@ -46,15 +123,33 @@ contract Payroll is PayrollInterface {
         Blocked
     }
 
+    enum PayMode {
+        Monthly,
+        Accrual
+    }
+
+    uint8 public constant EUR_DECIMALS = 18;
+    uint8 public constant RATE_DECIMALS = 18;
+    uint256 public constant ACCRUAL_PERIOD = 365 days / 12; // one monthly allocation accrues per period
+
+    bytes32 public constant HR_ROLE = keccak256("HR_ROLE");
+    bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
+
     State public paymentsState;
-    address public owner;
-    address public oracle;
+    PayMode public payMode;
+    uint256 public accrualStartTime; // when enableAccrual() was called
+    bool public importClosed; // set by closeImport(): no more migration imports
+    address public previousPayroll; // set by importPreviousPayroll(): the only sender of fundCampaignEscrow
+    AdminCouncil public council;
     uint256 public employeeCount;
+    uint256 public employeeListNonce; // bumped by every add and removal: positions may have moved
     uint256 private totalYearlyEURSalary;
 
+    mapping(bytes32 => mapping(address => bool)) public hasRole; // HR_ROLE / ORACLE_ROLE
     mapping(address => Token) public supportedTokens;
     mapping(address => Employee) private employees;
     address[] private employeeAddresses;
+    mapping(address => uint256) private employeeIndex; // position in employeeAddresses + 1 (0 = not listed)
 
     // --- Campaigns ---
     struct Campaign {
@@ -67,6 +162,9 @@ contract Payroll is PayrollInterface {
         address[] contributors;
         mapping(address => uint256) contributionsEUR; // EUR-equivalent contributions per contributor
         uint256 totalEthWei; // total raw ETH wei contributed (keeps contract's ETH accounting)
+        mapping(address => uint256) contributionsWei; // exact ETH per contributor, refunded on failure
+        mapping(address => bool) claimed; // reward or refund already withdrawn
+        uint256 rewardRate; // reward token rate frozen at finalization
     }
 
     mapping(uint256 => Campaign) private campaigns;
@@ -74,15 +172,30 @@ contract Payroll is PayrollInterface {
 
     // ETH -> EUR conversion multiplier (18 decimals). eurAmount = msg.value * ethToEurRate / 1e18
     uint256 public ethToEurRate;
+    uint256 public ethRateUpdatedAt; // when ethToEurRate was last set
 
     // ETH reserve received (from PrisonFund or direct transfers)
     uint256 public ethReserveWei;
 
+    // Campaign ETH not in the reserve: contributions until their campaign
+    // succeeds, refunds of failed campaigns until claimed
+    uint256 public campaignEscrowWei;
+
+    // Rate safeguards (0 = off): payouts need a rate set within maxRateAge
+    // seconds; one rate update may move a rate by at most maxRateChangeBps
+    uint256 public maxRateAge;
+    uint256 public maxRateChangeBps;
+
+    // Accrual mode: pay settled at removeEmployee that could not be sent then
+    // (frozen payments, stale rate, unfunded token); employee => token => EUR
+    mapping(address => mapping(address => uint256)) public finalPayEUR;
+
     /* ---------------------------
        EVENTS
        --------------------------- */
 
     event EmployeeAdded(address indexed employee, uint256 salary);
+    event EmployeeRemoved(address indexed employee);
     event PaymentMade(address indexed employee, address token, uint256 amount);
     event AllocationChanged(
         address indexed employee,
@@ -95,6 +208,13 @@ contract Payroll is PayrollInterface {
         uint256 exchangeRate,
         bool mintable
     );
+    event ExchangeRateUpdated(
+        address indexed token,
+        uint256 oldRate,
+        uint256 newRate
+    );
+    event EthToEurRateUpdated(uint256 oldRate, uint256 newRate);
+    event RateLimitsUpdated(uint256 maxRateAge, uint256 maxRateChangeBps);
     event EthReceived(address indexed from, uint256 amountWei);
     event CampaignCreated(
         uint256 indexed campaignId,
@@ -115,48 +235,97 @@ contract Payroll is PayrollInterface {
         address indexed contributor,
         uint256 weiAmount
     );
+    event CampaignRewardClaimed(
+        uint256 indexed campaignId,
+        address indexed contributor,
+        address token,
+        uint256 tokenAmount
+    );
     event EthWithdrawn(address indexed to, uint256 amountWei);
+    event AccrualEnabled(uint256 startTime);
+    event RoleUpdated(
+        bytes32 indexed role,
+        address indexed account,
+        bool enabled
+    );
+    event PayrollRun(uint256 offset, uint256 employees, uint256 payments);
+    event ImportClosed();
+    event PaymentSkipped(
+        address indexed employee,
+        address token,
+        uint256 amountEUR
+    );
+    event FinalPayOwed(
+        address indexed employee,
+        address token,
+        uint256 amountEUR
+    );
 
     /* ---------------------------
        CONSTRUCTOR
        --------------------------- */
 
     constructor(
+        address _council,
         address _defaultOracle,
         address _tokenEURAddress,
         uint256 _EURExchangeRate,
         uint256 _ethToEurRate
     ) {
+        require(_council != address(0), "Invalid council");
         require(_defaultOracle != address(0), "Invalid oracle");
-        owner = msg.sender;
-        oracle = _defaultOracle;
+        council = AdminCouncil(_council);
+        _setRole(ORACLE_ROLE, _defaultOracle, true);
         paymentsState = State.Allowed;
 
         ethToEurRate = _ethToEurRate;
+        ethRateUpdatedAt = block.timestamp;
 
         // default add EUR token (may be mintable depending on token contract ownership)
-        supportedTokens[_tokenEURAddress] = Token(
-            _tokenEURAddress,
-            _EURExchangeRate,
-            true
-        );
-        emit TokenSupported(_tokenEURAddress, _EURExchangeRate, true);
+        _setSupportedToken(_tokenEURAddress, _EURExchangeRate, true);
     }
 
     /* ---------------------------
        MODIFIERS
        --------------------------- */
 
-    modifier onlyByOwner() {
-        require(msg.sender == owner, "Only Admin");
+    // Role checks live in functions so the council call is not inlined into every modifier use
+    modifier onlyByAdmin() {
+        _checkAdmin();
+        _;
+    }
+
+    // High-risk calls: only an executed council proposal
+    modifier onlyByCouncil() {
+        _checkCouncil();
+        _;
+    }
+
+    modifier onlyByHR() {
+        _checkHR();
         _;
     }
 
     modifier onlyByOracle() {
-        require(msg.sender == oracle, "Only Oracle");
+        require(hasRole[ORACLE_ROLE][msg.sender], "Only Oracle");
         _;
     }
 
+    function _checkAdmin() private view {
+        require(council.isAdmin(msg.sender), "Only Admin");
+    }
+
+    function _checkCouncil() private view {
+        require(msg.sender == address(council), "Only via council proposal");
+    }
+
+    function _checkHR() private view {
+        require(
+            hasRole[HR_ROLE][msg.sender] || council.isAdmin(msg.sender),
+            "Only HR"
+        );
+    }
+
     modifier onlyByEmployee() {
         require(
             employees[msg.sender].id != address(0),
@@ -165,19 +334,69 @@ contract Payroll is PayrollInterface {
         _;
     }
 
+    modifier whenImporting() {
+        _checkImporting();
+        _;
+    }
+
     modifier whenAllowed() {
-        require(paymentsState == State.Allowed, "Payments are frozen");
+        _checkAllowed();
         _;
     }
 
+    // the modifiers above guard many functions: a call keeps the bytecode under the size limit
+    function _checkImporting() private view {
+        require(!importClosed, "Import closed");
+    }
+
+    function _checkAllowed() private view {
+        require(paymentsState == State.Allowed, "Payments are frozen");
+    }
+
     /* ---------------------------
-       OWNER FUNCTIONS (existing)
+       ADMIN / HR FUNCTIONS
        --------------------------- */
 
     function addEmployee(
         address _employeeAddress,
         uint256 _initialYearlyEURSalary
-    ) external override onlyByOwner {
+    ) external override onlyByHR {
+        _addEmployee(_employeeAddress, _initialYearlyEURSalary);
+    }
+
+    function allowToken(
+        address _employeeAddress,
+        address _token,
+        uint256 /*_exchangeRate*/
+    ) external override onlyByHR {
+        require(_employeeAddress != address(0), "Invalid employee");
+        _allowToken(_employeeAddress, _token);
+    }
+
+    /// @notice Registers several employees and allows their tokens in one transaction.
+    /// _tokens[i] lists the tokens allowed for _employees[i]. Reverts as a whole if any entry is invalid.
+    function addEmployees(
+        address[] calldata _employees,
+        uint256[] calldata _yearlyEURSalaries,
+        address[][] calldata _tokens
+    ) external override onlyByHR {
+        require(
+            _employees.length == _yearlyEURSalaries.length &&
+                _employees.length == _tokens.length,
+            "Length mismatch"
+        );
+        for (uint256 i = 0; i < _employees.length; i++) {
+            _addEmployee(_employees[i], _yearlyEURSalaries[i]);
+            for (uint256 j = 0; j < _tokens[i].length; j++) {
+                _allowToken(_employees[i], _tokens[i][j]);
+            }
+        }
+    }
+
+    function _addEmployee(
+        address _employeeAddress,
+        uint256 _initialYearlyEURSalary
+    ) private {
         require(_employeeAddress != address(0), "Invalid address");
         require(employees[_employeeAddress].id == address(0), "Already exists");
 
@@ -186,18 +405,15 @@ contract Payroll is PayrollInterface {
         emp.yearlyEURSalary = _initialYearlyEURSalary;
 
         employeeAddresses.push(_employeeAddress);
+        employeeIndex[_employeeAddress] = employeeAddresses.length;
         employeeCount++;
+        employeeListNonce++;
         totalYearlyEURSalary += _initialYearlyEURSalary;
 
         emit EmployeeAdded(_employeeAddress, _initialYearlyEURSalary);
     }
 
-    function allowToken(
-        address _employeeAddress,
-        address _token,
-        uint256 /*_exchangeRate*/
-    ) external override onlyByOwner {
-        require(_employeeAddress != address(0), "Invalid employee");
+    function _allowToken(address _employeeAddress, address _token) private {
         require(
             supportedTokens[_token].id != address(0),
             "Token not supported"
@@ -210,43 +426,108 @@ contract Payroll is PayrollInterface {
         emp.allowedTokens.push(_token);
     }
 
+    /// @notice Adds a token Payroll can pay in. Re-adding a supported token
+    /// resets its rate, mintable flag and decimals, so that takes a council proposal
+    /// and the new rate is bound by maxRateChangeBps like setExchangeRate.
     function addSupportedToken(
         address _token,
         uint256 _exchangeRate,
         bool _mintable
-    ) public override onlyByOwner {
+    ) public override {
+        if (supportedTokens[_token].id != address(0)) {
+            _checkCouncil();
+        } else {
+            _checkAdmin();
+        }
+        _setSupportedToken(_token, _exchangeRate, _mintable);
+    }
+
+    function _setSupportedToken(
+        address _token,
+        uint256 _exchangeRate,
+        bool _mintable
+    ) private {
         require(_token != address(0), "Invalid token");
         require(_exchangeRate > 0, "Invalid rate");
-        supportedTokens[_token] = Token(_token, _exchangeRate, _mintable);
+        uint8 tokenDecimals = IERC20Metadata(_token).decimals();
+        uint256 oldRate = supportedTokens[_token].exchangeRate;
+        _checkRateChange(oldRate, _exchangeRate);
+        supportedTokens[_token] = Token(
+            _token,
+            _exchangeRate,
+            _mintable,
+            tokenDecimals,
+            block.timestamp
+        );
         emit TokenSupported(_token, _exchangeRate, _mintable);
+        emit ExchangeRateUpdated(_token, oldRate, _exchangeRate);
     }
 
     function setEmployeeSalary(
         address _employeeAddress,
         uint256 _yearlyEURSalary
-    ) external override onlyByOwner {
-        require(
-            employees[_employeeAddress].id != address(0),
-            "Employee not exists"
-        );
+    ) external override onlyByHR {
+        Employee storage emp = employees[_employeeAddress];
+        require(emp.id != address(0), "Employee not exists");
         totalYearlyEURSalary =
             totalYearlyEURSalary -
-            employees[_employeeAddress].yearlyEURSalary +
+            emp.yearlyEURSalary +
             _yearlyEURSalary;
-        employees[_employeeAddress].yearlyEURSalary = _yearlyEURSalary;
+        emp.yearlyEURSalary = _yearlyEURSalary;
+
+        // Settle what accrued at the old rates, then cap allocations at the new monthly salary
+        uint256 monthlyTotalSalary = _yearlyEURSalary / 12;
+        for (uint256 i = 0; i < emp.allowedTokens.length; i++) {
+            address t = emp.allowedTokens[i];
+            _settle(emp, t);
+            if (emp.distributionMonthlyAmount[t] > monthlyTotalSalary) {
+                emp.distributionMonthlyAmount[t] = monthlyTotalSalary;
+                emit AllocationChanged(_employeeAddress, t, monthlyTotalSalary);
+            }
+        }
     }
 
-    function blockPayments() external override onlyByOwner {
+    function blockPayments() external override onlyByAdmin {
         paymentsState = State.Blocked;
     }
-    function allowPayments() external override onlyByOwner {
+    function allowPayments() external override onlyByAdmin {
         paymentsState = State.Allowed;
     }
-    function setOracle(
-        address _newOracleAddress
-    ) external override onlyByOwner {
-        require(_newOracleAddress != address(0), "Invalid");
-        oracle = _newOracleAddress;
+    /// @notice Rate safeguards, 0 disables either: the maximum age (seconds)
+    /// of a rate payouts are made at, and the maximum change per rate update (bps).
+    /// Council proposal: turning them off would let a bad rate drain the treasury.
+    function setRateLimits(
+        uint256 _maxRateAge,
+        uint256 _maxRateChangeBps
+    ) external onlyByCouncil {
+        maxRateAge = _maxRateAge;
+        maxRateChangeBps = _maxRateChangeBps;
+        emit RateLimitsUpdated(_maxRateAge, _maxRateChangeBps);
+    }
+
+    /// @notice Grants or revokes HR_ROLE / ORACLE_ROLE (council proposal)
+    function setRole(
+        bytes32 _role,
+        address _account,
+        bool _enabled
+    ) external override onlyByCouncil {
+        require(_role == HR_ROLE || _role == ORACLE_ROLE, "Unknown role");
+        require(_account != address(0), "Invalid account");
+        _setRole(_role, _account, _enabled);
+    }
+
+    function _setRole(bytes32 _role, address _account, bool _enabled) private {
+        hasRole[_role][_account] = _enabled;
+        emit RoleUpdated(_role, _account, _enabled);
+    }
+
+    /// @notice Switches from 4-weekly payday() to per-second accrual with claim().
+    /// Cannot be undone, so it takes a council proposal.
+    function enableAccrual() external override onlyByCouncil {
+        require(payMode == PayMode.Monthly, "Accrual already enabled");
+        payMode = PayMode.Accrual;
+        accrualStartTime = block.timestamp;
+        emit AccrualEnabled(block.timestamp);
     }
 
     /* ---------------------------
@@ -270,6 +551,7 @@ contract Payroll is PayrollInterface {
             "Exceeds monthly salary"
         );
 
+        _settle(emp, _token); // the old allocation accrues up to now
         emp.distributionMonthlyAmount[_token] = _monthlyAmountEUR;
         emp.lastAllocationTime[_token] = block.timestamp;
 
@@ -280,36 +562,187 @@ contract Payroll is PayrollInterface {
     function payday(
         address _token
     ) external override onlyByEmployee whenAllowed {
+        require(payMode == PayMode.Monthly, "Use claim in accrual mode");
         Employee storage emp = employees[msg.sender];
-        if (emp.lastPaymentTime[_token] != 0) {
-            require(
-                block.timestamp >= emp.lastPaymentTime[_token] + 4 weeks,
-                "Monthly limit not reached"
-            );
-        }
+        require(_isMonthlyDue(emp, _token), "Monthly limit not reached");
 
         uint256 amountEUR = emp.distributionMonthlyAmount[_token];
         require(amountEUR > 0, "No allocation for this token");
 
-        uint256 tokenAmount = amountEUR * supportedTokens[_token].exchangeRate;
+        emp.lastPaymentTime[_token] = block.timestamp;
+        emp.totalReceivedEUR += amountEUR;
+        _pay(msg.sender, _token, amountEUR);
+    }
+
+    /// @notice Accrual mode: pays out everything accrued in _token so far
+    function claim(
+        address _token
+    ) external override onlyByEmployee whenAllowed {
+        require(payMode == PayMode.Accrual, "Accrual not enabled");
+        require(_payAccrued(msg.sender, _token) > 0, "Nothing accrued");
+    }
+
+    /// @notice A removed employee withdraws the final pay removeEmployee could not send
+    function claimFinalPay(address _token) external override whenAllowed {
+        uint256 amountEUR = finalPayEUR[msg.sender][_token];
+        require(amountEUR > 0, "Nothing owed");
+        finalPayEUR[msg.sender][_token] = 0;
+        _pay(msg.sender, _token, amountEUR);
+    }
+
+    /// @notice Admin pushes every due payment to employees _offset .. _offset + _limit - 1
+    /// of the getEmployeeAddresses list, so custodial accounts get paid without
+    /// logging in. Monthly mode pays allocations whose 4 weeks have passed;
+    /// accrual mode pays everything accrued. Payments a pre-funded token cannot
+    /// cover, or whose token rate is stale, are skipped (PaymentSkipped)
+    /// instead of failing the whole page. removeEmployee moves the last
+    /// employee into the freed position, so a removal in the middle of a
+    /// multi-page run can shift someone into a page already sent: callers
+    /// should check employeeListNonce between pages and rerun from 0 if it
+    /// changed (payments already made are not due again).
+    function runPayroll(
+        uint256 _offset,
+        uint256 _limit
+    ) external override onlyByAdmin whenAllowed returns (uint256 payments) {
+        uint256 total = employeeAddresses.length;
+        uint256 end = _offset + _limit > total ? total : _offset + _limit;
+        for (uint256 i = _offset; i < end; i++) {
+            address e = employeeAddresses[i];
+            address[] storage tokens = employees[e].allowedTokens;
+            for (uint256 j = 0; j < tokens.length; j++) {
+                if (_pushPayment(e, tokens[j])) payments++;
+            }
+        }
+        emit PayrollRun(_offset, end > _offset ? end - _offset : 0, payments);
+    }
+
+    // runPayroll: pays one employee/token if due; returns whether a payment was made
+    function _pushPayment(
+        address _employee,
+        address _token
+    ) private returns (bool) {
+        Employee storage emp = employees[_employee];
+        uint256 amountEUR;
+        if (payMode == PayMode.Accrual) {
+            _settle(emp, _token);
+            amountEUR = emp.accruedEUR[_token];
+        } else if (_isMonthlyDue(emp, _token)) {
+            amountEUR = emp.distributionMonthlyAmount[_token];
+        }
+        if (amountEUR == 0) return false;
 
+        Token memory t = supportedTokens[_token];
+        if (
+            !_isRateFresh(t) ||
+            (!t.mintable &&
+                IERC20(t.id).balanceOf(address(this)) <
+                _toTokenAmount(t, amountEUR))
+        ) {
+            emit PaymentSkipped(_employee, _token, amountEUR);
+            return false;
+        }
+
+        emp.accruedEUR[_token] = 0; // only ever non-zero in accrual mode
+        emp.lastPaymentTime[_token] = block.timestamp;
+        emp.totalReceivedEUR += amountEUR;
+        _pay(_employee, _token, amountEUR);
+        return true;
+    }
+
+    // removeEmployee in accrual mode: pays what accrued in _token when it can
+    // and keeps the rest for claimFinalPay, so a token that cannot pay (stale
+    // rate, short balance, mint right handed over) does not block the removal
+    function _settleFinalPay(address _employee, address _token) private {
+        Employee storage emp = employees[_employee];
+        _settle(emp, _token);
+        uint256 owed = emp.accruedEUR[_token];
+        if (owed == 0) return;
+        if (paymentsState == State.Allowed) {
+            try this.payFinal(_employee, _token, owed) {
+                return;
+            } catch {}
+        }
+        finalPayEUR[_employee][_token] += owed;
+        emit FinalPayOwed(_employee, _token, owed);
+    }
+
+    // Monthly mode: never paid, or the last payday was at least 4 weeks ago
+    function _isMonthlyDue(
+        Employee storage emp,
+        address _token
+    ) private view returns (bool) {
+        uint256 last = emp.lastPaymentTime[_token];
+        return last == 0 || block.timestamp >= last + 4 weeks;
+    }
+
+    // Settles and pays the accrued balance of one token; returns the EUR amount paid
+    function _payAccrued(
+        address _employee,
+        address _token
+    ) private returns (uint256 amountEUR) {
+        Employee storage emp = employees[_employee];
+        _settle(emp, _token);
+        amountEUR = emp.accruedEUR[_token];
+        if (amountEUR == 0) return 0;
+
+        emp.accruedEUR[_token] = 0;
         emp.lastPaymentTime[_token] = block.timestamp;
         emp.totalReceivedEUR += amountEUR;
+        _pay(_employee, _token, amountEUR);
+    }
 
+    // Converts an EUR amount at the current rate and mints or transfers it
+    function _pay(address _to, address _token, uint256 _amountEUR) private {
         Token memory t = supportedTokens[_token];
+        require(_isRateFresh(t), "Exchange rate is stale");
+        uint256 tokenAmount = _toTokenAmount(t, _amountEUR);
+        _send(t, _to, tokenAmount);
+        emit PaymentMade(_to, _token, tokenAmount);
+    }
 
+    // Mints when Payroll owns the token's mint right, otherwise transfers from the pre-funded balance
+    function _send(Token memory t, address _to, uint256 _tokenAmount) private {
         if (t.mintable) {
-            // Mint if token contract supports mint and Payroll is owner/minter
-            IMintable(t.id).mint(msg.sender, tokenAmount);
+            IMintable(t.id).mint(_to, _tokenAmount);
         } else {
-            // Transfer from Payroll balance; Payroll must be pre-funded with tokens
             require(
-                IERC20(t.id).transfer(msg.sender, tokenAmount),
+                IERC20(t.id).transfer(_to, _tokenAmount),
                 "Insufficient token balance in contract"
             );
         }
+    }
+
+    /// @dev Only callable by Payroll itself, so _settleFinalPay can catch a payment that reverts
+    function payFinal(address _to, address _token, uint256 _amountEUR) external {
+        require(msg.sender == address(this), "Only Payroll");
+        _pay(_to, _token, _amountEUR);
+    }
+
+    // Accrual mode: EUR accrued in _token up to now (settled balance plus the
+    // allocation's share of the time since the last settlement)
+    function _accruedEUR(
+        Employee storage emp,
+        address _token
+    ) private view returns (uint256) {
+        if (payMode != PayMode.Accrual) return emp.accruedEUR[_token];
+        uint256 from = Math.max(emp.accruedUntil[_token], accrualStartTime);
+        // a monthly payday made before the switch already covers its 4 weeks
+        uint256 last = emp.lastPaymentTime[_token];
+        if (last != 0 && last <= accrualStartTime) {
+            from = Math.max(from, last + 4 weeks);
+        }
+        if (block.timestamp <= from) return emp.accruedEUR[_token];
+        return
+            emp.accruedEUR[_token] +
+            (emp.distributionMonthlyAmount[_token] * (block.timestamp - from)) /
+            ACCRUAL_PERIOD;
+    }
 
-        emit PaymentMade(msg.sender, _token, tokenAmount);
+    // Checkpoints the accrual before anything that changes the allocation
+    function _settle(Employee storage emp, address _token) private {
+        if (payMode != PayMode.Accrual) return;
+        emp.accruedEUR[_token] = _accruedEUR(emp, _token);
+        emp.accruedUntil[_token] = block.timestamp;
     }
 
     /* ---------------------------
@@ -320,17 +753,35 @@ contract Payroll is PayrollInterface {
         address _token,
         uint256 _newRate
     ) external override onlyByOracle {
-        require(
-            supportedTokens[_token].id != address(0),
-            "Token not supported"
-        );
+        Token storage t = supportedTokens[_token];
+        require(t.id != address(0), "Token not supported");
         require(_newRate > 0, "Rate must be >0");
-        supportedTokens[_token].exchangeRate = _newRate;
+        uint256 oldRate = t.exchangeRate;
+        _checkRateChange(oldRate, _newRate);
+        t.exchangeRate = _newRate;
+        t.rateUpdatedAt = block.timestamp;
+        emit ExchangeRateUpdated(_token, oldRate, _newRate);
     }
 
     function setEthToEurRate(uint256 _newRate) external onlyByOracle {
         require(_newRate > 0, "Invalid rate");
+        uint256 oldRate = ethToEurRate;
+        _checkRateChange(oldRate, _newRate);
         ethToEurRate = _newRate;
+        ethRateUpdatedAt = block.timestamp;
+        emit EthToEurRateUpdated(oldRate, _newRate);
+    }
+
+    // maxRateChangeBps bound; a first rate (old rate 0) has nothing to compare against
+    function _checkRateChange(uint256 _oldRate, uint256 _newRate) private view {
+        if (maxRateChangeBps == 0 || _oldRate == 0) return;
+        uint256 diff = _newRate > _oldRate
+            ? _newRate - _oldRate
+            : _oldRate - _newRate;
+        require(
+            diff * 10000 <= _oldRate * maxRateChangeBps,
+            "Rate change too large"
+        );
     }
 
     /* ---------------------------
@@ -354,12 +805,40 @@ contract Payroll is PayrollInterface {
             return type(uint256).max; // infinite (mintable)
         } else {
             uint256 balance = IERC20(t.id).balanceOf(address(this));
-            uint256 monthlyNeed = (totalYearlyEURSalary / 12) * t.exchangeRate;
+            uint256 monthlyNeed = _toTokenAmount(t, totalYearlyEURSalary / 12);
             if (monthlyNeed == 0) return 9999;
             return (balance / monthlyNeed) * 30;
         }
     }
 
+    /// @notice Token amount (in the token's own units) paid for an EUR amount at the current rate
+    function eurToToken(
+        address _token,
+        uint256 _amountEUR
+    ) external view override returns (uint256) {
+        Token memory t = supportedTokens[_token];
+        require(t.id != address(0), "Token not supported");
+        return _toTokenAmount(t, _amountEUR);
+    }
+
+    /// @notice Whether payouts in _token may use its current rate (see maxRateAge)
+    function isRateFresh(address _token) external view returns (bool) {
+        return _isRateFresh(supportedTokens[_token]);
+    }
+
+    function _isRateFresh(Token memory t) private view returns (bool) {
+        return maxRateAge == 0 || block.timestamp <= t.rateUpdatedAt + maxRateAge;
+    }
+
+    // EUR (EUR_DECIMALS) * rate (RATE_DECIMALS) -> token base units (t.decimals)
+    function _toTokenAmount(
+        Token memory t,
+        uint256 _amountEUR
+    ) private pure returns (uint256) {
+        uint256 scale = 10 ** (uint256(EUR_DECIMALS) + RATE_DECIMALS);
+        return Math.mulDiv(_amountEUR, t.exchangeRate * 10 ** t.decimals, scale);
+    }
+
     function getEmployee(
         address _addr
     ) external view override returns (uint256, uint256, address[] memory) {
@@ -371,6 +850,29 @@ contract Payroll is PayrollInterface {
         return employeeCount;
     }
 
+    /// @notice Page through registered employees (removed employees are not listed).
+    /// Not stable across removals: the last employee takes the removed one's position.
+    function getEmployeeAddresses(
+        uint256 _offset,
+        uint256 _limit
+    ) external view override returns (address[] memory page) {
+        uint256 total = employeeAddresses.length;
+        if (_offset >= total) return new address[](0);
+        uint256 end = _offset + _limit > total ? total : _offset + _limit;
+        page = new address[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = employeeAddresses[i];
+        }
+    }
+
+    /// @notice Accrual mode: EUR amount claim(_token) would pay out right now
+    function claimableEUR(
+        address _employeeAddress,
+        address _token
+    ) external view override returns (uint256) {
+        return _accruedEUR(employees[_employeeAddress], _token);
+    }
+
     function getEmployeePayment(
         address _e,
         address _t
@@ -389,23 +891,180 @@ contract Payroll is PayrollInterface {
 
     function removeEmployee(
         address _employeeAddress
-    ) external override onlyByOwner {
+    ) external override onlyByHR {
         require(
             employees[_employeeAddress].id != address(0),
             "Employee does not exist"
         );
-        totalYearlyEURSalary -= employees[_employeeAddress].yearlyEURSalary;
+        Employee storage emp = employees[_employeeAddress];
+        totalYearlyEURSalary -= emp.yearlyEURSalary;
+
+        // `delete` does not reach nested mappings: clear per-token state so a
+        // re-registered address starts from scratch. In accrual mode whatever
+        // accrued up to now is paid out first, or kept as final pay.
+        for (uint256 i = 0; i < emp.allowedTokens.length; i++) {
+            address t = emp.allowedTokens[i];
+            if (payMode == PayMode.Accrual) _settleFinalPay(_employeeAddress, t);
+            delete emp.accruedEUR[t];
+            delete emp.accruedUntil[t];
+            delete emp.isTokenAllowed[t];
+            delete emp.lastAllocationTime[t];
+            delete emp.lastPaymentTime[t];
+            delete emp.distributionMonthlyAmount[t];
+        }
         delete employees[_employeeAddress];
+
+        // swap-and-pop from the enumeration list
+        uint256 idx = employeeIndex[_employeeAddress] - 1;
+        address last = employeeAddresses[employeeAddresses.length - 1];
+        employeeAddresses[idx] = last;
+        employeeIndex[last] = idx + 1;
+        employeeAddresses.pop();
+        delete employeeIndex[_employeeAddress];
+
         employeeCount--;
+        employeeListNonce++;
+        emit EmployeeRemoved(_employeeAddress);
     }
 
-    function claimTokenFunds(address _token) external override onlyByOwner {
+    function claimTokenFunds(
+        address _token,
+        address _to
+    ) external override onlyByCouncil {
+        require(_to != address(0), "Invalid to");
         uint256 bal = IERC20(_token).balanceOf(address(this));
-        require(IERC20(_token).transfer(owner, bal), "Transfer failed");
+        require(IERC20(_token).transfer(_to, bal), "Transfer failed");
     }
 
-    function destroy() external override onlyByOwner {
-        selfdestruct(payable(owner));
+    /// @notice Hands a mintable token's ownership (mint right) to `_newOwner`, e.g. the next Payroll version
+    function transferTokenOwnership(
+        address _token,
+        address _newOwner
+    ) external override onlyByCouncil {
+        require(_newOwner != address(0), "Invalid to");
+        IOwnable(_token).transferOwnership(_newOwner);
+    }
+
+    /* ---------------------------
+       MIGRATION IMPORT
+       --------------------------- */
+
+    /// @notice Replays supported tokens from a previous Payroll version with
+    /// their rates, mint mode and when each rate was set, so a stale rate stays stale.
+    function importTokens(
+        address[] calldata _tokens,
+        uint256[] calldata _exchangeRates,
+        bool[] calldata _mintable,
+        uint256[] calldata _rateUpdatedAt
+    ) external onlyByAdmin whenImporting {
+        require(
+            _tokens.length == _exchangeRates.length &&
+                _tokens.length == _mintable.length &&
+                _tokens.length == _rateUpdatedAt.length,
+            "Length mismatch"
+        );
+        for (uint256 i = 0; i < _tokens.length; i++) {
+            require(_rateUpdatedAt[i] <= block.timestamp, "Update in the future");
+            _setSupportedToken(_tokens[i], _exchangeRates[i], _mintable[i]);
+            supportedTokens[_tokens[i]].rateUpdatedAt = _rateUpdatedAt[i];
+        }
+    }
+
+    /// @notice Replays employees from a previous Payroll version: salary, total
+    /// received and per token the allocation, payment times and accrual.
+    function importEmployees(
+        EmployeeSnapshot[] calldata _employees
+    ) external onlyByAdmin whenImporting {
+        for (uint256 i = 0; i < _employees.length; i++) {
+            EmployeeSnapshot calldata e = _employees[i];
+            _addEmployee(e.id, e.yearlyEURSalary);
+            Employee storage emp = employees[e.id];
+            emp.totalReceivedEUR = e.totalReceivedEUR;
+            for (uint256 j = 0; j < e.tokens.length; j++) {
+                TokenSnapshot calldata t = e.tokens[j];
+                _allowToken(e.id, t.token);
+                emp.distributionMonthlyAmount[t.token] = t.monthlyEUR;
+                emp.lastAllocationTime[t.token] = t.lastAllocationTime;
+                emp.lastPaymentTime[t.token] = t.lastPaymentTime;
+                emp.accruedEUR[t.token] = t.accruedEUR;
+                emp.accruedUntil[t.token] = t.accruedUntil;
+            }
+        }
+    }
+
+    /// @notice Replays campaigns (ids continue from getCampaignCount) with their contributions
+    function importCampaigns(
+        CampaignSnapshot[] calldata _campaigns
+    ) external onlyByAdmin whenImporting {
+        for (uint256 i = 0; i < _campaigns.length; i++) {
+            CampaignSnapshot calldata s = _campaigns[i];
+            require(
+                s.contributors.length == s.contributionsEUR.length &&
+                    s.contributors.length == s.contributionsWei.length &&
+                    s.contributors.length == s.claimed.length,
+                "Length mismatch"
+            );
+            uint256 id = campaignCount++;
+            Campaign storage c = campaigns[id];
+            c.title = s.title;
+            c.goalEUR = s.goalEUR;
+            c.raisedEUR = s.raisedEUR;
+            c.deadline = s.deadline;
+            c.finalized = s.finalized;
+            c.rewardToken = s.rewardToken;
+            c.totalEthWei = s.totalEthWei;
+            c.rewardRate = s.rewardRate;
+            c.contributors = s.contributors;
+            for (uint256 j = 0; j < s.contributors.length; j++) {
+                address contributor = s.contributors[j];
+                c.contributionsEUR[contributor] = s.contributionsEUR[j];
+                c.contributionsWei[contributor] = s.contributionsWei[j];
+                c.claimed[contributor] = s.claimed[j];
+            }
+            emit CampaignCreated(id, s.title, s.goalEUR, s.deadline, s.rewardToken);
+        }
+    }
+
+    /// @notice Replays final pay owed to removed employees (see claimFinalPay)
+    function importFinalPay(
+        address[] calldata _employees,
+        address[] calldata _tokens,
+        uint256[] calldata _amountsEUR
+    ) external onlyByAdmin whenImporting {
+        require(
+            _employees.length == _tokens.length &&
+                _employees.length == _amountsEUR.length,
+            "Length mismatch"
+        );
+        for (uint256 i = 0; i < _employees.length; i++) {
+            finalPayEUR[_employees[i]][_tokens[i]] = _amountsEUR[i];
+            emit FinalPayOwed(_employees[i], _tokens[i], _amountsEUR[i]);
+        }
+    }
+
+    /// @notice Records the version being migrated from: its moveCampaignEscrow
+    /// is the only call fundCampaignEscrow accepts
+    function importPreviousPayroll(
+        address _previous
+    ) external onlyByAdmin whenImporting {
+        require(_previous != address(0), "Invalid address");
+        previousPayroll = _previous;
+    }
+
+    /// @notice Continues accrual mode from the previous version's start time
+    function importAccrualStart(
+        uint256 _startTime
+    ) external onlyByAdmin whenImporting {
+        require(_startTime <= block.timestamp, "Start in the future");
+        payMode = PayMode.Accrual;
+        accrualStartTime = _startTime;
+        emit AccrualEnabled(_startTime);
+    }
+
+    /// @notice Ends the migration import for good
+    function closeImport() external onlyByAdmin whenImporting {
+        importClosed = true;
+        emit ImportClosed();
     }
 
     /* ---------------------------
@@ -419,11 +1078,11 @@ contract Payroll is PayrollInterface {
         emit EthReceived(msg.sender, msg.value);
     }
 
-    /// @notice Owner may withdraw ETH from reserve to an address (for off-chain conversion or other uses)
+    /// @notice Council may withdraw ETH from reserve to an address (for off-chain conversion or other uses)
     function withdrawEth(
         address payable _to,
         uint256 _amountWei
-    ) external onlyByOwner {
+    ) external onlyByCouncil {
         require(_to != address(0), "Invalid to");
         require(_amountWei <= ethReserveWei, "Amount > reserve");
         ethReserveWei -= _amountWei;
@@ -432,17 +1091,36 @@ contract Payroll is PayrollInterface {
         emit EthWithdrawn(_to, _amountWei);
     }
 
+    /// @notice Council moves the campaign escrow to the next Payroll version,
+    /// which imported the campaigns and pays their refunds from now on
+    function moveCampaignEscrow(
+        address _newPayroll
+    ) external onlyByCouncil {
+        require(_newPayroll != address(0), "Invalid to");
+        uint256 amountWei = campaignEscrowWei;
+        campaignEscrowWei = 0;
+        PayrollInterface(_newPayroll).fundCampaignEscrow{value: amountWei}();
+        emit EthWithdrawn(_newPayroll, amountWei);
+    }
+
+    /// @notice ETH for the imported campaigns' escrow (see moveCampaignEscrow);
+    /// it does not count toward the reserve
+    function fundCampaignEscrow() external payable override {
+        require(msg.sender == previousPayroll, "Only previous Payroll");
+        campaignEscrowWei += msg.value;
+    }
+
     /* ---------------------------
        CAMPAIGN / CROWDFUNDING
        --------------------------- */
 
-    /// @notice Create a crowdfunding campaign. Owner only.
+    /// @notice Create a crowdfunding campaign. Admin only.
     function createCampaign(
         string calldata _title,
         uint256 _goalEUR,
         uint256 _durationSeconds,
         address _rewardToken
-    ) external override onlyByOwner {
+    ) external override onlyByAdmin {
         require(_durationSeconds > 0, "Duration must be >0");
         require(
             supportedTokens[_rewardToken].id != address(0),
@@ -461,11 +1139,13 @@ contract Payroll is PayrollInterface {
         emit CampaignCreated(id, _title, _goalEUR, c.deadline, _rewardToken);
     }
 
-    /// @notice Contribute to a campaign by sending ETH. ETH is held by the Payroll contract (adds to ethReserveWei).
+    /// @notice Contribute to a campaign by sending ETH. ETH is held by the Payroll contract in campaignEscrowWei.
     /// Conversion to EUR uses ethToEurRate (settable by oracle). contributor's EUR-equivalent recorded for reward distribution.
     function contributeToCampaign(
         uint256 _campaignId
-    ) external payable override {
+    ) external payable override whenAllowed {
+        // no contributions before the migration import is done: the imported campaigns come first
+        require(importClosed, "Import not closed");
         require(_campaignId < campaignCount, "Invalid campaign");
         require(msg.value > 0, "Send ETH");
         Campaign storage c = campaigns[_campaignId];
@@ -481,11 +1161,12 @@ contract Payroll is PayrollInterface {
             c.contributors.push(msg.sender);
         }
         c.contributionsEUR[msg.sender] += eurAmount;
+        c.contributionsWei[msg.sender] += msg.value;
         c.raisedEUR += eurAmount;
         c.totalEthWei += msg.value;
 
-        // increase global reserve as well
-        ethReserveWei += msg.value;
+        // held apart from the reserve until the campaign succeeds
+        campaignEscrowWei += msg.value;
         emit CampaignContribution(
             _campaignId,
             msg.sender,
@@ -494,78 +1175,70 @@ contract Payroll is PayrollInterface {
         );
     }
 
-    /// @notice Finalize campaign: if goal reached -> distribute reward tokens proportionally; if failed -> owner can refund ETH or use reserve.
+    /// @notice Closes a campaign after its deadline. Constant gas: contributors
+    /// then withdraw their own reward (goal reached) or ETH refund (goal missed).
     function finalizeCampaign(
         uint256 _campaignId
-    ) external override onlyByOwner {
+    ) external override onlyByAdmin {
         require(_campaignId < campaignCount, "Invalid campaign");
         Campaign storage c = campaigns[_campaignId];
         require(block.timestamp > c.deadline, "Campaign still active");
         require(!c.finalized, "Already finalized");
 
         bool success = (c.raisedEUR >= c.goalEUR);
-
-        Token memory t = supportedTokens[c.rewardToken];
-
+        // rewards are paid at the rate of the finalization, however late they are claimed
         if (success) {
-            // Distribute rewards proportional to EUR contributions.
-            uint256 totalRaisedEUR = c.raisedEUR;
-            // For each contributor, compute token payout = contribEUR * exchangeRate.
-            for (uint256 i = 0; i < c.contributors.length; i++) {
-                address contributor = c.contributors[i];
-                uint256 contribEUR = c.contributionsEUR[contributor];
-                if (contribEUR == 0) continue;
-
-                uint256 tokenAmount = contribEUR * t.exchangeRate;
-
-                if (t.mintable) {
-                    IMintable(t.id).mint(contributor, tokenAmount);
-                } else {
-                    // require Payroll contract to be pre-funded with token balance
-                    require(
-                        IERC20(t.id).transfer(contributor, tokenAmount),
-                        "Token transfer failed"
-                    );
-                }
-            }
-        } else {
-            // Campaign failed: owner can decide how to handle ETH.
-            // We DO NOT auto-refund to avoid storing original wei amounts separately here.
-            // Provide utility function for owner to refund individual contributors if required.
-            // Keep funds in ethReserve (so owner can refund or repurpose).
+            Token memory t = supportedTokens[c.rewardToken];
+            require(_isRateFresh(t), "Exchange rate is stale");
+            c.rewardRate = t.exchangeRate;
+            campaignEscrowWei -= c.totalEthWei;
+            ethReserveWei += c.totalEthWei;
         }
 
         c.finalized = true;
         emit CampaignFinalized(_campaignId, success);
     }
 
-    /// @notice Owner helper: refund a single contributor of a failed campaign (refund in wei).
-    /// @dev Only usable after campaign finalized and only if it failed.
-    function refundContributor(
-        uint256 _campaignId,
-        address payable _contributor
-    ) external onlyByOwner {
-        require(_campaignId < campaignCount, "Invalid campaign");
-        Campaign storage c = campaigns[_campaignId];
-        require(c.finalized, "Not finalized");
-        require(c.raisedEUR < c.goalEUR, "Campaign succeeded; no refunds");
-        uint256 contribEUR = c.contributionsEUR[_contributor];
-        require(contribEUR > 0, "No contribution for address");
-
-        // compute contributor's share of wei: contribWei = contribEUR * totalEthWei / raisedEUR
-        if (c.totalEthWei == 0 || c.raisedEUR == 0) revert("No ETH to refund");
-        uint256 contribWei = (contribEUR * c.totalEthWei) / c.raisedEUR;
-        require(contribWei > 0, "Refund amount zero");
-        require(contribWei <= ethReserveWei, "Not enough reserve");
+    /// @notice Successful campaign: pays the caller's reward, contribution in EUR x reward rate
+    function claimCampaignReward(
+        uint256 _campaignId
+    ) external override whenAllowed {
+        Campaign storage c = _claimable(_campaignId, true);
+        Token memory t = supportedTokens[c.rewardToken];
+        t.exchangeRate = c.rewardRate;
+        uint256 tokenAmount = _toTokenAmount(t, c.contributionsEUR[msg.sender]);
+        _send(t, msg.sender, tokenAmount);
+        emit CampaignRewardClaimed(_campaignId, msg.sender, t.id, tokenAmount);
+    }
 
-        // zero out mapping and reduce reserve
-        c.contributionsEUR[_contributor] = 0;
-        ethReserveWei -= contribWei;
+    /// @notice Failed campaign: returns exactly the ETH the caller contributed
+    function claimCampaignRefund(
+        uint256 _campaignId
+    ) external override whenAllowed {
+        Campaign storage c = _claimable(_campaignId, false);
+        uint256 amountWei = c.contributionsWei[msg.sender];
+        campaignEscrowWei -= amountWei;
 
-        (bool ok, ) = _contributor.call{value: contribWei}("");
+        (bool ok, ) = payable(msg.sender).call{value: amountWei}("");
         require(ok, "Refund failed");
+        emit CampaignRefunded(_campaignId, msg.sender, amountWei);
+    }
 
-        emit CampaignRefunded(_campaignId, _contributor, contribWei);
+    // Checks and marks the caller's reward (_success) or refund as withdrawn
+    function _claimable(
+        uint256 _campaignId,
+        bool _success
+    ) private returns (Campaign storage c) {
+        require(_campaignId < campaignCount, "Invalid campaign");
+        c = campaigns[_campaignId];
+        require(c.finalized, "Not finalized");
+        require(
+            (c.raisedEUR >= c.goalEUR) == _success,
+            _success ? "Campaign failed; claim a refund" : "Campaign succeeded; claim the reward"
+        );
+        require(c.contributionsEUR[msg.sender] > 0, "No contribution");
+        require(!c.claimed[msg.sender], "Already claimed");
+        c.claimed[msg.sender] = true;
     }
 
     /// @notice View campaign basic info
@@ -596,6 +1269,20 @@ contract Payroll is PayrollInterface {
         );
     }
 
+    /// @notice Number of campaigns created so far (ids are 0..count-1)
+    function getCampaignCount() external view override returns (uint256) {
+        return campaignCount;
+    }
+
+    /// @notice EUR-equivalent contribution of an address to a campaign
+    function getCampaignContribution(
+        uint256 _campaignId,
+        address _contributor
+    ) external view returns (uint256) {
+        require(_campaignId < campaignCount, "Invalid campaign");
+        return campaigns[_campaignId].contributionsEUR[_contributor];
+    }
+
     /// @notice Helper: get contributors list for a campaign (may be large; for small test cases it's OK)
     function getCampaignContributors(
         uint256 _campaignId
@@ -604,6 +1291,25 @@ contract Payroll is PayrollInterface {
         return campaigns[_campaignId].contributors;
     }
 
+    /// @notice ETH an address contributed to a campaign and whether it already claimed its reward / refund
+    function getCampaignClaim(
+        uint256 _campaignId,
+        address _contributor
+    ) external view override returns (uint256 contributionWei, bool claimed) {
+        require(_campaignId < campaignCount, "Invalid campaign");
+        Campaign storage c = campaigns[_campaignId];
+        return (c.contributionsWei[_contributor], c.claimed[_contributor]);
+    }
+
+    /// @notice Raw ETH (wei) contributed to a campaign and the reward rate frozen at finalization
+    function getCampaignSettlement(
+        uint256 _campaignId
+    ) external view returns (uint256 totalEthWei, uint256 rewardRate) {
+        require(_campaignId < campaignCount, "Invalid campaign");
+        Campaign storage c = campaigns[_campaignId];
+        return (c.totalEthWei, c.rewardRate);
+    }
+
     /* ---------------------------
        FALLBACK / UTIL
        --------------------------- */
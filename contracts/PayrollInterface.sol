@@ -7,14 +7,16 @@ pragma solidity ^0.8.28;
  */
 interface PayrollInterface {
 
-    /* --- OWNER ONLY --- */
+    /* --- ADMIN / HR --- */
 
     function allowToken(address _employeeAddress, address _token, uint256 _exchangeRate) external;
     
-    // exchangeRate = tokens per 1 EUR, mintable flag indicates whether token supports mint()
+    // exchangeRate = whole tokens per 1 EUR with 18 decimals (1e18 = 1:1), mintable flag indicates whether token supports mint()
+    // Re-adding an already supported token is high-risk: only callable by the AdminCouncil
     function addSupportedToken(address _token, uint256 _exchangeRate, bool _mintable) external;
     
-    function claimTokenFunds(address _tokenAddress) external;
+    // High-risk: only callable by the AdminCouncil (M-of-N proposal)
+    function claimTokenFunds(address _tokenAddress, address _to) external;
     
     function calculatePayrollBurnrate() external view returns (uint256); // Ежемесячные затраты в EUR
     
@@ -24,11 +26,22 @@ interface PayrollInterface {
     
     function allowPayments() external;
     
-    function setOracle(address _newOracleAddress) external;
+    // High-risk: grants/revokes HR_ROLE or ORACLE_ROLE, only callable by the AdminCouncil
+    function setRole(bytes32 _role, address _account, bool _enabled) external;
+
+    // Pushes due payments to employees _offset .. _offset + _limit - 1; returns the number of payments made
+    function runPayroll(uint256 _offset, uint256 _limit) external returns (uint256 payments);
+
+    // Switches payouts to per-second accrual (claim) for good
+    function enableAccrual() external;
     
-    function destroy() external;
+    // High-risk: hands a mintable token's ownership over (e.g. to the next Payroll version), only callable by the AdminCouncil
+    function transferTokenOwnership(address _token, address _newOwner) external;
 
     function addEmployee(address _employeeAddress, uint256 _initialYearlyEURSalary) external;
+
+    // Batch onboarding: _tokens[i] are the tokens allowed for _employees[i]
+    function addEmployees(address[] calldata _employees, uint256[] calldata _yearlyEURSalaries, address[][] calldata _tokens) external;
     
     function getEmployee(address _employeeAddress) external view returns (
         uint256 yearlyEURSalary,
@@ -41,7 +54,12 @@ interface PayrollInterface {
     function setEmployeeSalary(address _employeeAddress, uint256 _yearlyEURSalary) external;
     
     function getEmployeeCount() external view returns (uint256);
+
+    function getEmployeeAddresses(uint256 _offset, uint256 _limit) external view returns (address[] memory);
     
+    // EUR amount (18 decimals) -> token amount in the token's own decimals at the current rate
+    function eurToToken(address _token, uint256 _amountEUR) external view returns (uint256);
+
     function getEmployeePayment(address _employeeAddress, address _token) external view returns (
         uint256 exchangeRate,
         uint256 lastAllocationTime,
@@ -55,6 +73,14 @@ interface PayrollInterface {
     
     function payday(address _token) external; 
 
+    // Accrual mode: withdraw everything accrued in _token so far
+    function claim(address _token) external;
+
+    function claimableEUR(address _employeeAddress, address _token) external view returns (uint256);
+
+    // Accrual mode: a removed employee withdraws the final pay removeEmployee could not send
+    function claimFinalPay(address _token) external;
+
     /* --- ORACLE ONLY --- */
 
     function setExchangeRate(address _token, uint256 _newExchangeRate) external;
@@ -64,6 +90,12 @@ interface PayrollInterface {
     function createCampaign(string calldata _title, uint256 _goalEUR, uint256 _durationSeconds, address _rewardToken) external;
     function contributeToCampaign(uint256 _campaignId) external payable;
     function finalizeCampaign(uint256 _campaignId) external;
+    function claimCampaignReward(uint256 _campaignId) external;
+    function claimCampaignRefund(uint256 _campaignId) external;
+    // Migration: receives the previous version's campaign escrow
+    function fundCampaignEscrow() external payable;
+    function getCampaignClaim(uint256 _campaignId, address _contributor) external view returns (uint256 contributionWei, bool claimed);
+    function getCampaignCount() external view returns (uint256);
     function getCampaignInfo(uint256 _campaignId) external view returns (
         string memory title,
         uint256 goalEUR,
@@ -1,13 +1,17 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import "./AdminCouncil.sol";
+
 /**
  * @title PrisonFund
  * @dev Crowdfunding фонд для финансирования зарплат заключённых.
  * Средства аккумулируются и передаются в Payroll.
+ * Admins (members of the AdminCouncil) move funds into Payroll; repointing the
+ * fund to another Payroll needs an executed council proposal.
  */
 contract PrisonFund {
-    address public owner;
+    AdminCouncil public council;
     address public payroll;
 
     uint256 public totalRaised;
@@ -18,14 +22,20 @@ contract PrisonFund {
     event FundsTransferredToPayroll(uint256 amount);
     event PayrollAddressUpdated(address indexed newPayroll);
 
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Only owner");
+    modifier onlyAdmin() {
+        require(council.isAdmin(msg.sender), "Only admin");
+        _;
+    }
+
+    modifier onlyCouncil() {
+        require(msg.sender == address(council), "Only via council proposal");
         _;
     }
 
-    constructor(address _payroll) {
+    constructor(address _council, address _payroll) {
+        require(_council != address(0), "Invalid council");
         require(_payroll != address(0), "Invalid payroll address");
-        owner = msg.sender;
+        council = AdminCouncil(_council);
         payroll = _payroll;
     }
 
@@ -40,7 +50,7 @@ contract PrisonFund {
     }
 
     /// @notice Перевод средств в Payroll
-    function transferToPayroll(uint256 _amount) external onlyOwner {
+    function transferToPayroll(uint256 _amount) external onlyAdmin {
         require(_amount > 0, "Zero amount");
         require(address(this).balance >= _amount, "Insufficient balance");
 
@@ -50,8 +60,8 @@ contract PrisonFund {
         emit FundsTransferredToPayroll(_amount);
     }
 
-    /// @notice Обновление адреса Payroll
-    function setPayroll(address _newPayroll) external onlyOwner {
+    /// @notice Обновление адреса Payroll (через предложение AdminCouncil)
+    function setPayroll(address _newPayroll) external onlyCouncil {
         require(_newPayroll != address(0), "Invalid payroll");
         payroll = _newPayroll;
         emit PayrollAddressUpdated(_newPayroll);
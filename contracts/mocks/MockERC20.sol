@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockERC20
+ * @dev Test-only ERC20 with configurable decimals (e.g. 6 like real USDT/USDC).
+ */
+contract MockERC20 is ERC20 {
+    uint8 private immutable _decimals;
+
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        uint8 decimals_,
+        uint256 _initialSupply
+    ) ERC20(_name, _symbol) {
+        _decimals = decimals_;
+        _mint(msg.sender, _initialSupply * 10 ** decimals_);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
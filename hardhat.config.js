@@ -1,4 +1,9 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/council");
+require("./tasks/migrate");
+require("./tasks/oracle");
+require("./tasks/payroll");
+require("./tasks/scenario");
 
 module.exports = {
   solidity: {
@@ -1,102 +1,472 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { ethers } from 'ethers';
-import { PAYROLL_ADDRESS, PAYROLL_ABI } from './constants';
-
-const AdminPanel = () => {
-  // Состояния для формы добавления сотрудника
-  const [empAddress, setEmpAddress] = useState('');
-  const [yearlySalary, setYearlySalary] = useState('');
-  
-  // Состояния для оракула
-  const [tokenAddress, setTokenAddress] = useState('');
-  const [newRate, setNewRate] = useState('');
-
-  const getContract = async (useSigner = false) => {
-    const provider = new ethers.BrowserProvider(window.ethereum);
-    if (useSigner) {
-      const signer = await provider.getSigner();
-      return new ethers.Contract(PAYROLL_ADDRESS, PAYROLL_ABI, signer);
-    }
-    return new ethers.Contract(PAYROLL_ADDRESS, PAYROLL_ABI, provider);
-  };
+import { EUR_DECIMALS, RATE_DECIMALS, HR_ROLE, ORACLE_ROLE } from './constants';
+import { getContract as getDeployedContract, getTokenContract, getReadProvider } from './deployment';
+import { short, parseDecimal } from './format';
+import { useTx } from './TxManager';
+import { useI18n } from './i18n';
+import BulkOnboarding from './BulkOnboarding';
+import PayrollRun from './PayrollRun';
+import Proposals from './Proposals';
 
-  // Регистрация нового заключенного
-  const handleAddEmployee = async (e) => {
-    e.preventDefault();
+// Все операции администраторов, HR и оракула Payroll в одной консоли.
+// Высокорисковые (вывод ETH/токенов, роли) не отправляются напрямую, а
+// создают предложение в AdminCouncil — см. очередь Proposals.
+// deployment — манифест развертывания (см. deployment.js), передаётся из App.
+// Тексты — из каталогов (locales/, раздел admin); описания предложений
+// пишутся в блокчейн и остаются на английском, как и у CLI-задач.
+const AdminPanel = ({ deployment, account, isAdmin, isHR, isOracle }) => {
+  const { sendTx, notify } = useTx();
+  const { t, fmt } = useI18n();
+  // Состояние контракта (индикатор)
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Поля всех форм
+  const [form, setForm] = useState({
+    empAddress: '',
+    yearlySalary: '',
+    salaryAddress: '',
+    newSalary: '',
+    allowEmployee: '',
+    allowTokenAddress: '',
+    supportedToken: '',
+    supportedRate: '',
+    supportedMintable: false,
+    removeAddress: '',
+    roleName: 'HR',
+    roleAccount: '',
+    roleGrant: true,
+    tokenAddress: '',
+    newRate: '',
+    maxRateAgeHours: '',
+    maxRateChangePct: '',
+    claimToken: '',
+    claimTo: '',
+    withdrawTo: '',
+    withdrawEth: ''
+  });
+  const set = (field) => (e) =>
+    setForm({ ...form, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+
+  const getContract = () => getDeployedContract(deployment, 'Payroll', getReadProvider(deployment));
+
+  // Состояние выплат, режим и ETH-резерв; обновляется на каждом новом блоке
+  const loadStatus = useCallback(async () => {
+    if (!deployment) return;
     try {
-      const contract = await getContract(true);
-      const tx = await contract.addEmployee(empAddress, yearlySalary);
-      await tx.wait();
-      alert(`Заключенный ${empAddress} успешно добавлен в реестр.`);
+      const provider = getReadProvider(deployment);
+      const contract = getDeployedContract(deployment, 'Payroll', provider);
+      const [paymentsState, payMode, ethReserveWei, maxRateAge, maxRateChangeBps] = await Promise.all([
+        contract.paymentsState(),
+        contract.payMode(),
+        contract.ethReserveWei(),
+        contract.maxRateAge(),
+        contract.maxRateChangeBps()
+      ]);
+      setStatus({
+        frozen: Number(paymentsState) === 1,
+        accrual: Number(payMode) === 1,
+        ethReserveWei,
+        maxRateAge,
+        maxRateChangeBps
+      });
     } catch (err) {
-      console.error(err);
-      alert("Ошибка при добавлении: проверьте права доступа или адрес.");
+      console.error('loadStatus error:', err);
     }
+  }, [deployment]);
+
+  useEffect(() => {
+    if (!deployment) return;
+    loadStatus();
+    const provider = getReadProvider(deployment);
+    provider.on('block', loadStatus);
+    return () => {
+      provider.off('block', loadStatus);
+    };
+  }, [deployment, loadStatus]);
+
+  // ----------------------
+  // Валидация
+  // ----------------------
+  const requireAddress = (value, label) => {
+    if (!ethers.isAddress(value)) throw new Error(t('validation.invalidAddress', { field: label }));
+    return ethers.getAddress(value);
+  };
+  // Десятичный ввод -> fixed point с `decimals` знаками (зарплаты и курсы хранятся с 18 знаками)
+  const requireDecimal = (value, label, decimals, { allowZero = false } = {}) => {
+    const n = parseDecimal(value, decimals);
+    if (n === null) throw new Error(t('validation.decimal', { field: label, decimals }));
+    if (!allowZero && n === 0n) throw new Error(t('validation.positive', { field: label }));
+    return n;
   };
 
-  // Обновление курса (функция Оракула)
-  const handleUpdateRate = async (e) => {
+  // Высокорисковый вызов Payroll: вместо транзакции — предложение в AdminCouncil
+  const viaCouncil = (method, args, description) => ({
+    contract: 'AdminCouncil',
+    method: 'propose',
+    args: [
+      deployment.contracts.Payroll.address,
+      getDeployedContract(deployment, 'Payroll').interface.encodeFunctionData(method, args),
+      description
+    ]
+  });
+
+  // Общая обёртка: валидация -> подтверждение -> транзакция (через TxManager).
+  // build() возвращает вызов { method, args } к Payroll или viaCouncil(...);
+  // данные обновляются сами, когда транзакция смайнена.
+  // (viaCouncil: транзакция только создаёт предложение, вызов выполнится после подтверждений)
+  const runTx = async (e, { label, confirm, build }) => {
     e.preventDefault();
+    let call;
     try {
-      const contract = await getContract(true);
-      const tx = await contract.setExchangeRate(tokenAddress, newRate);
-      await tx.wait();
-      alert("Курс валюты успешно обновлен.");
+      call = await build();
     } catch (err) {
-      console.error(err);
-      alert("Ошибка: только назначенный Оракул может менять курс.");
+      notify('error', err.message);
+      return;
     }
+    const question = typeof confirm === 'function' ? confirm() : confirm;
+    if (question && !window.confirm(question)) return;
+    setBusy(true);
+    const { receipt } = await sendTx(deployment, { label, contract: 'Payroll', ...call });
+    if (receipt && call.contract === 'AdminCouncil') notify('info', t('admin.proposalCreated', { label }));
+    setBusy(false);
+  };
+
+  // ----------------------
+  // Сотрудники
+  // ----------------------
+  const handleAddEmployee = (e) =>
+    runTx(e, {
+      label: t('admin.registerEmployee'),
+      build: () => {
+        const addr = requireAddress(form.empAddress, t('fields.employee'));
+        const salary = requireDecimal(form.yearlySalary, t('fields.yearlySalary'), EUR_DECIMALS);
+        return { method: 'addEmployee', args: [addr, salary] };
+      }
+    });
+
+  const handleSetSalary = (e) =>
+    runTx(e, {
+      label: t('admin.setSalary'),
+      build: () => {
+        const addr = requireAddress(form.salaryAddress, t('fields.employee'));
+        const salary = requireDecimal(form.newSalary, t('fields.yearlySalary'), EUR_DECIMALS, { allowZero: true });
+        return { method: 'setEmployeeSalary', args: [addr, salary] };
+      }
+    });
+
+  const handleAllowToken = (e) =>
+    runTx(e, {
+      label: t('admin.allowToken'),
+      build: async () => {
+        const addr = requireAddress(form.allowEmployee, t('fields.employee'));
+        const token = requireAddress(form.allowTokenAddress, t('fields.token'));
+        const supported = await getContract().supportedTokens(token);
+        if (supported.id === ethers.ZeroAddress) throw new Error(t('admin.tokenNotSupported'));
+        return { method: 'allowToken', args: [addr, token, supported.exchangeRate] };
+      }
+    });
+
+  const handleRemoveEmployee = (e) =>
+    runTx(e, {
+      label: t('admin.removeEmployee'),
+      build: () => {
+        const addr = requireAddress(form.removeAddress, t('fields.employee'));
+        return { method: 'removeEmployee', args: [addr] };
+      },
+      confirm: t('admin.confirmRemove', { address: form.removeAddress })
+    });
+
+  // ----------------------
+  // Токены и оракул
+  // ----------------------
+  // Новый токен добавляет админ; повторное добавление (сброс курса) — только через совет
+  const handleAddSupportedToken = (e) =>
+    runTx(e, {
+      label: t('admin.addSupportedToken'),
+      build: async () => {
+        const token = requireAddress(form.supportedToken, t('fields.token'));
+        const rate = requireDecimal(form.supportedRate, t('fields.exchangeRate'), RATE_DECIMALS);
+        const args = [token, rate, form.supportedMintable];
+        const supported = await getContract().supportedTokens(token);
+        if (supported.id === ethers.ZeroAddress) return { method: 'addSupportedToken', args };
+        return viaCouncil('addSupportedToken', args, `Re-add ${token} at rate ${form.supportedRate}`);
+      }
+    });
+
+  // Обновление курса (функция Оракула)
+  const handleUpdateRate = (e) =>
+    runTx(e, {
+      label: t('admin.updateRate'),
+      build: () => {
+        const token = requireAddress(form.tokenAddress, t('fields.token'));
+        const rate = requireDecimal(form.newRate, t('fields.exchangeRate'), RATE_DECIMALS);
+        return { method: 'setExchangeRate', args: [token, rate] };
+      }
+    });
+
+  // Ограничения курсов (только через совет): часы -> секунды, проценты -> базисные пункты (0 = выключено)
+  const handleSetRateLimits = (e) =>
+    runTx(e, {
+      label: t('admin.setRateLimits'),
+      build: () => {
+        const hundredthsOfHour = requireDecimal(form.maxRateAgeHours, t('fields.maxRateAge'), 2, { allowZero: true });
+        const bps = requireDecimal(form.maxRateChangePct, t('fields.maxRateChange'), 2, { allowZero: true });
+        return viaCouncil(
+          'setRateLimits',
+          [hundredthsOfHour * 36n, bps],
+          `Set rate limits: max age ${form.maxRateAgeHours}h, max change ${form.maxRateChangePct}%`
+        );
+      }
+    });
+
+  // Роли HR / ORACLE выдаются только через совет
+  const handleSetRole = (e) => {
+    const verb = form.roleGrant ? 'Grant' : 'Revoke';
+    return runTx(e, {
+      label: t(form.roleGrant ? 'admin.grantRole' : 'admin.revokeRole', { role: form.roleName }),
+      build: () => {
+        const account = requireAddress(form.roleAccount, t('fields.account'));
+        const role = form.roleName === 'HR' ? HR_ROLE : ORACLE_ROLE;
+        return viaCouncil('setRole', [role, account, form.roleGrant], `${verb} ${form.roleName} for ${account}`);
+      },
+      confirm: t(form.roleGrant ? 'admin.confirmGrant' : 'admin.confirmRevoke', { role: form.roleName, account: form.roleAccount })
+    });
   };
 
+  // ----------------------
+  // Казна
+  // ----------------------
+  const handleTogglePayments = (e) =>
+    runTx(e, {
+      label: t(status?.frozen ? 'admin.allowPayments' : 'admin.blockPayments'),
+      build: () => ({ method: status?.frozen ? 'allowPayments' : 'blockPayments' }),
+      confirm: status?.frozen ? null : t('admin.confirmFreeze')
+    });
+
+  // Переход на посекундное начисление необратим
+  const handleEnableAccrual = (e) =>
+    runTx(e, {
+      label: t('admin.enableAccrual'),
+      build: () => viaCouncil('enableAccrual', [], 'Enable accrual mode'),
+      confirm: t('admin.confirmAccrual')
+    });
+
+  const handleClaimTokenFunds = (e) => {
+    let summary = '';
+    return runTx(e, {
+      label: t('admin.claimTokenFunds'),
+      build: async () => {
+        const token = requireAddress(form.claimToken, t('fields.token'));
+        const to = requireAddress(form.claimTo, t('fields.recipient'));
+        const provider = getReadProvider(deployment);
+        const erc20 = getTokenContract(deployment, token, provider);
+        const [balance, decimals, symbol] = await Promise.all([
+          erc20.balanceOf(deployment.contracts.Payroll.address),
+          erc20.decimals(),
+          erc20.symbol()
+        ]);
+        if (balance === 0n) throw new Error(t('admin.noTokenBalance', { symbol }));
+        summary = `${fmt.token(balance, decimals)} ${symbol}`;
+        return viaCouncil('claimTokenFunds', [token, to], `Claim ${ethers.formatUnits(balance, decimals)} ${symbol} to ${to}`);
+      },
+      confirm: () => t('admin.confirmClaim', { amount: summary, to: form.claimTo })
+    });
+  };
+
+  const handleWithdrawEth = (e) =>
+    runTx(e, {
+      label: t('admin.withdrawEth'),
+      build: () => {
+        const to = requireAddress(form.withdrawTo, t('fields.recipient'));
+        let amount;
+        try {
+          amount = ethers.parseEther(String(form.withdrawEth).trim());
+        } catch {
+          throw new Error(t('validation.ethAmount', { field: t('fields.amount') }));
+        }
+        if (amount === 0n) throw new Error(t('validation.positive', { field: t('fields.amount') }));
+        if (status && amount > status.ethReserveWei) throw new Error(t('admin.exceedsReserve'));
+        return viaCouncil('withdrawEth', [to, amount], `Withdraw ${form.withdrawEth} ETH to ${to}`);
+      },
+      confirm: t('admin.confirmWithdraw', { amount: form.withdrawEth, to: form.withdrawTo })
+    });
+
+  const knownTokens = deployment
+    ? [
+        { label: 'EURToken', address: deployment.contracts.EURToken.address },
+        { label: 'USDToken', address: deployment.contracts.USDToken.address }
+      ]
+    : [];
+  const adminDisabled = !isAdmin || busy;
+  const hrDisabled = !(isAdmin || isHR) || busy;
+
   return (
-    <div style={{ display: 'flex', gap: '20px', marginTop: '30px' }}>
-      {/* Секция Администратора */}
-      <div style={cardStyle}>
-        <h3>Регистрация заключенного</h3>
-        <form onSubmit={handleAddEmployee}>
-          <input 
-            placeholder="Address (0x...)" 
-            value={empAddress} 
-            onChange={(e) => setEmpAddress(e.target.value)} 
-            style={inputStyle}
-          />
-          <input 
-            placeholder="Годовая зарплата (EUR)" 
-            type="number"
-            value={yearlySalary} 
-            onChange={(e) => setYearlySalary(e.target.value)} 
-            style={inputStyle}
-          />
-          <button type="submit" style={btnStyle}>Добавить в базу</button>
+    <div>
+      <datalist id="known-tokens">
+        {knownTokens.map((t) => (
+          <option key={t.address} value={t.address}>{t.label}</option>
+        ))}
+      </datalist>
+
+      {/* Индикатор состояния */}
+      <div style={{ ...cardStyle, ...statusStyle(status?.frozen) }}>
+        <strong>{t('admin.payments')} {status ? t(status.frozen ? 'admin.frozen' : 'admin.active') : '...'}</strong>
+        {status && (
+          <span style={{ marginLeft: '20px' }}>
+            {t('admin.ethReserve')} {fmt.eth(status.ethReserveWei)} ETH · {t('admin.payMode')}{' '}
+            {t(status.accrual ? 'admin.modeAccrual' : 'admin.modeMonthly')}
+          </span>
+        )}
+        {status && !status.accrual && (
+          <form onSubmit={handleEnableAccrual} style={{ display: 'inline', float: 'right', marginLeft: '10px' }}>
+            <button type="submit" style={{ ...smallBtnStyle, backgroundColor: '#6f42c1' }} disabled={adminDisabled}>
+              {t('admin.enableAccrual')}
+            </button>
+          </form>
+        )}
+        <form onSubmit={handleTogglePayments} style={{ display: 'inline', float: 'right' }}>
+          <button type="submit" style={{ ...smallBtnStyle, backgroundColor: status?.frozen ? '#27ae60' : '#c0392b' }} disabled={adminDisabled || !status}>
+            {t(status?.frozen ? 'admin.allowPayments' : 'admin.blockPayments')}
+          </button>
         </form>
       </div>
 
-      {/* Секция Оракула */}
-      <div style={cardStyle}>
-        <h3>Управление курсом (Oracle)</h3>
-        <form onSubmit={handleUpdateRate}>
-          <input 
-            placeholder="Token Address" 
-            value={tokenAddress} 
-            onChange={(e) => setTokenAddress(e.target.value)} 
-            style={inputStyle}
-          />
-          <input 
-            placeholder="Новый курс (Токенов за 1 EUR)" 
-            type="number"
-            value={newRate} 
-            onChange={(e) => setNewRate(e.target.value)} 
-            style={inputStyle}
-          />
-          <button type="submit" style={{...btnStyle, backgroundColor: '#f39c12'}}>Обновить курс</button>
-        </form>
+      <div style={gridStyle}>
+        {/* Секция HR (и администраторов): сотрудники */}
+        <div style={cardStyle}>
+          <h3>{t('admin.registerEmployee')}</h3>
+          <form onSubmit={handleAddEmployee}>
+            <input placeholder={t('admin.placeholders.address')} value={form.empAddress} onChange={set('empAddress')} style={inputStyle} />
+            <input placeholder={t('admin.placeholders.yearlySalary')} type="number" step="any" value={form.yearlySalary} onChange={set('yearlySalary')} style={inputStyle} />
+            <button type="submit" style={btnStyle} disabled={hrDisabled}>{t('admin.registerEmployee')}</button>
+          </form>
+        </div>
+
+        <div style={cardStyle}>
+          <h3>{t('admin.setSalary')}</h3>
+          <form onSubmit={handleSetSalary}>
+            <input placeholder={t('admin.placeholders.employee')} value={form.salaryAddress} onChange={set('salaryAddress')} style={inputStyle} />
+            <input placeholder={t('admin.placeholders.newSalary')} type="number" step="any" value={form.newSalary} onChange={set('newSalary')} style={inputStyle} />
+            <button type="submit" style={btnStyle} disabled={hrDisabled}>{t('admin.updateSalary')}</button>
+          </form>
+        </div>
+
+        <div style={cardStyle}>
+          <h3>{t('admin.allowTokenTitle')}</h3>
+          <form onSubmit={handleAllowToken}>
+            <input placeholder={t('admin.placeholders.employee')} value={form.allowEmployee} onChange={set('allowEmployee')} style={inputStyle} />
+            <input placeholder={t('admin.placeholders.token')} list="known-tokens" value={form.allowTokenAddress} onChange={set('allowTokenAddress')} style={inputStyle} />
+            <button type="submit" style={btnStyle} disabled={hrDisabled}>{t('admin.allowToken')}</button>
+          </form>
+        </div>
+
+        <div style={cardStyle}>
+          <h3>{t('admin.removeEmployee')}</h3>
+          <form onSubmit={handleRemoveEmployee}>
+            <input placeholder={t('admin.placeholders.employee')} value={form.removeAddress} onChange={set('removeAddress')} style={inputStyle} />
+            <button type="submit" style={dangerBtnStyle} disabled={hrDisabled}>{t('admin.removeEmployee')}</button>
+          </form>
+        </div>
+
+        {/* Токены */}
+        <div style={cardStyle}>
+          <h3>{t('admin.addSupportedToken')}</h3>
+          <form onSubmit={handleAddSupportedToken}>
+            <input placeholder={t('admin.placeholders.token')} list="known-tokens" value={form.supportedToken} onChange={set('supportedToken')} style={inputStyle} />
+            <input placeholder={t('admin.placeholders.rate')} type="number" step="any" value={form.supportedRate} onChange={set('supportedRate')} style={inputStyle} />
+            <label style={{ display: 'block', marginBottom: '10px' }}>
+              <input type="checkbox" checked={form.supportedMintable} onChange={set('supportedMintable')} /> {t('admin.mintable')}
+            </label>
+            <button type="submit" style={btnStyle} disabled={adminDisabled}>{t('admin.addToken')}</button>
+          </form>
+        </div>
+
+        {/* Секция Оракула */}
+        <div style={cardStyle}>
+          <h3>{t('admin.updateRateTitle')}</h3>
+          <form onSubmit={handleUpdateRate}>
+            <input placeholder={t('admin.placeholders.token')} list="known-tokens" value={form.tokenAddress} onChange={set('tokenAddress')} style={inputStyle} />
+            <input placeholder={t('admin.placeholders.newRate')} type="number" step="any" value={form.newRate} onChange={set('newRate')} style={inputStyle} />
+            <button type="submit" style={{ ...btnStyle, backgroundColor: '#f39c12' }} disabled={!isOracle || busy}>{t('admin.updateRateButton')}</button>
+          </form>
+        </div>
+
+        <div style={cardStyle}>
+          <h3>{t('admin.rateLimitsTitle')}</h3>
+          {status && (
+            <p style={{ fontSize: '13px', color: '#555' }}>
+              {t('admin.rateLimitsCurrent', {
+                age: status.maxRateAge === 0n ? t('admin.off') : fmt.duration(Number(status.maxRateAge)),
+                change: status.maxRateChangeBps === 0n ? t('admin.off') : `${fmt.number(Number(status.maxRateChangeBps) / 100)}%`
+              })}
+            </p>
+          )}
+          <form onSubmit={handleSetRateLimits}>
+            <input placeholder={t('admin.placeholders.maxRateAge')} type="number" step="any" value={form.maxRateAgeHours} onChange={set('maxRateAgeHours')} style={inputStyle} />
+            <input placeholder={t('admin.placeholders.maxRateChange')} type="number" step="any" value={form.maxRateChangePct} onChange={set('maxRateChangePct')} style={inputStyle} />
+            <button type="submit" style={btnStyle} disabled={adminDisabled}>{t('admin.setRateLimits')}</button>
+          </form>
+        </div>
+
+        <div style={cardStyle}>
+          <h3>{t('admin.rolesTitle')}</h3>
+          <form onSubmit={handleSetRole}>
+            <select value={form.roleName} onChange={set('roleName')} style={inputStyle}>
+              <option value="HR">{t('admin.roleHr')}</option>
+              <option value="ORACLE">{t('admin.roleOracle')}</option>
+            </select>
+            <input placeholder={t('admin.placeholders.account')} value={form.roleAccount} onChange={set('roleAccount')} style={inputStyle} />
+            <label style={{ display: 'block', marginBottom: '10px' }}>
+              <input type="checkbox" checked={form.roleGrant} onChange={set('roleGrant')} /> {t('admin.grantCheckbox')}
+            </label>
+            <button type="submit" style={dangerBtnStyle} disabled={adminDisabled}>{t('admin.proposeRole')}</button>
+          </form>
+        </div>
+
+        {/* Казна */}
+        <div style={cardStyle}>
+          <h3>{t('admin.claimTitle')}</h3>
+          <form onSubmit={handleClaimTokenFunds}>
+            <input placeholder={t('admin.placeholders.token')} list="known-tokens" value={form.claimToken} onChange={set('claimToken')} style={inputStyle} />
+            <input placeholder={t('admin.placeholders.recipient')} value={form.claimTo} onChange={set('claimTo')} style={inputStyle} />
+            <button type="submit" style={dangerBtnStyle} disabled={adminDisabled}>{t('admin.proposeClaim')}</button>
+          </form>
+        </div>
+
+        <div style={cardStyle}>
+          <h3>{t('admin.withdrawTitle')}</h3>
+          <form onSubmit={handleWithdrawEth}>
+            <input placeholder={t('admin.placeholders.recipient')} value={form.withdrawTo} onChange={set('withdrawTo')} style={inputStyle} />
+            <input placeholder={t('admin.placeholders.ethAmount')} type="number" step="any" value={form.withdrawEth} onChange={set('withdrawEth')} style={inputStyle} />
+            <button type="submit" style={dangerBtnStyle} disabled={adminDisabled}>{t('admin.proposeWithdraw')}</button>
+          </form>
+        </div>
       </div>
+
+      {/* Очередь предложений совета */}
+      <Proposals deployment={deployment} account={account} isAdmin={isAdmin} />
+
+      {/* Выплаты всем сотрудникам постранично (для тех, кто сам не заходит) */}
+      {isAdmin && <PayrollRun deployment={deployment} />}
+
+      {/* Массовая регистрация сотрудников из CSV */}
+      {(isAdmin || isHR) && <BulkOnboarding deployment={deployment} />}
+
+      {account && !isAdmin && !isHR && !isOracle && (
+        <p style={{ color: '#777' }}>{t('admin.noRole', { account: short(account) })}</p>
+      )}
     </div>
   );
 };
 
+const gridStyle = { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px', marginTop: '20px' };
 const cardStyle = { border: '1px solid #ddd', padding: '20px', borderRadius: '10px', flex: 1, backgroundColor: '#f9f9f9' };
+const statusStyle = (frozen) => ({ backgroundColor: frozen === undefined ? '#f9f9f9' : frozen ? '#fdecea' : '#eafaf1' });
 const inputStyle = { display: 'block', width: '100%', marginBottom: '10px', padding: '8px', boxSizing: 'border-box' };
 const btnStyle = { width: '100%', padding: '10px', backgroundColor: '#27ae60', color: 'white', border: 'none', cursor: 'pointer', borderRadius: '5px' };
+const dangerBtnStyle = { ...btnStyle, backgroundColor: '#c0392b' };
+const smallBtnStyle = { padding: '6px 12px', color: 'white', border: 'none', cursor: 'pointer', borderRadius: '5px' };
 
-export default AdminPanel;
\ No newline at end of file
+export default AdminPanel;
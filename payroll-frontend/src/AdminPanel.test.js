@@ -0,0 +1,110 @@
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { ethers } from "ethers";
+import AdminPanel from "./AdminPanel";
+import { I18nProvider } from "./i18n";
+import { TxProvider } from "./TxManager";
+import { MockWallet, installMockEthereum } from "./testing/mockEthereum";
+import { createPayrollChain, ACCOUNTS, ADDRESSES } from "./testing/payrollChain";
+
+let chain;
+let wallet;
+let uninstall;
+
+// AdminPanel for `account` (already connected in the wallet) with the given roles
+function renderPanel(account, roles, update) {
+  const deployed = createPayrollChain(update);
+  chain = deployed.chain;
+  wallet = new MockWallet(chain, { accounts: [account] });
+  uninstall = installMockEthereum({ chain, wallet, manifest: deployed.manifest });
+  render(
+    <I18nProvider>
+      <TxProvider>
+        <AdminPanel deployment={deployed.manifest} account={account} isAdmin={false} isHR={false} isOracle={false} {...roles} />
+      </TxProvider>
+    </I18nProvider>
+  );
+}
+
+afterEach(() => uninstall());
+
+describe("Employee registration", () => {
+  const register = (address, salary) => {
+    userEvent.type(screen.getByPlaceholderText("Address (0x...)"), address);
+    userEvent.type(screen.getByPlaceholderText("Yearly salary (EUR)"), salary);
+    userEvent.click(screen.getByRole("button", { name: "Register employee" }));
+  };
+
+  it("registers an employee from the HR account", async () => {
+    renderPanel(ACCOUNTS.hr, { isHR: true });
+    register(ACCOUNTS.outsider, "48000.5");
+
+    expect(await screen.findByText(/Register employee: confirmed in block 1/)).toBeInTheDocument();
+    expect(chain.sent).toEqual([
+      expect.objectContaining({ method: "addEmployee", from: ACCOUNTS.hr, args: [ACCOUNTS.outsider, ethers.parseUnits("48000.5", 18)] })
+    ]);
+    expect(chain.state.employees[ACCOUNTS.outsider].salary).toBe(ethers.parseUnits("48000.5", 18));
+  });
+
+  it("explains the revert for an address that is already registered", async () => {
+    renderPanel(ACCOUNTS.hr, { isHR: true });
+    register(ACCOUNTS.employee, "30000");
+
+    expect(await screen.findByRole("alert")).toHaveTextContent(
+      "Register employee failed: This employee is already registered."
+    );
+    expect(chain.sent).toEqual([]);
+    expect(wallet.requests).not.toContain("eth_sendTransaction");
+  });
+
+  it("rejects an invalid address before anything is sent", async () => {
+    renderPanel(ACCOUNTS.hr, { isHR: true });
+    register("0x1234", "30000");
+
+    expect(await screen.findByRole("alert")).toHaveTextContent("Employee: invalid address");
+    expect(wallet.requests).toEqual([]);
+  });
+
+  it("is disabled without the HR role", () => {
+    renderPanel(ACCOUNTS.outsider, {});
+    expect(screen.getByRole("button", { name: "Register employee" })).toBeDisabled();
+    expect(screen.getByText(/is not an admin, HR operator or oracle/)).toBeInTheDocument();
+  });
+});
+
+describe("Exchange rate update", () => {
+  const updateRate = (token, rate) => {
+    userEvent.type(screen.getAllByPlaceholderText("Token address")[2], token);
+    userEvent.type(screen.getByPlaceholderText("New rate (tokens per 1 EUR, e.g. 1.08)"), rate);
+    userEvent.click(screen.getByRole("button", { name: "Update rate" }));
+  };
+
+  it("sets a new rate from the oracle account", async () => {
+    renderPanel(ACCOUNTS.oracle, { isOracle: true });
+    updateRate(ADDRESSES.EURToken, "1.05");
+
+    expect(await screen.findByText(/Update exchange rate: confirmed in block 1/)).toBeInTheDocument();
+    expect(chain.state.tokens[ADDRESSES.EURToken].exchangeRate).toBe(ethers.parseUnits("1.05", 18));
+  });
+
+  it("explains a change beyond the maximum change per update", async () => {
+    // at most 1% per update
+    renderPanel(ACCOUNTS.oracle, { isOracle: true }, (state) => (state.maxRateChangeBps = 100n));
+    updateRate(ADDRESSES.EURToken, "1.05");
+
+    expect(await screen.findByRole("alert")).toHaveTextContent(
+      "Update exchange rate failed: The new rate differs from the current one by more than the maximum change per update."
+    );
+    expect(chain.state.tokens[ADDRESSES.EURToken].exchangeRate).toBe(ethers.parseUnits("1", 18));
+  });
+
+  it("reports a signature rejected in the wallet", async () => {
+    renderPanel(ACCOUNTS.oracle, { isOracle: true });
+    wallet.rejectNext();
+    updateRate(ADDRESSES.EURToken, "1.05");
+
+    expect(await screen.findByText("Update exchange rate: rejected in the wallet")).toBeInTheDocument();
+    await waitFor(() => expect(screen.getByRole("button", { name: "Update rate" })).toBeEnabled());
+    expect(chain.sent).toEqual([]);
+  });
+});
@@ -0,0 +1,168 @@
+// AllocationEditor.js
+import React, { useState, useEffect, useCallback } from "react";
+import { ethers } from "ethers";
+import { ALLOCATION_LOCK_SECONDS, EUR_DECIMALS } from "./constants";
+import { getContract, fetchTokenInfo, getReadProvider } from "./deployment";
+import { parseDecimal } from "./format";
+import { useTx } from "./TxManager";
+import { useI18n } from "./i18n";
+import useChainNow from "./useChainNow";
+
+/*
+  Per-token monthly split editor for the connected employee.
+  Reads the current split from getEmployeePayment and calls determineAllocation
+  for every changed token. Each token can only be changed once per 26 weeks.
+*/
+function AllocationEditor({ deployment, account, salary, tokens, disabled }) {
+  const { sendTx, notify } = useTx();
+  const { t, fmt } = useI18n();
+  const [rows, setRows] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [saving, setSaving] = useState(false);
+  // the lock is checked against block time; re-read the clock offset with every reload
+  const chainNow = useChainNow(deployment, rows);
+
+  const monthlySalary = ethers.toBigInt(salary || 0) / 12n; // same integer division as the contract
+
+  const loadAllocations = useCallback(async () => {
+    if (!deployment || !account || tokens.length === 0) {
+      setRows([]);
+      return;
+    }
+    try {
+      const provider = getReadProvider(deployment);
+      const contract = getContract(deployment, "Payroll", provider);
+      const loaded = await Promise.all(
+        tokens.map(async (token) => {
+          const [info, payment] = await Promise.all([
+            fetchTokenInfo(deployment, token, provider),
+            contract.getEmployeePayment(account, token)
+          ]);
+          // payment: [exchangeRate, lastAllocationTime, lastPaymentTime, monthlyAmountEUR]
+          const lastAllocationTime = Number(payment[1]);
+          return {
+            ...info,
+            monthly: payment[3],
+            lockEnds: lastAllocationTime === 0 ? 0 : lastAllocationTime + ALLOCATION_LOCK_SECONDS
+          };
+        })
+      );
+      setRows(loaded);
+      setDrafts({});
+    } catch (err) {
+      console.error("loadAllocations error:", err);
+    }
+  }, [deployment, account, tokens]);
+
+  useEffect(() => {
+    loadAllocations();
+  }, [loadAllocations]);
+
+  // ----------------------
+  // Validation
+  // ----------------------
+  const isLocked = (row) => row.lockEnds > chainNow;
+  const draftAmount = (r) => parseDecimal(drafts[r.address], EUR_DECIMALS); // null while invalid
+
+  const changed = rows.filter((r) => {
+    const d = drafts[r.address];
+    return d !== undefined && d !== "" && !isLocked(r) && draftAmount(r) !== r.monthly;
+  });
+  const invalid = changed.some((r) => draftAmount(r) === null);
+  const total = rows.reduce((sum, r) => {
+    const amount = changed.includes(r) ? draftAmount(r) : r.monthly;
+    return sum + (amount ?? r.monthly);
+  }, 0n);
+  const overBudget = total > monthlySalary;
+
+  // ----------------------
+  // Submit
+  // ----------------------
+  const saveAllocations = async (e) => {
+    e.preventDefault();
+    if (changed.length === 0 || invalid || overBudget) return;
+    setSaving(true);
+    // one determineAllocation per changed token; stop at the first one that fails
+    let saved = 0;
+    for (const row of changed) {
+      const { receipt } = await sendTx(deployment, {
+        label: t("allocation.label", { symbol: row.symbol }),
+        contract: "Payroll",
+        method: "determineAllocation",
+        args: [row.address, draftAmount(row)]
+      });
+      if (!receipt) break;
+      saved++;
+    }
+    if (saved === changed.length) notify("info", t("allocation.saved"));
+    await loadAllocations();
+    setSaving(false);
+  };
+
+  if (rows.length === 0) return null;
+
+  return (
+    <form onSubmit={saveAllocations}>
+      <h4>{t("allocation.title")}</h4>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>{t("common.token")}</th>
+            <th style={styles.th}>{t("allocation.current")}</th>
+            <th style={styles.th}>{t("allocation.new")}</th>
+            <th style={styles.th}>{t("allocation.lock")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.address}>
+              <td style={styles.td}>{r.symbol}</td>
+              <td style={styles.td}>{fmt.eur(r.monthly)}</td>
+              <td style={styles.td}>
+                <input
+                  style={styles.input}
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder={ethers.formatUnits(r.monthly, EUR_DECIMALS)}
+                  value={drafts[r.address] ?? ""}
+                  disabled={isLocked(r) || disabled || saving}
+                  onChange={(e) => setDrafts({ ...drafts, [r.address]: e.target.value })}
+                />
+              </td>
+              <td style={styles.td}>
+                {isLocked(r) ? t("allocation.lockedUntil", { date: fmt.timestamp(r.lockEnds) }) : t("allocation.unlocked")}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <p style={overBudget ? styles.error : styles.hint}>
+        {t("allocation.total")} <strong>{fmt.eur(total)}</strong> {t("allocation.ofSalary", { salary: fmt.eur(monthlySalary) })}
+        {overBudget && ` — ${t("allocation.overBudget")}`}
+      </p>
+      {invalid && <p style={styles.error}>{t("allocation.invalid")}</p>}
+
+      <button
+        type="submit"
+        style={styles.saveBtn}
+        disabled={disabled || saving || changed.length === 0 || invalid || overBudget}
+      >
+        {saving ? t("common.saving") : t("allocation.save")}
+      </button>
+    </form>
+  );
+}
+
+const styles = {
+  table: { width: "100%", borderCollapse: "collapse", marginBottom: "10px" },
+  th: { textAlign: "left", borderBottom: "1px solid #ddd", padding: "6px", fontSize: "14px" },
+  td: { borderBottom: "1px solid #f0f0f0", padding: "6px", fontSize: "14px" },
+  input: { width: "100%", padding: "6px", borderRadius: "6px", border: "1px solid #ddd", boxSizing: "border-box" },
+  hint: { fontSize: "14px", color: "#555" },
+  error: { fontSize: "14px", color: "#c0392b" },
+  saveBtn: { width: "100%", padding: "10px", background: "#6f42c1", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer", marginBottom: "12px" }
+};
+
+export default AllocationEditor;
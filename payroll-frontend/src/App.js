@@ -1,104 +1,115 @@
 // App.js
 import React, { useState, useEffect, useCallback } from "react";
-import { ethers } from "ethers";
+import { HR_ROLE, ORACLE_ROLE } from "./constants";
+import { loadDeployment, getContract, getReadProvider } from "./deployment";
+import { NETWORKS, DEFAULT_CHAIN_ID, findNetwork, switchWalletNetwork } from "./networks";
+import { short, safeToString } from "./format";
+import AllocationEditor from "./AllocationEditor";
+import PayoutCard from "./PayoutCard";
+import FinalPay from "./FinalPay";
+import AdminPanel from "./AdminPanel";
+import EmployeeRoster from "./EmployeeRoster";
+import Treasury from "./Treasury";
+import Campaigns from "./Campaigns";
+import History from "./History";
+import Payslip from "./Payslip";
+import { useTx } from "./TxManager";
+import { useI18n, LANGUAGES, LocalizedError } from "./i18n";
 
 /*
-  ------- CONFIG (replace the placeholders with your deployed addresses) -------
-  After running your deploy script (deploy_all.js) copy the printed addresses here.
-*/
-const PAYROLL_ADDRESS = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0"; // <--- REPLACE with payroll contract address
-const EUR_TOKEN_ADDR = "0x5FbDB2315678afecb367f032d93F642f64180aa3"; // <--- REPLACE with EUR token address
-const HARDHAT_CHAIN_ID = "0x7a69"; // hex for 31337
+  Contract addresses and ABIs come from the deployment manifest written by
+  scripts/deploy_all.js (public/deployments/<chainId>.json) — nothing to copy by hand.
+
+  The network picked in the header decides which manifest is loaded; every read
+  goes through that network's RPC endpoint (networks.js), so the public tabs
+  work without a wallet (read-only mode). A connected wallet only signs, and
+  only while it is on the same network: otherwise a banner offers to switch it.
 
-// Minimal Payroll ABI (string fragments acceptable for ethers)
-const PAYROLL_ABI = [
-  "function owner() view returns (address)",
-  "function oracle() view returns (address)",
-  "function addEmployee(address _employeeAddress, uint256 _initialYearlyEURSalary) external",
-  "function allowToken(address _employeeAddress, address _token, uint256 _exchangeRate) external",
-  "function addSupportedToken(address _token, uint256 _exchangeRate, bool _mintable) external",
-  "function setExchangeRate(address _token, uint256 _newRate) external",
-  "function getEmployee(address _addr) view returns (uint256 salary, uint256 received, address[] tokens)",
-  "function payday(address _token) external",
-  "function calculatePayrollRunway(address _token) view returns (uint256)",
-  "function calculatePayrollBurnrate() view returns (uint256)"
-];
+  Every text comes from the message catalogs (i18n.js, locales/); the language
+  is picked in the header and remembered in the browser.
+*/
 
 function App() {
+  const { sendTx, notify, mined } = useTx();
+  const { t, fmt, lang, setLang, errorText } = useI18n();
+
   // wallet + roles
   const [account, setAccount] = useState(null);
-  const [isOwner, setIsOwner] = useState(false);
+  const [isAdmin, setIsAdmin] = useState(false); // AdminCouncil member
+  const [isHR, setIsHR] = useState(false);
   const [isOracle, setIsOracle] = useState(false);
-  const [isAdminView, setIsAdminView] = useState(false);
+  const [view, setView] = useState("dashboard"); // dashboard | history | campaigns | admin | roster | treasury
+  const [deployment, setDeployment] = useState(null);
+  const [chainId, setChainId] = useState(DEFAULT_CHAIN_ID); // network shown in the app
+  const [walletChainId, setWalletChainId] = useState(null); // network the wallet is on
 
   // UI data
   const [employeeData, setEmployeeData] = useState(null);
+  const [accrual, setAccrual] = useState(false); // Payroll.payMode(): per-second accrual with claim()
+  const [refreshKey, setRefreshKey] = useState(0); // bumped on every data refresh so child cards reload
   const [loading, setLoading] = useState(false);
-  const [errorBanner, setErrorBanner] = useState("");
-
-  // forms
-  const [newEmp, setNewEmp] = useState({ addr: "", salary: "" });
-  const [rateUpdate, setRateUpdate] = useState({ token: EUR_TOKEN_ADDR, rate: "" });
+  const [errorBanner, setErrorBanner] = useState(null); // an Error, translated when shown
 
   // ----------------------
-  // Helper utilities
+  // Network: deployment manifest of the selected chain
   // ----------------------
-  const short = (addr = "") => (addr && addr.length > 10 ? `${addr.substring(0, 6)}...${addr.slice(-4)}` : addr);
+  useEffect(() => {
+    let cancelled = false;
+    setDeployment(null);
+    loadDeployment(chainId)
+      .then((manifest) => {
+        if (cancelled) return;
+        setDeployment(manifest);
+        setErrorBanner(null);
+      })
+      .catch((err) => {
+        console.error("Failed to load deployment:", err);
+        if (!cancelled) setErrorBanner(err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [chainId]);
 
-  const safeToString = (v) => {
-    try {
-      // BigInt or ethers BigNumber -> toString
-      return v?.toString?.() ?? String(v ?? "");
-    } catch {
-      return String(v ?? "");
-    }
-  };
+  // follow the wallet onto a network the app knows; unknown ones just raise the mismatch banner
+  const handleWalletChain = useCallback((hexChainId) => {
+    const id = Number(hexChainId);
+    setWalletChainId(id);
+    if (findNetwork(id)) setChainId(id);
+  }, []);
 
-  // ----------------------
-  // Network / MetaMask checks
-  // ----------------------
-  const checkNetwork = useCallback(async () => {
-    if (!window.ethereum) {
-      setErrorBanner("MetaMask not found in the browser.");
-      return false;
-    }
+  const switchWallet = async () => {
     try {
-      const chainId = await window.ethereum.request({ method: "eth_chainId" });
-      if (chainId !== HARDHAT_CHAIN_ID) {
-        setErrorBanner("Please switch MetaMask to the local Hardhat network (chainId 31337).");
-        return false;
-      }
-      setErrorBanner("");
-      return true;
+      await switchWalletNetwork(chainId);
     } catch (err) {
-      console.error("Network check failed:", err);
-      setErrorBanner("Failed to detect chainId.");
-      return false;
+      console.error("Network switch failed:", err);
+      setErrorBanner(err?.message ? err : new LocalizedError("app.switchFailed", { network: findNetwork(chainId)?.name }));
     }
-  }, []);
+  };
 
   // ----------------------
   // Fetch roles & employee data
   // ----------------------
   const fetchRolesAndData = useCallback(
     async (userAddr) => {
-      if (!userAddr) return;
+      if (!userAddr || !deployment) return;
       try {
-        const provider = new ethers.BrowserProvider(window.ethereum);
-        const contract = new ethers.Contract(PAYROLL_ADDRESS, PAYROLL_ABI, provider);
-
-        // fetch owner, oracle, employee (do in parallel)
-        const [ownerAddr, oracleAddr, empInfo] = await Promise.all([
-          contract.owner().catch(() => null),
-          contract.oracle().catch(() => null),
+        const provider = getReadProvider(deployment);
+        const contract = getContract(deployment, "Payroll", provider);
+        const council = getContract(deployment, "AdminCouncil", provider);
+
+        // fetch roles and employee (do in parallel)
+        const [admin, hr, oracle, payMode, empInfo] = await Promise.all([
+          council.isAdmin(userAddr).catch(() => false),
+          contract.hasRole(HR_ROLE, userAddr).catch(() => false),
+          contract.hasRole(ORACLE_ROLE, userAddr).catch(() => false),
+          contract.payMode().catch(() => 0n),
           contract.getEmployee(userAddr).catch(() => null)
         ]);
-
-        if (ownerAddr) setIsOwner(ownerAddr.toLowerCase() === userAddr.toLowerCase());
-        else setIsOwner(false);
-
-        if (oracleAddr) setIsOracle(oracleAddr.toLowerCase() === userAddr.toLowerCase());
-        else setIsOracle(false);
+        setAccrual(Number(payMode) === 1);
+        setIsAdmin(admin);
+        setIsHR(hr);
+        setIsOracle(oracle);
 
         // empInfo could be null if not registered
         if (empInfo) {
@@ -111,6 +122,7 @@ function App() {
             received,
             tokens
           });
+          setRefreshKey((k) => k + 1);
         } else {
           setEmployeeData(null);
         }
@@ -118,7 +130,7 @@ function App() {
         console.error("Error fetching roles/employee data:", err);
       }
     },
-    []
+    [deployment]
   );
 
   // ----------------------
@@ -126,7 +138,7 @@ function App() {
   // ----------------------
   const connectWallet = async () => {
     if (!window.ethereum) {
-      alert("MetaMask not found. Please install MetaMask and try again.");
+      notify("error", t("app.noMetamask"));
       return;
     }
     try {
@@ -135,19 +147,12 @@ function App() {
       const user = accounts[0];
       setAccount(user);
 
-      // ensure network is correct (chainId)
-      const chainId = await window.ethereum.request({ method: "eth_chainId" });
-      if (chainId !== HARDHAT_CHAIN_ID) {
-        alert("Please switch MetaMask to the Hardhat local network (chainId 31337).");
-        return;
-      }
-
-      // immediately fetch roles + employee data
-      await fetchRolesAndData(user);
+      // a wallet on another network is not an error: the mismatch banner offers the switch
+      handleWalletChain(await window.ethereum.request({ method: "eth_chainId" }));
       console.log("Connected account:", user);
     } catch (err) {
       console.error("Failed to connect wallet:", err);
-      alert("Failed to connect wallet: " + (err?.message || err));
+      notify("error", t("app.connectFailed", { reason: errorText(err) }));
     }
   };
 
@@ -162,213 +167,223 @@ function App() {
       if (a) fetchRolesAndData(a);
       else {
         setEmployeeData(null);
-        setIsOwner(false);
+        setIsAdmin(false);
+        setIsHR(false);
         setIsOracle(false);
       }
     };
-    const handleChain = (chainId) => {
-      // simple reload to reset state and re-check network
-      // (this behavior matches many dapps)
-      window.location.reload();
-    };
 
     window.ethereum.on && window.ethereum.on("accountsChanged", handleAccounts);
-    window.ethereum.on && window.ethereum.on("chainChanged", handleChain);
+    window.ethereum.on && window.ethereum.on("chainChanged", handleWalletChain);
 
-    // initial check of network (banner)
-    checkNetwork();
+    // start on the wallet's network when the app has a deployment for it
+    window.ethereum
+      .request({ method: "eth_chainId" })
+      .then(handleWalletChain)
+      .catch((err) => console.error("Failed to detect chainId:", err));
 
     return () => {
       if (window.ethereum && window.ethereum.removeListener) {
         window.ethereum.removeListener("accountsChanged", handleAccounts);
-        window.ethereum.removeListener("chainChanged", handleChain);
+        window.ethereum.removeListener("chainChanged", handleWalletChain);
       }
     };
-  }, [checkNetwork, fetchRolesAndData]);
+  }, [handleWalletChain, fetchRolesAndData]);
 
-  // Also refresh roles whenever account state changes (safe-guard)
+  // Also refresh roles whenever account state changes (safe-guard) and after every mined transaction
   useEffect(() => {
     if (account) fetchRolesAndData(account);
-  }, [account, fetchRolesAndData]);
+  }, [account, fetchRolesAndData, mined]);
 
-  // ----------------------
-  // Admin actions
-  // ----------------------
-  const registerEmployee = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    try {
-      // get signer
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      const contract = new ethers.Contract(PAYROLL_ADDRESS, PAYROLL_ABI, signer);
-
-      // addEmployee expects uint256 salary; make sure to send number
-      const tx = await contract.addEmployee(newEmp.addr, ethers.toBigInt(String(newEmp.salary)));
-      await tx.wait();
-      alert("Employee registered successfully.");
-      // refresh
-      await fetchRolesAndData(account);
-    } catch (err) {
-      console.error("registerEmployee error:", err);
-      alert("Error registering employee: " + (err?.reason || err?.message || "Transaction failed"));
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const updateRate = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    try {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      const contract = new ethers.Contract(PAYROLL_ADDRESS, PAYROLL_ABI, signer);
-
-      const tx = await contract.setExchangeRate(rateUpdate.token, ethers.toBigInt(String(rateUpdate.rate)));
-      await tx.wait();
-      alert("Exchange rate updated by oracle.");
-      await fetchRolesAndData(account);
-    } catch (err) {
-      console.error("updateRate error:", err);
-      alert("Error updating rate: " + (err?.reason || err?.message || "Only oracle can set rates"));
-    } finally {
-      setLoading(false);
-    }
-  };
+  // every mined transaction, from any tab, reloads the child cards
+  useEffect(() => {
+    if (mined) setRefreshKey((k) => k + 1);
+  }, [mined]);
 
   // ----------------------
   // Employee actions
   // ----------------------
+  // payday() in monthly mode, claim() of everything accrued in accrual mode
   const handlePayday = async (tokenAddr) => {
+    const method = accrual ? "claim" : "payday";
     setLoading(true);
-    try {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      const contract = new ethers.Contract(PAYROLL_ADDRESS, PAYROLL_ABI, signer);
+    // the gas estimate doubles as the dry-run: a revert is reported before the wallet asks for a signature
+    await sendTx(deployment, { label: t(accrual ? "app.claim" : "app.payday"), contract: "Payroll", method, args: [tokenAddr] });
+    setLoading(false);
+  };
 
-      const tx = await contract.payday(tokenAddr);
-      await tx.wait();
-      alert("Payment successful — tokens should be delivered.");
-      // refresh balances / employee data
-      await fetchRolesAndData(account);
-    } catch (err) {
-      console.error("handlePayday error:", err);
-      // give a helpful fallback message
-      const errMsg = err?.reason || err?.message || "Payment failed. You may only request payout once per 4 weeks or token allocation is missing.";
-      alert("Error: " + errMsg);
-    } finally {
-      setLoading(false);
-    }
+  // final pay a removal left behind (accrual mode)
+  const handleFinalPay = async (tokenAddr) => {
+    setLoading(true);
+    await sendTx(deployment, { label: t("app.finalPay"), contract: "Payroll", method: "claimFinalPay", args: [tokenAddr] });
+    setLoading(false);
   };
 
   // ----------------------
   // Render
   // ----------------------
+  // without a wallet only the public tabs are shown (read-only mode)
+  const current = !account && (view === "dashboard" || view === "admin") ? "history" : view;
+  const wrongNetwork = account && walletChainId !== null && walletChainId !== chainId;
+  const networkName = (id) => findNetwork(id)?.name || t("app.unknownNetwork", { id });
+
   return (
     <div style={styles.container}>
       <header style={styles.header}>
-        <h1>Correctional Work Payroll</h1>
-        {errorBanner && <div style={styles.errorBanner}>{errorBanner}</div>}
-        {!account ? (
-          <button onClick={connectWallet} style={styles.connectBtn}>
-            Connect Wallet
-          </button>
-        ) : (
-          <div style={styles.userBadge}>
-            👤 {short(account)}
-            {isOwner && <span title="Admin"> 🛡️</span>}
-            {isOracle && <span title="Oracle"> 🔮</span>}
+        <h1>{t("app.title")}</h1>
+        {errorBanner && <div style={styles.errorBanner}>{errorText(errorBanner)}</div>}
+        {wrongNetwork && (
+          <div style={styles.warningBanner}>
+            {t("app.wrongNetwork", { wallet: networkName(walletChainId), app: networkName(chainId) })}{" "}
+            <button onClick={switchWallet} style={styles.switchBtn}>
+              {t("app.switchWallet", { network: networkName(chainId) })}
+            </button>
           </div>
         )}
+        <div style={styles.headerRow}>
+          <select
+            style={styles.networkSelect}
+            value={chainId}
+            onChange={(e) => setChainId(Number(e.target.value))}
+            title={t("app.network")}
+          >
+            {NETWORKS.map((n) => (
+              <option key={n.chainId} value={n.chainId}>
+                {n.name}
+              </option>
+            ))}
+          </select>
+          <select style={styles.networkSelect} value={lang} onChange={(e) => setLang(e.target.value)} title={t("app.language")}>
+            {Object.entries(LANGUAGES).map(([code, { label }]) => (
+              <option key={code} value={code}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {!account ? (
+            <button onClick={connectWallet} style={styles.connectBtn}>
+              {t("app.connectWallet")}
+            </button>
+          ) : (
+            <div style={styles.userBadge}>
+              👤 {short(account)}
+              {isAdmin && <span title={t("app.roles.admin")}> 🛡️</span>}
+              {isHR && <span title={t("app.roles.hr")}> 🗂️</span>}
+              {isOracle && <span title={t("app.roles.oracle")}> 🔮</span>}
+            </div>
+          )}
+          {!account && <span style={styles.readOnly}>{t("app.readOnly")}</span>}
+        </div>
       </header>
 
-      {account && (
+      {deployment && (
         <>
           <div style={styles.tabs}>
-            <button onClick={() => setIsAdminView(false)} style={!isAdminView ? styles.activeTab : styles.tab}>
-              Dashboard
+            {account && (
+              <button onClick={() => setView("dashboard")} style={current === "dashboard" ? styles.activeTab : styles.tab}>
+                {t("app.tabs.dashboard")}
+              </button>
+            )}
+            <button onClick={() => setView("history")} style={current === "history" ? styles.activeTab : styles.tab}>
+              {t("app.tabs.history")}
+            </button>
+            <button onClick={() => setView("payslips")} style={current === "payslips" ? styles.activeTab : styles.tab}>
+              {t("app.tabs.payslips")}
+            </button>
+            <button onClick={() => setView("campaigns")} style={current === "campaigns" ? styles.activeTab : styles.tab}>
+              {t("app.tabs.campaigns")}
+            </button>
+            {account && (
+              <button onClick={() => setView("admin")} style={current === "admin" ? styles.activeTab : styles.tab}>
+                {t("app.tabs.admin")}
+              </button>
+            )}
+            <button onClick={() => setView("roster")} style={current === "roster" ? styles.activeTab : styles.tab}>
+              {t("app.tabs.roster")}
             </button>
-            <button onClick={() => setIsAdminView(true)} style={isAdminView ? styles.activeTab : styles.tab}>
-              Admin Panel
+            <button onClick={() => setView("treasury")} style={current === "treasury" ? styles.activeTab : styles.tab}>
+              {t("app.tabs.treasury")}
             </button>
           </div>
 
           <main style={styles.main}>
-            {isAdminView ? (
-              <div style={styles.adminGrid}>
-                <div style={styles.card}>
-                  <h3>Register Employee</h3>
-                  <form onSubmit={registerEmployee}>
-                    <input
-                      style={styles.input}
-                      placeholder="Employee address (0x...)"
-                      value={newEmp.addr}
-                      onChange={(e) => setNewEmp({ ...newEmp, addr: e.target.value })}
-                    />
-                    <input
-                      style={styles.input}
-                      type="number"
-                      placeholder="Yearly salary (EUR)"
-                      value={newEmp.salary}
-                      onChange={(e) => setNewEmp({ ...newEmp, salary: e.target.value })}
-                    />
-                    <button type="submit" style={styles.adminBtn} disabled={!isOwner || loading}>
-                      Register Employee
-                    </button>
-                  </form>
-                </div>
-
-                <div style={styles.card}>
-                  <h3>Update Exchange Rate (Oracle)</h3>
-                  <form onSubmit={updateRate}>
-                    <input
-                      style={styles.input}
-                      placeholder="Token address"
-                      value={rateUpdate.token}
-                      onChange={(e) => setRateUpdate({ ...rateUpdate, token: e.target.value })}
-                    />
-                    <input
-                      style={styles.input}
-                      type="number"
-                      placeholder="Tokens per 1 EUR"
-                      value={rateUpdate.rate}
-                      onChange={(e) => setRateUpdate({ ...rateUpdate, rate: e.target.value })}
-                    />
-                    <button type="submit" style={{ ...styles.adminBtn, background: "#f39c12" }} disabled={!isOracle || loading}>
-                      Update Rate
-                    </button>
-                  </form>
-                </div>
-              </div>
+            {current === "admin" ? (
+              <AdminPanel
+                deployment={deployment}
+                account={account}
+                isAdmin={isAdmin}
+                isHR={isHR}
+                isOracle={isOracle}
+              />
+            ) : current === "roster" ? (
+              <EmployeeRoster deployment={deployment} refreshKey={refreshKey} />
+            ) : current === "treasury" ? (
+              <Treasury deployment={deployment} refreshKey={refreshKey} />
+            ) : current === "history" ? (
+              <History deployment={deployment} account={account} isAdmin={isAdmin} refreshKey={refreshKey} />
+            ) : current === "payslips" ? (
+              <Payslip
+                deployment={deployment}
+                account={account}
+                canPickEmployee={isAdmin || isHR || !account}
+                refreshKey={refreshKey}
+              />
+            ) : current === "campaigns" ? (
+              <Campaigns
+                deployment={deployment}
+                account={account}
+                isAdmin={isAdmin}
+                refreshKey={refreshKey}
+              />
             ) : (
               <div style={styles.card}>
+                <FinalPay
+                  deployment={deployment}
+                  account={account}
+                  refreshKey={refreshKey}
+                  busy={loading}
+                  onClaim={handleFinalPay}
+                />
                 {employeeData ? (
                   <>
-                    <h3>Your Work Profile</h3>
+                    <h3>{t("app.profile")}</h3>
                     <div style={styles.stats}>
                       <p>
-                        Yearly salary: <strong>{employeeData.salary} EUR</strong>
+                        {t("app.yearlySalary")} <strong>{fmt.eur(employeeData.salary)} EUR</strong>
                       </p>
                       <p>
-                        Already received: <strong>{employeeData.received} EUR</strong>
+                        {t("app.received")} <strong>{fmt.eur(employeeData.received)} EUR</strong>
                       </p>
                     </div>
                     <hr />
-                    <h4>Available payouts</h4>
+                    <AllocationEditor
+                      deployment={deployment}
+                      account={account}
+                      salary={employeeData.salary}
+                      tokens={employeeData.tokens}
+                      disabled={loading}
+                    />
+                    <h4>{t("app.payouts")}</h4>
 
                     {Array.isArray(employeeData.tokens) && employeeData.tokens.length > 0 ? (
-                      employeeData.tokens.map((t) => (
-                        <button key={t} onClick={() => handlePayday(t)} style={styles.payBtn} disabled={loading}>
-                          {loading ? "Loading..." : `Claim payout in ${short(t)}`}
-                        </button>
+                      employeeData.tokens.map((token) => (
+                        <PayoutCard
+                          key={token}
+                          deployment={deployment}
+                          account={account}
+                          token={token}
+                          refreshKey={refreshKey}
+                          accrual={accrual}
+                          busy={loading}
+                          onClaim={handlePayday}
+                        />
                       ))
                     ) : (
-                      <p>Payment tokens are not assigned by the administrator.</p>
+                      <p>{t("app.noTokens")}</p>
                     )}
                   </>
                 ) : (
-                  <p>You are not registered as an employee. Please contact the owner/admin.</p>
+                  <p>{t("app.notEmployee")}</p>
                 )}
               </div>
             )}
@@ -383,18 +398,19 @@ function App() {
 const styles = {
   container: { maxWidth: "900px", margin: "0 auto", padding: "20px", fontFamily: "system-ui" },
   header: { borderBottom: "2px solid #222", paddingBottom: "18px", marginBottom: "18px" },
+  headerRow: { display: "flex", alignItems: "center", gap: "12px", flexWrap: "wrap" },
   errorBanner: { background: "#ff4444", color: "#fff", padding: "10px", borderRadius: "6px", margin: "10px 0" },
+  warningBanner: { background: "#fff3cd", color: "#664d03", padding: "10px", borderRadius: "6px", margin: "10px 0" },
+  switchBtn: { marginLeft: "8px", padding: "4px 10px", border: "1px solid #664d03", background: "#fff", borderRadius: "4px", cursor: "pointer" },
+  networkSelect: { padding: "8px", borderRadius: "6px", border: "1px solid #ccc" },
+  readOnly: { color: "#666", fontSize: "13px" },
   userBadge: { background: "#eee", padding: "8px 15px", borderRadius: "20px", display: "inline-block" },
   connectBtn: { padding: "10px 20px", background: "#007bff", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer" },
   tabs: { display: "flex", gap: "10px", marginBottom: "16px" },
   tab: { padding: "10px 18px", cursor: "pointer", border: "1px solid #ddd", background: "#f9f9f9", borderRadius: "6px" },
   activeTab: { padding: "10px 18px", cursor: "pointer", border: "1px solid #222", background: "#222", color: "#fff", borderRadius: "6px" },
   main: { background: "#fff", minHeight: "320px", padding: "16px", borderRadius: "8px" },
-  adminGrid: { display: "grid", gridTemplateColumns: "1fr 1fr", gap: "20px" },
   card: { padding: "18px", border: "1px solid #eee", borderRadius: "10px", boxShadow: "0 6px 10px rgba(0,0,0,0.04)" },
-  input: { width: "100%", padding: "10px", marginBottom: "10px", borderRadius: "6px", border: "1px solid #ddd", boxSizing: "border-box" },
-  adminBtn: { width: "100%", padding: "10px", background: "#28a745", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer" },
-  payBtn: { width: "100%", padding: "14px", background: "#17a2b8", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer", fontSize: "15px", marginBottom: "8px" },
   stats: { fontSize: "16px", lineHeight: "1.6" }
 };
 
@@ -1,8 +1,191 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, waitFor, act } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { ethers } from "ethers";
+import App from "./App";
+import { I18nProvider } from "./i18n";
+import { TxProvider } from "./TxManager";
+import { short } from "./format";
+import { MockWallet, installMockEthereum } from "./testing/mockEthereum";
+import { createPayrollChain, ACCOUNTS, ADDRESSES } from "./testing/payrollChain";
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+let chain;
+let wallet;
+let uninstall;
+
+// App on a fresh mock chain; `walletOptions: null` leaves window.ethereum unset
+function renderApp({ walletOptions = { accounts: [ACCOUNTS.employee] }, update } = {}) {
+  const deployed = createPayrollChain(update);
+  chain = deployed.chain;
+  wallet = walletOptions && new MockWallet(chain, walletOptions);
+  uninstall = installMockEthereum({ chain, wallet, manifest: deployed.manifest });
+  render(
+    <I18nProvider>
+      <TxProvider>
+        <App />
+      </TxProvider>
+    </I18nProvider>
+  );
+}
+
+// the claim button of a token card, once the payout dry run has answered
+async function claimButton(symbol) {
+  await waitFor(() => expect(chain.calls.map((c) => c.method)).toContain("payday"));
+  const button = screen.getByRole("button", { name: `Claim payout in ${symbol}` });
+  await waitFor(() => expect(button).toBeEnabled());
+  return button;
+}
+
+async function connect(account) {
+  userEvent.click(await screen.findByRole("button", { name: "Connect Wallet" }));
+  return screen.findByText(short(account), { exact: false });
+}
+
+afterEach(() => uninstall());
+
+describe("Wallet connection", () => {
+  it("starts read-only and shows the employee profile once connected", async () => {
+    renderApp();
+    expect(await screen.findByText("Read-only: connect a wallet to send transactions")).toBeInTheDocument();
+
+    await connect(ACCOUNTS.employee);
+    expect(await screen.findByText("Your Work Profile")).toBeInTheDocument();
+    expect(screen.queryByText("Read-only: connect a wallet to send transactions")).not.toBeInTheDocument();
+    expect(wallet.requests).toContain("eth_requestAccounts");
+  });
+
+  it("reports a missing wallet", async () => {
+    renderApp({ walletOptions: null });
+    userEvent.click(await screen.findByRole("button", { name: "Connect Wallet" }));
+    expect(await screen.findByRole("alert")).toHaveTextContent("MetaMask not found");
+  });
+
+  it("warns about a wallet on another chain and switches it", async () => {
+    renderApp({ walletOptions: { accounts: [ACCOUNTS.employee], chainId: 1 } });
+    await connect(ACCOUNTS.employee);
+    expect(await screen.findByText(/Your wallet is on chain 1; this app is showing Hardhat \(localhost\)/)).toBeInTheDocument();
+
+    userEvent.click(screen.getByRole("button", { name: "Switch wallet to Hardhat (localhost)" }));
+    await waitFor(() => expect(screen.queryByText(/Your wallet is on chain 1/)).not.toBeInTheDocument());
+    expect(wallet.chainId).toBe(31337);
+  });
+
+  it("adds the chain to a wallet that does not know it", async () => {
+    renderApp({ walletOptions: { accounts: [ACCOUNTS.employee], chainId: 1, chains: [1] } });
+    await connect(ACCOUNTS.employee);
+    userEvent.click(await screen.findByRole("button", { name: "Switch wallet to Hardhat (localhost)" }));
+
+    await waitFor(() => expect(screen.queryByText(/Your wallet is on chain 1/)).not.toBeInTheDocument());
+    expect(wallet.requests).toEqual(expect.arrayContaining(["wallet_switchEthereumChain", "wallet_addEthereumChain"]));
+  });
+});
+
+describe("Role badges", () => {
+  it("marks council admins", async () => {
+    renderApp({ walletOptions: { accounts: [ACCOUNTS.admin] } });
+    await connect(ACCOUNTS.admin);
+    expect(await screen.findByTitle("Admin")).toBeInTheDocument();
+    expect(screen.queryByTitle("Oracle")).not.toBeInTheDocument();
+  });
+
+  it("marks the oracle", async () => {
+    renderApp({ walletOptions: { accounts: [ACCOUNTS.oracle] } });
+    await connect(ACCOUNTS.oracle);
+    expect(await screen.findByTitle("Oracle")).toBeInTheDocument();
+    expect(screen.queryByTitle("Admin")).not.toBeInTheDocument();
+  });
+
+  it("shows none for a plain employee", async () => {
+    renderApp();
+    await connect(ACCOUNTS.employee);
+    await screen.findByText("Your Work Profile");
+    for (const role of ["Admin", "HR", "Oracle"]) expect(screen.queryByTitle(role)).not.toBeInTheDocument();
+  });
+
+  it("keeps the read-only Roster and Treasury tabs with or without a wallet", async () => {
+    renderApp();
+    expect(await screen.findByRole("button", { name: "Roster" })).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Treasury" })).toBeInTheDocument();
+
+    await connect(ACCOUNTS.employee);
+    await screen.findByText("Your Work Profile");
+    expect(screen.getByRole("button", { name: "Roster" })).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Treasury" })).toBeInTheDocument();
+  });
+});
+
+describe("Account switching", () => {
+  it("follows accountsChanged to another account and back to read-only", async () => {
+    renderApp({ walletOptions: { accounts: [ACCOUNTS.employee, ACCOUNTS.oracle] } });
+    await connect(ACCOUNTS.employee);
+    await screen.findByText("Your Work Profile");
+
+    act(() => wallet.switchAccount(ACCOUNTS.oracle));
+    expect(await screen.findByText(short(ACCOUNTS.oracle), { exact: false })).toBeInTheDocument();
+    expect(await screen.findByTitle("Oracle")).toBeInTheDocument();
+    expect(await screen.findByText("Payment tokens are not assigned by the administrator.")).toBeInTheDocument();
+
+    act(() => wallet.emit("accountsChanged", []));
+    expect(await screen.findByRole("button", { name: "Connect Wallet" })).toBeInTheDocument();
+    expect(screen.queryByTitle("Oracle")).not.toBeInTheDocument();
+  });
+});
+
+describe("Payout claim", () => {
+  it("pays a due payout", async () => {
+    renderApp();
+    await connect(ACCOUNTS.employee);
+    userEvent.click(await claimButton("EURT"));
+    expect(await screen.findByText(/Payday: confirmed in block/)).toBeInTheDocument();
+    expect(chain.sent).toEqual([
+      expect.objectContaining({ contract: "Payroll", method: "payday", args: [ADDRESSES.EURToken], from: ACCOUNTS.employee })
+    ]);
+    expect(chain.state.balances[ADDRESSES.EURToken][ACCOUNTS.employee]).toBe(ethers.parseUnits("3000", 18));
+  });
+
+  it("explains why a payout would revert and keeps the button disabled", async () => {
+    // one-hour maximum rate age, rate set at deployment: the EURT rate is stale
+    renderApp({ update: (state) => (state.maxRateAge = 3600n) });
+    await connect(ACCOUNTS.employee);
+
+    expect(await screen.findByText(/The token's exchange rate is older than the maximum age/)).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Claim payout in EURT" })).toBeDisabled();
+    expect(chain.sent).toEqual([]);
+  });
+
+  it("reports a revert of the payday transaction without asking the wallet", async () => {
+    renderApp();
+    await connect(ACCOUNTS.employee);
+    const claim = await claimButton("EURT");
+
+    // payments frozen after the dry run: the gas estimate fails with the contract's reason
+    chain.state.paymentsState = 1;
+    userEvent.click(claim);
+    expect(await screen.findByRole("alert")).toHaveTextContent("Payday failed: Payments are frozen by an admin.");
+    expect(wallet.requests).not.toContain("eth_sendTransaction");
+  });
+});
+
+describe("Final pay", () => {
+  it("lets a removed employee claim the pay the removal could not send", async () => {
+    // accrual mode, payments frozen at the removal: the 500 EUR accrued stay owed
+    renderApp({
+      update: (state) => {
+        state.payMode = 1;
+        state.paymentsState = 1;
+        state.employees[ACCOUNTS.employee].accrued = { [ADDRESSES.EURToken]: ethers.parseUnits("500", 18) };
+      }
+    });
+    const payroll = new ethers.Interface(["function removeEmployee(address employee)"]);
+    await chain.request("eth_sendTransaction", [
+      { from: ACCOUNTS.hr, to: ADDRESSES.Payroll, data: payroll.encodeFunctionData("removeEmployee", [ACCOUNTS.employee]) }
+    ]);
+    chain.state.paymentsState = 0;
+
+    await connect(ACCOUNTS.employee);
+    expect(await screen.findByText("Final pay")).toBeInTheDocument();
+    userEvent.click(screen.getByRole("button", { name: "Claim EURT" }));
+    expect(await screen.findByText(/Final pay: confirmed in block/)).toBeInTheDocument();
+    expect(chain.state.balances[ADDRESSES.EURToken][ACCOUNTS.employee]).toBe(ethers.parseUnits("500", 18));
+    await waitFor(() => expect(screen.queryByText("Final pay")).not.toBeInTheDocument());
+  });
 });
@@ -0,0 +1,186 @@
+// BulkOnboarding.js
+import React, { useState } from "react";
+import { ONBOARDING_BATCH_SIZE } from "./constants";
+import { getContract, fetchSupportedTokens, fetchTokenInfo, getReadProvider } from "./deployment";
+import { short } from "./format";
+import { SAMPLE_CSV, parseEmployeeCsv, validateRows, markRegistered, toBatches } from "./employeeCsv";
+import { useTx } from "./TxManager";
+import { useI18n } from "./i18n";
+
+/*
+  Bulk onboarding from a CSV of address, yearly EUR salary and allowed tokens.
+  Rows are validated in the browser (address checksums, duplicates, unknown
+  tokens, addresses already on the payroll via getEmployee) and shown as a
+  preview; the new employees are then registered through addEmployees in
+  batches of ONBOARDING_BATCH_SIZE, one MetaMask confirmation per batch.
+*/
+function BulkOnboarding({ deployment }) {
+  const { sendTx, notify } = useTx();
+  const { t, fmt, errorText } = useI18n();
+  const [fileName, setFileName] = useState("");
+  const [entries, setEntries] = useState(null);
+  const [tokens, setTokens] = useState([]);
+  const [checking, setChecking] = useState(false);
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [loadError, setLoadError] = useState(null);
+
+  const readOnlyPayroll = () => getContract(deployment, "Payroll", getReadProvider(deployment));
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // allow re-selecting the same file after editing it
+    if (!file) return;
+    setFileName(file.name);
+    setEntries(null);
+    setLoadError(null);
+    setChecking(true);
+    try {
+      const provider = getReadProvider(deployment);
+      const supported = await Promise.all(
+        (await fetchSupportedTokens(deployment, provider)).map((token) => fetchTokenInfo(deployment, token.address, provider))
+      );
+      const rows = parseEmployeeCsv(await file.text());
+      if (rows.length === 0) throw new Error(t("onboarding.noRows"));
+      setTokens(supported);
+      setEntries(await markRegistered(validateRows(rows, supported), readOnlyPayroll()));
+    } catch (err) {
+      console.error("CSV check error:", err);
+      setLoadError(err);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const downloadSample = () => {
+    const url = URL.createObjectURL(new Blob([SAMPLE_CSV], { type: "text/csv;charset=utf-8" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "employees-sample.csv";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const errorCount = entries ? entries.filter((e) => e.errors.length > 0).length : 0;
+  const registeredCount = entries ? entries.filter((e) => e.existing).length : 0;
+  const batches = entries ? toBatches(entries, ONBOARDING_BATCH_SIZE) : [];
+  const newCount = batches.reduce((n, b) => n + b.employees.length, 0);
+
+  const handleRegister = async () => {
+    const question =
+      t("onboarding.confirm", { count: newCount, batches: batches.length }) +
+      (registeredCount ? ` ${t("onboarding.confirmSkipped", { count: registeredCount })}` : "");
+    if (!window.confirm(question)) return;
+
+    setProgress({ done: 0, total: batches.length });
+    let registered = 0;
+    for (let i = 0; i < batches.length; i++) {
+      const batch = batches[i];
+      const { receipt } = await sendTx(deployment, {
+        label: t("onboarding.batchLabel", { index: i + 1, total: batches.length }),
+        contract: "Payroll",
+        method: "addEmployees",
+        args: [batch.employees, batch.salaries, batch.tokens]
+      });
+      if (!receipt) {
+        notify("error", t("onboarding.stopped", { count: registered }));
+        break;
+      }
+      registered += batch.employees.length;
+      setProgress({ done: i + 1, total: batches.length });
+    }
+    if (registered === newCount) notify("success", t("onboarding.done", { count: registered }));
+    setProgress(null);
+    // Re-check so completed batches show up as registered and a retry only sends the rest
+    setEntries(await markRegistered(entries, readOnlyPayroll()));
+  };
+
+  const symbolOf = (address) => tokens.find((token) => token.address === address)?.symbol || short(address);
+
+  const statusCell = (entry) => {
+    if (entry.errors.length > 0) return <span style={styles.error}>{entry.errors.map((e) => t(e.key, e.params)).join("; ")}</span>;
+    if (!entry.existing) return <span style={styles.ok}>{t("onboarding.new")}</span>;
+    const { salary, tokens: current } = entry.existing;
+    return (
+      <span style={styles.skip}>
+        {t("onboarding.registered", { salary: fmt.eur(salary) })}
+        {salary !== entry.salary && ` → ${t("onboarding.notApplied", { salary: fmt.eur(entry.salary) })}`}
+        {current.length > 0 && `; ${current.map(symbolOf).join(", ")}`})
+      </span>
+    );
+  };
+
+  return (
+    <div style={styles.card}>
+      <h3>{t("onboarding.title")}</h3>
+      <p style={styles.hint}>
+        {t("onboarding.columns")}{" "}
+        <button type="button" style={styles.link} onClick={downloadSample}>
+          {t("onboarding.sample")}
+        </button>
+      </p>
+      <input type="file" accept=".csv,text/csv" onChange={handleFile} disabled={checking || progress !== null} />
+      {checking && <p style={styles.hint}>{t("onboarding.checking", { file: fileName })}</p>}
+      {loadError && <p style={styles.error}>{errorText(loadError)}</p>}
+
+      {entries && (
+        <>
+          <p>
+            <strong>{fileName}</strong>:{" "}
+            {t("onboarding.summary", { count: newCount, registered: registeredCount, errors: errorCount })}
+          </p>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>{t("onboarding.line")}</th>
+                <th style={styles.th}>{t("common.address")}</th>
+                <th style={styles.th}>{t("onboarding.salary")}</th>
+                <th style={styles.th}>{t("common.tokens")}</th>
+                <th style={styles.th}>{t("common.status")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.line} style={entry.errors.length > 0 ? styles.errorRow : undefined}>
+                  <td style={styles.td}>{entry.line}</td>
+                  <td style={styles.td} title={entry.address}>
+                    {short(entry.address)}
+                  </td>
+                  <td style={styles.td}>{entry.input.salary}</td>
+                  <td style={styles.td}>{entry.symbols.join(", ") || entry.input.tokens.join(", ")}</td>
+                  <td style={styles.td}>{statusCell(entry)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {errorCount > 0 && <p style={styles.error}>{t("onboarding.fixErrors")}</p>}
+          <button
+            style={styles.btn}
+            onClick={handleRegister}
+            disabled={errorCount > 0 || newCount === 0 || progress !== null}
+          >
+            {progress
+              ? t("onboarding.progress", { done: progress.done, total: progress.total })
+              : t("onboarding.register", { count: newCount, batches: batches.length })}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  card: { border: "1px solid #ddd", padding: "20px", borderRadius: "10px", backgroundColor: "#f9f9f9", marginTop: "20px" },
+  hint: { fontSize: "13px", color: "#777" },
+  link: { background: "none", border: "none", color: "#2980b9", cursor: "pointer", padding: 0, fontSize: "13px" },
+  table: { width: "100%", borderCollapse: "collapse", margin: "10px 0", background: "#fff" },
+  th: { textAlign: "left", borderBottom: "2px solid #ddd", padding: "6px", fontSize: "13px" },
+  td: { borderBottom: "1px solid #f0f0f0", padding: "6px", fontSize: "13px" },
+  errorRow: { background: "#fdecea" },
+  error: { color: "#c0392b" },
+  ok: { color: "#27ae60" },
+  skip: { color: "#777" },
+  btn: { width: "100%", padding: "10px", backgroundColor: "#27ae60", color: "white", border: "none", cursor: "pointer", borderRadius: "5px" }
+};
+
+export default BulkOnboarding;
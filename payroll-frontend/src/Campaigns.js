@@ -0,0 +1,358 @@
+// Campaigns.js
+import React, { useState, useEffect, useCallback } from "react";
+import { ethers } from "ethers";
+import { getContract, fetchTokenInfo, fetchSupportedTokens, getReadProvider } from "./deployment";
+import { EUR_DECIMALS, RATE_DECIMALS } from "./constants";
+import useChainNow from "./useChainNow";
+import { useTx } from "./TxManager";
+import { useI18n } from "./i18n";
+
+/*
+  Crowdfunding: Payroll campaigns (create / contribute / finalize / claim) and
+  the PrisonFund donation pool. Without a wallet (read-only mode) the campaigns
+  and the fund balance are only shown. Anyone with a wallet can contribute ETH;
+  admins additionally get campaign management and the PrisonFund -> Payroll transfer.
+  After finalization each contributor claims their own reward (goal reached)
+  or ETH refund (goal missed).
+*/
+
+// Reward for an EUR contribution at the rate frozen at finalization (mirrors Payroll._toTokenAmount)
+function rewardAmount(contributionEUR, rewardRate, decimals) {
+  return (contributionEUR * rewardRate * 10n ** ethers.toBigInt(decimals)) / 10n ** ethers.toBigInt(EUR_DECIMALS + RATE_DECIMALS);
+}
+
+function Campaigns({ deployment, account, isAdmin, refreshKey }) {
+  const { sendTx, notify } = useTx();
+  const { t, fmt } = useI18n();
+  const [campaigns, setCampaigns] = useState([]);
+  const [fund, setFund] = useState(null);
+  const [rewardTokens, setRewardTokens] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [amounts, setAmounts] = useState({}); // campaignId -> ETH to contribute
+  const [newCampaign, setNewCampaign] = useState({ title: "", goal: "", days: "", token: "" });
+  const [fundForm, setFundForm] = useState({ donate: "", transfer: "" });
+  const chainNow = useChainNow(deployment, refreshKey);
+
+  const loadCampaigns = useCallback(async () => {
+    if (!deployment) return;
+    try {
+      const provider = getReadProvider(deployment);
+      const payroll = getContract(deployment, "Payroll", provider);
+      const prisonFund = getContract(deployment, "PrisonFund", provider);
+
+      const count = Number(await payroll.getCampaignCount());
+      const ids = [...Array(count).keys()];
+      const loaded = await Promise.all(
+        ids.map(async (id) => {
+          const [info, mine, claim, settlement, contributors] = await Promise.all([
+            payroll.getCampaignInfo(id),
+            account ? payroll.getCampaignContribution(id, account) : 0n,
+            account ? payroll.getCampaignClaim(id, account) : [0n, false],
+            payroll.getCampaignSettlement(id),
+            payroll.getCampaignContributors(id)
+          ]);
+          const reward = await fetchTokenInfo(deployment, info.rewardToken, provider);
+          return {
+            id,
+            title: info.title,
+            goalEUR: info.goalEUR,
+            raisedEUR: info.raisedEUR,
+            deadline: Number(info.deadline),
+            finalized: info.finalized,
+            reward,
+            mine,
+            mineWei: claim[0],
+            claimed: claim[1],
+            rewardRate: settlement.rewardRate,
+            contributorCount: contributors.length
+          };
+        })
+      );
+      setCampaigns(loaded.reverse()); // newest first
+
+      const [fundBalance, supported] = await Promise.all([
+        prisonFund.getBalance(),
+        fetchSupportedTokens(deployment, provider)
+      ]);
+      setFund({ balance: fundBalance });
+      setRewardTokens(await Promise.all(supported.map((token) => fetchTokenInfo(deployment, token.address, provider))));
+    } catch (err) {
+      console.error("loadCampaigns error:", err);
+    }
+  }, [deployment, account]);
+
+  useEffect(() => {
+    loadCampaigns();
+  }, [loadCampaigns, refreshKey]);
+
+  // validation -> optional confirmation -> transaction; build() returns { contract, method, args, value }
+  // and the list reloads through refreshKey once the transaction is mined
+  const send = async (label, build, confirmMessage) => {
+    let call;
+    try {
+      call = build();
+    } catch (err) {
+      notify("error", err.message);
+      return;
+    }
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+    setBusy(true);
+    await sendTx(deployment, { label, ...call });
+    setBusy(false);
+  };
+
+  const parseEth = (value, label) => {
+    let wei;
+    try {
+      wei = ethers.parseEther(String(value).trim());
+    } catch {
+      throw new Error(t("validation.ethAmount", { field: label }));
+    }
+    if (wei <= 0n) throw new Error(t("validation.positive", { field: label }));
+    return wei;
+  };
+
+  // ----------------------
+  // Campaign actions
+  // ----------------------
+  const contribute = (c) =>
+    send(t("campaigns.contributeLabel", { id: c.id }), () => {
+      const value = parseEth(amounts[c.id], t("fields.contribution"));
+      return { contract: "Payroll", method: "contributeToCampaign", args: [c.id], value };
+    });
+
+  const createCampaign = (e) => {
+    e.preventDefault();
+    send(t("campaigns.create"), () => {
+      const title = newCampaign.title.trim();
+      if (!title) throw new Error(t("campaigns.titleRequired"));
+      let goal;
+      try {
+        goal = ethers.parseUnits(String(newCampaign.goal).trim(), EUR_DECIMALS);
+      } catch {
+        throw new Error(t("validation.eurAmount", { field: t("fields.goal") }));
+      }
+      if (goal <= 0n) throw new Error(t("validation.positive", { field: t("fields.goal") }));
+      const days = Number(newCampaign.days);
+      if (!Number.isFinite(days) || days <= 0) throw new Error(t("campaigns.badDuration"));
+      if (!ethers.isAddress(newCampaign.token)) throw new Error(t("campaigns.selectToken"));
+      const duration = Math.round(days * 24 * 60 * 60);
+      return { contract: "Payroll", method: "createCampaign", args: [title, goal, duration, newCampaign.token] };
+    });
+  };
+
+  const finalize = (c) =>
+    send(
+      t("campaigns.finalizeLabel", { id: c.id }),
+      () => ({ contract: "Payroll", method: "finalizeCampaign", args: [c.id] }),
+      c.raisedEUR >= c.goalEUR
+        ? t("campaigns.confirmSucceeded", { title: c.title, count: c.contributorCount, symbol: c.reward.symbol })
+        : t("campaigns.confirmFailed", { title: c.title })
+    );
+
+  const claimReward = (c) =>
+    send(t("campaigns.claimRewardLabel", { id: c.id }), () => ({ contract: "Payroll", method: "claimCampaignReward", args: [c.id] }));
+
+  const claimRefund = (c) =>
+    send(t("campaigns.claimRefundLabel", { id: c.id }), () => ({ contract: "Payroll", method: "claimCampaignRefund", args: [c.id] }));
+
+  // ----------------------
+  // PrisonFund actions
+  // ----------------------
+  const donate = (e) => {
+    e.preventDefault();
+    send(t("campaigns.donate"), () => {
+      const value = parseEth(fundForm.donate, t("fields.donation"));
+      return { contract: "PrisonFund", method: "contribute", value };
+    });
+  };
+
+  const transferToPayroll = (e) => {
+    e.preventDefault();
+    send(
+      t("campaigns.transfer"),
+      () => {
+        const amount = parseEth(fundForm.transfer, t("fields.amount"));
+        if (fund && amount > fund.balance) throw new Error(t("campaigns.exceedsFund"));
+        return { contract: "PrisonFund", method: "transferToPayroll", args: [amount] };
+      },
+      t("campaigns.confirmTransfer", { amount: fundForm.transfer })
+    );
+  };
+
+  const statusOf = (c) => {
+    const succeeded = c.raisedEUR >= c.goalEUR;
+    if (c.finalized) return t(succeeded ? "campaigns.succeeded" : "campaigns.failed");
+    if (chainNow > c.deadline) return t("campaigns.ended");
+    return t("campaigns.endsIn", { left: fmt.duration(c.deadline - chainNow) });
+  };
+
+  return (
+    <div>
+      {/* PrisonFund */}
+      <div style={styles.card}>
+        <h3>PrisonFund</h3>
+        <p>
+          {t("campaigns.balance")} <strong>{fund ? fmt.eth(fund.balance) : "..."} ETH</strong>
+        </p>
+        {account && (
+          <form onSubmit={donate} style={styles.inline}>
+            <input
+              style={styles.input}
+              type="number"
+              step="any"
+              placeholder={t("campaigns.donatePlaceholder")}
+              value={fundForm.donate}
+              onChange={(e) => setFundForm({ ...fundForm, donate: e.target.value })}
+            />
+            <button type="submit" style={styles.btn} disabled={busy}>
+              {t("campaigns.donate")}
+            </button>
+          </form>
+        )}
+        {isAdmin && (
+          <form onSubmit={transferToPayroll} style={styles.inline}>
+            <input
+              style={styles.input}
+              type="number"
+              step="any"
+              placeholder={t("campaigns.transferPlaceholder")}
+              value={fundForm.transfer}
+              onChange={(e) => setFundForm({ ...fundForm, transfer: e.target.value })}
+            />
+            <button type="submit" style={styles.adminBtn} disabled={busy}>
+              {t("campaigns.transfer")}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Create (admin) */}
+      {isAdmin && (
+        <div style={styles.card}>
+          <h3>{t("campaigns.new")}</h3>
+          <form onSubmit={createCampaign}>
+            <input
+              style={styles.input}
+              placeholder={t("campaigns.titlePlaceholder")}
+              value={newCampaign.title}
+              onChange={(e) => setNewCampaign({ ...newCampaign, title: e.target.value })}
+            />
+            <div style={styles.inline}>
+              <input
+                style={styles.input}
+                type="number"
+                placeholder={t("campaigns.goalPlaceholder")}
+                value={newCampaign.goal}
+                onChange={(e) => setNewCampaign({ ...newCampaign, goal: e.target.value })}
+              />
+              <input
+                style={styles.input}
+                type="number"
+                placeholder={t("campaigns.daysPlaceholder")}
+                value={newCampaign.days}
+                onChange={(e) => setNewCampaign({ ...newCampaign, days: e.target.value })}
+              />
+              <select
+                style={styles.input}
+                value={newCampaign.token}
+                onChange={(e) => setNewCampaign({ ...newCampaign, token: e.target.value })}
+              >
+                <option value="">{t("campaigns.rewardToken")}</option>
+                {rewardTokens.map((token) => (
+                  <option key={token.address} value={token.address}>
+                    {token.symbol}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button type="submit" style={styles.adminBtn} disabled={busy}>
+              {t("campaigns.create")}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Campaign list */}
+      {campaigns.length === 0 && <p>{t("campaigns.none")}</p>}
+      {campaigns.map((c) => {
+        const pct = c.goalEUR > 0n ? Number((c.raisedEUR * 10000n) / c.goalEUR) / 100 : 0;
+        const active = !c.finalized && chainNow <= c.deadline;
+        const succeeded = c.finalized && c.raisedEUR >= c.goalEUR;
+        const failed = c.finalized && !succeeded;
+        return (
+          <div key={c.id} style={styles.card}>
+            <div style={styles.titleRow}>
+              <h3 style={{ margin: 0 }}>
+                #{c.id} {c.title}
+              </h3>
+              <span style={styles.status}>{statusOf(c)}</span>
+            </div>
+            <div style={styles.progressOuter}>
+              <div style={{ ...styles.progressInner, width: `${Math.min(pct, 100)}%` }} />
+            </div>
+            <p style={styles.line}>
+              {fmt.eur(c.raisedEUR)} / {fmt.eur(c.goalEUR)} EUR ({fmt.number(pct)}%) ·{" "}
+              {t("campaigns.contributors", { count: c.contributorCount })} ·{" "}
+              {t("campaigns.summary", { symbol: c.reward.symbol, deadline: fmt.timestamp(c.deadline) })}
+            </p>
+            {c.mine > 0n && <p style={styles.line}>{t("campaigns.yours", { eur: fmt.eur(c.mine) })}</p>}
+
+            {active && account && (
+              <div style={styles.inline}>
+                <input
+                  style={styles.input}
+                  type="number"
+                  placeholder={t("campaigns.contributePlaceholder")}
+                  value={amounts[c.id] ?? ""}
+                  onChange={(e) => setAmounts({ ...amounts, [c.id]: e.target.value })}
+                />
+                <button style={styles.btn} disabled={busy} onClick={() => contribute(c)}>
+                  {t("campaigns.contribute")}
+                </button>
+              </div>
+            )}
+
+            {isAdmin && !c.finalized && !active && (
+              <button style={styles.adminBtn} disabled={busy} onClick={() => finalize(c)}>
+                {t("campaigns.finalize")}
+              </button>
+            )}
+
+            {c.mine > 0n && succeeded && (
+              <button style={styles.btn} disabled={busy || c.claimed} onClick={() => claimReward(c)}>
+                {c.claimed
+                  ? t("campaigns.rewardClaimed")
+                  : t("campaigns.claimReward", {
+                      amount: fmt.token(rewardAmount(c.mine, c.rewardRate, c.reward.decimals), c.reward.decimals, 6),
+                      symbol: c.reward.symbol
+                    })}
+              </button>
+            )}
+            {c.mine > 0n && failed && (
+              <button style={styles.refundBtn} disabled={busy || c.claimed} onClick={() => claimRefund(c)}>
+                {c.claimed ? t("campaigns.refunded") : t("campaigns.claimRefund", { amount: fmt.eth(c.mineWei) })}
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+const styles = {
+  card: { padding: "18px", border: "1px solid #eee", borderRadius: "10px", marginBottom: "14px" },
+  titleRow: { display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "10px" },
+  status: { fontSize: "13px", color: "#555", fontFamily: "monospace" },
+  line: { margin: "6px 0", fontSize: "14px" },
+  progressOuter: { height: "12px", background: "#eee", borderRadius: "6px", overflow: "hidden" },
+  progressInner: { height: "100%", background: "#28a745" },
+  inline: { display: "flex", gap: "10px", marginBottom: "10px" },
+  input: { flex: 1, padding: "10px", borderRadius: "6px", border: "1px solid #ddd", boxSizing: "border-box", marginBottom: "10px" },
+  btn: { padding: "10px 18px", background: "#17a2b8", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer", marginBottom: "10px" },
+  adminBtn: { padding: "10px 18px", background: "#28a745", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer", marginBottom: "10px" },
+  refundBtn: { padding: "10px 18px", background: "#c0392b", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer", marginBottom: "10px" }
+};
+
+export default Campaigns;
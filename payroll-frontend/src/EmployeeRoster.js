@@ -0,0 +1,162 @@
+// EmployeeRoster.js
+import React, { useState, useEffect, useCallback } from "react";
+import { getContract, fetchTokenInfo, getReadProvider } from "./deployment";
+import { short } from "./format";
+import { useI18n } from "./i18n";
+
+const PAGE_SIZE = 100; // addresses fetched per getEmployeeAddresses call
+
+/*
+  Admin roster: every registered employee with salary, total received, allowed
+  tokens, per-token allocation and last payment. The list comes from
+  getEmployeeAddresses, which only contains current employees (removeEmployee
+  takes the address out of the on-chain list).
+*/
+function EmployeeRoster({ deployment, refreshKey }) {
+  const { t, fmt } = useI18n();
+  const [employees, setEmployees] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState("");
+  const [sort, setSort] = useState({ key: "address", dir: 1 });
+
+  const loadRoster = useCallback(async () => {
+    if (!deployment) return;
+    setLoading(true);
+    try {
+      const provider = getReadProvider(deployment);
+      const contract = getContract(deployment, "Payroll", provider);
+
+      const count = Number(await contract.getEmployeeCount());
+      const addresses = [];
+      for (let offset = 0; offset < count; offset += PAGE_SIZE) {
+        addresses.push(...(await contract.getEmployeeAddresses(offset, PAGE_SIZE)));
+      }
+
+      const tokenInfo = {};
+      const tokenSymbol = async (token) => {
+        if (!tokenInfo[token]) tokenInfo[token] = fetchTokenInfo(deployment, token, provider);
+        return (await tokenInfo[token]).symbol;
+      };
+
+      const rows = await Promise.all(
+        addresses.map(async (addr) => {
+          const [salary, received, tokens] = await contract.getEmployee(addr);
+          const perToken = await Promise.all(
+            tokens.map(async (token) => {
+              // [exchangeRate, lastAllocationTime, lastPaymentTime, monthlyAmountEUR]
+              const [symbol, payment] = await Promise.all([tokenSymbol(token), contract.getEmployeePayment(addr, token)]);
+              return { address: token, symbol, monthly: payment[3], lastPayment: Number(payment[2]) };
+            })
+          );
+          return {
+            address: addr,
+            salary,
+            received,
+            tokens: perToken,
+            lastPayment: Math.max(0, ...perToken.map((token) => token.lastPayment))
+          };
+        })
+      );
+      setEmployees(rows);
+    } catch (err) {
+      console.error("loadRoster error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [deployment]);
+
+  useEffect(() => {
+    loadRoster();
+  }, [loadRoster, refreshKey]);
+
+  // ----------------------
+  // Search + sort
+  // ----------------------
+  const query = search.trim().toLowerCase();
+  const visible = employees
+    .filter(
+      (e) =>
+        !query ||
+        e.address.toLowerCase().includes(query) ||
+        e.tokens.some((token) => token.symbol.toLowerCase().includes(query) || token.address.toLowerCase().includes(query))
+    )
+    .sort((a, b) => {
+      const x = a[sort.key];
+      const y = b[sort.key];
+      if (typeof x === "string") return x.localeCompare(y) * sort.dir;
+      return (x > y ? 1 : x < y ? -1 : 0) * sort.dir;
+    });
+
+  const toggleSort = (key) => setSort((s) => ({ key, dir: s.key === key ? -s.dir : 1 }));
+  const header = (key, label) => (
+    <th style={styles.th} onClick={() => toggleSort(key)}>
+      {label}
+      {sort.key === key ? (sort.dir === 1 ? " ▲" : " ▼") : ""}
+    </th>
+  );
+
+  return (
+    <div>
+      <div style={styles.toolbar}>
+        <input
+          style={styles.search}
+          placeholder={t("roster.search")}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <button style={styles.refreshBtn} onClick={loadRoster} disabled={loading}>
+          {loading ? t("common.loading") : t("common.refresh")}
+        </button>
+      </div>
+      <p style={styles.hint}>
+        {t("roster.count", { shown: visible.length, count: employees.length })}
+      </p>
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            {header("address", t("roster.employee"))}
+            {header("salary", t("roster.salary"))}
+            {header("received", t("roster.received"))}
+            <th style={styles.th}>{t("roster.tokens")}</th>
+            {header("lastPayment", t("roster.lastPayment"))}
+          </tr>
+        </thead>
+        <tbody>
+          {visible.map((e) => (
+            <tr key={e.address}>
+              <td style={styles.td} title={e.address}>
+                {short(e.address)}
+              </td>
+              <td style={styles.td}>{fmt.eur(e.salary)}</td>
+              <td style={styles.td}>{fmt.eur(e.received)}</td>
+              <td style={styles.td}>
+                {e.tokens.length === 0
+                  ? "—"
+                  : e.tokens.map((token) => (
+                      <div key={token.address}>
+                        {token.symbol}: {t("roster.perMonth", { eur: fmt.eur(token.monthly) })} ·{" "}
+                        {token.lastPayment ? fmt.timestamp(token.lastPayment) : t("roster.neverPaid")}
+                      </div>
+                    ))}
+              </td>
+              <td style={styles.td}>{e.lastPayment ? fmt.timestamp(e.lastPayment) : "—"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const styles = {
+  toolbar: { display: "flex", gap: "10px", marginBottom: "8px" },
+  search: { flex: 1, padding: "10px", borderRadius: "6px", border: "1px solid #ddd" },
+  refreshBtn: { padding: "10px 18px", background: "#222", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer" },
+  hint: { fontSize: "13px", color: "#777" },
+  table: { width: "100%", borderCollapse: "collapse" },
+  th: { textAlign: "left", borderBottom: "2px solid #ddd", padding: "8px", fontSize: "14px", cursor: "pointer", userSelect: "none" },
+  td: { borderBottom: "1px solid #f0f0f0", padding: "8px", fontSize: "14px", verticalAlign: "top" }
+};
+
+export default EmployeeRoster;
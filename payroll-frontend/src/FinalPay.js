@@ -0,0 +1,74 @@
+// FinalPay.js
+import React, { useState, useEffect, useCallback } from "react";
+import { getContract, fetchTokenInfo, getReadProvider } from "./deployment";
+import { useI18n } from "./i18n";
+
+/*
+  Accrual mode: pay that removeEmployee settled but could not send (payments
+  frozen, stale rate, unfunded token) stays with the removed address as
+  Payroll.finalPayEUR. Lists what is still owed to the account, found through
+  its FinalPayOwed events, with one claimFinalPay button per token.
+*/
+function FinalPay({ deployment, account, refreshKey, busy, onClaim }) {
+  const { t, fmt } = useI18n();
+  const [owed, setOwed] = useState([]);
+
+  const loadOwed = useCallback(async () => {
+    if (!deployment || !account) return;
+    try {
+      const provider = getReadProvider(deployment);
+      const contract = getContract(deployment, "Payroll", provider);
+      const logs = await contract.queryFilter(contract.filters.FinalPayOwed(account), deployment.deployBlock);
+      const tokens = [...new Set(logs.map((log) => log.args.token))];
+      const rows = await Promise.all(
+        tokens.map(async (token) => {
+          const amountEUR = await contract.finalPayEUR(account, token);
+          if (amountEUR === 0n) return null;
+          const [info, amount] = await Promise.all([
+            fetchTokenInfo(deployment, token, provider),
+            contract.eurToToken(token, amountEUR)
+          ]);
+          return { ...info, token, amountEUR, amount };
+        })
+      );
+      setOwed(rows.filter(Boolean));
+    } catch (err) {
+      console.error("loadOwed error:", err);
+    }
+  }, [deployment, account]);
+
+  useEffect(() => {
+    loadOwed();
+  }, [loadOwed, refreshKey]);
+
+  if (owed.length === 0) return null;
+
+  return (
+    <div style={styles.box}>
+      <h4>{t("finalPay.title")}</h4>
+      <p style={styles.line}>{t("finalPay.note")}</p>
+      {owed.map((row) => (
+        <div key={row.token} style={styles.row}>
+          <span>
+            <strong>
+              {fmt.token(row.amount, row.decimals, 6)} {row.symbol}
+            </strong>{" "}
+            ({fmt.eur(row.amountEUR)} EUR)
+          </span>
+          <button style={styles.claimBtn} disabled={busy} onClick={() => onClaim(row.token)}>
+            {busy ? t("common.loading") : t("finalPay.claim", { symbol: row.symbol })}
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const styles = {
+  box: { padding: "14px", border: "1px solid #f0c36d", background: "#fffbea", borderRadius: "8px", marginBottom: "14px" },
+  line: { margin: "4px 0 10px", fontSize: "14px" },
+  row: { display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px", margin: "6px 0" },
+  claimBtn: { padding: "8px 14px", background: "#17a2b8", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer" }
+};
+
+export default FinalPay;
@@ -0,0 +1,121 @@
+// History.js
+import React, { useState, useEffect, useCallback } from "react";
+import { getReadProvider } from "./deployment";
+import { fetchHistory, historyToCsv, recordText, HISTORY_EVENTS } from "./auditLog";
+import { short } from "./format";
+import { useI18n } from "./i18n";
+
+/*
+  Payment history / audit log. Employees see the records about their own
+  address; admins, and visitors without a wallet (read-only mode), see every
+  event. Records can be exported as CSV (units and details in the selected
+  language, dates and amounts machine-readable).
+*/
+function History({ deployment, account, isAdmin, refreshKey }) {
+  const { t, fmt } = useI18n();
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [eventFilter, setEventFilter] = useState("");
+  const everything = isAdmin || !account;
+
+  const loadHistory = useCallback(async () => {
+    if (!deployment) return;
+    setLoading(true);
+    try {
+      const provider = getReadProvider(deployment);
+      const rows = await fetchHistory(deployment, provider, everything ? {} : { account });
+      setRecords(rows.reverse()); // newest first
+    } catch (err) {
+      console.error("loadHistory error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [deployment, account, everything]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory, refreshKey]);
+
+  const visible = eventFilter ? records.filter((r) => r.event === eventFilter) : records;
+
+  const exportCsv = () => {
+    const blob = new Blob([historyToCsv([...visible].reverse(), t)], { type: "text/csv;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `payroll-history-${everything ? "all" : account.toLowerCase()}-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <div style={styles.toolbar}>
+        <select style={styles.select} value={eventFilter} onChange={(e) => setEventFilter(e.target.value)}>
+          <option value="">{t("history.allEvents")}</option>
+          {Object.keys(HISTORY_EVENTS)
+            .filter((name) => everything || HISTORY_EVENTS[name])
+            .map((name) => (
+              <option key={name} value={name}>
+                {t(`history.events.${name}`)}
+              </option>
+            ))}
+        </select>
+        <button style={styles.btn} onClick={loadHistory} disabled={loading}>
+          {loading ? t("common.loading") : t("common.refresh")}
+        </button>
+        <button style={styles.btn} onClick={exportCsv} disabled={visible.length === 0}>
+          {t("history.export")}
+        </button>
+      </div>
+      <p style={styles.hint}>
+        {everything ? t("history.everything") : t("history.recordsFor", { account: short(account) })}{" "}
+        {t("history.sinceBlock", { block: deployment?.deployBlock })} · {t("history.count", { count: visible.length })}
+      </p>
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>{t("history.date")}</th>
+            <th style={styles.th}>{t("history.event")}</th>
+            <th style={styles.th}>{t("history.account")}</th>
+            <th style={styles.th}>{t("history.amount")}</th>
+            <th style={styles.th}>{t("history.detailsColumn")}</th>
+            <th style={styles.th}>{t("history.tx")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {visible.map((r) => {
+            const text = recordText(r, t);
+            return (
+              <tr key={`${r.txHash}-${r.logIndex}`}>
+                <td style={styles.td}>{fmt.timestamp(r.timestamp)}</td>
+                <td style={styles.td}>{t(`history.events.${r.event}`)}</td>
+                <td style={styles.td} title={r.account}>
+                  {short(r.account)}
+                </td>
+                <td style={styles.td}>{r.amount && `${fmt.decimal(r.amount)} ${text.unit}`}</td>
+                <td style={styles.td}>{text.details}</td>
+                <td style={styles.td} title={r.txHash}>
+                  {short(r.txHash)}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const styles = {
+  toolbar: { display: "flex", gap: "10px", marginBottom: "8px" },
+  select: { flex: 1, padding: "10px", borderRadius: "6px", border: "1px solid #ddd" },
+  btn: { padding: "10px 18px", background: "#222", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer" },
+  hint: { fontSize: "13px", color: "#777" },
+  table: { width: "100%", borderCollapse: "collapse" },
+  th: { textAlign: "left", borderBottom: "2px solid #ddd", padding: "8px", fontSize: "14px" },
+  td: { borderBottom: "1px solid #f0f0f0", padding: "8px", fontSize: "13px" }
+};
+
+export default History;
@@ -0,0 +1,166 @@
+// PayoutCard.js
+import React, { useState, useEffect, useCallback } from "react";
+import { ethers } from "ethers";
+import { ACCRUAL_PERIOD_SECONDS, EUR_DECIMALS, PAYOUT_INTERVAL_SECONDS, RATE_DECIMALS } from "./constants";
+import { getContract, fetchTokenInfo, getReadProvider } from "./deployment";
+import { decodeRevert } from "./txErrors";
+import useChainNow from "./useChainNow";
+import { useI18n } from "./i18n";
+
+/*
+  One card per allowed token. In monthly mode: what the next payday would
+  transfer, when it becomes claimable and a live countdown; the claim button is
+  only enabled once a payday dry-run (staticCall) from the employee's address
+  succeeds. In accrual mode: the claimable balance, ticking up every second
+  from the last claimableEUR read at the allocation's per-second rate.
+*/
+function PayoutCard({ deployment, account, token, refreshKey, accrual, busy, onClaim }) {
+  const { t, fmt, explain } = useI18n();
+  const [info, setInfo] = useState(null);
+  const chainNow = useChainNow(deployment, refreshKey);
+  const [blocked, setBlocked] = useState(null); // failed dry run: { reason }, reason null if the revert had none
+  const [checking, setChecking] = useState(false);
+
+  const loadPayout = useCallback(async () => {
+    if (!deployment || !account) return;
+    try {
+      const provider = getReadProvider(deployment);
+      const contract = getContract(deployment, "Payroll", provider);
+      const [tokenInfo, payment, claimable, accrualStart, block] = await Promise.all([
+        fetchTokenInfo(deployment, token, provider),
+        contract.getEmployeePayment(account, token),
+        accrual ? contract.claimableEUR(account, token) : 0n,
+        accrual ? contract.accrualStartTime() : 0n,
+        provider.getBlock("latest")
+      ]);
+      // payment: [exchangeRate, lastAllocationTime, lastPaymentTime, monthlyAmountEUR]
+      const [exchangeRate, , lastPaymentTime, monthlyEUR] = payment;
+      const amount = await contract.eurToToken(token, monthlyEUR); // same conversion as payday()
+      const last = Number(lastPaymentTime);
+      setInfo({
+        ...tokenInfo,
+        exchangeRate,
+        monthlyEUR,
+        amount,
+        lastPaymentTime: last,
+        claimableAt: last === 0 ? 0 : last + PAYOUT_INTERVAL_SECONDS,
+        claimableEUR: claimable, // accrual mode, as of block.timestamp
+        claimableAsOf: block.timestamp,
+        // accrual mode: a payday made before the switch covers its 4 weeks, nothing accrues until then
+        accruesFrom: last !== 0 && last <= Number(accrualStart) ? last + PAYOUT_INTERVAL_SECONDS : 0
+      });
+    } catch (err) {
+      console.error("loadPayout error:", err);
+    }
+  }, [deployment, account, token, accrual]);
+
+  useEffect(() => {
+    loadPayout();
+  }, [loadPayout, refreshKey]);
+
+  const remaining = info ? info.claimableAt - chainNow : 0;
+  const due = info !== null && (accrual ? info.claimableEUR > 0n : remaining <= 0);
+
+  // Once the 4-week window has passed (or something has accrued), dry-run the
+  // payout to catch any other revert (missing allocation, frozen payments,
+  // unfunded token) before the user signs.
+  useEffect(() => {
+    if (!due || !info) return;
+    let cancelled = false;
+    const dryRun = async () => {
+      setChecking(true);
+      try {
+        const provider = getReadProvider(deployment);
+        const contract = getContract(deployment, "Payroll", provider);
+        await contract[accrual ? "claim" : "payday"].staticCall(token, { from: account });
+        if (!cancelled) setBlocked(null);
+      } catch (err) {
+        if (!cancelled) setBlocked({ reason: decodeRevert(err, deployment) });
+      } finally {
+        if (!cancelled) setChecking(false);
+      }
+    };
+    dryRun();
+    return () => {
+      cancelled = true;
+    };
+  }, [due, info, accrual, deployment, account, token]);
+
+  if (!info) {
+    return <div style={styles.card}>{t("payout.loading", { token })}</div>;
+  }
+
+  if (accrual) {
+    // same formula as Payroll._accruedEUR, extrapolated from the last read
+    const elapsed = Math.max(0, chainNow - Math.max(info.claimableAsOf, info.accruesFrom));
+    const liveEUR =
+      info.claimableEUR + (info.monthlyEUR * ethers.toBigInt(elapsed)) / ethers.toBigInt(ACCRUAL_PERIOD_SECONDS);
+    const liveTokens =
+      (liveEUR * info.exchangeRate * 10n ** ethers.toBigInt(info.decimals)) / 10n ** ethers.toBigInt(EUR_DECIMALS + RATE_DECIMALS);
+    const canClaim = liveEUR > 0n && !checking && !blocked && !busy;
+
+    return (
+      <div style={styles.card}>
+        <div style={styles.title}>{info.symbol}</div>
+        <p style={styles.line}>
+          {t("payout.claimableNow")}{" "}
+          <strong style={styles.ticker}>
+            {fmt.token(liveTokens, info.decimals, 8)} {info.symbol}
+          </strong>{" "}
+          ({fmt.token(liveEUR, EUR_DECIMALS, 6)} EUR)
+        </p>
+        <p style={styles.line}>
+          {t("payout.accruing", { eur: fmt.eur(info.monthlyEUR), rate: fmt.rate(info.exchangeRate), symbol: info.symbol })}
+          {info.monthlyEUR === 0n && ` — ${t("payout.noAllocation")}`}
+        </p>
+        {chainNow < info.accruesFrom && (
+          <p style={styles.line}>{t("payout.prepaid", { date: fmt.timestamp(info.accruesFrom) })}</p>
+        )}
+        {info.lastPaymentTime > 0 && (
+          <p style={styles.line}>{t("payout.lastClaim", { date: fmt.timestamp(info.lastPaymentTime) })}</p>
+        )}
+        {blocked && <p style={styles.blocked}>{explain(blocked.reason, "payout.wouldRevert")}</p>}
+
+        <button style={styles.payBtn} disabled={!canClaim} onClick={() => onClaim(token)}>
+          {busy ? t("common.loading") : checking ? t("payout.checking") : t("payout.claimAccrued", { symbol: info.symbol })}
+        </button>
+      </div>
+    );
+  }
+
+  const canClaim = due && !checking && !blocked && !busy;
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.title}>{info.symbol}</div>
+      <p style={styles.line}>
+        {t("payout.next")}{" "}
+        <strong>
+          {fmt.token(info.amount, info.decimals, 6)} {info.symbol}
+        </strong>{" "}
+        ({fmt.eur(info.monthlyEUR)} EUR × {fmt.rate(info.exchangeRate)})
+      </p>
+      <p style={styles.line}>
+        {t("payout.claimable")} {info.claimableAt === 0 ? t("payout.firstPayout") : fmt.timestamp(info.claimableAt)}
+      </p>
+      {!due && <p style={styles.countdown}>⏳ {fmt.duration(remaining)}</p>}
+      {due && blocked && <p style={styles.blocked}>{explain(blocked.reason, "payout.wouldRevert")}</p>}
+
+      <button style={styles.payBtn} disabled={!canClaim} onClick={() => onClaim(token)}>
+        {busy ? t("common.loading") : checking ? t("payout.checking") : t("payout.claimIn", { symbol: info.symbol })}
+      </button>
+    </div>
+  );
+}
+
+const styles = {
+  card: { padding: "14px", border: "1px solid #e3e3e3", borderRadius: "8px", marginBottom: "10px" },
+  title: { fontWeight: "bold", fontSize: "16px", marginBottom: "6px" },
+  line: { margin: "4px 0", fontSize: "14px" },
+  ticker: { fontFamily: "monospace", fontSize: "16px" },
+  countdown: { margin: "6px 0", fontSize: "18px", fontFamily: "monospace" },
+  blocked: { margin: "6px 0", fontSize: "14px", color: "#c0392b" },
+  payBtn: { width: "100%", padding: "14px", background: "#17a2b8", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer", fontSize: "15px", marginTop: "6px" }
+};
+
+export default PayoutCard;
@@ -0,0 +1,239 @@
+// PayrollRun.js
+import React, { useState, useEffect, useCallback } from "react";
+import { PAYROLL_RUN_PAGE_SIZE } from "./constants";
+import { getContract, getReadProvider, getWalletSigner } from "./deployment";
+import { short } from "./format";
+import { decodeRevert } from "./txErrors";
+import { useTx } from "./TxManager";
+import { useI18n } from "./i18n";
+
+/*
+  Owner-triggered payroll run for employees who never log in to claim.
+  The employee list is split into pages of `pageSize`; each page is one
+  runPayroll(offset, pageSize) transaction, which pays every due allocation of
+  those employees and skips the rest (not yet due under the 4-week rule, or a
+  pre-funded token that cannot cover the payment). "Preview" dry-runs every
+  page with staticCall; the table tracks which pages went through so failed
+  ones can be retried on their own.
+
+  Removing an employee moves the last one into the freed position, so a run
+  stops when Payroll.employeeListNonce (bumped by every addition and removal)
+  differs from the one the pages were built for; starting over pays whoever
+  was shifted (paid allocations are not due again).
+*/
+const emptyPage = (offset, size, total) => ({
+  offset,
+  count: Math.min(size, total - offset),
+  status: "pending", // pending | running | done | failed
+  expected: null,
+  payments: null,
+  skipped: null,
+  hash: "",
+  error: ""
+});
+
+function PayrollRun({ deployment }) {
+  const { sendTx, notify } = useTx();
+  const { t, explain } = useI18n();
+  const [pageSize, setPageSize] = useState(PAYROLL_RUN_PAGE_SIZE);
+  const [pages, setPages] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [listNonce, setListNonce] = useState(null); // employeeListNonce the pages were built for
+  const [listChanged, setListChanged] = useState(false); // employees added or removed mid-run
+
+  const buildPages = useCallback(async () => {
+    if (!deployment) return;
+    try {
+      const provider = getReadProvider(deployment);
+      const reader = getContract(deployment, "Payroll", provider);
+      const [count, nonce] = await Promise.all([reader.getEmployeeCount(), reader.employeeListNonce()]);
+      const total = Number(count);
+      const size = Math.max(1, Number(pageSize) || PAYROLL_RUN_PAGE_SIZE);
+      const list = [];
+      for (let offset = 0; offset < total; offset += size) list.push(emptyPage(offset, size, total));
+      setPages(list);
+      setListNonce(nonce);
+      setListChanged(false);
+    } catch (err) {
+      console.error("PayrollRun load error:", err);
+    }
+  }, [deployment, pageSize]);
+
+  useEffect(() => {
+    buildPages();
+  }, [buildPages]);
+
+  const updatePage = (offset, patch) =>
+    setPages((current) => current.map((p) => (p.offset === offset ? { ...p, ...patch } : p)));
+
+  const preview = async () => {
+    setRunning(true);
+    try {
+      const payroll = getContract(deployment, "Payroll", await getWalletSigner(deployment));
+      for (const page of pages) {
+        try {
+          const expected = await payroll.runPayroll.staticCall(page.offset, pageSize);
+          updatePage(page.offset, { expected: Number(expected), error: "" });
+        } catch (err) {
+          updatePage(page.offset, { expected: null, error: explain(decodeRevert(err, deployment)) });
+        }
+      }
+    } catch (err) {
+      notify("error", explain(decodeRevert(err, deployment)));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  // Sends the given pages one after another; a failed page does not stop the rest
+  const runPages = async (toRun) => {
+    if (toRun.length === 0) return;
+    if (!window.confirm(t("payrollRun.confirm", { count: toRun.length }))) return;
+    setRunning(true);
+    try {
+      const payroll = getContract(deployment, "Payroll");
+      const reader = getContract(deployment, "Payroll", getReadProvider(deployment));
+      for (const page of toRun) {
+        if ((await reader.employeeListNonce()) !== listNonce) {
+          setListChanged(true);
+          break;
+        }
+        updatePage(page.offset, { status: "running", error: "" });
+        const { receipt, error } = await sendTx(deployment, {
+          label: t("payrollRun.label", { from: page.offset + 1, to: page.offset + page.count }),
+          contract: "Payroll",
+          method: "runPayroll",
+          args: [page.offset, pageSize]
+        });
+        if (!receipt) {
+          updatePage(page.offset, { status: "failed", error });
+          continue;
+        }
+        const events = receipt.logs.map((log) => payroll.interface.parseLog(log)).filter(Boolean);
+        const run = events.find((e) => e.name === "PayrollRun");
+        updatePage(page.offset, {
+          status: "done",
+          hash: receipt.hash,
+          payments: run ? Number(run.args.payments) : 0,
+          skipped: events.filter((e) => e.name === "PaymentSkipped").length
+        });
+      }
+    } catch (err) {
+      notify("error", explain(decodeRevert(err, deployment)));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const failed = pages.filter((p) => p.status === "failed");
+  const pending = pages.filter((p) => p.status === "pending");
+  const done = pages.filter((p) => p.status === "done");
+  const totalPayments = done.reduce((n, p) => n + p.payments, 0);
+  const totalSkipped = done.reduce((n, p) => n + p.skipped, 0);
+
+  return (
+    <div style={styles.card}>
+      <h3>{t("payrollRun.title")}</h3>
+      <p style={styles.hint}>{t("payrollRun.hint", { count: pageSize })}</p>
+      {listChanged && (
+        <p role="alert" style={styles.error}>
+          {t("payrollRun.listChanged")}
+        </p>
+      )}
+      <label style={styles.hint}>
+        {t("payrollRun.pageSize")}{" "}
+        <input
+          style={styles.sizeInput}
+          type="number"
+          min="1"
+          value={pageSize}
+          disabled={running}
+          onChange={(e) => setPageSize(Math.max(1, Number(e.target.value) || 1))}
+        />
+      </label>
+
+      {pages.length === 0 ? (
+        <p style={styles.hint}>{t("payrollRun.noEmployees")}</p>
+      ) : (
+        <>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>{t("payrollRun.employees")}</th>
+                <th style={styles.th}>{t("payrollRun.due")}</th>
+                <th style={styles.th}>{t("payrollRun.status")}</th>
+                <th style={styles.th}>{t("payrollRun.transaction")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pages.map((p) => (
+                <tr key={p.offset} style={p.status === "failed" ? styles.errorRow : undefined}>
+                  <td style={styles.td}>
+                    #{p.offset + 1}–{p.offset + p.count}
+                  </td>
+                  <td style={styles.td}>{p.expected === null ? "—" : t("payrollRun.payments", { count: p.expected })}</td>
+                  <td style={styles.td}>
+                    {p.status === "done" ? (
+                      <span style={styles.ok}>
+                        {t("payrollRun.paid", { count: p.payments })}
+                        {p.skipped > 0 && `, ${t("payrollRun.skippedNotPayable", { count: p.skipped })}`}
+                      </span>
+                    ) : p.status === "failed" || p.error ? (
+                      <span style={styles.error}>
+                        {t(p.status === "failed" ? "payrollRun.failed" : "payrollRun.wouldFail")}: {p.error}
+                      </span>
+                    ) : (
+                      t(`payrollRun.states.${p.status}`)
+                    )}
+                  </td>
+                  <td style={styles.td} title={p.hash}>
+                    {short(p.hash) || "—"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <p>
+            {t("payrollRun.progress", { done: done.length, count: pages.length })} ·{" "}
+            {t("payrollRun.paymentsMade", { count: totalPayments })}
+            {totalSkipped > 0 && ` · ${t("payrollRun.skipped", { count: totalSkipped })}`}
+            {failed.length > 0 && ` · ${t("payrollRun.failedPages", { count: failed.length })}`}
+          </p>
+          <div style={styles.actions}>
+            <button style={styles.secondaryBtn} onClick={preview} disabled={running}>
+              {t("payrollRun.preview")}
+            </button>
+            <button style={styles.btn} onClick={() => runPages(pending)} disabled={running || pending.length === 0}>
+              {running ? t("payrollRun.running") : t("payrollRun.run", { count: pending.length })}
+            </button>
+            <button style={styles.retryBtn} onClick={() => runPages(failed)} disabled={running || failed.length === 0}>
+              {t("payrollRun.retry")}
+            </button>
+            <button style={styles.secondaryBtn} onClick={buildPages} disabled={running}>
+              {t("payrollRun.startOver")}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  card: { border: "1px solid #ddd", padding: "20px", borderRadius: "10px", backgroundColor: "#f9f9f9", marginTop: "20px" },
+  hint: { fontSize: "13px", color: "#777" },
+  sizeInput: { width: "70px", padding: "4px", marginLeft: "6px" },
+  table: { width: "100%", borderCollapse: "collapse", margin: "10px 0", background: "#fff" },
+  th: { textAlign: "left", borderBottom: "2px solid #ddd", padding: "6px", fontSize: "13px" },
+  td: { borderBottom: "1px solid #f0f0f0", padding: "6px", fontSize: "13px" },
+  errorRow: { background: "#fdecea" },
+  error: { color: "#c0392b" },
+  ok: { color: "#27ae60" },
+  actions: { display: "flex", gap: "10px" },
+  btn: { flex: 2, padding: "10px", backgroundColor: "#27ae60", color: "white", border: "none", cursor: "pointer", borderRadius: "5px" },
+  retryBtn: { flex: 1, padding: "10px", backgroundColor: "#e67e22", color: "white", border: "none", cursor: "pointer", borderRadius: "5px" },
+  secondaryBtn: { flex: 1, padding: "10px", backgroundColor: "#7f8c8d", color: "white", border: "none", cursor: "pointer", borderRadius: "5px" }
+};
+
+export default PayrollRun;
@@ -0,0 +1,244 @@
+// Payslip.js
+import React, { useState, useEffect, useCallback } from "react";
+import { ethers } from "ethers";
+import { getContract, fetchTokenInfo, getReadProvider } from "./deployment";
+import { networkName } from "./networks";
+import { fetchPayouts, buildPayslip } from "./earnings";
+import { useI18n } from "./i18n";
+
+/*
+  Printable payslip: every payout of one employee in the selected period with
+  its token amount, EUR equivalent at the rate in effect and transaction hash,
+  the period totals and the year-to-date totals. Employees get their own;
+  admins, HR and visitors without a wallet (case officers) can enter any
+  address. "Print / save as PDF" uses the browser's print dialog; the print
+  stylesheet (index.css) prints the .payslip block alone.
+*/
+
+// local calendar day <-> <input type="date"> value
+const pad = (n) => String(n).padStart(2, "0");
+const toDateInput = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const dayStart = (value) => Math.floor(new Date(`${value}T00:00:00`).getTime() / 1000);
+const dayEnd = (value) => Math.floor(new Date(`${value}T23:59:59`).getTime() / 1000);
+
+function presetPeriod(preset) {
+  const now = new Date();
+  const y = now.getFullYear();
+  const m = now.getMonth();
+  if (preset === "lastMonth") return { from: toDateInput(new Date(y, m - 1, 1)), to: toDateInput(new Date(y, m, 0)) };
+  if (preset === "thisYear") return { from: toDateInput(new Date(y, 0, 1)), to: toDateInput(now) };
+  return { from: toDateInput(new Date(y, m, 1)), to: toDateInput(now) }; // thisMonth
+}
+
+function Payslip({ deployment, account, canPickEmployee, refreshKey }) {
+  const { t, fmt } = useI18n();
+  const [employee, setEmployee] = useState(account || "");
+  const [period, setPeriod] = useState(() => presetPeriod("thisMonth"));
+  const [profile, setProfile] = useState(null); // { salary, allocations: [{ symbol, monthly }] }
+  const [payouts, setPayouts] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [generatedAt, setGeneratedAt] = useState(0);
+
+  useEffect(() => {
+    if (!canPickEmployee) setEmployee(account || "");
+  }, [account, canPickEmployee]);
+
+  const valid = ethers.isAddress(employee);
+
+  const loadPayslip = useCallback(async () => {
+    setPayouts(null);
+    setProfile(null);
+    if (!deployment || !ethers.isAddress(employee)) return;
+    setLoading(true);
+    try {
+      const provider = getReadProvider(deployment);
+      const payroll = getContract(deployment, "Payroll", provider);
+      const [[salary, , tokens], list] = await Promise.all([
+        payroll.getEmployee(employee),
+        fetchPayouts(deployment, provider, employee)
+      ]);
+      const allocations = await Promise.all(
+        tokens.map(async (token) => {
+          // [exchangeRate, lastAllocationTime, lastPaymentTime, monthlyAmountEUR]
+          const [info, payment] = await Promise.all([
+            fetchTokenInfo(deployment, token, provider),
+            payroll.getEmployeePayment(employee, token)
+          ]);
+          return { symbol: info.symbol, monthly: payment[3] };
+        })
+      );
+      setProfile({ salary, allocations });
+      setPayouts(list);
+      setGeneratedAt(Math.floor(Date.now() / 1000));
+    } catch (err) {
+      console.error("loadPayslip error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [deployment, employee]);
+
+  useEffect(() => {
+    loadPayslip();
+  }, [loadPayslip, refreshKey]);
+
+  const periodValid = period.from && period.to && period.from <= period.to;
+  const slip = payouts && periodValid ? buildPayslip(payouts, { from: dayStart(period.from), to: dayEnd(period.to) }) : null;
+
+  const tokenTotals = (totals) =>
+    totals.tokens.length === 0
+      ? "—"
+      : totals.tokens.map((x) => `${fmt.token(x.amount, x.decimals, 6)} ${x.symbol}`).join(" · ");
+
+  return (
+    <div>
+      <div style={styles.toolbar} className="no-print">
+        <input
+          style={styles.address}
+          placeholder={t("payslip.employeePlaceholder")}
+          value={employee}
+          disabled={!canPickEmployee}
+          onChange={(e) => setEmployee(e.target.value.trim())}
+        />
+        <label style={styles.label}>
+          {t("payslip.from")}{" "}
+          <input type="date" value={period.from} onChange={(e) => setPeriod({ ...period, from: e.target.value })} />
+        </label>
+        <label style={styles.label}>
+          {t("payslip.to")}{" "}
+          <input type="date" value={period.to} onChange={(e) => setPeriod({ ...period, to: e.target.value })} />
+        </label>
+        {["thisMonth", "lastMonth", "thisYear"].map((preset) => (
+          <button key={preset} style={styles.presetBtn} onClick={() => setPeriod(presetPeriod(preset))}>
+            {t(`payslip.presets.${preset}`)}
+          </button>
+        ))}
+        <button style={styles.printBtn} onClick={() => window.print()} disabled={!slip}>
+          {t("payslip.print")}
+        </button>
+      </div>
+
+      {!valid ? (
+        <p style={styles.hint}>{t("payslip.enterEmployee")}</p>
+      ) : !periodValid ? (
+        <p style={styles.hint}>{t("payslip.badPeriod")}</p>
+      ) : loading || !slip ? (
+        <p style={styles.hint}>{t("common.loading")}</p>
+      ) : (
+        <div className="payslip" style={styles.document}>
+          <h2 style={styles.title}>{t("payslip.title")}</h2>
+          <p style={styles.subtitle}>
+            {t("payslip.period", { from: fmt.date(slip.from), to: fmt.date(slip.to) })}
+          </p>
+
+          <table style={styles.meta}>
+            <tbody>
+              <tr>
+                <td style={styles.key}>{t("payslip.employee")}</td>
+                <td style={styles.mono}>{ethers.getAddress(employee)}</td>
+              </tr>
+              <tr>
+                <td style={styles.key}>{t("payslip.salary")}</td>
+                <td>
+                  {fmt.eur(profile.salary)} EUR
+                  {profile.allocations.length > 0 &&
+                    ` · ${profile.allocations.map((a) => `${a.symbol} ${t("payslip.perMonth", { eur: fmt.eur(a.monthly) })}`).join(", ")}`}
+                </td>
+              </tr>
+              <tr>
+                <td style={styles.key}>{t("payslip.payroll")}</td>
+                <td>
+                  <span style={styles.mono}>{deployment.contracts.Payroll.address}</span> ·{" "}
+                  {networkName(deployment.chainId)}
+                </td>
+              </tr>
+              <tr>
+                <td style={styles.key}>{t("payslip.generated")}</td>
+                <td>{fmt.timestamp(generatedAt)}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>{t("payslip.date")}</th>
+                <th style={styles.th}>{t("common.token")}</th>
+                <th style={styles.thRight}>{t("payslip.amount")}</th>
+                <th style={styles.thRight}>{t("payslip.rate")}</th>
+                <th style={styles.thRight}>{t("payslip.eur")}</th>
+                <th style={styles.th}>{t("payslip.tx")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {slip.payouts.length === 0 ? (
+                <tr>
+                  <td style={styles.td} colSpan={6}>
+                    {t("payslip.none")}
+                  </td>
+                </tr>
+              ) : (
+                slip.payouts.map((p) => (
+                  <tr key={`${p.txHash}-${p.logIndex}`}>
+                    <td style={styles.td}>{fmt.timestamp(p.timestamp)}</td>
+                    <td style={styles.td}>{p.symbol}</td>
+                    <td style={styles.tdRight}>{fmt.token(p.amount, p.decimals, 6)}</td>
+                    <td style={styles.tdRight}>
+                      {fmt.rate(p.exchangeRate)}
+                      {!p.rateAtPayment && "*"}
+                    </td>
+                    <td style={styles.tdRight}>{fmt.eur(p.eur)}</td>
+                    <td style={{ ...styles.td, ...styles.hash }}>{p.txHash}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+
+          <table style={styles.meta}>
+            <tbody>
+              <tr>
+                <td style={styles.key}>{t("payslip.periodTotal")}</td>
+                <td>
+                  <strong>{fmt.eur(slip.totals.eur)} EUR</strong> · {tokenTotals(slip.totals)}
+                </td>
+              </tr>
+              <tr>
+                <td style={styles.key}>{t("payslip.ytd", { from: fmt.date(slip.ytdFrom), to: fmt.date(slip.to) })}</td>
+                <td>
+                  <strong>{fmt.eur(slip.ytd.eur)} EUR</strong> · {tokenTotals(slip.ytd)}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+
+          <p style={styles.note}>{t("payslip.rateNote")}</p>
+          {slip.estimatedRates && <p style={styles.note}>* {t("payslip.estimatedNote")}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  toolbar: { display: "flex", flexWrap: "wrap", gap: "10px", alignItems: "center", marginBottom: "12px" },
+  address: { flex: "1 1 320px", padding: "10px", borderRadius: "6px", border: "1px solid #ddd", fontFamily: "monospace" },
+  label: { fontSize: "14px" },
+  presetBtn: { padding: "8px 12px", background: "#f4f4f4", border: "1px solid #ddd", borderRadius: "6px", cursor: "pointer" },
+  printBtn: { padding: "8px 16px", background: "#222", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer" },
+  hint: { fontSize: "13px", color: "#777" },
+  document: { border: "1px solid #ddd", borderRadius: "8px", padding: "24px", background: "#fff" },
+  title: { margin: "0 0 4px" },
+  subtitle: { margin: "0 0 16px", color: "#555" },
+  meta: { width: "100%", borderCollapse: "collapse", margin: "10px 0", fontSize: "14px" },
+  key: { color: "#555", padding: "4px 12px 4px 0", whiteSpace: "nowrap", verticalAlign: "top", width: "1%" },
+  mono: { fontFamily: "monospace" },
+  table: { width: "100%", borderCollapse: "collapse", margin: "14px 0" },
+  th: { textAlign: "left", borderBottom: "2px solid #ddd", padding: "6px", fontSize: "13px" },
+  thRight: { textAlign: "right", borderBottom: "2px solid #ddd", padding: "6px", fontSize: "13px" },
+  td: { borderBottom: "1px solid #f0f0f0", padding: "6px", fontSize: "13px", verticalAlign: "top" },
+  tdRight: { borderBottom: "1px solid #f0f0f0", padding: "6px", fontSize: "13px", textAlign: "right", verticalAlign: "top" },
+  hash: { fontFamily: "monospace", fontSize: "11px", wordBreak: "break-all" },
+  note: { fontSize: "12px", color: "#777", margin: "4px 0" }
+};
+
+export default Payslip;
@@ -0,0 +1,304 @@
+// Proposals.js
+import React, { useState, useEffect, useCallback } from "react";
+import { ethers } from "ethers";
+import { getContract, getReadProvider } from "./deployment";
+import { short } from "./format";
+import useChainNow from "./useChainNow";
+import { useTx } from "./TxManager";
+import { useI18n } from "./i18n";
+
+/*
+  AdminCouncil queue. High-risk calls (ETH / token withdrawals, role changes,
+  PrisonFund.setPayroll, the council's own admins and policy) are proposals:
+  each shows its decoded call, approvals by current admins against the
+  threshold and the timelock countdown. Admins approve, execute once the
+  proposal is approved and its eta has passed, or cancel their own proposals.
+  The settings form at the bottom proposes council changes. Proposal
+  descriptions are stored on-chain and stay in English.
+*/
+
+// "Payroll.withdrawEth(_to: 0x12...ab, _amountWei: 1000)" from the manifest ABIs
+function describeCall(deployment, target, data) {
+  for (const [name, entry] of Object.entries(deployment.contracts)) {
+    if (entry.address.toLowerCase() !== target.toLowerCase()) continue;
+    const call = new ethers.Interface(entry.abi).parseTransaction({ data });
+    if (!call) break;
+    const fields = call.fragment.inputs.map((input, i) => {
+      const value = call.args[i];
+      return `${input.name}: ${typeof value === "string" && ethers.isAddress(value) ? short(value) : String(value)}`;
+    });
+    return `${name}.${call.name}(${fields.join(", ")})`;
+  }
+  return `${short(target)} ${data.slice(0, 10)}…`;
+}
+
+function Proposals({ deployment, account, isAdmin }) {
+  const { sendTx, notify } = useTx();
+  const { t, fmt } = useI18n();
+  const [council, setCouncil] = useState(null); // { admins, threshold, delay }
+  const [proposals, setProposals] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [settings, setSettings] = useState({ admin: "", removeAdmin: false, threshold: "", delay: "" });
+  const [refreshKey, setRefreshKey] = useState(0);
+  const chainNow = useChainNow(deployment, refreshKey);
+
+  const loadProposals = useCallback(async () => {
+    if (!deployment?.contracts.AdminCouncil) return;
+    try {
+      const provider = getReadProvider(deployment);
+      const contract = getContract(deployment, "AdminCouncil", provider);
+      const [admins, threshold, delay, count, created] = await Promise.all([
+        contract.getAdmins(),
+        contract.threshold(),
+        contract.delay(),
+        contract.getProposalCount(),
+        contract.queryFilter(contract.filters.ProposalCreated(), deployment.contracts.AdminCouncil.deployBlock)
+      ]);
+      const descriptions = Object.fromEntries(created.map((ev) => [ev.args.proposalId.toString(), ev.args.description]));
+
+      const ids = [...Array(Number(count)).keys()];
+      const loaded = await Promise.all(
+        ids.map(async (id) => {
+          const [p, mine] = await Promise.all([
+            contract.getProposal(id),
+            account ? contract.approvedBy(id, account) : false
+          ]);
+          return {
+            id,
+            call: describeCall(deployment, p.target, p.data),
+            description: descriptions[id] || "",
+            proposer: p.proposer,
+            eta: Number(p.eta),
+            approvals: Number(p.approvalCount),
+            executed: p.executed,
+            cancelled: p.cancelled,
+            approvedByMe: mine
+          };
+        })
+      );
+      setCouncil({ admins, threshold: Number(threshold), delay: Number(delay) });
+      setProposals(loaded.reverse()); // newest first
+      setRefreshKey((k) => k + 1);
+    } catch (err) {
+      console.error("loadProposals error:", err);
+    }
+  }, [deployment, account]);
+
+  useEffect(() => {
+    if (!deployment) return;
+    loadProposals();
+    const provider = getReadProvider(deployment);
+    provider.on("block", loadProposals);
+    return () => {
+      provider.off("block", loadProposals);
+    };
+  }, [deployment, loadProposals]);
+
+  // validation -> optional confirmation -> council transaction; build() returns { method, args } on AdminCouncil
+  const send = async (label, build, confirmMessage) => {
+    let call;
+    try {
+      call = build();
+    } catch (err) {
+      notify("error", err.message);
+      return;
+    }
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+    setBusy(true);
+    const { receipt } = await sendTx(deployment, { label, contract: "AdminCouncil", ...call });
+    if (receipt) await loadProposals();
+    setBusy(false);
+  };
+
+  const proposeCouncilCall = (method, args, description) => ({
+    method: "propose",
+    args: [
+      deployment.contracts.AdminCouncil.address,
+      getContract(deployment, "AdminCouncil").interface.encodeFunctionData(method, args),
+      description
+    ]
+  });
+
+  const proposeAdmin = (e) => {
+    e.preventDefault();
+    const verb = settings.removeAdmin ? "Remove" : "Add";
+    send(
+      t(settings.removeAdmin ? "proposals.removeAdmin" : "proposals.addAdmin"),
+      () => {
+        if (!ethers.isAddress(settings.admin)) throw new Error(t("validation.invalidAddress", { field: t("fields.admin") }));
+        const admin = ethers.getAddress(settings.admin);
+        return proposeCouncilCall(settings.removeAdmin ? "removeAdmin" : "addAdmin", [admin], `${verb} admin ${admin}`);
+      },
+      t(settings.removeAdmin ? "proposals.confirmRemoveAdmin" : "proposals.confirmAddAdmin", { admin: settings.admin })
+    );
+  };
+
+  const proposePolicy = (e) => {
+    e.preventDefault();
+    send(
+      t("proposals.changePolicy"),
+      () => {
+        const threshold = Number(settings.threshold);
+        const delay = Number(settings.delay);
+        if (!Number.isInteger(threshold) || threshold < 1) throw new Error(t("proposals.badThreshold"));
+        if (!Number.isInteger(delay) || delay < 0) throw new Error(t("proposals.badDelay"));
+        return proposeCouncilCall("setPolicy", [threshold, delay], `Require ${threshold} approvals, ${delay}s timelock`);
+      },
+      t("proposals.confirmPolicy", { threshold: settings.threshold, delay: settings.delay })
+    );
+  };
+
+  if (!council) return null;
+
+  const visible = showHistory ? proposals : proposals.filter((p) => !p.executed && !p.cancelled);
+
+  const statusOf = (p) => {
+    if (p.executed) return <span style={styles.ok}>{t("proposals.executed")}</span>;
+    if (p.cancelled) return <span style={styles.muted}>{t("proposals.cancelled")}</span>;
+    if (p.approvals < council.threshold) return t("proposals.waiting", { approvals: p.approvals, threshold: council.threshold });
+    if (chainNow < p.eta) return t("proposals.timelocked", { left: fmt.duration(p.eta - chainNow) });
+    return <span style={styles.ok}>{t("proposals.ready")}</span>;
+  };
+
+  return (
+    <div style={styles.card}>
+      <h3>{t("proposals.title")}</h3>
+      <p style={styles.hint}>
+        {t("proposals.policy", {
+          threshold: council.threshold,
+          count: council.admins.length,
+          delay: fmt.duration(council.delay),
+          admins: council.admins.map(short).join(", ")
+        })}
+      </p>
+      <label style={styles.hint}>
+        <input type="checkbox" checked={showHistory} onChange={(e) => setShowHistory(e.target.checked)} />{" "}
+        {t("proposals.showHistory")}
+      </label>
+
+      {visible.length === 0 ? (
+        <p style={styles.hint}>{t("proposals.none")}</p>
+      ) : (
+        visible.map((p) => {
+          const open = !p.executed && !p.cancelled;
+          const ready = open && p.approvals >= council.threshold && chainNow >= p.eta;
+          const mine = account && p.proposer.toLowerCase() === account.toLowerCase();
+          return (
+            <div key={p.id} style={styles.proposal}>
+              <div>
+                <strong>#{p.id}</strong> {p.description && <span>{p.description} · </span>}
+                <code style={styles.call}>{p.call}</code>
+              </div>
+              <div style={styles.hint}>
+                {t("proposals.meta", { proposer: short(p.proposer), eta: fmt.timestamp(p.eta) })} · {statusOf(p)}
+              </div>
+              {open && (
+                <div style={styles.actions}>
+                  <button
+                    style={styles.btn}
+                    disabled={!isAdmin || busy || p.approvedByMe}
+                    onClick={() => send(t("proposals.approveLabel", { id: p.id }), () => ({ method: "approve", args: [p.id] }))}
+                  >
+                    {t(p.approvedByMe ? "proposals.approved" : "proposals.approve")}
+                  </button>
+                  <button
+                    style={styles.executeBtn}
+                    disabled={!isAdmin || busy || !ready}
+                    onClick={() =>
+                      send(
+                        t("proposals.executeLabel", { id: p.id }),
+                        () => ({ method: "execute", args: [p.id] }),
+                        t("proposals.confirmExecute", { id: p.id, call: p.call })
+                      )
+                    }
+                  >
+                    {t("proposals.execute")}
+                  </button>
+                  {mine && (
+                    <button
+                      style={styles.cancelBtn}
+                      disabled={busy}
+                      onClick={() =>
+                        send(
+                          t("proposals.cancelLabel", { id: p.id }),
+                          () => ({ method: "cancel", args: [p.id] }),
+                          t("proposals.confirmCancel", { id: p.id })
+                        )
+                      }
+                    >
+                      {t("proposals.cancel")}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })
+      )}
+
+      {isAdmin && (
+        <div style={styles.settings}>
+          <form onSubmit={proposeAdmin} style={styles.inline}>
+            <input
+              style={styles.input}
+              placeholder={t("proposals.adminPlaceholder")}
+              value={settings.admin}
+              onChange={(e) => setSettings({ ...settings, admin: e.target.value })}
+            />
+            <label style={styles.hint}>
+              <input
+                type="checkbox"
+                checked={settings.removeAdmin}
+                onChange={(e) => setSettings({ ...settings, removeAdmin: e.target.checked })}
+              />{" "}
+              {t("proposals.remove")}
+            </label>
+            <button type="submit" style={styles.btn} disabled={busy}>
+              {t("proposals.proposeAdmin")}
+            </button>
+          </form>
+          <form onSubmit={proposePolicy} style={styles.inline}>
+            <input
+              style={styles.input}
+              type="number"
+              min="1"
+              placeholder={t("proposals.thresholdPlaceholder", { threshold: council.threshold })}
+              value={settings.threshold}
+              onChange={(e) => setSettings({ ...settings, threshold: e.target.value })}
+            />
+            <input
+              style={styles.input}
+              type="number"
+              min="0"
+              placeholder={t("proposals.delayPlaceholder", { delay: council.delay })}
+              value={settings.delay}
+              onChange={(e) => setSettings({ ...settings, delay: e.target.value })}
+            />
+            <button type="submit" style={styles.btn} disabled={busy}>
+              {t("proposals.proposePolicy")}
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  card: { border: "1px solid #ddd", padding: "20px", borderRadius: "10px", backgroundColor: "#f9f9f9", marginTop: "20px" },
+  hint: { fontSize: "13px", color: "#777" },
+  proposal: { background: "#fff", border: "1px solid #eee", borderRadius: "8px", padding: "10px", margin: "10px 0" },
+  call: { fontSize: "12px", wordBreak: "break-all" },
+  ok: { color: "#27ae60" },
+  muted: { color: "#999" },
+  actions: { display: "flex", gap: "10px", marginTop: "8px" },
+  settings: { borderTop: "1px solid #ddd", marginTop: "15px", paddingTop: "10px" },
+  inline: { display: "flex", gap: "10px", alignItems: "center", marginTop: "10px" },
+  input: { flex: 1, padding: "8px" },
+  btn: { padding: "8px 14px", backgroundColor: "#2c3e50", color: "white", border: "none", cursor: "pointer", borderRadius: "5px" },
+  executeBtn: { padding: "8px 14px", backgroundColor: "#27ae60", color: "white", border: "none", cursor: "pointer", borderRadius: "5px" },
+  cancelBtn: { padding: "8px 14px", backgroundColor: "#c0392b", color: "white", border: "none", cursor: "pointer", borderRadius: "5px" }
+};
+
+export default Proposals;
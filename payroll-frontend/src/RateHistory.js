@@ -0,0 +1,152 @@
+// RateHistory.js
+import React, { useState, useEffect, useCallback } from "react";
+import { ethers } from "ethers";
+import { RATE_DECIMALS } from "./constants";
+import { getReadProvider } from "./deployment";
+import { fetchRateHistory, changeBps } from "./exchangeRates";
+import useChainNow from "./useChainNow";
+import { useI18n } from "./i18n";
+
+/*
+  Exchange rate history of one supported token (picked from `tokens`), drawn
+  as a step chart: a rate holds from its update until the next one. Points
+  show the date, rate and change on hover; the last stretch runs up to the
+  current chain time and turns red once the rate is older than `maxRateAge`.
+*/
+const WIDTH = 640;
+const HEIGHT = 220;
+const PAD = { left: 72, right: 16, top: 12, bottom: 28 };
+
+function RateHistory({ deployment, tokens, maxRateAge, refreshKey }) {
+  const { t, fmt } = useI18n();
+  const now = useChainNow(deployment, refreshKey);
+  const [selected, setSelected] = useState("");
+  const [points, setPoints] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const token = tokens.find((x) => x.address === selected) || tokens[0];
+  const tokenAddress = token?.address;
+
+  const loadRates = useCallback(async () => {
+    if (!deployment || !tokenAddress) return;
+    setLoading(true);
+    try {
+      setPoints(await fetchRateHistory(deployment, getReadProvider(deployment), tokenAddress));
+    } catch (err) {
+      console.error("loadRates error:", err);
+      setPoints([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [deployment, tokenAddress]);
+
+  // another token: drop the old chart instead of relabelling it
+  useEffect(() => setPoints([]), [tokenAddress]);
+
+  useEffect(() => {
+    loadRates();
+  }, [loadRates, refreshKey]);
+
+  if (!token) return null;
+
+  // chart coordinates: time on x (first update .. now), rate on y
+  const values = points.map((p) => Number(ethers.formatUnits(p.rate, RATE_DECIMALS)));
+  const start = points.length > 0 ? points[0].timestamp : now;
+  const end = Math.max(now, start + 1);
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const margin = high > low ? (high - low) * 0.1 : high * 0.1 || 1;
+  const [yMin, yMax] = [Math.max(0, low - margin), high + margin];
+  const x = (ts) => PAD.left + ((ts - start) / (end - start)) * (WIDTH - PAD.left - PAD.right);
+  const y = (v) => PAD.top + (1 - (v - yMin) / (yMax - yMin)) * (HEIGHT - PAD.top - PAD.bottom);
+
+  const steps = points
+    .map((p, i) => (i === 0 ? `M ${x(p.timestamp)} ${y(values[i])}` : `H ${x(p.timestamp)} V ${y(values[i])}`))
+    .join(" ");
+  const last = points[points.length - 1];
+  const staleAt = last && maxRateAge > 0n ? last.timestamp + Number(maxRateAge) : null;
+  const freshUntil = staleAt !== null && staleAt < end ? staleAt : end;
+
+  const describe = (p) => {
+    const bps = changeBps(p);
+    const change = bps === null ? t("rates.initial") : `${bps > 0 ? "+" : ""}${fmt.number(bps / 100)}%`;
+    return `${fmt.timestamp(p.timestamp)}: ${fmt.rate(p.rate)} ${token.symbol}/EUR (${change})`;
+  };
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>{t("rates.title")}</h3>
+        <div>
+          {tokens.map((x) => (
+            <button
+              key={x.address}
+              style={x.address === token.address ? styles.activeTokenBtn : styles.tokenBtn}
+              onClick={() => setSelected(x.address)}
+            >
+              {x.symbol}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading && points.length === 0 ? (
+        <p style={styles.hint}>{t("common.loading")}</p>
+      ) : points.length === 0 ? (
+        <p style={styles.hint}>{t("rates.none")}</p>
+      ) : (
+        <>
+          <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={styles.chart} role="img" aria-label={t("rates.title")}>
+            <line x1={PAD.left} y1={HEIGHT - PAD.bottom} x2={WIDTH - PAD.right} y2={HEIGHT - PAD.bottom} stroke="#ccc" />
+            <line x1={PAD.left} y1={PAD.top} x2={PAD.left} y2={HEIGHT - PAD.bottom} stroke="#ccc" />
+            <text x={PAD.left - 6} y={y(yMax) + 4} textAnchor="end" style={styles.axis}>
+              {fmt.number(yMax)}
+            </text>
+            <text x={PAD.left - 6} y={y(yMin) + 4} textAnchor="end" style={styles.axis}>
+              {fmt.number(yMin)}
+            </text>
+            <text x={PAD.left} y={HEIGHT - 8} style={styles.axis}>
+              {fmt.date(start)}
+            </text>
+            <text x={WIDTH - PAD.right} y={HEIGHT - 8} textAnchor="end" style={styles.axis}>
+              {fmt.date(end)}
+            </text>
+
+            <path d={`${steps} H ${x(freshUntil)}`} fill="none" stroke="#2c7be5" strokeWidth="2" />
+            {freshUntil < end && (
+              <path
+                d={`M ${x(freshUntil)} ${y(values[values.length - 1])} H ${x(end)}`}
+                fill="none"
+                stroke="#c0392b"
+                strokeWidth="2"
+                strokeDasharray="4 3"
+              />
+            )}
+            {points.map((p, i) => (
+              <circle key={`${p.txHash}-${p.logIndex}`} cx={x(p.timestamp)} cy={y(values[i])} r="4" fill="#2c7be5">
+                <title>{describe(p)}</title>
+              </circle>
+            ))}
+          </svg>
+          <p style={styles.hint}>
+            {t("rates.summary", { count: points.length, rate: fmt.rate(last.rate), symbol: token.symbol, date: fmt.timestamp(last.timestamp) })}
+            {staleAt !== null && (staleAt < now ? ` · ${t("rates.staleSince", { date: fmt.timestamp(staleAt) })}` : ` · ${t("rates.freshUntil", { date: fmt.timestamp(staleAt) })}`)}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  card: { marginTop: "20px", padding: "14px", border: "1px solid #eee", borderRadius: "8px", background: "#fafafa" },
+  header: { display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" },
+  title: { margin: 0 },
+  tokenBtn: { marginLeft: "6px", padding: "6px 12px", cursor: "pointer", border: "1px solid #ddd", background: "#fff", borderRadius: "6px" },
+  activeTokenBtn: { marginLeft: "6px", padding: "6px 12px", cursor: "pointer", border: "1px solid #222", background: "#222", color: "#fff", borderRadius: "6px" },
+  chart: { width: "100%", height: "auto", background: "#fff", border: "1px solid #f0f0f0", borderRadius: "6px" },
+  axis: { fontSize: "11px", fill: "#777" },
+  hint: { fontSize: "13px", color: "#777" }
+};
+
+export default RateHistory;
@@ -0,0 +1,192 @@
+// Treasury.js
+import React, { useState, useEffect, useCallback } from "react";
+import { ethers } from "ethers";
+import { DEFAULT_RUNWAY_WARNING_DAYS } from "./constants";
+import { getContract, getTokenContract, fetchTokenInfo, fetchSupportedTokens, getReadProvider } from "./deployment";
+import { short } from "./format";
+import { useI18n } from "./i18n";
+import RateHistory from "./RateHistory";
+
+const NO_BURN_RUNWAY = 9999n; // calculatePayrollRunway result when nobody is paid in the token
+const THRESHOLD_KEY = "payroll.runwayWarningDays";
+
+/*
+  Treasury overview for admins: monthly burn, per-token balances and runway,
+  the ETH reserve held by Payroll, the campaign ETH it holds in escrow and the
+  PrisonFund balance. Tokens whose
+  runway falls below the configured number of days are flagged so they can be
+  topped up before payday calls start reverting, and so are tokens whose rate
+  is older than Payroll's maxRateAge (payouts in them are refused). Below the
+  table: the rate history chart.
+*/
+function Treasury({ deployment, refreshKey }) {
+  const { t, fmt } = useI18n();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [threshold, setThreshold] = useState(
+    // a stored 0 turns the warning off, so only a missing value falls back to the default
+    () => Number(localStorage.getItem(THRESHOLD_KEY) ?? DEFAULT_RUNWAY_WARNING_DAYS)
+  );
+
+  const loadTreasury = useCallback(async () => {
+    if (!deployment) return;
+    setLoading(true);
+    try {
+      const provider = getReadProvider(deployment);
+      const payroll = getContract(deployment, "Payroll", provider);
+      const fund = getContract(deployment, "PrisonFund", provider);
+      const payrollAddr = deployment.contracts.Payroll.address;
+
+      const [burnEUR, ethReserveWei, campaignEscrowWei, fundBalanceWei, supported, maxRateAge] = await Promise.all([
+        payroll.calculatePayrollBurnrate(),
+        payroll.ethReserveWei(),
+        payroll.campaignEscrowWei(),
+        fund.getBalance(),
+        fetchSupportedTokens(deployment, provider),
+        payroll.maxRateAge()
+      ]);
+
+      const tokens = await Promise.all(
+        supported.map(async (token) => {
+          const [info, balance, runway, { exchangeRate, rateUpdatedAt }, rateFresh] = await Promise.all([
+            fetchTokenInfo(deployment, token.address, provider),
+            getTokenContract(deployment, token.address, provider).balanceOf(payrollAddr),
+            payroll.calculatePayrollRunway(token.address),
+            payroll.supportedTokens(token.address),
+            payroll.isRateFresh(token.address)
+          ]);
+          return { ...info, mintable: token.mintable, balance, runway, exchangeRate, rateUpdatedAt, rateFresh };
+        })
+      );
+      setData({ burnEUR, ethReserveWei, campaignEscrowWei, fundBalanceWei, tokens, maxRateAge });
+    } catch (err) {
+      console.error("loadTreasury error:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [deployment]);
+
+  useEffect(() => {
+    loadTreasury();
+  }, [loadTreasury, refreshKey]);
+
+  const updateThreshold = (e) => {
+    const days = Math.max(0, Math.floor(Number(e.target.value)) || 0);
+    setThreshold(days);
+    localStorage.setItem(THRESHOLD_KEY, String(days));
+  };
+
+  // runway column: mintable -> unlimited, nobody paid -> no burn, otherwise days
+  const describeRunway = (token) => {
+    if (token.runway === ethers.MaxUint256) return { text: t("treasury.unlimited"), low: false };
+    if (token.runway === NO_BURN_RUNWAY) return { text: t("treasury.noBurn"), low: false };
+    return { text: t("treasury.days", { count: Number(token.runway) }), low: token.runway < ethers.toBigInt(threshold) };
+  };
+
+  if (!data) {
+    return <p>{loading ? t("treasury.loading") : t("treasury.noData")}</p>;
+  }
+
+  const lowTokens = data.tokens.filter((token) => describeRunway(token).low);
+  const staleTokens = data.tokens.filter((token) => !token.rateFresh);
+
+  return (
+    <div>
+      <div style={styles.summary}>
+        <div style={styles.stat}>
+          <div style={styles.statLabel}>{t("treasury.burn")}</div>
+          <div style={styles.statValue}>{fmt.eur(data.burnEUR)} EUR</div>
+        </div>
+        <div style={styles.stat}>
+          <div style={styles.statLabel}>{t("treasury.reserve")}</div>
+          <div style={styles.statValue}>{fmt.eth(data.ethReserveWei)} ETH</div>
+        </div>
+        <div style={styles.stat}>
+          <div style={styles.statLabel}>{t("treasury.escrow")}</div>
+          <div style={styles.statValue}>{fmt.eth(data.campaignEscrowWei)} ETH</div>
+        </div>
+        <div style={styles.stat}>
+          <div style={styles.statLabel}>{t("treasury.fund")}</div>
+          <div style={styles.statValue}>{fmt.eth(data.fundBalanceWei)} ETH</div>
+        </div>
+      </div>
+
+      {lowTokens.length > 0 && (
+        <div style={styles.warning}>
+          ⚠️ {t("treasury.lowWarning", { count: threshold, tokens: lowTokens.map((token) => token.symbol).join(", ") })}
+        </div>
+      )}
+
+      {staleTokens.length > 0 && (
+        <div style={styles.warning}>
+          ⚠️ {t("treasury.staleWarning", { tokens: staleTokens.map((token) => token.symbol).join(", ") })}
+        </div>
+      )}
+
+      <div style={styles.toolbar}>
+        <label>
+          {t("treasury.warnBelow")}{" "}
+          <input style={styles.thresholdInput} type="number" min="0" value={threshold} onChange={updateThreshold} />{" "}
+          {t("treasury.daysUnit")}
+        </label>
+        <button style={styles.refreshBtn} onClick={loadTreasury} disabled={loading}>
+          {loading ? t("common.loading") : t("common.refresh")}
+        </button>
+      </div>
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>{t("common.token")}</th>
+            <th style={styles.th}>{t("treasury.type")}</th>
+            <th style={styles.th}>{t("treasury.balance")}</th>
+            <th style={styles.th}>{t("treasury.runway")}</th>
+            <th style={styles.th}>{t("treasury.rate")}</th>
+            <th style={styles.th}>{t("treasury.rateSet")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.tokens.map((token) => {
+            const runway = describeRunway(token);
+            return (
+              <tr key={token.address} style={runway.low || !token.rateFresh ? styles.lowRow : undefined}>
+                <td style={styles.td} title={token.address}>
+                  {token.symbol} <span style={styles.addr}>{short(token.address)}</span>
+                </td>
+                <td style={styles.td}>{t(token.mintable ? "treasury.mintable" : "treasury.prefunded")}</td>
+                <td style={styles.td}>{fmt.token(token.balance, token.decimals)}</td>
+                <td style={styles.td}>{runway.text}</td>
+                <td style={styles.td}>{fmt.rate(token.exchangeRate)}</td>
+                <td style={styles.td}>
+                  {fmt.timestamp(token.rateUpdatedAt)}
+                  {!token.rateFresh && <strong style={styles.stale}> {t("treasury.stale")}</strong>}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <RateHistory deployment={deployment} tokens={data.tokens} maxRateAge={data.maxRateAge} refreshKey={refreshKey} />
+    </div>
+  );
+}
+
+const styles = {
+  summary: { display: "grid", gridTemplateColumns: "1fr 1fr 1fr 1fr", gap: "12px", marginBottom: "14px" },
+  stat: { padding: "14px", border: "1px solid #eee", borderRadius: "8px", background: "#fafafa" },
+  statLabel: { fontSize: "13px", color: "#777" },
+  statValue: { fontSize: "20px", fontWeight: "bold", marginTop: "4px" },
+  warning: { background: "#fff3cd", border: "1px solid #ffe08a", padding: "10px", borderRadius: "6px", marginBottom: "12px" },
+  toolbar: { display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" },
+  thresholdInput: { width: "70px", padding: "6px", borderRadius: "6px", border: "1px solid #ddd" },
+  refreshBtn: { padding: "8px 16px", background: "#222", color: "#fff", border: "none", borderRadius: "6px", cursor: "pointer" },
+  table: { width: "100%", borderCollapse: "collapse" },
+  th: { textAlign: "left", borderBottom: "2px solid #ddd", padding: "8px", fontSize: "14px" },
+  td: { borderBottom: "1px solid #f0f0f0", padding: "8px", fontSize: "14px" },
+  lowRow: { background: "#fdecea" },
+  stale: { color: "#c0392b" },
+  addr: { color: "#999", fontSize: "12px" }
+};
+
+export default Treasury;
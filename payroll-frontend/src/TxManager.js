@@ -0,0 +1,271 @@
+// TxManager.js
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from "react";
+import { ethers } from "ethers";
+import { getContract, getReadProvider, getWalletSigner } from "./deployment";
+import { findNetwork } from "./networks";
+import { decodeRevert, isUserRejection } from "./txErrors";
+import { short } from "./format";
+import { useI18n } from "./i18n";
+
+/*
+  Shared transaction layer. Every write in the app goes through sendTx():
+  the call is first estimated through the network's RPC endpoint (so a revert
+  is reported with its decoded reason before the wallet asks for a signature),
+  then sent with a 20% gas margin and followed in the pending-transactions tray
+  until it is mined. Results and errors show up as toasts; `mined` counts mined
+  transactions so the app can refresh its data after each one.
+*/
+
+const GAS_MARGIN_PERCENT = 120n;
+const TOAST_SECONDS = { success: 6, info: 6, error: 12 };
+
+const TxContext = createContext(null);
+
+export const useTx = () => useContext(TxContext);
+
+// Call arguments as shown in the tray: addresses shortened, everything else as text
+const formatArg = (arg) => {
+  if (Array.isArray(arg)) return `[${arg.map(formatArg).join(", ")}]`;
+  if (typeof arg === "string" && ethers.isAddress(arg)) return short(arg);
+  if (typeof arg === "string" && arg.length > 42) return `${arg.slice(0, 18)}…`;
+  return String(arg);
+};
+
+export function TxProvider({ children }) {
+  const { t, explain, errorText } = useI18n();
+  const [toasts, setToasts] = useState([]);
+  const [txs, setTxs] = useState([]); // newest first
+  const [mined, setMined] = useState(0);
+  const nextId = useRef(0);
+
+  const dismiss = useCallback((id) => setToasts((list) => list.filter((toast) => toast.id !== id)), []);
+
+  // kind: "success" | "error" | "info"
+  const notify = useCallback(
+    (kind, text) => {
+      const id = ++nextId.current;
+      setToasts((list) => [...list, { id, kind, text }]);
+      setTimeout(() => dismiss(id), TOAST_SECONDS[kind] * 1000);
+    },
+    [dismiss]
+  );
+
+  const updateTx = (id, patch) => setTxs((list) => list.map((tx) => (tx.id === id ? { ...tx, ...patch } : tx)));
+
+  /**
+   * Estimates, sends and follows `contract.method(...args)` on one of the
+   * manifest contracts, signed by the connected wallet. `label` is already
+   * translated. Never throws: resolves to { receipt } once mined, or { error }
+   * with the explained reason (already shown as a toast).
+   */
+  const sendTx = useCallback(
+    async (deployment, { label, contract, method, args = [], value }) => {
+      const id = ++nextId.current;
+      const overrides = value !== undefined ? { value } : {};
+      let tracked = false;
+      try {
+        const signer = await getWalletSigner(deployment);
+        const from = await signer.getAddress();
+        const target = getContract(deployment, contract, signer);
+
+        const gasEstimate = await target
+          .connect(getReadProvider(deployment))
+          [method].estimateGas(...args, { ...overrides, from });
+        const gasLimit = (gasEstimate * GAS_MARGIN_PERCENT) / 100n;
+        const tx = await target[method](...args, { ...overrides, gasLimit });
+
+        tracked = true;
+        setTxs((list) => [
+          {
+            id,
+            label,
+            hash: tx.hash,
+            chainId: Number(deployment.chainId),
+            from,
+            to: tx.to,
+            call: `${contract}.${method}(${args.map(formatArg).join(", ")})`,
+            value: value ?? null,
+            gasEstimate,
+            gasLimit,
+            status: "pending",
+            sentAt: Math.floor(Date.now() / 1000)
+          },
+          ...list
+        ]);
+
+        const receipt = await tx.wait();
+        updateTx(id, { status: "mined", blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed });
+        notify("success", t("tx.confirmed", { label, block: receipt.blockNumber }));
+        setMined((n) => n + 1);
+        return { receipt };
+      } catch (err) {
+        const rejected = isUserRejection(err);
+        const error = rejected ? t("tx.rejectedShort") : err?.key ? errorText(err) : explain(decodeRevert(err, deployment));
+        if (tracked) updateTx(id, { status: "failed", error });
+        if (rejected) notify("info", t("tx.rejected", { label }));
+        else {
+          console.error(`${label} error:`, err);
+          notify("error", t("tx.failed", { label, reason: error }));
+        }
+        return { error };
+      }
+    },
+    [notify, t, explain, errorText]
+  );
+
+  return (
+    <TxContext.Provider value={{ sendTx, notify, mined }}>
+      {children}
+      <div style={styles.toasts}>
+        {toasts.map((toast) => (
+          <div key={toast.id} style={{ ...styles.toast, ...styles[toast.kind] }} role={toast.kind === "error" ? "alert" : "status"}>
+            <span>{toast.text}</span>
+            <button style={styles.close} onClick={() => dismiss(toast.id)} aria-label={t("tx.dismiss")}>
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+      <TxTray txs={txs} onClear={() => setTxs((list) => list.filter((tx) => tx.status === "pending"))} />
+    </TxContext.Provider>
+  );
+}
+
+// Pending-transactions tray: every transaction of this session, with
+// confirmations counted from the latest block of its network
+function TxTray({ txs, onClear }) {
+  const { t, fmt } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [latestBlock, setLatestBlock] = useState({}); // chainId -> block number
+
+  const chainIds = [...new Set(txs.map((tx) => tx.chainId))].join(",");
+  useEffect(() => {
+    if (!chainIds) return;
+    const subscriptions = chainIds.split(",").map((chainId) => {
+      const provider = getReadProvider({ chainId });
+      const onBlock = (block) => setLatestBlock((blocks) => ({ ...blocks, [chainId]: block }));
+      provider.on("block", onBlock);
+      return () => provider.off("block", onBlock);
+    });
+    return () => subscriptions.forEach((unsubscribe) => unsubscribe());
+  }, [chainIds]);
+
+  if (txs.length === 0) return null;
+  const pending = txs.filter((tx) => tx.status === "pending").length;
+  const confirmations = (tx) =>
+    tx.blockNumber && latestBlock[tx.chainId] ? Math.max(1, latestBlock[tx.chainId] - tx.blockNumber + 1) : tx.blockNumber ? 1 : 0;
+
+  return (
+    <div style={styles.tray}>
+      <button style={styles.trayHeader} onClick={() => setOpen(!open)}>
+        {pending > 0 ? `⏳ ${t("tx.pending", { count: pending })}` : `✓ ${t("tx.nonePending")}`} ·{" "}
+        {t("tx.session", { count: txs.length })} {open ? "▾" : "▴"}
+      </button>
+      {open && (
+        <div style={styles.trayBody}>
+          {txs.map((tx) => {
+            const explorer = findNetwork(tx.chainId)?.explorerUrl;
+            return (
+              <div key={tx.id} style={styles.txRow}>
+                <div style={styles.txSummary} onClick={() => setExpanded(expanded === tx.id ? null : tx.id)}>
+                  <span style={styles[`status_${tx.status}`]}>{t(`tx.status.${tx.status}`)}</span> {tx.label}
+                  <span style={styles.muted}>
+                    {" "}
+                    · {short(tx.hash)}
+                    {tx.status === "mined" && ` · ${t("tx.confirmations", { count: confirmations(tx) })}`}
+                  </span>
+                </div>
+                {expanded === tx.id && (
+                  <table style={styles.details}>
+                    <tbody>
+                      <tr>
+                        <td style={styles.key}>{t("tx.hash")}</td>
+                        <td style={styles.mono}>
+                          {explorer ? (
+                            <a href={`${explorer}/tx/${tx.hash}`} target="_blank" rel="noreferrer">
+                              {tx.hash}
+                            </a>
+                          ) : (
+                            tx.hash
+                          )}
+                        </td>
+                      </tr>
+                      <tr>
+                        <td style={styles.key}>{t("tx.call")}</td>
+                        <td style={styles.mono}>{tx.call}</td>
+                      </tr>
+                      <tr>
+                        <td style={styles.key}>{t("tx.fromTo")}</td>
+                        <td style={styles.mono}>
+                          {short(tx.from)} → {short(tx.to)}
+                        </td>
+                      </tr>
+                      {tx.value !== null && (
+                        <tr>
+                          <td style={styles.key}>{t("tx.value")}</td>
+                          <td>{fmt.eth(tx.value)} ETH</td>
+                        </tr>
+                      )}
+                      <tr>
+                        <td style={styles.key}>{t("tx.gas")}</td>
+                        <td>
+                          {t("tx.gasEstimate", { estimate: fmt.number(tx.gasEstimate), limit: fmt.number(tx.gasLimit) })}
+                          {tx.gasUsed !== undefined && `, ${t("tx.gasUsed", { used: fmt.number(tx.gasUsed) })}`}
+                        </td>
+                      </tr>
+                      <tr>
+                        <td style={styles.key}>{t("tx.sent")}</td>
+                        <td>{fmt.timestamp(tx.sentAt)}</td>
+                      </tr>
+                      {tx.blockNumber && (
+                        <tr>
+                          <td style={styles.key}>{t("tx.block")}</td>
+                          <td>
+                            {tx.blockNumber} ({t("tx.confirmations", { count: confirmations(tx) })})
+                          </td>
+                        </tr>
+                      )}
+                      {tx.error && (
+                        <tr>
+                          <td style={styles.key}>{t("tx.error")}</td>
+                          <td style={styles.errorText}>{tx.error}</td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            );
+          })}
+          <button style={styles.clearBtn} onClick={onClear}>
+            {t("tx.clear")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  toasts: { position: "fixed", top: "16px", right: "16px", width: "340px", zIndex: 1000 },
+  toast: { display: "flex", justifyContent: "space-between", gap: "10px", padding: "10px 14px", borderRadius: "6px", marginBottom: "8px", color: "#fff", boxShadow: "0 4px 10px rgba(0,0,0,0.15)", fontSize: "14px" },
+  success: { background: "#28a745" },
+  error: { background: "#c0392b" },
+  info: { background: "#555" },
+  close: { background: "none", border: "none", color: "#fff", fontSize: "18px", cursor: "pointer", lineHeight: 1 },
+  tray: { position: "fixed", bottom: "16px", right: "16px", width: "420px", zIndex: 1000, background: "#fff", border: "1px solid #ccc", borderRadius: "8px", boxShadow: "0 6px 14px rgba(0,0,0,0.12)", fontSize: "13px" },
+  trayHeader: { width: "100%", padding: "10px", background: "#222", color: "#fff", border: "none", borderRadius: "8px 8px 0 0", cursor: "pointer", textAlign: "left" },
+  trayBody: { maxHeight: "360px", overflowY: "auto", padding: "8px" },
+  txRow: { borderBottom: "1px solid #eee", padding: "6px 0" },
+  txSummary: { cursor: "pointer" },
+  status_pending: { color: "#b8860b", fontWeight: "bold" },
+  status_mined: { color: "#28a745", fontWeight: "bold" },
+  status_failed: { color: "#c0392b", fontWeight: "bold" },
+  muted: { color: "#777" },
+  details: { width: "100%", marginTop: "6px", borderCollapse: "collapse" },
+  key: { color: "#777", paddingRight: "8px", verticalAlign: "top", whiteSpace: "nowrap" },
+  mono: { fontFamily: "monospace", wordBreak: "break-all" },
+  errorText: { color: "#c0392b" },
+  clearBtn: { marginTop: "8px", padding: "4px 10px", border: "1px solid #ccc", background: "#f9f9f9", borderRadius: "4px", cursor: "pointer" }
+};
@@ -0,0 +1,184 @@
+// auditLog.js — payment history / audit log built from Payroll events
+import { ethers } from "ethers";
+import { getContract, fetchTokenInfo } from "./deployment";
+import { EUR_DECIMALS, RATE_DECIMALS, HR_ROLE, ORACLE_ROLE } from "./constants";
+
+// Events included in the audit log, with the indexed argument that ties a record to an employee/contributor
+export const HISTORY_EVENTS = {
+  PaymentMade: "employee",
+  AllocationChanged: "employee",
+  EmployeeAdded: "employee",
+  EmployeeRemoved: "employee",
+  TokenSupported: null,
+  ExchangeRateUpdated: null,
+  EthToEurRateUpdated: null,
+  RateLimitsUpdated: null,
+  EthReceived: null,
+  EthWithdrawn: null,
+  CampaignCreated: null,
+  CampaignContribution: "contributor",
+  CampaignFinalized: null,
+  CampaignRefunded: "contributor",
+  CampaignRewardClaimed: "contributor",
+  RoleUpdated: null
+};
+
+/*
+  Queries every HISTORY_EVENTS event from the Payroll deploy block onward.
+  With `account` set, only the records about that address are returned
+  (events without a per-person argument are skipped).
+  Returns records sorted oldest first:
+  { event, block, txHash, logIndex, timestamp, account, token, symbol, amount, unit, unitKey, details }
+  `unit` is a symbol ("USDT", "ETH"); textual units are a `history.units` catalog
+  key in `unitKey` instead, and `details` is a { key, params } pair of
+  `history.details` (see recordText).
+*/
+export async function fetchHistory(deployment, provider, { account } = {}) {
+  const payroll = getContract(deployment, "Payroll", provider);
+
+  const batches = await Promise.all(
+    Object.entries(HISTORY_EVENTS).map(([name, personArg]) => {
+      if (account && !personArg) return [];
+      // topic filter: the account in the person argument's indexed slot, anything elsewhere
+      const topics = account
+        ? payroll.interface
+            .getEvent(name)
+            .inputs.filter((input) => input.indexed)
+            .map((input) => (input.name === personArg ? account : null))
+        : [];
+      return payroll.queryFilter(payroll.filters[name](...topics), deployment.deployBlock);
+    })
+  );
+  const logs = batches.flat();
+
+  // block timestamps and token metadata, fetched once each
+  const blocks = {};
+  const tokens = {};
+  const blockTime = (n) => (blocks[n] ??= provider.getBlock(n).then((b) => b.timestamp));
+  const tokenInfo = (addr) => (tokens[addr] ??= fetchTokenInfo(deployment, addr, provider));
+
+  const records = await Promise.all(
+    logs.map(async (log) => {
+      const base = {
+        event: log.eventName,
+        block: log.blockNumber,
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: await blockTime(log.blockNumber),
+        account: "",
+        token: "",
+        symbol: "",
+        amount: "",
+        unit: "",
+        unitKey: "",
+        details: null
+      };
+      return { ...base, ...(await describe(log, tokenInfo)) };
+    })
+  );
+
+  return records.sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+}
+
+// event-specific fields
+async function describe(log, tokenInfo) {
+  const a = log.args;
+  const eur = (v) => ethers.formatUnits(v, EUR_DECIMALS);
+  switch (log.eventName) {
+    case "PaymentMade": {
+      const t = await tokenInfo(a.token);
+      return { account: a.employee, token: a.token, symbol: t.symbol, amount: ethers.formatUnits(a.amount, t.decimals), unit: t.symbol };
+    }
+    case "AllocationChanged": {
+      const t = await tokenInfo(a.token);
+      return { account: a.employee, token: a.token, symbol: t.symbol, amount: eur(a.amount), unitKey: "eurPerMonth" };
+    }
+    case "EmployeeAdded":
+      return { account: a.employee, amount: eur(a.salary), unitKey: "eurPerYear" };
+    case "EmployeeRemoved":
+      return { account: a.employee };
+    case "TokenSupported": {
+      const t = await tokenInfo(a.token);
+      return {
+        token: a.token,
+        symbol: t.symbol,
+        amount: ethers.formatUnits(a.exchangeRate, RATE_DECIMALS),
+        unit: `${t.symbol}/EUR`,
+        details: { key: a.mintable ? "mintable" : "prefunded" }
+      };
+    }
+    case "ExchangeRateUpdated": {
+      const t = await tokenInfo(a.token);
+      return {
+        token: a.token,
+        symbol: t.symbol,
+        amount: ethers.formatUnits(a.newRate, RATE_DECIMALS),
+        unit: `${t.symbol}/EUR`,
+        details: a.oldRate === 0n ? null : { key: "rateFrom", params: { rate: ethers.formatUnits(a.oldRate, RATE_DECIMALS) } }
+      };
+    }
+    case "EthToEurRateUpdated":
+      return {
+        amount: ethers.formatUnits(a.newRate, RATE_DECIMALS),
+        unit: "EUR/ETH",
+        details: a.oldRate === 0n ? null : { key: "rateFrom", params: { rate: ethers.formatUnits(a.oldRate, RATE_DECIMALS) } }
+      };
+    case "RateLimitsUpdated":
+      return { details: { key: "rateLimits", params: { age: a.maxRateAge, bps: a.maxRateChangeBps } } };
+    case "EthReceived":
+      return { account: a.from, amount: ethers.formatEther(a.amountWei), unit: "ETH" };
+    case "EthWithdrawn":
+      return { account: a.to, amount: ethers.formatEther(a.amountWei), unit: "ETH" };
+    case "CampaignCreated":
+      return { amount: eur(a.goalEUR), unitKey: "eurGoal", details: { key: "campaignTitle", params: { id: a.campaignId, title: a.title } } };
+    case "CampaignContribution":
+      return {
+        account: a.contributor,
+        amount: ethers.formatEther(a.weiAmount),
+        unit: "ETH",
+        details: { key: "contribution", params: { id: a.campaignId, eur: eur(a.eurAmount) } }
+      };
+    case "CampaignFinalized":
+      return { details: { key: a.success ? "campaignSucceeded" : "campaignFailed", params: { id: a.campaignId } } };
+    case "CampaignRefunded":
+      return { account: a.contributor, amount: ethers.formatEther(a.weiAmount), unit: "ETH", details: { key: "campaign", params: { id: a.campaignId } } };
+    case "CampaignRewardClaimed": {
+      const t = await tokenInfo(a.token);
+      return {
+        account: a.contributor,
+        token: a.token,
+        symbol: t.symbol,
+        amount: ethers.formatUnits(a.tokenAmount, t.decimals),
+        unit: t.symbol,
+        details: { key: "campaignReward", params: { id: a.campaignId } }
+      };
+    }
+    case "RoleUpdated": {
+      const role = a.role === HR_ROLE ? "HR" : a.role === ORACLE_ROLE ? "ORACLE" : a.role;
+      return { account: a.account, details: { key: a.enabled ? "roleGranted" : "roleRevoked", params: { role } } };
+    }
+    default:
+      return {};
+  }
+}
+
+// Translated unit and details of a record; `t` is useI18n().t
+export const recordText = (record, t) => ({
+  unit: record.unitKey ? t(`history.units.${record.unitKey}`) : record.unit,
+  details: record.details ? t(`history.details.${record.details.key}`, record.details.params) : ""
+});
+
+const CSV_COLUMNS = ["date", "event", "account", "symbol", "token", "amount", "unit", "details", "block", "txHash"];
+
+// RFC 4180 CSV for the accounting team: machine-readable dates and amounts, unit and details in the UI language
+export function historyToCsv(records, t) {
+  const escape = (v) => {
+    const s = String(v ?? "");
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const rows = records.map((r) => {
+    const row = { ...r, ...recordText(r, t), date: new Date(r.timestamp * 1000).toISOString() };
+    return CSV_COLUMNS.map((c) => escape(row[c])).join(",");
+  });
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
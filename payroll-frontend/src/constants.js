@@ -1,8 +1,26 @@
-export const PAYROLL_ADDRESS = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
-export const PAYROLL_ABI = [
-  "function payday(address token) external",
-  "function getEmployee(address addr) view returns (uint256 salary, uint256 received, address[] tokens)",
-  "function determineAllocation(address token, uint256 amount) external",
-  "function supportedTokens(address) view returns (address id, uint256 rate)",
-  "event PaymentMade(address indexed employee, address token, uint256 amount)"
-];
\ No newline at end of file
+import { id } from "ethers";
+
+// Deployment manifests written by scripts/deploy_all.js into public/deployments/<chainId>.json
+export const DEPLOYMENTS_URL = `${process.env.PUBLIC_URL || ""}/deployments`;
+
+// Contract timing rules (Payroll.sol)
+export const ALLOCATION_LOCK_SECONDS = 26 * 7 * 24 * 60 * 60; // determineAllocation: once per 26 weeks per token
+export const PAYOUT_INTERVAL_SECONDS = 4 * 7 * 24 * 60 * 60; // payday: once per 4 weeks per token
+export const ACCRUAL_PERIOD_SECONDS = (365 * 24 * 60 * 60) / 12; // accrual mode: one monthly allocation per period
+
+// Treasury: warn when a token's runway drops below this many days (admins can override it in the UI)
+export const DEFAULT_RUNWAY_WARNING_DAYS = 30;
+
+// Bulk onboarding: employees registered per addEmployees transaction (~250k gas each with two tokens)
+export const ONBOARDING_BATCH_SIZE = 40;
+
+// Payroll fixed-point precision (Payroll.EUR_DECIMALS / RATE_DECIMALS): salaries, EUR amounts and exchange rates
+export const EUR_DECIMALS = 18;
+export const RATE_DECIMALS = 18;
+
+// Payroll run: employees paid per runPayroll transaction (~220k gas per employee with two due tokens)
+export const PAYROLL_RUN_PAGE_SIZE = 25;
+
+// Payroll role ids (Payroll.HR_ROLE / ORACLE_ROLE = keccak256 of the name), granted through council proposals
+export const HR_ROLE = id("HR_ROLE");
+export const ORACLE_ROLE = id("ORACLE_ROLE");
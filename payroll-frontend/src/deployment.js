@@ -0,0 +1,73 @@
+import { ethers } from "ethers";
+import { DEPLOYMENTS_URL } from "./constants";
+import { short } from "./format";
+import { findNetwork, networkName } from "./networks";
+import { LocalizedError } from "./i18n";
+
+/**
+ * Loads the deployment manifest (addresses, ABIs, deploy block) for a chain.
+ * `chainId` may be a number or a hex string as returned by eth_chainId.
+ */
+export async function loadDeployment(chainId) {
+  const id = Number(chainId);
+  const res = await fetch(`${DEPLOYMENTS_URL}/${id}.json`);
+  if (!res.ok) {
+    throw new LocalizedError("errors.noDeployment", { network: networkName(id) });
+  }
+  return res.json();
+}
+
+// One JSON-RPC provider per chain for every read, so the data is the same with
+// or without a wallet (read-only mode) and whatever chain the wallet is on
+const readProviders = {};
+export function getReadProvider(deployment) {
+  const chainId = Number(deployment.chainId);
+  if (!readProviders[chainId]) {
+    const network = findNetwork(chainId);
+    if (!network) throw new LocalizedError("errors.noRpc", { network: networkName(chainId) });
+    readProviders[chainId] = new ethers.JsonRpcProvider(network.rpcUrl, chainId, { staticNetwork: true });
+  }
+  return readProviders[chainId];
+}
+
+// Signer of the connected wallet; refuses while the wallet is on another chain than the deployment
+export async function getWalletSigner(deployment) {
+  if (!window.ethereum) throw new LocalizedError("errors.noWallet");
+  const provider = new ethers.BrowserProvider(window.ethereum);
+  const { chainId } = await provider.getNetwork();
+  if (Number(chainId) !== Number(deployment.chainId)) {
+    throw new LocalizedError("errors.wrongNetwork", { wallet: networkName(chainId), expected: networkName(deployment.chainId) });
+  }
+  return provider.getSigner();
+}
+
+// Contract instance for one of the manifest entries (Payroll, PrisonFund, EURToken, USDToken)
+export const getContract = (deployment, name, runner) => {
+  const entry = deployment.contracts[name];
+  return new ethers.Contract(entry.address, entry.abi, runner);
+};
+
+// Generic ERC-20 instance for any supported token address
+export const getTokenContract = (deployment, address, runner) =>
+  new ethers.Contract(address, deployment.abis.ERC20, runner);
+
+// { address, symbol, decimals } for a token; falls back to the short address if the token has no metadata
+export async function fetchTokenInfo(deployment, address, runner) {
+  const token = getTokenContract(deployment, address, runner);
+  const [symbol, decimals] = await Promise.all([
+    token.symbol().catch(() => short(address)),
+    token.decimals().catch(() => 18n)
+  ]);
+  return { address, symbol, decimals: Number(decimals) };
+}
+
+// Every token ever registered through TokenSupported since the Payroll deploy block (latest event per token wins)
+export async function fetchSupportedTokens(deployment, runner) {
+  const payroll = getContract(deployment, "Payroll", runner);
+  const events = await payroll.queryFilter(payroll.filters.TokenSupported(), deployment.deployBlock);
+  const tokens = new Map();
+  for (const ev of events) {
+    tokens.set(ev.args.token, { address: ev.args.token, mintable: ev.args.mintable });
+  }
+  return [...tokens.values()];
+}
@@ -0,0 +1,103 @@
+// earnings.js — an employee's payouts (PaymentMade events) priced in EUR, for payslips
+import { ethers } from "ethers";
+import { getContract, fetchTokenInfo } from "./deployment";
+import { EUR_DECIMALS, RATE_DECIMALS } from "./constants";
+
+/*
+  PaymentMade only carries the token amount. The EUR equivalent is recovered
+  with the exchange rate in effect when the payout was made: getEmployeePayment
+  read at the payment's block, then Payroll._toTokenAmount inverted. Nodes
+  that keep no historical state cannot answer reads at old blocks; those
+  payouts are priced at the current rate and flagged `rateAtPayment: false`.
+*/
+
+const SCALE = 10n ** ethers.toBigInt(EUR_DECIMALS + RATE_DECIMALS);
+
+// EUR amount (18 decimals) that `amount` tokens were worth at `rate` tokens per EUR
+export const tokenToEur = (amount, rate, decimals) =>
+  rate === 0n ? 0n : (amount * SCALE) / (rate * 10n ** ethers.toBigInt(decimals));
+
+/**
+ * Every payout to `employee` since the Payroll deploy block, oldest first:
+ * { block, txHash, logIndex, timestamp, token, symbol, decimals, amount,
+ *   exchangeRate, eur, rateAtPayment }
+ */
+export async function fetchPayouts(deployment, provider, employee) {
+  const payroll = getContract(deployment, "Payroll", provider);
+  const logs = await payroll.queryFilter(payroll.filters.PaymentMade(employee), deployment.deployBlock);
+
+  // block timestamps, token metadata and current rates, fetched once each
+  const blocks = {};
+  const tokens = {};
+  const currentRates = {};
+  const blockTime = (n) => (blocks[n] ??= provider.getBlock(n).then((b) => b.timestamp));
+  const tokenInfo = (addr) => (tokens[addr] ??= fetchTokenInfo(deployment, addr, provider));
+  const currentRate = (addr) => (currentRates[addr] ??= payroll.supportedTokens(addr).then((t) => t.exchangeRate));
+
+  const rateAt = async (token, blockTag) => {
+    try {
+      const [exchangeRate] = await payroll.getEmployeePayment(employee, token, { blockTag });
+      return { exchangeRate, rateAtPayment: true };
+    } catch (err) {
+      console.warn(`No state at block ${blockTag}, pricing at the current rate:`, err);
+      return { exchangeRate: await currentRate(token), rateAtPayment: false };
+    }
+  };
+
+  const payouts = await Promise.all(
+    logs.map(async (log) => {
+      const { token, amount } = log.args;
+      const [timestamp, info, rate] = await Promise.all([
+        blockTime(log.blockNumber),
+        tokenInfo(token),
+        rateAt(token, log.blockNumber)
+      ]);
+      return {
+        block: log.blockNumber,
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp,
+        token,
+        symbol: info.symbol,
+        decimals: info.decimals,
+        amount,
+        ...rate,
+        eur: tokenToEur(amount, rate.exchangeRate, info.decimals)
+      };
+    })
+  );
+  return payouts.sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+}
+
+// EUR total plus the amount paid in each token: { eur, tokens: [{ token, symbol, decimals, amount }] }
+export function sumPayouts(payouts) {
+  const byToken = new Map();
+  let eur = 0n;
+  for (const p of payouts) {
+    eur += p.eur;
+    const entry = byToken.get(p.token) || { token: p.token, symbol: p.symbol, decimals: p.decimals, amount: 0n };
+    entry.amount += p.amount;
+    byToken.set(p.token, entry);
+  }
+  return { eur, tokens: [...byToken.values()] };
+}
+
+/**
+ * Payslip for the period [from, to] (unix seconds, inclusive): its payouts
+ * and totals, plus year-to-date totals from January 1 of the year `to` falls
+ * in (local time) up to `to`.
+ */
+export function buildPayslip(payouts, { from, to }) {
+  const inRange = (start, end) => payouts.filter((p) => p.timestamp >= start && p.timestamp <= end);
+  const yearStart = Math.floor(new Date(new Date(to * 1000).getFullYear(), 0, 1).getTime() / 1000);
+  const period = inRange(from, to);
+  return {
+    from,
+    to,
+    payouts: period,
+    totals: sumPayouts(period),
+    ytdFrom: yearStart,
+    ytd: sumPayouts(inRange(yearStart, to)),
+    estimatedRates: period.some((p) => !p.rateAtPayment)
+  };
+}
@@ -0,0 +1,155 @@
+// employeeCsv.js — bulk onboarding: CSV parsing, validation and batching
+import { ethers } from "ethers";
+import { EUR_DECIMALS } from "./constants";
+import { parseDecimal } from "./format";
+
+/*
+  Expected columns: address, yearly EUR salary, allowed tokens.
+  Tokens are symbols or addresses separated by ";" (or spaces), e.g.
+
+    address,salary,tokens
+    0x70997970C51812dc3A010C7d01b50e0d17dc79C8,36000,EURT;USDT
+
+  The header row is optional; blank lines and lines starting with # are ignored.
+*/
+
+export const SAMPLE_CSV = "address,salary,tokens\n0x0000000000000000000000000000000000000001,36000,EURT;USDT\n";
+
+// One CSV line -> cells; supports RFC 4180 quoting (as written by historyToCsv)
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// CSV text -> [{ line, address, salary, tokens }] with raw (unvalidated) strings
+export function parseEmployeeCsv(text) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const content = raw.trim();
+    if (!content || content.startsWith("#")) return;
+    const [address = "", salary = "", ...tokenCells] = splitCsvLine(content);
+    if (rows.length === 0 && !address.toLowerCase().startsWith("0x") && !/^\d/.test(salary)) return; // header
+    rows.push({
+      line: i + 1,
+      address,
+      salary,
+      tokens: tokenCells.join(";").split(/[;,\s]+/).filter(Boolean)
+    });
+  });
+  return rows;
+}
+
+// Row problems are { key, params } pairs of the `csv` catalog section (see i18n.js)
+const problem = (key, params = {}) => ({ key: `csv.${key}`, params });
+
+function checkAddress(value) {
+  if (ethers.isAddress(value)) return { address: ethers.getAddress(value) };
+  if (ethers.isAddress(value.toLowerCase())) return { error: problem("badChecksum") };
+  return { error: problem("invalidAddress") };
+}
+
+/*
+  Checks that need no chain access. `supportedTokens` is [{ address, symbol }].
+  Returns one entry per row:
+  { line, input, address, salary (bigint, 18 decimals), tokens (addresses), symbols, errors: [{ key, params }] }
+*/
+export function validateRows(rows, supportedTokens) {
+  const seen = new Map(); // lowercased address -> first line
+  return rows.map((row) => {
+    const errors = [];
+    const entry = { line: row.line, input: row, address: row.address, salary: 0n, tokens: [], symbols: [], errors };
+
+    const checked = checkAddress(row.address);
+    if (checked.error) {
+      errors.push(checked.error);
+    } else {
+      entry.address = checked.address;
+      if (checked.address === ethers.ZeroAddress) errors.push(problem("zeroAddress"));
+      const key = checked.address.toLowerCase();
+      if (seen.has(key)) errors.push(problem("duplicate", { line: seen.get(key) }));
+      else seen.set(key, row.line);
+    }
+
+    const salary = parseDecimal(row.salary, EUR_DECIMALS);
+    if (salary === null) errors.push(problem("invalidSalary"));
+    else if (salary === 0n) errors.push(problem("zeroSalary"));
+    else entry.salary = salary;
+
+    for (const value of row.tokens) {
+      const token = supportedTokens.find(
+        (t) => t.symbol.toLowerCase() === value.toLowerCase() || t.address.toLowerCase() === value.toLowerCase()
+      );
+      if (!token) errors.push(problem("unknownToken", { token: value }));
+      else if (entry.tokens.includes(token.address)) errors.push(problem("tokenTwice", { token: token.symbol }));
+      else {
+        entry.tokens.push(token.address);
+        entry.symbols.push(token.symbol);
+      }
+    }
+    return entry;
+  });
+}
+
+const PAGE_SIZE = 100; // addresses fetched per getEmployeeAddresses call
+
+/*
+  Marks entries whose address is already on the payroll. Registration is read
+  from the getEmployeeAddresses enumeration rather than getEmployee, which
+  returns zeros for unknown addresses and for a registered zero salary alike.
+  Adds `existing: { salary, tokens }` to those entries.
+*/
+export async function markRegistered(entries, payroll) {
+  const registered = new Set();
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await payroll.getEmployeeAddresses(offset, PAGE_SIZE);
+    page.forEach((address) => registered.add(address.toLowerCase()));
+    if (page.length < PAGE_SIZE) break;
+  }
+  return Promise.all(
+    entries.map(async (entry) => {
+      if (entry.errors.length > 0) return entry;
+      if (!registered.has(entry.address.toLowerCase())) return { ...entry, existing: null };
+      const [salary, , tokens] = await payroll.getEmployee(entry.address);
+      return { ...entry, existing: { salary, tokens: [...tokens] } };
+    })
+  );
+}
+
+// New (valid, unregistered) entries -> addEmployees argument lists of at most `size` employees
+export function toBatches(entries, size) {
+  const fresh = entries.filter((e) => e.errors.length === 0 && !e.existing);
+  const batches = [];
+  for (let i = 0; i < fresh.length; i += size) {
+    const chunk = fresh.slice(i, i + size);
+    batches.push({
+      entries: chunk,
+      employees: chunk.map((e) => e.address),
+      salaries: chunk.map((e) => e.salary),
+      tokens: chunk.map((e) => e.tokens)
+    });
+  }
+  return batches;
+}
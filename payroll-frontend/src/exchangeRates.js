@@ -0,0 +1,31 @@
+// exchangeRates.js — exchange rate history of a token, from ExchangeRateUpdated events
+import { getContract } from "./deployment";
+
+/**
+ * Every rate `token` has had since the Payroll deploy block, oldest first:
+ * { block, txHash, logIndex, timestamp, rate, previous }. The first point is
+ * the rate the token was added with (previous = 0).
+ */
+export async function fetchRateHistory(deployment, provider, token) {
+  const payroll = getContract(deployment, "Payroll", provider);
+  const logs = await payroll.queryFilter(payroll.filters.ExchangeRateUpdated(token), deployment.deployBlock);
+
+  const blocks = {};
+  const blockTime = (n) => (blocks[n] ??= provider.getBlock(n).then((b) => b.timestamp));
+
+  const points = await Promise.all(
+    logs.map(async (log) => ({
+      block: log.blockNumber,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      timestamp: await blockTime(log.blockNumber),
+      rate: log.args.newRate,
+      previous: log.args.oldRate
+    }))
+  );
+  return points.sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+}
+
+// Relative change of one update in basis points (null for the initial rate)
+export const changeBps = ({ previous, rate }) =>
+  previous === 0n ? null : Number(((rate - previous) * 10000n) / previous);
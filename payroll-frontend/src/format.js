@@ -0,0 +1,62 @@
+// Small display helpers shared by the dashboard components
+import { ethers } from "ethers";
+import { EUR_DECIMALS, RATE_DECIMALS } from "./constants";
+
+export const short = (addr = "") => (addr && addr.length > 10 ? `${addr.substring(0, 6)}...${addr.slice(-4)}` : addr);
+
+export const safeToString = (v) => {
+  try {
+    // BigInt or ethers BigNumber -> toString
+    return v?.toString?.() ?? String(v ?? "");
+  } catch {
+    return String(v ?? "");
+  }
+};
+
+// The formatters below take a BCP 47 locale ("en-GB", "ru-RU"); components get
+// them bound to the selected language through useI18n().fmt
+
+// 18-decimal EUR amount -> "1,234.56" (en) / "1 234,56" (ru)
+export const formatEur = (value, locale) =>
+  Number(ethers.formatUnits(value, EUR_DECIMALS)).toLocaleString(locale, { maximumFractionDigits: 2 });
+
+// token amount with `decimals` places -> "1,234.5678"
+export const formatToken = (value, decimals, locale, maximumFractionDigits = 4) =>
+  Number(ethers.formatUnits(value, decimals)).toLocaleString(locale, { maximumFractionDigits });
+
+// 18-decimal exchange rate (tokens per 1 EUR) -> "1.08"
+export const formatRate = (value, locale) =>
+  Number(ethers.formatUnits(value, RATE_DECIMALS)).toLocaleString(locale, { maximumFractionDigits: 6 });
+
+// decimal string as stored in history records ("1500.0") -> "1,500"
+export const formatDecimal = (text, locale) =>
+  text === "" ? "" : Number(text).toLocaleString(locale, { maximumFractionDigits: 6 });
+
+// user input ("36000", "1.08") -> fixed point with `decimals` places; null if it is not a non-negative number
+export const parseDecimal = (text, decimals = EUR_DECIMALS) => {
+  const value = String(text ?? "").trim();
+  if (!/^\d+(\.\d+)?$/.test(value)) return null;
+  try {
+    return ethers.parseUnits(value, decimals);
+  } catch {
+    return null; // more fractional digits than `decimals`
+  }
+};
+
+// unix seconds (number | bigint) -> local date/time string
+export const formatTimestamp = (seconds, locale) => new Date(Number(seconds) * 1000).toLocaleString(locale);
+
+// unix seconds -> local date only
+export const formatDate = (seconds, locale) => new Date(Number(seconds) * 1000).toLocaleDateString(locale);
+
+// seconds -> "3d 04:05:06" countdown; `day` is the localized day suffix
+export const formatDuration = (seconds, day = "d") => {
+  const s = Math.max(0, Math.floor(seconds));
+  const d = Math.floor(s / 86400);
+  const pad = (n) => String(n).padStart(2, "0");
+  const hms = `${pad(Math.floor((s % 86400) / 3600))}:${pad(Math.floor((s % 3600) / 60))}:${pad(s % 60)}`;
+  return d > 0 ? `${d}${day} ${hms}` : hms;
+};
+
+// Best available revert reason from an ethers error, null if it has none
+export const revertReason = (err) => err?.reason || err?.shortMessage || err?.message || null;
@@ -0,0 +1,102 @@
+// i18n.js — EN/RU message catalogs, the language switch and locale-aware formatting
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from "react";
+import en from "./locales/en";
+import ru from "./locales/ru";
+import { formatEur, formatToken, formatRate, formatDecimal, formatTimestamp, formatDate, formatDuration } from "./format";
+
+/*
+  Messages are looked up by dotted key ("admin.registerEmployee") in the
+  selected catalog, then in English. "{name}" placeholders are filled from
+  `params`; a message given as an object ({ one, few, many, other }) is picked
+  with Intl.PluralRules by `params.count`. Modules outside React throw
+  LocalizedError so the text is translated where it is shown.
+*/
+
+export const LANGUAGES = {
+  en: { label: "English", locale: "en-GB", messages: en },
+  ru: { label: "Русский", locale: "ru-RU", messages: ru }
+};
+
+const STORAGE_KEY = "payroll.language";
+
+function initialLanguage() {
+  const stored = typeof localStorage !== "undefined" ? localStorage.getItem(STORAGE_KEY) : null;
+  if (stored && LANGUAGES[stored]) return stored;
+  const browser = typeof navigator !== "undefined" ? navigator.language || "" : "";
+  return browser.toLowerCase().startsWith("ru") ? "ru" : "en";
+}
+
+const lookup = (messages, key) => key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), messages);
+
+/** Message `key` in `lang` (English as fallback) with `params` filled in. */
+export function translate(lang, key, params = {}) {
+  const { locale, messages } = LANGUAGES[lang] || LANGUAGES.en;
+  let message = lookup(messages, key) ?? lookup(en, key);
+  if (message === undefined) return params.defaultValue ?? key;
+  if (typeof message === "object") {
+    message = message[new Intl.PluralRules(locale).select(Number(params.count))] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+// Contract revert reason -> explanation from the `reverts` catalog (the reason itself if there is none)
+// (custom errors with arguments are matched by their name); no reason -> the `fallbackKey` message
+export function explainRevert(lang, reason, fallbackKey = "tx.noReason") {
+  if (!reason) return translate(lang, fallbackKey);
+  const { messages } = LANGUAGES[lang] || LANGUAGES.en;
+  const name = String(reason).split("(")[0];
+  return messages.reverts[reason] ?? en.reverts[reason] ?? messages.reverts[name] ?? en.reverts[name] ?? reason;
+}
+
+/** Error whose message is a catalog key, for code that has no access to useI18n(). */
+export class LocalizedError extends Error {
+  constructor(key, params = {}) {
+    super(translate("en", key, params));
+    this.key = key;
+    this.params = params;
+  }
+}
+
+const I18nContext = createContext(null);
+
+export function I18nProvider({ children }) {
+  const [lang, setLangState] = useState(initialLanguage);
+
+  const setLang = useCallback((next) => {
+    localStorage.setItem(STORAGE_KEY, next);
+    setLangState(next);
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  const value = useMemo(() => {
+    const { locale } = LANGUAGES[lang];
+    const t = (key, params) => translate(lang, key, params);
+    return {
+      lang,
+      setLang,
+      locale,
+      t,
+      explain: (reason, fallbackKey) => explainRevert(lang, reason, fallbackKey),
+      // translated text of any error: LocalizedError by key, anything else by its message
+      errorText: (err) => (err?.key ? t(err.key, err.params) : err?.message || String(err)),
+      fmt: {
+        eur: (value) => formatEur(value, locale),
+        token: (value, decimals, fractionDigits) => formatToken(value, decimals, locale, fractionDigits),
+        eth: (wei) => formatToken(wei, 18, locale, 6),
+        rate: (value) => formatRate(value, locale),
+        decimal: (text) => formatDecimal(text, locale),
+        number: (n) => Number(n).toLocaleString(locale),
+        date: (seconds) => formatDate(seconds, locale),
+        timestamp: (seconds) => formatTimestamp(seconds, locale),
+        duration: (seconds) => formatDuration(seconds, t("common.dayShort"))
+      }
+    };
+  }, [lang, setLang]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export const useI18n = () => useContext(I18nContext);
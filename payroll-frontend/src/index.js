@@ -2,12 +2,18 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { I18nProvider } from './i18n';
+import { TxProvider } from './TxManager';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      <TxProvider>
+        <App />
+      </TxProvider>
+    </I18nProvider>
   </React.StrictMode>
 );
 
@@ -0,0 +1,592 @@
+// locales/en.js — English messages (the fallback for every other catalog)
+// Plural messages are { one, other }; "{name}" is filled from the params.
+
+const en = {
+  common: {
+    address: "Address",
+    token: "Token",
+    tokens: "Tokens",
+    status: "Status",
+    loading: "Loading...",
+    saving: "Saving...",
+    refresh: "Refresh",
+    dayShort: "d"
+  },
+
+  app: {
+    title: "Correctional Work Payroll",
+    wrongNetwork: "Your wallet is on {wallet}; this app is showing {app}.",
+    switchWallet: "Switch wallet to {network}",
+    switchFailed: "Could not switch the wallet to {network}.",
+    unknownNetwork: "chain {id}",
+    network: "Network",
+    language: "Language",
+    connectWallet: "Connect Wallet",
+    noMetamask: "MetaMask not found. Please install MetaMask and try again.",
+    connectFailed: "Failed to connect wallet: {reason}",
+    readOnly: "Read-only: connect a wallet to send transactions",
+    roles: { admin: "Admin", hr: "HR", oracle: "Oracle" },
+    tabs: {
+      dashboard: "Dashboard",
+      history: "History",
+      campaigns: "Campaigns",
+      admin: "Admin Panel",
+      roster: "Roster",
+      treasury: "Treasury",
+      payslips: "Payslips"
+    },
+    profile: "Your Work Profile",
+    yearlySalary: "Yearly salary:",
+    received: "Already received:",
+    payouts: "Available payouts",
+    noTokens: "Payment tokens are not assigned by the administrator.",
+    notEmployee: "You are not registered as an employee. Please contact HR or an admin.",
+    claim: "Claim",
+    finalPay: "Final pay",
+    payday: "Payday"
+  },
+
+  errors: {
+    noDeployment: "No deployment found for {network}. Run scripts/deploy_all.js against it first.",
+    noRpc: "No RPC endpoint is configured for {network}.",
+    noWallet: "No wallet found. Install MetaMask to send transactions.",
+    wrongNetwork: "The wallet is on {wallet}, but this action needs {expected}. Switch the wallet first.",
+    unknownNetwork: "Unknown network: {network}"
+  },
+
+  validation: {
+    invalidAddress: "{field}: invalid address",
+    decimal: "{field}: enter a non-negative number (up to {decimals} decimals)",
+    positive: "{field}: must be greater than 0",
+    ethAmount: "{field}: enter an ETH amount",
+    eurAmount: "{field}: enter an EUR amount"
+  },
+
+  fields: {
+    employee: "Employee",
+    yearlySalary: "Yearly salary",
+    token: "Token",
+    exchangeRate: "Exchange rate",
+    account: "Account",
+    recipient: "Recipient",
+    amount: "Amount",
+    admin: "Admin",
+    contribution: "Contribution",
+    donation: "Donation",
+    goal: "Goal",
+    maxRateAge: "Maximum rate age",
+    maxRateChange: "Maximum change per update"
+  },
+
+  tx: {
+    confirmed: "{label}: confirmed in block {block}",
+    rejectedShort: "rejected in the wallet",
+    rejected: "{label}: rejected in the wallet",
+    failed: "{label} failed: {reason}",
+    noReason: "The transaction failed.",
+    dismiss: "Dismiss",
+    pending: { one: "{count} pending transaction", other: "{count} pending transactions" },
+    nonePending: "No pending transactions",
+    session: { one: "{count} this session", other: "{count} this session" },
+    status: { pending: "pending", mined: "mined", failed: "failed" },
+    confirmations: { one: "{count} confirmation", other: "{count} confirmations" },
+    hash: "Hash",
+    call: "Call",
+    fromTo: "From → to",
+    value: "Value",
+    gas: "Gas",
+    gasEstimate: "estimated {estimate}, limit {limit}",
+    gasUsed: "used {used}",
+    sent: "Sent",
+    block: "Block",
+    error: "Error",
+    clear: "Clear finished"
+  },
+
+  csv: {
+    badChecksum: "address checksum does not match",
+    invalidAddress: "invalid address",
+    zeroAddress: "zero address",
+    duplicate: "duplicate of line {line}",
+    invalidSalary: "salary must be an EUR amount (e.g. 36000 or 36000.50)",
+    zeroSalary: "salary must be greater than 0",
+    unknownToken: "unknown token {token}",
+    tokenTwice: "token {token} listed twice"
+  },
+
+  history: {
+    allEvents: "All events",
+    export: "Export CSV",
+    everything: "All Payroll events",
+    recordsFor: "Records for {account}",
+    sinceBlock: "since block {block}",
+    count: { one: "{count} record", other: "{count} records" },
+    date: "Date",
+    event: "Event",
+    account: "Account",
+    amount: "Amount",
+    detailsColumn: "Details",
+    tx: "Tx",
+    events: {
+      PaymentMade: "Payment",
+      AllocationChanged: "Allocation changed",
+      EmployeeAdded: "Employee added",
+      EmployeeRemoved: "Employee removed",
+      TokenSupported: "Token supported",
+      ExchangeRateUpdated: "Exchange rate updated",
+      EthToEurRateUpdated: "ETH rate updated",
+      RateLimitsUpdated: "Rate limits updated",
+      EthReceived: "ETH received",
+      EthWithdrawn: "ETH withdrawn",
+      CampaignCreated: "Campaign created",
+      CampaignContribution: "Campaign contribution",
+      CampaignFinalized: "Campaign finalized",
+      CampaignRefunded: "Campaign refund",
+      CampaignRewardClaimed: "Campaign reward",
+      RoleUpdated: "Role updated"
+    },
+    units: { eurPerMonth: "EUR/month", eurPerYear: "EUR/year", eurGoal: "EUR goal" },
+    details: {
+      mintable: "mintable",
+      prefunded: "pre-funded",
+      campaignTitle: "#{id} {title}",
+      contribution: "#{id} ({eur} EUR)",
+      campaignSucceeded: "#{id} succeeded",
+      campaignFailed: "#{id} failed",
+      campaign: "#{id}",
+      campaignReward: "#{id} reward",
+      roleGranted: "{role} granted",
+      roleRevoked: "{role} revoked",
+      rateFrom: "from {rate}",
+      rateLimits: "max age {age} s, max change {bps} bps (0 = off)"
+    }
+  },
+
+  admin: {
+    payments: "Payments:",
+    frozen: "FROZEN",
+    active: "ACTIVE",
+    ethReserve: "ETH reserve:",
+    payMode: "Pay mode:",
+    modeAccrual: "accrual (claim anytime)",
+    modeMonthly: "monthly (payday every 4 weeks)",
+    enableAccrual: "Enable accrual",
+    allowPayments: "Allow payments",
+    blockPayments: "Block payments",
+    registerEmployee: "Register employee",
+    setSalary: "Set salary",
+    updateSalary: "Update salary",
+    allowToken: "Allow token",
+    allowTokenTitle: "Allow token for employee",
+    removeEmployee: "Remove employee",
+    addSupportedToken: "Add supported token",
+    addToken: "Add token",
+    mintable: "Mintable (Payroll owns the token)",
+    updateRate: "Update exchange rate",
+    updateRateTitle: "Update exchange rate (Oracle)",
+    updateRateButton: "Update rate",
+    rateLimitsTitle: "Rate safeguards",
+    rateLimitsCurrent: "Payouts need a rate younger than {age}; one oracle update may move a rate by at most {change}.",
+    off: "no limit",
+    setRateLimits: "Set rate limits",
+    rolesTitle: "HR / oracle roles (proposal)",
+    roleHr: "HR — manages employees",
+    roleOracle: "ORACLE — sets exchange rates",
+    grantCheckbox: "Grant (uncheck to revoke)",
+    proposeRole: "Propose role change",
+    grantRole: "Grant {role} role",
+    revokeRole: "Revoke {role} role",
+    claimTitle: "Claim token funds (proposal)",
+    claimTokenFunds: "Claim token funds",
+    proposeClaim: "Propose claim",
+    withdrawTitle: "Withdraw ETH (proposal)",
+    withdrawEth: "Withdraw ETH",
+    proposeWithdraw: "Propose withdrawal",
+    proposalCreated: "{label}: proposal created — it runs once enough admins approve it.",
+    tokenNotSupported: "Token is not supported yet — add it first.",
+    noTokenBalance: "Payroll holds no {symbol}.",
+    exceedsReserve: "Amount exceeds the ETH reserve",
+    confirmRemove: "Remove employee {address}? Their salary, allocations and payment history are deleted.",
+    confirmGrant: "Propose to grant the {role} role to {account}?",
+    confirmRevoke: "Propose to revoke the {role} role from {account}?",
+    confirmFreeze: "Freeze all payouts and allocation changes?",
+    confirmAccrual:
+      "Propose switching payouts to per-second accrual? Employees will claim accrued salary at any time instead of once every 4 weeks. This cannot be undone.",
+    confirmClaim:
+      "Propose moving the {amount} held by Payroll to {to}? Pre-funded payouts in this token will fail until it is refilled.",
+    confirmWithdraw: "Propose sending {amount} ETH from the Payroll reserve to {to}?",
+    noRole: "Connected account {account} is not an admin, HR operator or oracle: actions are disabled.",
+    placeholders: {
+      address: "Address (0x...)",
+      employee: "Employee address (0x...)",
+      yearlySalary: "Yearly salary (EUR)",
+      newSalary: "New yearly salary (EUR)",
+      token: "Token address",
+      rate: "Tokens per 1 EUR (e.g. 1.08)",
+      newRate: "New rate (tokens per 1 EUR, e.g. 1.08)",
+      account: "Account (0x...)",
+      recipient: "Recipient (0x...)",
+      ethAmount: "Amount (ETH)",
+      maxRateAge: "Maximum rate age (hours, 0 = off)",
+      maxRateChange: "Maximum change per update (%, 0 = off)"
+    }
+  },
+
+  proposals: {
+    title: "Council proposals",
+    policy: "{threshold} of {count} admins must approve, then {delay} timelock from the proposal. Admins: {admins}",
+    showHistory: "Show executed and cancelled",
+    none: "No pending proposals.",
+    meta: "by {proposer} · earliest execution {eta}",
+    executed: "executed",
+    cancelled: "cancelled",
+    waiting: "waiting for approvals ({approvals}/{threshold})",
+    timelocked: "timelocked, {left} left",
+    ready: "ready to execute",
+    approve: "Approve",
+    approved: "Approved",
+    execute: "Execute",
+    cancel: "Cancel",
+    approveLabel: "Approve proposal #{id}",
+    executeLabel: "Execute proposal #{id}",
+    cancelLabel: "Cancel proposal #{id}",
+    confirmExecute: "Execute proposal #{id}: {call}?",
+    confirmCancel: "Cancel proposal #{id}?",
+    addAdmin: "Add admin",
+    removeAdmin: "Remove admin",
+    confirmAddAdmin: "Propose to add {admin} to the council?",
+    confirmRemoveAdmin: "Propose to remove {admin} from the council?",
+    changePolicy: "Change policy",
+    badThreshold: "Threshold: enter a whole number of approvals",
+    badDelay: "Timelock: enter a whole number of seconds",
+    confirmPolicy: "Propose requiring {threshold} approvals and a {delay}s timelock?",
+    adminPlaceholder: "Admin address (0x...)",
+    remove: "remove",
+    proposeAdmin: "Propose admin change",
+    thresholdPlaceholder: "Approvals (now {threshold})",
+    delayPlaceholder: "Timelock, seconds (now {delay})",
+    proposePolicy: "Propose policy"
+  },
+
+  payrollRun: {
+    title: "Run payroll",
+    hint: {
+      one: "Pays every due allocation of every employee, {count} employee per transaction. Employees who are not due yet are skipped, as are payments a pre-funded token cannot cover (top it up and run again) and payments in a token whose rate is stale (have the oracle update it).",
+      other:
+        "Pays every due allocation of every employee, {count} employees per transaction. Employees who are not due yet are skipped, as are payments a pre-funded token cannot cover (top it up and run again) and payments in a token whose rate is stale (have the oracle update it)."
+    },
+    pageSize: "Employees per transaction",
+    noEmployees: "No employees registered.",
+    employees: "Employees",
+    due: "Due (preview)",
+    status: "Status",
+    transaction: "Transaction",
+    payments: { one: "{count} payment", other: "{count} payments" },
+    paid: "{count} paid",
+    skippedNotPayable: "{count} skipped (insufficient balance or stale rate)",
+    failed: "failed",
+    wouldFail: "would fail",
+    states: { pending: "pending", running: "running", done: "done", failed: "failed" },
+    progress: "{done} / {count} pages done",
+    paymentsMade: { one: "{count} payment made", other: "{count} payments made" },
+    skipped: "{count} skipped",
+    failedPages: "{count} failed",
+    preview: "Preview",
+    running: "Running...",
+    run: { one: "Run {count} page", other: "Run {count} pages" },
+    retry: "Retry failed",
+    startOver: "Start over",
+    confirm: { one: "Send {count} runPayroll transaction?", other: "Send {count} runPayroll transactions?" },
+    label: "Payroll run {from}-{to}",
+    listChanged:
+      "Employees were added or removed during the run, so the remaining pages were not sent. A removal moves the last employee into the freed position, which may already have been paid over. Start over and run again: allocations already paid are not due again."
+  },
+
+  onboarding: {
+    title: "Bulk onboarding (CSV)",
+    columns: 'Columns: address, yearly salary in EUR, allowed tokens (symbols or addresses separated by ";").',
+    sample: "Download a sample",
+    checking: "Checking {file}...",
+    noRows: "The file has no employee rows.",
+    summary: "{count} new · {registered} already registered · {errors} with errors",
+    line: "Line",
+    salary: "Salary (EUR)",
+    new: "new",
+    registered: "already registered, skipped ({salary} EUR",
+    notApplied: "{salary} not applied",
+    fixErrors: "Fix the rows with errors and upload the file again.",
+    confirm: {
+      one: "Register {count} employee in {batches} transaction(s)?",
+      other: "Register {count} employees in {batches} transaction(s)?"
+    },
+    confirmSkipped: { one: "{count} already registered row is skipped.", other: "{count} already registered rows are skipped." },
+    batchLabel: "Register batch {index}/{total}",
+    stopped:
+      "Stopped after {count} registered employees. Registered rows are now marked in the preview; fix the file or retry to continue with the rest.",
+    done: { one: "Registered {count} employee.", other: "Registered {count} employees." },
+    progress: "Confirmed {done} / {total} transactions...",
+    register: {
+      one: "Register {count} employee in {batches} transaction(s)",
+      other: "Register {count} employees in {batches} transaction(s)"
+    }
+  },
+
+  allocation: {
+    title: "Monthly allocation",
+    current: "Current (EUR / month)",
+    new: "New (EUR / month)",
+    lock: "Lock",
+    lockedUntil: "Locked until {date}",
+    unlocked: "Can be changed",
+    total: "Total:",
+    ofSalary: "of {salary} EUR monthly salary",
+    overBudget: "the split exceeds your monthly salary.",
+    invalid: "Amounts must be non-negative EUR values.",
+    save: "Save allocation",
+    saved: "Allocation updated. Changed tokens are now locked for 26 weeks.",
+    label: "Allocate {symbol}"
+  },
+
+  finalPay: {
+    title: "Final pay",
+    note: "Your pay up to your removal could not be sent at the time. It stays yours to claim.",
+    claim: "Claim {symbol}"
+  },
+
+  payout: {
+    loading: "Loading {token}...",
+    wouldRevert: "The payout would be rejected by the contract.",
+    claimableNow: "Claimable now:",
+    accruing: "Accruing {eur} EUR / month at {rate} {symbol} per EUR",
+    noAllocation: "set an allocation to start accruing",
+    prepaid: "Paid by the last payday until {date}; accrues from then on",
+    lastClaim: "Last claim: {date}",
+    checking: "Checking...",
+    claimAccrued: "Claim accrued {symbol}",
+    next: "Next payout:",
+    claimable: "Claimable:",
+    firstPayout: "now (first payout)",
+    claimIn: "Claim payout in {symbol}"
+  },
+
+  campaigns: {
+    balance: "Balance:",
+    donate: "Donate",
+    donatePlaceholder: "Donate (ETH)",
+    transfer: "Transfer to Payroll",
+    transferPlaceholder: "Amount to move into Payroll (ETH)",
+    confirmTransfer: "Move {amount} ETH from PrisonFund into the Payroll reserve?",
+    exceedsFund: "Amount exceeds the PrisonFund balance",
+    new: "New campaign",
+    titlePlaceholder: "Title",
+    goalPlaceholder: "Goal (EUR)",
+    daysPlaceholder: "Duration (days)",
+    rewardToken: "Reward token...",
+    create: "Create campaign",
+    titleRequired: "Title is required",
+    badDuration: "Duration: enter a number of days",
+    selectToken: "Select a reward token",
+    none: "No campaigns yet.",
+    succeeded: "Succeeded",
+    failed: "Failed",
+    ended: "Ended — awaiting finalization",
+    endsIn: "Ends in {left}",
+    contributors: { one: "{count} contributor", other: "{count} contributors" },
+    summary: "reward {symbol} · deadline {deadline}",
+    yours: "Your contribution: {eur} EUR",
+    contribute: "Contribute",
+    contributePlaceholder: "Contribute (ETH)",
+    contributeLabel: "Contribute to #{id}",
+    finalize: "Finalize",
+    finalizeLabel: "Finalize campaign #{id}",
+    confirmSucceeded: {
+      one: 'Finalize "{title}"? Its {count} contributor can then claim their {symbol} reward at today\'s rate.',
+      other: 'Finalize "{title}"? Its {count} contributors can then claim their {symbol} rewards at today\'s rate.'
+    },
+    confirmFailed: 'Finalize "{title}" as failed? Contributors can then withdraw their ETH.',
+    claimReward: "Claim reward ({amount} {symbol})",
+    claimRewardLabel: "Claim reward #{id}",
+    rewardClaimed: "Reward claimed",
+    claimRefund: "Claim refund ({amount} ETH)",
+    claimRefundLabel: "Claim refund #{id}",
+    refunded: "Refunded"
+  },
+
+  roster: {
+    search: "Search by address or token",
+    count: "{shown} of {count} employees",
+    employee: "Employee",
+    salary: "Yearly salary (EUR)",
+    received: "Received (EUR)",
+    tokens: "Tokens: allocation / last payment",
+    lastPayment: "Last payment",
+    perMonth: "{eur} EUR/mo",
+    neverPaid: "never paid"
+  },
+
+  treasury: {
+    loading: "Loading treasury...",
+    noData: "No treasury data.",
+    burn: "Monthly burn",
+    reserve: "Payroll ETH reserve",
+    escrow: "Campaign ETH in escrow",
+    fund: "PrisonFund balance",
+    lowWarning: {
+      one: "Runway below {count} day: {tokens}. Top up Payroll before payday calls start reverting.",
+      other: "Runway below {count} days: {tokens}. Top up Payroll before payday calls start reverting."
+    },
+    warnBelow: "Warn below",
+    daysUnit: "days",
+    type: "Type",
+    balance: "Payroll balance",
+    runway: "Runway",
+    mintable: "mintable",
+    prefunded: "pre-funded",
+    unlimited: "unlimited (mintable)",
+    noBurn: "no burn",
+    rate: "Rate (tokens / EUR)",
+    rateSet: "Rate set",
+    stale: "stale",
+    staleWarning: "Exchange rate older than the maximum age: {tokens}. Payouts in these tokens are refused until the oracle updates the rate.",
+    days: { one: "{count} day", other: "{count} days" }
+  },
+
+  rates: {
+    title: "Exchange rate history",
+    none: "No rate updates recorded for this token.",
+    initial: "initial rate",
+    summary: {
+      one: "{count} update · current rate {rate} {symbol}/EUR, set {date}",
+      other: "{count} updates · current rate {rate} {symbol}/EUR, set {date}"
+    },
+    staleSince: "stale since {date}",
+    freshUntil: "valid for payouts until {date}"
+  },
+
+  payslip: {
+    employeePlaceholder: "Employee address (0x...)",
+    enterEmployee: "Enter an employee address to build a payslip.",
+    badPeriod: "The period start must not be after its end.",
+    from: "From",
+    to: "To",
+    presets: { thisMonth: "This month", lastMonth: "Last month", thisYear: "This year" },
+    print: "Print / Save as PDF",
+    title: "Payslip",
+    period: "Period: {from} – {to}",
+    employee: "Employee",
+    salary: "Yearly salary",
+    perMonth: "{eur} EUR / month",
+    payroll: "Payroll contract",
+    generated: "Generated",
+    date: "Date",
+    amount: "Amount",
+    rate: "Rate (tokens / EUR)",
+    eur: "EUR equivalent",
+    tx: "Transaction",
+    none: "No payouts in this period.",
+    periodTotal: "Period total",
+    ytd: "Year to date ({from} – {to})",
+    rateNote: "EUR equivalents use the exchange rate stored in the Payroll contract at the block of each payout.",
+    estimatedNote: "The node keeps no historical state for this payout; it is priced at the current exchange rate."
+  },
+
+  // Explanations of contract revert reasons, keyed by the exact require message,
+  // "Panic(0x..)" code or custom error name (see txErrors.js)
+  reverts: {
+    // Payroll
+    "Only Admin": "Only a Payroll admin can do this.",
+    "Only Oracle": "Only the exchange-rate oracle can do this.",
+    "Only HR": "Only an HR operator can do this.",
+    "Only via council proposal": "This action needs an approved council proposal.",
+    "Unknown role": "Unknown role.",
+    "Invalid address": "The address is not valid.",
+    "Invalid account": "The account address is not valid.",
+    "Invalid employee": "The employee address is not valid.",
+    "Invalid token": "The token address is not valid.",
+    "Invalid oracle": "The oracle address is not valid.",
+    "Invalid council": "The council address is not valid.",
+    "Invalid to": "The recipient address is not valid.",
+    "Invalid rate": "The exchange rate is not valid.",
+    "Rate must be >0": "The exchange rate must be greater than 0.",
+    "Rate change too large": "The new rate differs from the current one by more than the maximum change per update. Update it in smaller steps, or an admin can reset it by re-adding the token.",
+    "Exchange rate is stale": "The token's exchange rate is older than the maximum age. The oracle has to update it before payouts in this token resume.",
+    "ETH->EUR rate not set": "The ETH to EUR rate has not been set yet.",
+    "Already exists": "This employee is already registered.",
+    "Employee not exists": "This address is not a registered employee.",
+    "Employee not registered": "This address is not a registered employee.",
+    "Employee does not exist": "This address is not a registered employee.",
+    "Not a registered worker": "This address is not a registered employee.",
+    "Length mismatch": "The lists passed to the contract have different lengths.",
+    "Token not supported": "This token is not supported by Payroll yet.",
+    "Token not allowed for you": "This token is not allowed for this employee.",
+    "Already allowed": "This token is already allowed for the employee.",
+    "No allocation for this token": "No monthly allocation is set for this token.",
+    "Exceeds monthly salary": "The allocations add up to more than the monthly salary.",
+    "Can change only every 6 months": "An allocation can only be changed once every 26 weeks.",
+    "Insufficient token balance in contract": "Payroll does not hold enough of this token: top it up first.",
+    "Monthly limit not reached": "The next payout is not due yet: payouts are at least 4 weeks apart.",
+    "Payments are frozen": "Payments are frozen by an admin.",
+    "Use claim in accrual mode": "Payroll is in accrual mode: use Claim instead of Payday.",
+    "Accrual not enabled": "Accrual mode is not enabled.",
+    "Accrual already enabled": "Accrual mode is already enabled.",
+    "Nothing accrued": "Nothing has accrued yet.",
+    "Nothing owed": "No final pay is owed in this token.",
+    "Start in the future": "The accrual start cannot be in the future.",
+    "Import closed": "State import is closed for this contract.",
+    "Import not closed": "This Payroll is still importing the previous version's state: try again once the migration is done.",
+    "Update in the future": "A rate update time cannot be in the future.",
+    "Only previous Payroll": "Only the Payroll version this one was migrated from can fund the campaign escrow.",
+    "Amount > reserve": "The amount exceeds the Payroll ETH reserve.",
+    "Zero ETH": "Send a non-zero amount of ETH.",
+    "Send ETH": "Send some ETH with the transaction.",
+    "ETH transfer failed": "The ETH transfer failed.",
+    "Transfer failed": "The token transfer failed.",
+    "Refund failed": "The refund transfer failed.",
+    "Invalid campaign": "This campaign does not exist.",
+    "Duration must be >0": "The campaign duration must be greater than 0.",
+    "Unsupported reward token": "The reward token is not supported by Payroll.",
+    "Campaign ended": "The campaign has ended.",
+    "Campaign still active": "The campaign is still running.",
+    "Contribution too small (EUR equiv 0)": "The contribution is too small: its EUR value rounds to 0.",
+    "Already finalized": "The campaign is already finalized.",
+    "Not finalized": "The campaign is not finalized yet.",
+    "No contribution": "You did not contribute to this campaign.",
+    "Already claimed": "Already claimed.",
+    "Campaign failed; claim a refund": "The campaign failed: claim a refund instead.",
+    "Campaign succeeded; claim the reward": "The campaign succeeded: claim the reward instead.",
+    // AdminCouncil
+    "Invalid proposal": "This proposal does not exist.",
+    "Already executed": "The proposal has already been executed.",
+    "Proposal cancelled": "The proposal was cancelled.",
+    "Invalid target": "The proposal target is not valid.",
+    "Already approved": "You have already approved this proposal.",
+    "Not enough approvals": "The proposal does not have enough approvals yet.",
+    "Timelock not expired": "The proposal timelock has not expired yet.",
+    "Only the proposer can cancel": "Only the proposer can cancel this proposal.",
+    "Not an admin": "This address is not a council admin.",
+    "Would drop below threshold": "Removing this admin would leave fewer admins than the approval threshold.",
+    "Invalid admin": "The admin address is not valid.",
+    "Already admin": "This address is already a council admin.",
+    "Invalid threshold": "The threshold must be between 1 and the number of admins.",
+    // PrisonFund
+    "Only admin": "Only a council admin can do this.",
+    "Zero contribution": "Send a non-zero amount of ETH.",
+    "Zero amount": "The amount must be greater than 0.",
+    "Insufficient balance": "The PrisonFund balance is too small.",
+    "Invalid payroll": "The Payroll address is not valid.",
+    "Invalid payroll address": "The Payroll address is not valid.",
+    // tokens (OpenZeppelin custom errors)
+    ERC20InsufficientBalance: "The token balance is too low.",
+    ERC20InsufficientAllowance: "The token allowance is too low.",
+    OwnableUnauthorizedAccount: "This account does not own the contract.",
+    // Solidity panics
+    "Panic(0x01)": "Internal error: an assertion failed.",
+    "Panic(0x11)": "Internal error: arithmetic overflow or underflow.",
+    "Panic(0x12)": "Internal error: division by zero.",
+    "Panic(0x21)": "Internal error: invalid enum value.",
+    "Panic(0x32)": "Internal error: array index out of bounds.",
+    "Panic(0x41)": "Internal error: out of memory."
+  }
+};
+
+export default en;
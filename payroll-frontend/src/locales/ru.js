@@ -0,0 +1,624 @@
+// locales/ru.js — русские сообщения; ключи совпадают с locales/en.js
+// Множественное число: { one, few, many, other } (Intl.PluralRules для ru-RU).
+
+const ru = {
+  common: {
+    address: "Адрес",
+    token: "Токен",
+    tokens: "Токены",
+    status: "Статус",
+    loading: "Загрузка...",
+    saving: "Сохранение...",
+    refresh: "Обновить",
+    dayShort: "д"
+  },
+
+  app: {
+    title: "Зарплатная система исправительных работ",
+    wrongNetwork: "Кошелёк подключён к сети {wallet}, а приложение показывает {app}.",
+    switchWallet: "Переключить кошелёк на {network}",
+    switchFailed: "Не удалось переключить кошелёк на {network}.",
+    unknownNetwork: "сеть {id}",
+    network: "Сеть",
+    language: "Язык",
+    connectWallet: "Подключить кошелёк",
+    noMetamask: "MetaMask не найден. Установите MetaMask и попробуйте снова.",
+    connectFailed: "Не удалось подключить кошелёк: {reason}",
+    readOnly: "Только просмотр: подключите кошелёк, чтобы отправлять транзакции",
+    roles: { admin: "Администратор", hr: "Кадры (HR)", oracle: "Оракул" },
+    tabs: {
+      dashboard: "Кабинет",
+      history: "История",
+      campaigns: "Кампании",
+      admin: "Администрирование",
+      roster: "Сотрудники",
+      treasury: "Казна",
+      payslips: "Расчётные листки"
+    },
+    profile: "Ваш рабочий профиль",
+    yearlySalary: "Годовая зарплата:",
+    received: "Уже получено:",
+    payouts: "Доступные выплаты",
+    noTokens: "Администратор ещё не назначил токены для выплат.",
+    notEmployee: "Вы не зарегистрированы как сотрудник. Обратитесь в отдел кадров или к администратору.",
+    claim: "Получение начисленного",
+    finalPay: "Окончательный расчёт",
+    payday: "Выплата"
+  },
+
+  errors: {
+    noDeployment: "Для сети {network} нет развертывания. Сначала запустите для неё scripts/deploy_all.js.",
+    noRpc: "Для сети {network} не настроен RPC-адрес.",
+    noWallet: "Кошелёк не найден. Установите MetaMask, чтобы отправлять транзакции.",
+    wrongNetwork: "Кошелёк подключён к сети {wallet}, а для этого действия нужна {expected}. Сначала переключите кошелёк.",
+    unknownNetwork: "Неизвестная сеть: {network}"
+  },
+
+  validation: {
+    invalidAddress: "{field}: неверный адрес",
+    decimal: "{field}: введите неотрицательное число (не более {decimals} знаков после запятой)",
+    positive: "{field}: значение должно быть больше 0",
+    ethAmount: "{field}: введите сумму в ETH",
+    eurAmount: "{field}: введите сумму в EUR"
+  },
+
+  fields: {
+    employee: "Сотрудник",
+    yearlySalary: "Годовая зарплата",
+    token: "Токен",
+    exchangeRate: "Курс",
+    account: "Аккаунт",
+    recipient: "Получатель",
+    amount: "Сумма",
+    admin: "Администратор",
+    contribution: "Взнос",
+    donation: "Пожертвование",
+    goal: "Цель",
+    maxRateAge: "Максимальный возраст курса",
+    maxRateChange: "Максимальное изменение за обновление"
+  },
+
+  tx: {
+    confirmed: "{label}: подтверждено в блоке {block}",
+    rejectedShort: "отклонено в кошельке",
+    rejected: "{label}: отклонено в кошельке",
+    failed: "{label}: ошибка — {reason}",
+    noReason: "Транзакция не прошла.",
+    dismiss: "Закрыть",
+    pending: {
+      one: "{count} транзакция в ожидании",
+      few: "{count} транзакции в ожидании",
+      many: "{count} транзакций в ожидании",
+      other: "{count} транзакции в ожидании"
+    },
+    nonePending: "Нет ожидающих транзакций",
+    session: { one: "{count} за сеанс", few: "{count} за сеанс", many: "{count} за сеанс", other: "{count} за сеанс" },
+    status: { pending: "в ожидании", mined: "в блоке", failed: "ошибка" },
+    confirmations: {
+      one: "{count} подтверждение",
+      few: "{count} подтверждения",
+      many: "{count} подтверждений",
+      other: "{count} подтверждения"
+    },
+    hash: "Хеш",
+    call: "Вызов",
+    fromTo: "От → кому",
+    value: "Сумма",
+    gas: "Газ",
+    gasEstimate: "оценка {estimate}, лимит {limit}",
+    gasUsed: "израсходовано {used}",
+    sent: "Отправлено",
+    block: "Блок",
+    error: "Ошибка",
+    clear: "Убрать завершённые"
+  },
+
+  csv: {
+    badChecksum: "контрольная сумма адреса не совпадает",
+    invalidAddress: "неверный адрес",
+    zeroAddress: "нулевой адрес",
+    duplicate: "повтор строки {line}",
+    invalidSalary: "зарплата должна быть суммой в EUR (например, 36000 или 36000.50)",
+    zeroSalary: "зарплата должна быть больше 0",
+    unknownToken: "неизвестный токен {token}",
+    tokenTwice: "токен {token} указан дважды"
+  },
+
+  history: {
+    allEvents: "Все события",
+    export: "Экспорт в CSV",
+    everything: "Все события Payroll",
+    recordsFor: "Записи для {account}",
+    sinceBlock: "с блока {block}",
+    count: { one: "{count} запись", few: "{count} записи", many: "{count} записей", other: "{count} записи" },
+    date: "Дата",
+    event: "Событие",
+    account: "Аккаунт",
+    amount: "Сумма",
+    detailsColumn: "Подробности",
+    tx: "Транзакция",
+    events: {
+      PaymentMade: "Выплата",
+      AllocationChanged: "Изменено распределение",
+      EmployeeAdded: "Сотрудник добавлен",
+      EmployeeRemoved: "Сотрудник удалён",
+      TokenSupported: "Токен добавлен",
+      ExchangeRateUpdated: "Курс обновлён",
+      EthToEurRateUpdated: "Курс ETH обновлён",
+      RateLimitsUpdated: "Ограничения курсов изменены",
+      EthReceived: "Получен ETH",
+      EthWithdrawn: "Выведен ETH",
+      CampaignCreated: "Кампания создана",
+      CampaignContribution: "Взнос в кампанию",
+      CampaignFinalized: "Кампания завершена",
+      CampaignRefunded: "Возврат взноса",
+      CampaignRewardClaimed: "Награда за кампанию",
+      RoleUpdated: "Изменена роль"
+    },
+    units: { eurPerMonth: "EUR/мес.", eurPerYear: "EUR/год", eurGoal: "EUR (цель)" },
+    details: {
+      mintable: "выпускаемый",
+      prefunded: "с предоплатой",
+      campaignTitle: "№{id} {title}",
+      contribution: "№{id} ({eur} EUR)",
+      campaignSucceeded: "№{id} успешна",
+      campaignFailed: "№{id} не состоялась",
+      campaign: "№{id}",
+      campaignReward: "№{id}, награда",
+      roleGranted: "{role} выдана",
+      roleRevoked: "{role} отозвана",
+      rateFrom: "было {rate}",
+      rateLimits: "макс. возраст {age} с, макс. изменение {bps} б.п. (0 = выкл.)"
+    }
+  },
+
+  admin: {
+    payments: "Выплаты:",
+    frozen: "ЗАМОРОЖЕНЫ",
+    active: "АКТИВНЫ",
+    ethReserve: "Резерв ETH:",
+    payMode: "Режим выплат:",
+    modeAccrual: "начисление (получение в любой момент)",
+    modeMonthly: "ежемесячно (выплата раз в 4 недели)",
+    enableAccrual: "Включить начисление",
+    allowPayments: "Разрешить выплаты",
+    blockPayments: "Заморозить выплаты",
+    registerEmployee: "Регистрация заключенного",
+    setSalary: "Изменить зарплату",
+    updateSalary: "Обновить зарплату",
+    allowToken: "Разрешить токен",
+    allowTokenTitle: "Разрешить токен сотруднику",
+    removeEmployee: "Удалить сотрудника",
+    addSupportedToken: "Добавить поддерживаемый токен",
+    addToken: "Добавить токен",
+    mintable: "Выпускаемый (токеном владеет Payroll)",
+    updateRate: "Обновить курс",
+    updateRateTitle: "Обновить курс (оракул)",
+    updateRateButton: "Обновить курс",
+    rateLimitsTitle: "Ограничения курсов",
+    rateLimitsCurrent: "Выплаты требуют курса не старше {age}; одно обновление оракула меняет курс не более чем на {change}.",
+    off: "без ограничения",
+    setRateLimits: "Задать ограничения",
+    rolesTitle: "Роли HR / оракула (предложение)",
+    roleHr: "HR — управляет сотрудниками",
+    roleOracle: "ORACLE — задаёт курсы",
+    grantCheckbox: "Выдать (снимите, чтобы отозвать)",
+    proposeRole: "Предложить изменение роли",
+    grantRole: "Выдать роль {role}",
+    revokeRole: "Отозвать роль {role}",
+    claimTitle: "Вывод токенов (предложение)",
+    claimTokenFunds: "Вывод токенов",
+    proposeClaim: "Предложить вывод",
+    withdrawTitle: "Вывод ETH (предложение)",
+    withdrawEth: "Вывод ETH",
+    proposeWithdraw: "Предложить вывод",
+    proposalCreated: "{label}: предложение создано — оно выполнится, когда его одобрит достаточно администраторов.",
+    tokenNotSupported: "Токен пока не поддерживается — сначала добавьте его.",
+    noTokenBalance: "На Payroll нет {symbol}.",
+    exceedsReserve: "Сумма превышает резерв ETH",
+    confirmRemove: "Удалить сотрудника {address}? Его зарплата, распределение и история выплат будут удалены.",
+    confirmGrant: "Предложить выдать роль {role} аккаунту {account}?",
+    confirmRevoke: "Предложить отозвать роль {role} у аккаунта {account}?",
+    confirmFreeze: "Заморозить все выплаты и изменения распределения?",
+    confirmAccrual:
+      "Предложить перевести выплаты на посекундное начисление? Сотрудники смогут получать начисленное в любой момент, а не раз в 4 недели. Отменить это нельзя.",
+    confirmClaim:
+      "Предложить перевести {amount} со счёта Payroll на {to}? Выплаты в этом токене с предоплатой не пройдут, пока баланс не пополнят.",
+    confirmWithdraw: "Предложить отправить {amount} ETH из резерва Payroll на {to}?",
+    noRole: "Подключённый аккаунт {account} не администратор, не HR и не оракул: действия недоступны.",
+    placeholders: {
+      address: "Адрес (0x...)",
+      employee: "Адрес сотрудника (0x...)",
+      yearlySalary: "Годовая зарплата (EUR)",
+      newSalary: "Новая годовая зарплата (EUR)",
+      token: "Адрес токена",
+      rate: "Токенов за 1 EUR (например, 1.08)",
+      newRate: "Новый курс (токенов за 1 EUR, например, 1.08)",
+      account: "Аккаунт (0x...)",
+      recipient: "Получатель (0x...)",
+      ethAmount: "Сумма (ETH)",
+      maxRateAge: "Максимальный возраст курса (часы, 0 = выкл.)",
+      maxRateChange: "Максимальное изменение за обновление (%, 0 = выкл.)"
+    }
+  },
+
+  proposals: {
+    title: "Предложения совета",
+    policy: "Нужно одобрение {threshold} из {count} администраторов, затем timelock {delay} от создания. Администраторы: {admins}",
+    showHistory: "Показывать выполненные и отменённые",
+    none: "Нет ожидающих предложений.",
+    meta: "автор {proposer} · выполнение не раньше {eta}",
+    executed: "выполнено",
+    cancelled: "отменено",
+    waiting: "ждёт одобрений ({approvals}/{threshold})",
+    timelocked: "timelock, осталось {left}",
+    ready: "можно выполнять",
+    approve: "Одобрить",
+    approved: "Одобрено",
+    execute: "Выполнить",
+    cancel: "Отменить",
+    approveLabel: "Одобрение предложения №{id}",
+    executeLabel: "Выполнение предложения №{id}",
+    cancelLabel: "Отмена предложения №{id}",
+    confirmExecute: "Выполнить предложение №{id}: {call}?",
+    confirmCancel: "Отменить предложение №{id}?",
+    addAdmin: "Добавление администратора",
+    removeAdmin: "Удаление администратора",
+    confirmAddAdmin: "Предложить добавить {admin} в совет?",
+    confirmRemoveAdmin: "Предложить исключить {admin} из совета?",
+    changePolicy: "Изменение правил",
+    badThreshold: "Порог: введите целое число одобрений",
+    badDelay: "Timelock: введите целое число секунд",
+    confirmPolicy: "Предложить порог в {threshold} одобрений и timelock {delay} с?",
+    adminPlaceholder: "Адрес администратора (0x...)",
+    remove: "исключить",
+    proposeAdmin: "Предложить изменение состава",
+    thresholdPlaceholder: "Одобрений (сейчас {threshold})",
+    delayPlaceholder: "Timelock, секунд (сейчас {delay})",
+    proposePolicy: "Предложить правила"
+  },
+
+  payrollRun: {
+    title: "Запуск выплат",
+    hint: {
+      one: "Выплачивает все наступившие выплаты всем сотрудникам, {count} сотрудник на транзакцию. Сотрудники, которым ещё рано, пропускаются, как и выплаты, которые не покрывает токен с предоплатой (пополните его и запустите снова), и выплаты в токене с устаревшим курсом (попросите оракула обновить его).",
+      few: "Выплачивает все наступившие выплаты всем сотрудникам, {count} сотрудника на транзакцию. Сотрудники, которым ещё рано, пропускаются, как и выплаты, которые не покрывает токен с предоплатой (пополните его и запустите снова), и выплаты в токене с устаревшим курсом (попросите оракула обновить его).",
+      many: "Выплачивает все наступившие выплаты всем сотрудникам, {count} сотрудников на транзакцию. Сотрудники, которым ещё рано, пропускаются, как и выплаты, которые не покрывает токен с предоплатой (пополните его и запустите снова), и выплаты в токене с устаревшим курсом (попросите оракула обновить его).",
+      other:
+        "Выплачивает все наступившие выплаты всем сотрудникам, {count} сотрудника на транзакцию. Сотрудники, которым ещё рано, пропускаются, как и выплаты, которые не покрывает токен с предоплатой (пополните его и запустите снова), и выплаты в токене с устаревшим курсом (попросите оракула обновить его)."
+    },
+    pageSize: "Сотрудников на транзакцию",
+    noEmployees: "Сотрудники не зарегистрированы.",
+    employees: "Сотрудники",
+    due: "К выплате (проверка)",
+    status: "Статус",
+    transaction: "Транзакция",
+    payments: { one: "{count} выплата", few: "{count} выплаты", many: "{count} выплат", other: "{count} выплаты" },
+    paid: "выплачено: {count}",
+    skippedNotPayable: "пропущено: {count} (недостаточно средств или устаревший курс)",
+    failed: "ошибка",
+    wouldFail: "не пройдёт",
+    states: { pending: "ожидает", running: "выполняется", done: "готово", failed: "ошибка" },
+    progress: "готово страниц: {done} / {count}",
+    paymentsMade: {
+      one: "сделана {count} выплата",
+      few: "сделано {count} выплаты",
+      many: "сделано {count} выплат",
+      other: "сделано {count} выплаты"
+    },
+    skipped: "пропущено: {count}",
+    failedPages: "с ошибкой: {count}",
+    preview: "Проверить",
+    running: "Выполняется...",
+    run: {
+      one: "Запустить {count} страницу",
+      few: "Запустить {count} страницы",
+      many: "Запустить {count} страниц",
+      other: "Запустить {count} страницы"
+    },
+    retry: "Повторить неудачные",
+    startOver: "Начать заново",
+    confirm: {
+      one: "Отправить {count} транзакцию runPayroll?",
+      few: "Отправить {count} транзакции runPayroll?",
+      many: "Отправить {count} транзакций runPayroll?",
+      other: "Отправить {count} транзакции runPayroll?"
+    },
+    label: "Выплаты {from}–{to}",
+    listChanged:
+      "Во время запуска сотрудников добавили или удалили, поэтому оставшиеся страницы не отправлены. При удалении последний сотрудник переходит на освободившееся место, которое могло быть уже пройдено. Начните заново и запустите ещё раз: уже сделанные выплаты повторно не начисляются."
+  },
+
+  onboarding: {
+    title: "Массовая регистрация (CSV)",
+    columns: "Колонки: адрес, годовая зарплата в EUR, разрешённые токены (символы или адреса через «;»).",
+    sample: "Скачать пример",
+    checking: "Проверка {file}...",
+    noRows: "В файле нет строк с сотрудниками.",
+    summary: "новых: {count} · уже зарегистрированы: {registered} · с ошибками: {errors}",
+    line: "Строка",
+    salary: "Зарплата (EUR)",
+    new: "новый",
+    registered: "уже зарегистрирован, пропущен ({salary} EUR",
+    notApplied: "{salary} не применено",
+    fixErrors: "Исправьте строки с ошибками и загрузите файл снова.",
+    confirm: "Зарегистрировать сотрудников: {count}, транзакций: {batches}?",
+    confirmSkipped: {
+      one: "{count} уже зарегистрированная строка будет пропущена.",
+      few: "{count} уже зарегистрированные строки будут пропущены.",
+      many: "{count} уже зарегистрированных строк будут пропущены.",
+      other: "{count} уже зарегистрированной строки будут пропущены."
+    },
+    batchLabel: "Регистрация, пакет {index}/{total}",
+    stopped:
+      "Остановлено, зарегистрировано сотрудников: {count}. Зарегистрированные строки отмечены в предпросмотре; исправьте файл или повторите, чтобы продолжить с остальными.",
+    done: "Зарегистрировано сотрудников: {count}.",
+    progress: "Подтверждено транзакций: {done} / {total}...",
+    register: "Зарегистрировать сотрудников: {count} (транзакций: {batches})"
+  },
+
+  allocation: {
+    title: "Ежемесячное распределение",
+    current: "Сейчас (EUR / мес.)",
+    new: "Новое (EUR / мес.)",
+    lock: "Блокировка",
+    lockedUntil: "Заблокировано до {date}",
+    unlocked: "Можно изменить",
+    total: "Итого:",
+    ofSalary: "из {salary} EUR месячной зарплаты",
+    overBudget: "распределение превышает вашу месячную зарплату.",
+    invalid: "Суммы должны быть неотрицательными значениями в EUR.",
+    save: "Сохранить распределение",
+    saved: "Распределение обновлено. Изменённые токены заблокированы на 26 недель.",
+    label: "Распределение {symbol}"
+  },
+
+  finalPay: {
+    title: "Окончательный расчёт",
+    note: "Заработанное до увольнения не удалось выплатить в тот момент. Вы можете получить его сами.",
+    claim: "Получить {symbol}"
+  },
+
+  payout: {
+    loading: "Загрузка {token}...",
+    wouldRevert: "Контракт отклонит эту выплату.",
+    claimableNow: "Доступно сейчас:",
+    accruing: "Начисляется {eur} EUR / мес. по курсу {rate} {symbol} за EUR",
+    noAllocation: "задайте распределение, чтобы начать начисление",
+    prepaid: "Оплачено последней выплатой до {date}; начисление начнётся после этого",
+    lastClaim: "Последнее получение: {date}",
+    checking: "Проверка...",
+    claimAccrued: "Получить начисленное в {symbol}",
+    next: "Следующая выплата:",
+    claimable: "Доступна:",
+    firstPayout: "сейчас (первая выплата)",
+    claimIn: "Получить выплату в {symbol}"
+  },
+
+  campaigns: {
+    balance: "Баланс:",
+    donate: "Пожертвовать",
+    donatePlaceholder: "Пожертвование (ETH)",
+    transfer: "Перевести в Payroll",
+    transferPlaceholder: "Сумма для перевода в Payroll (ETH)",
+    confirmTransfer: "Перевести {amount} ETH из PrisonFund в резерв Payroll?",
+    exceedsFund: "Сумма превышает баланс PrisonFund",
+    new: "Новая кампания",
+    titlePlaceholder: "Название",
+    goalPlaceholder: "Цель (EUR)",
+    daysPlaceholder: "Длительность (дней)",
+    rewardToken: "Токен награды...",
+    create: "Создать кампанию",
+    titleRequired: "Укажите название",
+    badDuration: "Длительность: введите число дней",
+    selectToken: "Выберите токен награды",
+    none: "Кампаний пока нет.",
+    succeeded: "Успешна",
+    failed: "Не состоялась",
+    ended: "Завершена — ждёт подведения итогов",
+    endsIn: "Завершится через {left}",
+    contributors: {
+      one: "{count} участник",
+      few: "{count} участника",
+      many: "{count} участников",
+      other: "{count} участника"
+    },
+    summary: "награда {symbol} · срок {deadline}",
+    yours: "Ваш взнос: {eur} EUR",
+    contribute: "Внести",
+    contributePlaceholder: "Взнос (ETH)",
+    contributeLabel: "Взнос в №{id}",
+    finalize: "Подвести итоги",
+    finalizeLabel: "Итоги кампании №{id}",
+    confirmSucceeded: "Подвести итоги «{title}»? Участники ({count}) смогут получить награду в {symbol} по сегодняшнему курсу.",
+    confirmFailed: "Признать «{title}» несостоявшейся? Участники смогут вернуть свои ETH.",
+    claimReward: "Получить награду ({amount} {symbol})",
+    claimRewardLabel: "Награда за №{id}",
+    rewardClaimed: "Награда получена",
+    claimRefund: "Вернуть взнос ({amount} ETH)",
+    claimRefundLabel: "Возврат взноса №{id}",
+    refunded: "Взнос возвращён"
+  },
+
+  roster: {
+    search: "Поиск по адресу или токену",
+    count: "{shown} из {count} сотрудников",
+    employee: "Сотрудник",
+    salary: "Годовая зарплата (EUR)",
+    received: "Получено (EUR)",
+    tokens: "Токены: распределение / последняя выплата",
+    lastPayment: "Последняя выплата",
+    perMonth: "{eur} EUR/мес.",
+    neverPaid: "выплат не было"
+  },
+
+  treasury: {
+    loading: "Загрузка казны...",
+    noData: "Нет данных о казне.",
+    burn: "Расход в месяц",
+    reserve: "Резерв ETH в Payroll",
+    escrow: "ETH кампаний на хранении",
+    fund: "Баланс PrisonFund",
+    lowWarning: {
+      one: "Запас меньше {count} дня: {tokens}. Пополните Payroll, пока выплаты не начали отклоняться.",
+      few: "Запас меньше {count} дней: {tokens}. Пополните Payroll, пока выплаты не начали отклоняться.",
+      many: "Запас меньше {count} дней: {tokens}. Пополните Payroll, пока выплаты не начали отклоняться.",
+      other: "Запас меньше {count} дня: {tokens}. Пополните Payroll, пока выплаты не начали отклоняться."
+    },
+    warnBelow: "Предупреждать, если меньше",
+    daysUnit: "дн.",
+    type: "Тип",
+    balance: "Баланс Payroll",
+    runway: "Запас",
+    mintable: "выпускаемый",
+    prefunded: "с предоплатой",
+    unlimited: "без ограничений (выпускаемый)",
+    noBurn: "нет расхода",
+    rate: "Курс (токенов / EUR)",
+    rateSet: "Курс задан",
+    stale: "устарел",
+    staleWarning: "Курс старше максимального возраста: {tokens}. Выплаты в этих токенах отклоняются, пока оракул не обновит курс.",
+    days: { one: "{count} день", few: "{count} дня", many: "{count} дней", other: "{count} дня" }
+  },
+
+  rates: {
+    title: "История курса",
+    none: "Для этого токена обновлений курса нет.",
+    initial: "начальный курс",
+    summary: {
+      one: "{count} обновление · текущий курс {rate} {symbol}/EUR, задан {date}",
+      few: "{count} обновления · текущий курс {rate} {symbol}/EUR, задан {date}",
+      many: "{count} обновлений · текущий курс {rate} {symbol}/EUR, задан {date}",
+      other: "{count} обновления · текущий курс {rate} {symbol}/EUR, задан {date}"
+    },
+    staleSince: "устарел с {date}",
+    freshUntil: "действителен для выплат до {date}"
+  },
+
+  payslip: {
+    employeePlaceholder: "Адрес сотрудника (0x...)",
+    enterEmployee: "Введите адрес сотрудника, чтобы сформировать расчётный листок.",
+    badPeriod: "Начало периода не может быть позже его конца.",
+    from: "С",
+    to: "По",
+    presets: { thisMonth: "Этот месяц", lastMonth: "Прошлый месяц", thisYear: "Этот год" },
+    print: "Печать / сохранить в PDF",
+    title: "Расчётный листок",
+    period: "Период: {from} – {to}",
+    employee: "Сотрудник",
+    salary: "Годовая зарплата",
+    perMonth: "{eur} EUR / мес.",
+    payroll: "Контракт Payroll",
+    generated: "Сформирован",
+    date: "Дата",
+    amount: "Сумма",
+    rate: "Курс (токенов / EUR)",
+    eur: "Эквивалент в EUR",
+    tx: "Транзакция",
+    none: "Выплат за этот период нет.",
+    periodTotal: "Итого за период",
+    ytd: "С начала года ({from} – {to})",
+    rateNote: "Эквиваленты в EUR рассчитаны по курсу, записанному в контракте Payroll в блоке каждой выплаты.",
+    estimatedNote: "Узел не хранит историческое состояние для этой выплаты; она оценена по текущему курсу."
+  },
+
+  // Пояснения к причинам отката транзакций; ключи — точные сообщения require,
+  // коды "Panic(0x..)" и имена custom errors (см. txErrors.js)
+  reverts: {
+    // Payroll
+    "Only Admin": "Это может сделать только администратор Payroll.",
+    "Only Oracle": "Это может сделать только оракул курсов.",
+    "Only HR": "Это может сделать только сотрудник отдела кадров (HR).",
+    "Only via council proposal": "Для этого действия нужно одобренное предложение совета.",
+    "Unknown role": "Неизвестная роль.",
+    "Invalid address": "Неверный адрес.",
+    "Invalid account": "Неверный адрес аккаунта.",
+    "Invalid employee": "Неверный адрес сотрудника.",
+    "Invalid token": "Неверный адрес токена.",
+    "Invalid oracle": "Неверный адрес оракула.",
+    "Invalid council": "Неверный адрес совета.",
+    "Invalid to": "Неверный адрес получателя.",
+    "Invalid rate": "Неверный курс.",
+    "Rate must be >0": "Курс должен быть больше 0.",
+    "Rate change too large": "Новый курс отличается от текущего больше, чем допускает одно обновление. Меняйте его меньшими шагами или попросите администратора заново добавить токен.",
+    "Exchange rate is stale": "Курс токена старше максимального возраста. Выплаты в этом токене возобновятся после обновления курса оракулом.",
+    "ETH->EUR rate not set": "Курс ETH к EUR ещё не задан.",
+    "Already exists": "Этот сотрудник уже зарегистрирован.",
+    "Employee not exists": "Этот адрес не зарегистрирован как сотрудник.",
+    "Employee not registered": "Этот адрес не зарегистрирован как сотрудник.",
+    "Employee does not exist": "Этот адрес не зарегистрирован как сотрудник.",
+    "Not a registered worker": "Этот адрес не зарегистрирован как сотрудник.",
+    "Length mismatch": "Переданные контракту списки разной длины.",
+    "Token not supported": "Payroll пока не поддерживает этот токен.",
+    "Token not allowed for you": "Этот токен не разрешён сотруднику.",
+    "Already allowed": "Этот токен уже разрешён сотруднику.",
+    "No allocation for this token": "Для этого токена не задано ежемесячное распределение.",
+    "Exceeds monthly salary": "Сумма распределения превышает месячную зарплату.",
+    "Can change only every 6 months": "Распределение можно менять не чаще раза в 26 недель.",
+    "Insufficient token balance in contract": "На Payroll недостаточно этого токена: сначала пополните баланс.",
+    "Monthly limit not reached": "Следующая выплата ещё не наступила: между выплатами не меньше 4 недель.",
+    "Payments are frozen": "Выплаты заморожены администратором.",
+    "Use claim in accrual mode": "Payroll работает в режиме начисления: используйте получение начисленного вместо выплаты.",
+    "Accrual not enabled": "Режим начисления не включён.",
+    "Accrual already enabled": "Режим начисления уже включён.",
+    "Nothing accrued": "Пока ничего не начислено.",
+    "Nothing owed": "В этом токене окончательный расчёт не причитается.",
+    "Start in the future": "Начало начисления не может быть в будущем.",
+    "Import closed": "Импорт состояния для этого контракта закрыт.",
+    "Import not closed": "Payroll ещё импортирует состояние предыдущей версии: повторите после завершения миграции.",
+    "Update in the future": "Время обновления курса не может быть в будущем.",
+    "Only previous Payroll": "Пополнить эскроу кампаний может только версия Payroll, с которой выполнена миграция.",
+    "Amount > reserve": "Сумма превышает резерв ETH в Payroll.",
+    "Zero ETH": "Отправьте ненулевую сумму ETH.",
+    "Send ETH": "Приложите к транзакции ETH.",
+    "ETH transfer failed": "Перевод ETH не прошёл.",
+    "Transfer failed": "Перевод токенов не прошёл.",
+    "Refund failed": "Возврат средств не прошёл.",
+    "Invalid campaign": "Такой кампании нет.",
+    "Duration must be >0": "Длительность кампании должна быть больше 0.",
+    "Unsupported reward token": "Payroll не поддерживает этот токен награды.",
+    "Campaign ended": "Кампания завершена.",
+    "Campaign still active": "Кампания ещё идёт.",
+    "Contribution too small (EUR equiv 0)": "Взнос слишком мал: в EUR он округляется до 0.",
+    "Already finalized": "Итоги кампании уже подведены.",
+    "Not finalized": "Итоги кампании ещё не подведены.",
+    "No contribution": "Вы не вносили средства в эту кампанию.",
+    "Already claimed": "Уже получено.",
+    "Campaign failed; claim a refund": "Кампания не состоялась: запросите возврат взноса.",
+    "Campaign succeeded; claim the reward": "Кампания успешна: получите награду.",
+    // AdminCouncil
+    "Invalid proposal": "Такого предложения нет.",
+    "Already executed": "Предложение уже выполнено.",
+    "Proposal cancelled": "Предложение отменено.",
+    "Invalid target": "Неверный адресат предложения.",
+    "Already approved": "Вы уже одобрили это предложение.",
+    "Not enough approvals": "У предложения пока недостаточно одобрений.",
+    "Timelock not expired": "Timelock предложения ещё не истёк.",
+    "Only the proposer can cancel": "Отменить предложение может только его автор.",
+    "Not an admin": "Этот адрес не входит в совет.",
+    "Would drop below threshold": "Без этого администратора их станет меньше порога одобрений.",
+    "Invalid admin": "Неверный адрес администратора.",
+    "Already admin": "Этот адрес уже входит в совет.",
+    "Invalid threshold": "Порог должен быть от 1 до числа администраторов.",
+    // PrisonFund
+    "Only admin": "Это может сделать только администратор совета.",
+    "Zero contribution": "Отправьте ненулевую сумму ETH.",
+    "Zero amount": "Сумма должна быть больше 0.",
+    "Insufficient balance": "Баланса PrisonFund недостаточно.",
+    "Invalid payroll": "Неверный адрес Payroll.",
+    "Invalid payroll address": "Неверный адрес Payroll.",
+    // токены (custom errors OpenZeppelin)
+    ERC20InsufficientBalance: "Недостаточный баланс токена.",
+    ERC20InsufficientAllowance: "Недостаточное разрешение (allowance) на токен.",
+    OwnableUnauthorizedAccount: "Этот аккаунт не владеет контрактом.",
+    // panic-коды Solidity
+    "Panic(0x01)": "Внутренняя ошибка: не выполнено утверждение (assert).",
+    "Panic(0x11)": "Внутренняя ошибка: арифметическое переполнение.",
+    "Panic(0x12)": "Внутренняя ошибка: деление на ноль.",
+    "Panic(0x21)": "Внутренняя ошибка: недопустимое значение enum.",
+    "Panic(0x32)": "Внутренняя ошибка: индекс массива вне границ.",
+    "Panic(0x41)": "Внутренняя ошибка: недостаточно памяти."
+  }
+};
+
+export default ru;
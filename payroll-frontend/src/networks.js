@@ -0,0 +1,79 @@
+// networks.js — chains the app can show, and switching the wallet between them
+import { ethers } from "ethers";
+import { LocalizedError } from "./i18n";
+
+/*
+  Each network needs a deployment manifest (public/deployments/<chainId>.json,
+  written by scripts/deploy_all.js) for its contract addresses. rpcUrl serves
+  read-only browsing without a wallet and is offered to the wallet by
+  wallet_addEthereumChain. More chains can be added at build time with
+  REACT_APP_NETWORKS, a JSON array of entries shaped like the ones below.
+*/
+const ETH = { name: "Ether", symbol: "ETH", decimals: 18 };
+
+const BUILT_IN = [
+  {
+    chainId: 31337,
+    name: "Hardhat (localhost)",
+    rpcUrl: process.env.REACT_APP_HARDHAT_URL || "http://127.0.0.1:8545",
+    currency: ETH,
+    explorerUrl: null
+  },
+  {
+    chainId: 11155111,
+    name: "Sepolia",
+    rpcUrl: process.env.REACT_APP_SEPOLIA_URL || "https://ethereum-sepolia-rpc.publicnode.com",
+    currency: { ...ETH, name: "Sepolia Ether" },
+    explorerUrl: "https://sepolia.etherscan.io"
+  }
+];
+
+function configuredNetworks() {
+  if (!process.env.REACT_APP_NETWORKS) return [];
+  try {
+    return JSON.parse(process.env.REACT_APP_NETWORKS).map((n) => ({ currency: ETH, explorerUrl: null, ...n, chainId: Number(n.chainId) }));
+  } catch (err) {
+    console.error("REACT_APP_NETWORKS is not valid JSON:", err);
+    return [];
+  }
+}
+
+// configured entries replace built-in ones with the same chainId
+export const NETWORKS = [...configuredNetworks(), ...BUILT_IN].filter(
+  (n, i, all) => all.findIndex((m) => m.chainId === n.chainId) === i
+);
+
+export const DEFAULT_CHAIN_ID = Number(process.env.REACT_APP_CHAIN_ID || 31337);
+
+// `chainId` may be a number or a hex string as returned by eth_chainId
+export const findNetwork = (chainId) => NETWORKS.find((n) => n.chainId === Number(chainId)) || null;
+
+export const networkName = (chainId) => findNetwork(chainId)?.name || `chain ${Number(chainId)}`;
+
+/**
+ * Asks the wallet to switch to `chainId`, adding the chain first when the
+ * wallet does not know it yet (error 4902).
+ */
+export async function switchWalletNetwork(chainId) {
+  const network = findNetwork(chainId);
+  if (!network) throw new LocalizedError("errors.unknownNetwork", { network: chainId });
+  const hexId = ethers.toQuantity(network.chainId);
+  try {
+    await window.ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId: hexId }] });
+  } catch (err) {
+    const code = err?.code ?? err?.data?.originalError?.code;
+    if (code !== 4902) throw err;
+    await window.ethereum.request({
+      method: "wallet_addEthereumChain",
+      params: [
+        {
+          chainId: hexId,
+          chainName: network.name,
+          rpcUrls: [network.rpcUrl],
+          nativeCurrency: network.currency,
+          ...(network.explorerUrl ? { blockExplorerUrls: [network.explorerUrl] } : {})
+        }
+      ]
+    });
+  }
+}
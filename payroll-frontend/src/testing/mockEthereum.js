@@ -0,0 +1,421 @@
+// mockEthereum.js — an in-memory chain behind a mock EIP-1193 wallet, for component tests
+import { ethers, FetchRequest } from "ethers";
+import { findNetwork } from "../networks";
+
+/*
+  MockChain answers the JSON-RPC calls the app makes, both from the wallet
+  (window.ethereum) and from the read provider (networks.js rpcUrl, served
+  through ethers' FetchRequest hook instead of HTTP). Contracts are an ABI
+  plus JS handlers: `handler(ctx, ...args)` returns the outputs (an array when
+  there are several) or stops with ctx.revert(reason). ctx holds
+  { state, from, value, now, emit(event, ...args), revert(reason) }; `state`
+  is one plain object shared by every contract (no classes or Maps, so it can
+  be copied). Functions without a handler return zero values.
+
+  Calls and gas estimates run on a copy of the state. A transaction runs on a
+  copy too, which replaces the state once it succeeds, and is mined in a block
+  of its own; a reverting one is refused when sent, like on an automining
+  Hardhat node. Reads at old blocks see the current state.
+*/
+
+const GAS = 100000n;
+const START_TIME = 1767225600; // 2026-01-01T00:00:00Z
+const ZERO_HASH = ethers.ZeroHash;
+
+// JSON-RPC error as returned by the node / wallet ({ code, message, data })
+export class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    if (data !== undefined) this.data = data;
+  }
+}
+
+class Revert extends Error {}
+
+const revertData = (reason) =>
+  ethers.concat(["0x08c379a0", ethers.AbiCoder.defaultAbiCoder().encode(["string"], [reason])]);
+
+// Deep copy of plain objects and arrays; bigint, string and boolean leaves are shared
+const copy = (value) => {
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, copy(v)]));
+  return value;
+};
+
+// Zero value of an ABI output, for functions without a handler
+function zeroValue(param) {
+  if (param.baseType === "array") return [];
+  if (param.baseType === "tuple") return param.components.map(zeroValue);
+  if (param.baseType === "address") return ethers.ZeroAddress;
+  if (param.baseType === "bool") return false;
+  if (param.baseType === "string") return "";
+  if (param.type === "bytes") return "0x";
+  if (param.type.startsWith("bytes")) return ethers.zeroPadValue("0x", Number(param.type.slice(5)));
+  return 0n;
+}
+
+const quantity = (n) => ethers.toQuantity(n);
+
+export class MockChain {
+  constructor({ chainId = 31337, state = {} } = {}) {
+    this.chainId = chainId;
+    this.state = state;
+    this.contracts = {}; // address -> { name, iface, handlers }
+    this.blocks = [];
+    this.transactions = {}; // hash -> { tx, receipt }
+    this.logs = [];
+    this.nonces = {};
+    this.calls = []; // decoded eth_calls: { contract, method, args, from }
+    this.sent = []; // decoded transactions: { contract, method, args, from, value }
+    this.timeOffset = 0;
+    this.#mine([]);
+  }
+
+  /** Adds a contract at `address`; `handlers` maps function names to handler(ctx, ...args). */
+  deploy(name, address, abi, handlers = {}) {
+    this.contracts[ethers.getAddress(address)] = { name, iface: new ethers.Interface(abi), handlers };
+    return this;
+  }
+
+  /** Moves the time of the next block forward, like evm_increaseTime. */
+  increaseTime(seconds) {
+    this.timeOffset += seconds;
+  }
+
+  get latest() {
+    return this.blocks[this.blocks.length - 1];
+  }
+
+  // timestamp of the block the next transaction lands in (calls see the same time)
+  nextTimestamp() {
+    return Math.max(this.latest ? this.latest.timestamp + 1 : START_TIME, START_TIME + this.blocks.length + this.timeOffset);
+  }
+
+  #mine(hashes) {
+    const number = this.blocks.length;
+    const block = {
+      number,
+      hash: ethers.id(`block-${number}`),
+      parentHash: this.latest ? this.latest.hash : ZERO_HASH,
+      timestamp: this.nextTimestamp(),
+      transactions: hashes
+    };
+    this.blocks.push(block);
+    return block;
+  }
+
+  // Runs `tx` against `state`: { result, logs } or throws Revert
+  #execute(tx, state) {
+    const to = tx.to ? ethers.getAddress(tx.to) : null;
+    const contract = to && this.contracts[to];
+    const data = tx.data ?? tx.input ?? "0x";
+    if (!contract || data === "0x") return { result: "0x", logs: [], call: null };
+
+    const fragment = contract.iface.getFunction(ethers.dataSlice(data, 0, 4));
+    if (!fragment) throw new Revert("");
+    const args = contract.iface.decodeFunctionData(fragment, data);
+    const logs = [];
+    const ctx = {
+      state,
+      from: tx.from ? ethers.getAddress(tx.from) : ethers.ZeroAddress,
+      value: ethers.toBigInt(tx.value ?? 0),
+      now: this.nextTimestamp(),
+      emit: (event, ...eventArgs) => logs.push({ address: to, ...contract.iface.encodeEventLog(event, eventArgs) }),
+      revert: (reason) => {
+        throw new Revert(reason);
+      }
+    };
+    const handler = contract.handlers[fragment.name];
+    const output = handler ? handler(ctx, ...args) : fragment.outputs.map(zeroValue);
+    const values = !handler || fragment.outputs.length !== 1 ? output ?? [] : [output];
+    return {
+      result: contract.iface.encodeFunctionResult(fragment, values),
+      logs,
+      call: { contract: contract.name, method: fragment.name, args: [...args] }
+    };
+  }
+
+  // Runs `tx` on a copy of the state, turning a revert into the node's error
+  #dryRun(tx, state = copy(this.state)) {
+    try {
+      return { state, ...this.#execute(tx, state) };
+    } catch (err) {
+      if (!(err instanceof Revert)) throw err;
+      const reason = err.message;
+      throw new RpcError(3, reason ? `execution reverted: ${reason}` : "execution reverted", reason ? revertData(reason) : "0x");
+    }
+  }
+
+  #sendTransaction(tx) {
+    const from = ethers.getAddress(tx.from);
+    const { state, logs, call } = this.#dryRun(tx);
+    this.state = state;
+
+    const nonce = this.nonces[from] || 0;
+    this.nonces[from] = nonce + 1;
+    const hash = ethers.id(`tx-${from}-${nonce}`);
+    const block = this.#mine([hash]);
+    const where = { blockNumber: quantity(block.number), blockHash: block.hash, transactionIndex: "0x0" };
+
+    const receiptLogs = logs.map((log, i) => ({
+      ...where,
+      address: log.address,
+      topics: log.topics,
+      data: log.data,
+      transactionHash: hash,
+      logIndex: quantity(this.logs.length + i),
+      removed: false
+    }));
+    this.logs.push(...receiptLogs);
+    this.transactions[hash] = {
+      tx: {
+        ...where,
+        hash,
+        type: "0x0",
+        from,
+        to: tx.to ? ethers.getAddress(tx.to) : null,
+        nonce: quantity(nonce),
+        gas: tx.gas ?? quantity(GAS),
+        gasPrice: "0x1",
+        value: tx.value ?? "0x0",
+        input: tx.data ?? tx.input ?? "0x",
+        chainId: quantity(this.chainId),
+        v: "0x1b",
+        r: ethers.id("r"),
+        s: ethers.zeroPadValue("0x01", 32)
+      },
+      receipt: {
+        ...where,
+        transactionHash: hash,
+        from,
+        to: tx.to ? ethers.getAddress(tx.to) : null,
+        contractAddress: null,
+        cumulativeGasUsed: quantity(GAS),
+        gasUsed: quantity(GAS),
+        effectiveGasPrice: "0x1",
+        logs: receiptLogs,
+        logsBloom: ethers.zeroPadValue("0x", 256),
+        status: "0x1",
+        type: "0x0"
+      }
+    };
+    if (call) this.sent.push({ ...call, from, value: ethers.toBigInt(tx.value ?? 0) });
+    return hash;
+  }
+
+  #blockByTag(tag) {
+    if (tag === "latest" || tag === "pending" || tag === "safe" || tag === "finalized") return this.latest;
+    if (tag === "earliest") return this.blocks[0];
+    return this.blocks[Number(tag)] || null;
+  }
+
+  #formatBlock(block) {
+    if (!block) return null;
+    return {
+      number: quantity(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: quantity(block.timestamp),
+      nonce: "0x0000000000000000",
+      difficulty: "0x0",
+      gasLimit: quantity(30000000),
+      gasUsed: quantity(block.transactions.length ? GAS : 0n),
+      miner: ethers.ZeroAddress,
+      extraData: "0x",
+      baseFeePerGas: "0x1",
+      transactions: block.transactions
+    };
+  }
+
+  #getLogs({ fromBlock = "earliest", toBlock = "latest", address, topics = [] }) {
+    const from = this.#blockByTag(fromBlock)?.number ?? 0;
+    const to = this.#blockByTag(toBlock)?.number ?? this.latest.number;
+    const addresses = address ? [address].flat().map((a) => a.toLowerCase()) : null;
+    const matches = (want, have) =>
+      want == null || [want].flat().some((topic) => topic.toLowerCase() === (have || "").toLowerCase());
+    return this.logs.filter((log) => {
+      const block = Number(log.blockNumber);
+      return (
+        block >= from &&
+        block <= to &&
+        (!addresses || addresses.includes(log.address.toLowerCase())) &&
+        topics.every((want, i) => matches(want, log.topics[i]))
+      );
+    });
+  }
+
+  /** Answers one JSON-RPC request (throws RpcError like a node would). */
+  async request(method, params = []) {
+    switch (method) {
+      case "eth_chainId":
+        return quantity(this.chainId);
+      case "net_version":
+        return String(this.chainId);
+      case "eth_blockNumber":
+        return quantity(this.latest.number);
+      case "eth_getBlockByNumber":
+        return this.#formatBlock(this.#blockByTag(params[0]));
+      case "eth_getBlockByHash":
+        return this.#formatBlock(this.blocks.find((b) => b.hash === params[0]));
+      case "eth_call": {
+        const { result, call } = this.#dryRun(params[0]);
+        if (call) this.calls.push({ ...call, from: params[0].from ? ethers.getAddress(params[0].from) : null });
+        return result;
+      }
+      case "eth_estimateGas":
+        this.#dryRun(params[0]);
+        return quantity(GAS);
+      case "eth_sendTransaction":
+        return this.#sendTransaction(params[0]);
+      case "eth_getTransactionByHash":
+        return this.transactions[params[0]]?.tx ?? null;
+      case "eth_getTransactionReceipt":
+        return this.transactions[params[0]]?.receipt ?? null;
+      case "eth_getTransactionCount":
+        return quantity(this.nonces[ethers.getAddress(params[0])] || 0);
+      case "eth_getLogs":
+        return this.#getLogs(params[0]);
+      case "eth_getBalance":
+        return "0x0";
+      case "eth_getCode":
+        return this.contracts[ethers.getAddress(params[0])] ? "0x00" : "0x";
+      case "eth_gasPrice":
+      case "eth_maxPriorityFeePerGas":
+        return "0x1";
+      default:
+        throw new RpcError(-32601, `Method ${method} is not supported by the mock chain`);
+    }
+  }
+}
+
+/*
+  window.ethereum of a wallet holding `accounts` (the first one is selected),
+  on `chainId` and knowing `chains` for wallet_switchEthereumChain (others
+  fail with 4902 until wallet_addEthereumChain). Transactions are signed
+  without a prompt unless `rejectNext()` was called. Account and network
+  changes fire accountsChanged / chainChanged like MetaMask.
+*/
+export class MockWallet {
+  constructor(chain, { accounts = [], chainId = chain.chainId, chains = [chain.chainId] } = {}) {
+    this.chain = chain;
+    this.accounts = accounts.map((a) => ethers.getAddress(a));
+    this.chainId = chainId;
+    this.chains = new Set([...chains, chainId]);
+    this.connected = false;
+    this.rejecting = false;
+    this.listeners = {};
+    this.requests = []; // method names, in order
+  }
+
+  on(event, listener) {
+    (this.listeners[event] ||= []).push(listener);
+    return this;
+  }
+
+  removeListener(event, listener) {
+    this.listeners[event] = (this.listeners[event] || []).filter((l) => l !== listener);
+    return this;
+  }
+
+  emit(event, payload) {
+    (this.listeners[event] || []).forEach((listener) => listener(payload));
+  }
+
+  /** Selects another account, as if the user picked it in the wallet. */
+  switchAccount(address) {
+    const account = ethers.getAddress(address);
+    this.accounts = [account, ...this.accounts.filter((a) => a !== account)];
+    this.emit("accountsChanged", this.connected ? [...this.accounts] : []);
+  }
+
+  /** Moves the wallet to `chainId`, as if the user switched networks in the wallet. */
+  switchChain(chainId) {
+    this.chainId = Number(chainId);
+    this.chains.add(this.chainId);
+    this.emit("chainChanged", quantity(this.chainId));
+  }
+
+  /** The user rejects the next signature request. */
+  rejectNext() {
+    this.rejecting = true;
+  }
+
+  async request({ method, params = [] }) {
+    this.requests.push(method);
+    switch (method) {
+      case "eth_requestAccounts":
+        this.connected = true;
+        return [...this.accounts];
+      case "eth_accounts":
+        return this.connected ? [...this.accounts] : [];
+      case "eth_chainId":
+        return quantity(this.chainId);
+      case "wallet_switchEthereumChain": {
+        const chainId = Number(params[0].chainId);
+        if (!this.chains.has(chainId)) throw new RpcError(4902, `Unrecognized chain ID ${params[0].chainId}`);
+        this.switchChain(chainId);
+        return null;
+      }
+      case "wallet_addEthereumChain":
+        this.switchChain(params[0].chainId);
+        return null;
+      case "eth_sendTransaction":
+        if (this.rejecting) {
+          this.rejecting = false;
+          throw new RpcError(4001, "User rejected the request.");
+        }
+        if (!this.connected || ethers.getAddress(params[0].from) !== this.accounts[0]) {
+          throw new RpcError(4100, "The requested account has not been authorized by the user.");
+        }
+        if (this.chainId !== this.chain.chainId) throw new RpcError(-32603, `Wallet is on chain ${this.chainId}`);
+        return this.chain.request(method, params);
+      default:
+        return this.chain.request(method, params);
+    }
+  }
+}
+
+/**
+ * Points the app at `chain`: `wallet` (if any) becomes window.ethereum, the
+ * deployment manifest of chain.chainId is served to loadDeployment() and the
+ * network's rpcUrl is answered by the chain. Returns the undo function.
+ */
+export function installMockEthereum({ chain, wallet, manifest }) {
+  const rpcUrl = findNetwork(chain.chainId).rpcUrl;
+  const previousFetch = window.fetch;
+
+  if (wallet) window.ethereum = wallet;
+  window.fetch = async (url) => {
+    const found = String(url).endsWith(`/deployments/${chain.chainId}.json`);
+    return { ok: found, status: found ? 200 : 404, json: async () => manifest };
+  };
+
+  const answer = async ({ id, method, params }) => {
+    try {
+      return { jsonrpc: "2.0", id, result: await chain.request(method, params) };
+    } catch (err) {
+      if (!(err instanceof RpcError)) throw err;
+      return { jsonrpc: "2.0", id, error: { code: err.code, message: err.message, data: err.data } };
+    }
+  };
+  FetchRequest.registerGetUrl(async (req) => {
+    if (req.url !== rpcUrl) {
+      return { statusCode: 503, statusMessage: "Service Unavailable", headers: {}, body: new Uint8Array() };
+    }
+    const payload = JSON.parse(ethers.toUtf8String(req.body));
+    const body = Array.isArray(payload) ? await Promise.all(payload.map(answer)) : await answer(payload);
+    return {
+      statusCode: 200,
+      statusMessage: "OK",
+      headers: { "content-type": "application/json" },
+      body: ethers.toUtf8Bytes(JSON.stringify(body))
+    };
+  });
+
+  return () => {
+    delete window.ethereum;
+    window.fetch = previousFetch;
+    FetchRequest.registerGetUrl(FetchRequest.createGetUrlFunc());
+  };
+}
@@ -0,0 +1,298 @@
+// payrollChain.js — a small Payroll deployment on MockChain, for component tests
+import { ethers } from "ethers";
+import { HR_ROLE, ORACLE_ROLE, PAYOUT_INTERVAL_SECONDS } from "../constants";
+import { MockChain } from "./mockEthereum";
+
+/*
+  The contracts as the frontend sees them: the ABI fragments it calls and a
+  JS model of the rules those calls depend on (roles, registration, exchange
+  rates and their safeguards, monthly paydays, final pay on removal), with the
+  contracts' revert messages. Everything else answers with zero values. The state starts with
+  one registered employee paid 3 000 EUR a month in EURT at 1 EURT/EUR, and
+  a Payroll holding 10 000 EURT.
+*/
+
+// Hardhat's default accounts and the addresses scripts/deploy_all.js deploys to
+export const ACCOUNTS = {
+  admin: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
+  hr: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+  oracle: "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC",
+  employee: "0x90F79bf6EB2c4f870365E785982E1f101E93b906",
+  outsider: "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65"
+};
+
+export const ADDRESSES = {
+  AdminCouncil: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+  Payroll: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+  PrisonFund: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0",
+  EURToken: "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9",
+  USDToken: "0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9"
+};
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)"
+];
+
+const PAYROLL_ABI = [
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function paymentsState() view returns (uint8)",
+  "function payMode() view returns (uint8)",
+  "function accrualStartTime() view returns (uint256)",
+  "function ethReserveWei() view returns (uint256)",
+  "function campaignEscrowWei() view returns (uint256)",
+  "function maxRateAge() view returns (uint256)",
+  "function maxRateChangeBps() view returns (uint256)",
+  "function supportedTokens(address token) view returns (address id, uint256 exchangeRate, bool mintable, uint8 decimals, uint256 rateUpdatedAt)",
+  "function isRateFresh(address token) view returns (bool)",
+  "function getEmployee(address employee) view returns (uint256, uint256, address[])",
+  "function getEmployeeCount() view returns (uint256)",
+  "function employeeListNonce() view returns (uint256)",
+  "function getEmployeeAddresses(uint256 offset, uint256 limit) view returns (address[])",
+  "function getEmployeePayment(address employee, address token) view returns (uint256, uint256, uint256, uint256)",
+  "function claimableEUR(address employee, address token) view returns (uint256)",
+  "function eurToToken(address token, uint256 amountEUR) view returns (uint256)",
+  "function finalPayEUR(address employee, address token) view returns (uint256)",
+  "function addEmployee(address employee, uint256 yearlyEURSalary)",
+  "function removeEmployee(address employee)",
+  "function setExchangeRate(address token, uint256 newRate)",
+  "function payday(address token)",
+  "function claim(address token)",
+  "function claimFinalPay(address token)",
+  "function runPayroll(uint256 offset, uint256 limit) returns (uint256)",
+  "event EmployeeAdded(address indexed employee, uint256 salary)",
+  "event EmployeeRemoved(address indexed employee)",
+  "event PaymentMade(address indexed employee, address token, uint256 amount)",
+  "event AllocationChanged(address indexed employee, address token, uint256 amount)",
+  "event TokenSupported(address indexed token, uint256 exchangeRate, bool mintable)",
+  "event ExchangeRateUpdated(address indexed token, uint256 oldRate, uint256 newRate)",
+  "event EthToEurRateUpdated(uint256 oldRate, uint256 newRate)",
+  "event RateLimitsUpdated(uint256 maxRateAge, uint256 maxRateChangeBps)",
+  "event EthReceived(address indexed from, uint256 amountWei)",
+  "event CampaignCreated(uint256 indexed campaignId, string title, uint256 goalEUR, uint256 deadline, address rewardToken)",
+  "event CampaignContribution(uint256 indexed campaignId, address indexed contributor, uint256 eurAmount, uint256 weiAmount)",
+  "event CampaignFinalized(uint256 indexed campaignId, bool success)",
+  "event CampaignRefunded(uint256 indexed campaignId, address indexed contributor, uint256 weiAmount)",
+  "event CampaignRewardClaimed(uint256 indexed campaignId, address indexed contributor, address token, uint256 tokenAmount)",
+  "event EthWithdrawn(address indexed to, uint256 amountWei)",
+  "event RoleUpdated(bytes32 indexed role, address indexed account, bool enabled)",
+  "event PayrollRun(uint256 offset, uint256 employees, uint256 payments)",
+  "event PaymentSkipped(address indexed employee, address token, uint256 amountEUR)",
+  "event FinalPayOwed(address indexed employee, address token, uint256 amountEUR)"
+];
+
+const COUNCIL_ABI = [
+  "function isAdmin(address account) view returns (bool)",
+  "function getAdmins() view returns (address[])",
+  "function threshold() view returns (uint256)",
+  "function delay() view returns (uint256)",
+  "function getProposalCount() view returns (uint256)",
+  "function getProposal(uint256 proposalId) view returns (address target, bytes data, address proposer, uint256 eta, uint256 approvalCount, bool executed, bool cancelled)",
+  "function approvedBy(uint256 proposalId, address admin) view returns (bool)",
+  "function propose(address target, bytes data, string description) returns (uint256)",
+  "event ProposalCreated(uint256 indexed proposalId, address indexed proposer, address target, bytes data, uint256 eta, string description)"
+];
+
+const EUR = (n) => ethers.parseUnits(String(n), 18);
+const RATE_SCALE = 10n ** 36n; // EUR_DECIMALS + RATE_DECIMALS
+
+function initialState() {
+  const { EURToken, USDToken, Payroll } = ADDRESSES;
+  return {
+    admins: [ACCOUNTS.admin],
+    roles: { [HR_ROLE]: [ACCOUNTS.hr], [ORACLE_ROLE]: [ACCOUNTS.oracle] },
+    paymentsState: 0, // Allowed
+    payMode: 0, // Monthly
+    maxRateAge: 0n,
+    maxRateChangeBps: 0n,
+    tokens: {
+      [EURToken]: { symbol: "EURT", decimals: 18, exchangeRate: EUR(1), mintable: false, rateUpdatedAt: 0 },
+      [USDToken]: { symbol: "USDT", decimals: 6, exchangeRate: EUR("1.08"), mintable: true, rateUpdatedAt: 0 }
+    },
+    employees: {
+      [ACCOUNTS.employee]: {
+        salary: EUR(36000),
+        received: 0n,
+        tokens: [EURToken],
+        payments: { [EURToken]: { monthly: EUR(3000), lastAllocationTime: 0, lastPaymentTime: 0 } }
+      }
+    },
+    balances: { [EURToken]: { [Payroll]: EUR(10000) }, [USDToken]: {} },
+    employeeListNonce: 0n,
+    finalPay: {} // employee -> token -> EUR, see removeEmployee
+  };
+}
+
+const hasRole = (state, role, account) => (state.roles[role] || []).includes(account);
+const isAdmin = (state, account) => state.admins.includes(account);
+const isFresh = (state, token, now) =>
+  state.maxRateAge === 0n || ethers.toBigInt(now) <= ethers.toBigInt(token.rateUpdatedAt) + state.maxRateAge;
+const toTokenAmount = (token, amountEUR) =>
+  (amountEUR * token.exchangeRate * 10n ** ethers.toBigInt(token.decimals)) / RATE_SCALE;
+
+// what Payroll._pushPayment checks before paying instead of skipping
+const canPay = (state, tokenAddress, amountEUR, now) => {
+  const token = state.tokens[tokenAddress];
+  const held = state.balances[tokenAddress][ADDRESSES.Payroll] || 0n;
+  return isFresh(state, token, now) && (token.mintable || held >= toTokenAmount(token, amountEUR));
+};
+
+// Payroll._pay: EUR -> token at the current rate, minted or transferred from the Payroll balance
+function pay(ctx, to, tokenAddress, amountEUR) {
+  const { state } = ctx;
+  const token = state.tokens[tokenAddress];
+  if (!isFresh(state, token, ctx.now)) ctx.revert("Exchange rate is stale");
+  const amount = toTokenAmount(token, amountEUR);
+  const balances = state.balances[tokenAddress];
+  if (!token.mintable) {
+    if ((balances[ADDRESSES.Payroll] || 0n) < amount) ctx.revert("Insufficient token balance in contract");
+    balances[ADDRESSES.Payroll] -= amount;
+  }
+  balances[to] = (balances[to] || 0n) + amount;
+  ctx.emit("PaymentMade", to, tokenAddress, amount);
+}
+
+const payroll = {
+  hasRole: ({ state }, role, account) => hasRole(state, role, account),
+  paymentsState: ({ state }) => state.paymentsState,
+  payMode: ({ state }) => state.payMode,
+  maxRateAge: ({ state }) => state.maxRateAge,
+  maxRateChangeBps: ({ state }) => state.maxRateChangeBps,
+  supportedTokens: ({ state }, address) => {
+    const t = state.tokens[address];
+    return t ? [address, t.exchangeRate, t.mintable, t.decimals, t.rateUpdatedAt] : [ethers.ZeroAddress, 0n, false, 0, 0];
+  },
+  isRateFresh: ({ state, now }, address) => isFresh(state, state.tokens[address], now),
+  getEmployee: ({ state }, address) => {
+    const e = state.employees[address];
+    return e ? [e.salary, e.received, e.tokens] : [0n, 0n, []];
+  },
+  getEmployeeCount: ({ state }) => Object.keys(state.employees).length,
+  employeeListNonce: ({ state }) => state.employeeListNonce,
+  getEmployeeAddresses: ({ state }, offset, limit) =>
+    Object.keys(state.employees).slice(Number(offset), Number(offset + limit)),
+  getEmployeePayment: ({ state }, employee, address) => {
+    const p = state.employees[employee]?.payments[address];
+    return [state.tokens[address]?.exchangeRate ?? 0n, p?.lastAllocationTime ?? 0, p?.lastPaymentTime ?? 0, p?.monthly ?? 0n];
+  },
+  eurToToken: ({ state }, address, amountEUR) => toTokenAmount(state.tokens[address], amountEUR),
+  finalPayEUR: ({ state }, employee, address) => state.finalPay[employee]?.[address] ?? 0n,
+
+  addEmployee: (ctx, address, salary) => {
+    const { state, from } = ctx;
+    if (!hasRole(state, HR_ROLE, from) && !isAdmin(state, from)) ctx.revert("Only HR");
+    if (address === ethers.ZeroAddress) ctx.revert("Invalid address");
+    if (state.employees[address]) ctx.revert("Already exists");
+    state.employees[address] = { salary, received: 0n, tokens: [], payments: {} };
+    state.employeeListNonce++;
+    ctx.emit("EmployeeAdded", address, salary);
+  },
+
+  // accrual mode: what accrued (employee.accrued, token -> EUR) is paid out or kept as final pay
+  removeEmployee: (ctx, address) => {
+    const { state, from, now } = ctx;
+    if (!hasRole(state, HR_ROLE, from) && !isAdmin(state, from)) ctx.revert("Only HR");
+    const employee = state.employees[address];
+    if (!employee) ctx.revert("Employee does not exist");
+    for (const [token, amountEUR] of Object.entries(state.payMode === 1 ? employee.accrued || {} : {})) {
+      if (amountEUR === 0n) continue;
+      if (state.paymentsState === 0 && canPay(state, token, amountEUR, now)) {
+        pay(ctx, address, token, amountEUR);
+      } else {
+        state.finalPay[address] = { ...state.finalPay[address], [token]: (state.finalPay[address]?.[token] ?? 0n) + amountEUR };
+        ctx.emit("FinalPayOwed", address, token, amountEUR);
+      }
+    }
+    delete state.employees[address];
+    state.employeeListNonce++;
+    ctx.emit("EmployeeRemoved", address);
+  },
+
+  claimFinalPay: (ctx, address) => {
+    const { state, from } = ctx;
+    if (state.paymentsState !== 0) ctx.revert("Payments are frozen");
+    const amountEUR = state.finalPay[from]?.[address] ?? 0n;
+    if (amountEUR === 0n) ctx.revert("Nothing owed");
+    state.finalPay[from][address] = 0n;
+    pay(ctx, from, address, amountEUR);
+  },
+
+  setExchangeRate: (ctx, address, newRate) => {
+    const { state, from } = ctx;
+    if (!hasRole(state, ORACLE_ROLE, from)) ctx.revert("Only Oracle");
+    const token = state.tokens[address];
+    if (!token) ctx.revert("Token not supported");
+    if (newRate === 0n) ctx.revert("Rate must be >0");
+    const oldRate = token.exchangeRate;
+    const diff = newRate > oldRate ? newRate - oldRate : oldRate - newRate;
+    if (state.maxRateChangeBps > 0n && diff * 10000n > oldRate * state.maxRateChangeBps) {
+      ctx.revert("Rate change too large");
+    }
+    token.exchangeRate = newRate;
+    token.rateUpdatedAt = ctx.now;
+    ctx.emit("ExchangeRateUpdated", address, oldRate, newRate);
+  },
+
+  payday: (ctx, address) => {
+    const { state, from, now } = ctx;
+    const employee = state.employees[from];
+    if (!employee) ctx.revert("Not a registered worker");
+    if (state.paymentsState !== 0) ctx.revert("Payments are frozen");
+    if (state.payMode !== 0) ctx.revert("Use claim in accrual mode");
+    const payment = employee.payments[address] || { monthly: 0n, lastPaymentTime: 0 };
+    if (payment.lastPaymentTime !== 0 && now < payment.lastPaymentTime + PAYOUT_INTERVAL_SECONDS) {
+      ctx.revert("Monthly limit not reached");
+    }
+    if (payment.monthly === 0n) ctx.revert("No allocation for this token");
+    payment.lastPaymentTime = now;
+    employee.received += payment.monthly;
+    pay(ctx, from, address, payment.monthly);
+  }
+};
+
+const council = {
+  isAdmin: ({ state }, account) => isAdmin(state, account),
+  getAdmins: ({ state }) => state.admins,
+  threshold: () => 1n
+};
+
+const erc20 = (address) => ({
+  symbol: ({ state }) => state.tokens[address].symbol,
+  decimals: ({ state }) => state.tokens[address].decimals,
+  balanceOf: ({ state }, account) => state.balances[address][account] || 0n
+});
+
+/**
+ * A MockChain with the Payroll contracts deployed and their deployment
+ * manifest (the shape scripts/deploy_all.js writes). `update(state)` may
+ * change the initial state before the app sees it.
+ */
+export function createPayrollChain(update = () => {}) {
+  const state = initialState();
+  update(state);
+  const chain = new MockChain({ chainId: 31337, state })
+    .deploy("AdminCouncil", ADDRESSES.AdminCouncil, COUNCIL_ABI, council)
+    .deploy("Payroll", ADDRESSES.Payroll, PAYROLL_ABI, payroll)
+    .deploy("PrisonFund", ADDRESSES.PrisonFund, [])
+    .deploy("EURToken", ADDRESSES.EURToken, ERC20_ABI, erc20(ADDRESSES.EURToken))
+    .deploy("USDToken", ADDRESSES.USDToken, ERC20_ABI, erc20(ADDRESSES.USDToken));
+
+  const entry = (name, abi) => ({ address: ADDRESSES[name], abi, deployBlock: 0 });
+  const manifest = {
+    network: "localhost",
+    chainId: 31337,
+    deployBlock: 0,
+    admins: [ACCOUNTS.admin],
+    oracle: ACCOUNTS.oracle,
+    contracts: {
+      AdminCouncil: entry("AdminCouncil", COUNCIL_ABI),
+      Payroll: entry("Payroll", PAYROLL_ABI),
+      PrisonFund: entry("PrisonFund", []),
+      EURToken: entry("EURToken", ERC20_ABI),
+      USDToken: entry("USDToken", ERC20_ABI)
+    },
+    abis: { ERC20: ERC20_ABI }
+  };
+  return { chain, manifest };
+}
@@ -0,0 +1,69 @@
+// txErrors.js — readable reasons for failed calls and transactions
+import { ethers } from "ethers";
+import { revertReason } from "./format";
+
+/*
+  decodeRevert() returns the contract's own reason: a require message, a
+  custom error or "Panic(0x11)" for a panic code. The text shown to the user
+  comes from the `reverts` catalog through useI18n().explain(reason), which
+  falls back to the reason itself, or to a catalog message when there is no
+  reason at all.
+*/
+
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string): require / revert with a message
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256): assert, overflow, division by zero, ...
+
+// Revert data hides at different depths depending on who wrapped the error
+// (ethers, MetaMask's "Internal JSON-RPC error", the Hardhat node)
+function findRevertData(err, depth = 0) {
+  if (!err || depth > 5) return null;
+  if (typeof err === "string") return /^0x[0-9a-fA-F]{8}/.test(err) ? err : null;
+  if (typeof err !== "object") return null;
+  for (const key of ["data", "error", "info", "cause", "originalError"]) {
+    const found = findRevertData(err[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Every ABI in the manifest, so custom errors bubbling up from tokens decode too
+function deploymentInterfaces(deployment) {
+  if (!deployment) return [];
+  const abis = [...Object.values(deployment.contracts || {}).map((c) => c.abi), ...Object.values(deployment.abis || {})];
+  return abis.map((abi) => new ethers.Interface(abi));
+}
+
+/** Decodes revert data (Error(string), Panic(uint256) or a custom error of any deployed contract). */
+export function decodeRevertData(data, deployment) {
+  if (!data || data === "0x") return null;
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const selector = ethers.dataSlice(data, 0, 4);
+  try {
+    if (selector === ERROR_SELECTOR) return coder.decode(["string"], ethers.dataSlice(data, 4))[0];
+    if (selector === PANIC_SELECTOR) {
+      const code = Number(coder.decode(["uint256"], ethers.dataSlice(data, 4))[0]);
+      return `Panic(0x${code.toString(16).padStart(2, "0")})`;
+    }
+  } catch {
+    return null; // truncated data
+  }
+  for (const iface of deploymentInterfaces(deployment)) {
+    const parsed = iface.parseError(data);
+    if (parsed) return parsed.args.length ? `${parsed.name}(${parsed.args.join(", ")})` : parsed.name;
+  }
+  return null;
+}
+
+// The user closed or rejected the wallet prompt (EIP-1193 code 4001)
+export const isUserRejection = (err) =>
+  err?.code === "ACTION_REJECTED" || err?.code === 4001 || err?.info?.error?.code === 4001;
+
+/**
+ * The most precise reason available for an ethers error: the contract's own
+ * revert message or custom error when the revert data can be found, otherwise
+ * what ethers made of it; null when there is nothing to go on.
+ */
+export function decodeRevert(err, deployment) {
+  if (err?.revert?.name === "Error") return err.revert.args[0];
+  return decodeRevertData(findRevertData(err), deployment) || revertReason(err);
+}
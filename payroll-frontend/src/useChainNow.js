@@ -0,0 +1,28 @@
+// useChainNow.js
+import { useState, useEffect } from "react";
+import { getReadProvider } from "./deployment";
+
+/*
+  Current chain time in unix seconds, ticking every second. The offset to the
+  local clock is taken from the latest block (re-read whenever `refreshKey`
+  changes), so countdowns stay right on a Hardhat node whose time was advanced.
+*/
+export default function useChainNow(deployment, refreshKey) {
+  const [clockOffset, setClockOffset] = useState(0);
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    if (!deployment) return;
+    getReadProvider(deployment)
+      .getBlock("latest")
+      .then((block) => setClockOffset(block.timestamp - Math.floor(Date.now() / 1000)))
+      .catch((err) => console.error("useChainNow error:", err));
+  }, [deployment, refreshKey]);
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  return now + clockOffset;
+}
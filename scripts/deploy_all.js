@@ -1,82 +1,87 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { deploySystem, deploymentRecord, writeDeployment } = require("./lib/deployments");
+
+const { ethers } = hre;
 
 async function main() {
   // 1. Получаем аккаунты
   const [admin, oracle, employee1] = await ethers.getSigners();
-  console.log("--- Начало развертывания ---");
-  console.log("Админ (Owner):", admin.address);
-  console.log("Оракул:", oracle.address);
+  console.log("--- Deploying ---");
+  console.log("Admin:", admin.address);
+  console.log("Oracle:", oracle.address);
 
   // Константы
-  // Константы
+  // Суммы в EUR и курсы — fixed point с 18 знаками (Payroll.EUR_DECIMALS / RATE_DECIMALS)
   const INITIAL_SUPPLY = 1_000_000;
-  const EUR_RATE = 1;
-  const USD_RATE = 2;
+  const EUR_RATE = ethers.parseUnits("1", 18); // 1 EURT за 1 EUR
+  const USD_RATE = ethers.parseUnits("2", 18); // 2 USDT за 1 EUR
 
   // ETH → EUR (18 decimals)
   const ETH_TO_EUR_RATE = ethers.parseUnits("1800", 18);
 
-  // 2. Развертывание токена EUR (базовый)
-  const EURToken = await ethers.getContractFactory("EURToken");
-  const eurt = await EURToken.deploy(INITIAL_SUPPLY);
-  await eurt.waitForDeployment();
-  const eurtAddr = await eurt.getAddress();
-  console.log(`EURToken развернут: ${eurtAddr}`);
-
-  // 3. Развертывание токена USD
-  const USDToken = await ethers.getContractFactory("USDToken");
-  const usdt = await USDToken.deploy(INITIAL_SUPPLY);
-  await usdt.waitForDeployment();
-  const usdtAddr = await usdt.getAddress();
-  console.log(`USDToken развернут: ${usdtAddr}`);
+  // Совет администраторов: COUNCIL_ADMINS — адреса через запятую (по умолчанию
+  // только deployer), COUNCIL_THRESHOLD — сколько подтверждений нужно,
+  // COUNCIL_DELAY — timelock в секундах
+  const COUNCIL_ADMINS = process.env.COUNCIL_ADMINS
+    ? process.env.COUNCIL_ADMINS.split(",").map((a) => ethers.getAddress(a.trim()))
+    : [admin.address];
+  const COUNCIL_THRESHOLD = Number(process.env.COUNCIL_THRESHOLD || 1);
+  const COUNCIL_DELAY = Number(process.env.COUNCIL_DELAY || 0);
 
-  // 4. Развертывание Payroll
+  // Первичная настройка делается deployer'ом, поэтому он должен быть в совете
+  if (!COUNCIL_ADMINS.includes(admin.address)) {
+    throw new Error(`Deployer ${admin.address} must be in COUNCIL_ADMINS to run the initial setup`);
+  }
 
-  const Payroll = await ethers.getContractFactory("Payroll");
-  const payroll = await Payroll.deploy(
-    oracle.address,
-    eurtAddr,
-    EUR_RATE,
-    ETH_TO_EUR_RATE
-  );
-  await payroll.waitForDeployment();
-  const payrollAddr = await payroll.getAddress();
-  console.log(`Payroll развернут: ${payrollAddr}`);
-
-  // 5. 🔥 Развертывание PrisonFund (crowdfunding)
-  const PrisonFund = await ethers.getContractFactory("PrisonFund");
-  const prisonFund = await PrisonFund.deploy(payrollAddr);
-  await prisonFund.waitForDeployment();
-  const prisonFundAddr = await prisonFund.getAddress();
-  console.log(`PrisonFund развернут: ${prisonFundAddr}`);
+  // 2. Развертывание AdminCouncil (M-of-N + timelock), токенов EUR/USD,
+  // Payroll и PrisonFund; USDT сразу добавляется в поддерживаемые токены
+  const system = await deploySystem(hre, {
+    admins: COUNCIL_ADMINS,
+    threshold: COUNCIL_THRESHOLD,
+    delay: COUNCIL_DELAY,
+    oracle: oracle.address,
+    initialSupply: INITIAL_SUPPLY,
+    eurRate: EUR_RATE,
+    usdRate: USD_RATE,
+    ethToEurRate: ETH_TO_EUR_RATE
+  });
+  const { council, eurt, usdt, payroll, prisonFund } = system;
+  const councilAddr = council.target;
+  const eurtAddr = eurt.target;
+  const usdtAddr = usdt.target;
+  const payrollAddr = payroll.target;
+  const prisonFundAddr = prisonFund.target;
 
   // --- Настройка системы после деплоя ---
-  console.log("\n--- Первичная настройка ---");
-
-  // Добавляем USDT как поддерживаемый токен
-  await payroll.addSupportedToken(usdtAddr, USD_RATE, false);
-  console.log("USDT добавлен в список поддерживаемых валют.");
+  console.log("\n--- Initial setup ---");
 
-  // Пополняем Payroll токенами для выплат
-  const fundingAmount = ethers.parseEther("10000"); // 10,000 токенов
-  await eurt.transfer(payrollAddr, fundingAmount);
-  await usdt.transfer(payrollAddr, fundingAmount);
-  console.log("Payroll пополнен токенами для зарплат.");
+  // Пополняем Payroll токенами для выплат (в единицах decimals() каждого токена)
+  await eurt.transfer(payrollAddr, ethers.parseUnits("10000", await eurt.decimals()));
+  await usdt.transfer(payrollAddr, ethers.parseUnits("10000", await usdt.decimals()));
+  console.log("Payroll funded with salary tokens.");
 
   // Тестовая регистрация сотрудника
-  const yearlySalary = 12000; // 12,000 EUR в год
+  const yearlySalary = ethers.parseUnits("12000", 18); // 12,000 EUR в год
   await payroll.addEmployee(employee1.address, yearlySalary);
   await payroll.allowToken(employee1.address, eurtAddr, EUR_RATE);
-  console.log(`Сотрудник ${employee1.address} зарегистрирован.`);
+  console.log(`Employee ${employee1.address} registered.`);
+
+  // Новый контракт, а не миграция: импорт состояния (importEmployees и т.д.) закрываем
+  await payroll.closeImport();
+
+  // Манифест развертывания для фронтенда и скриптов
+  const files = writeDeployment(await deploymentRecord(hre, system));
 
-  console.log("\n--- Готово! Данные для фронтенда: ---");
+  console.log("\n--- Done. Deployment manifest written: ---");
+  files.forEach((f) => console.log(" ", f));
   console.log({
     payroll: payrollAddr,
     prisonFund: prisonFundAddr,
     eurToken: eurtAddr,
     usdToken: usdtAddr,
+    council: councilAddr,
     oracle: oracle.address,
-    owner: admin.address
+    admins: COUNCIL_ADMINS
   });
 }
 
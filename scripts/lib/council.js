@@ -0,0 +1,64 @@
+const { ethers } = require("ethers");
+const { sendTx } = require("./taskHelpers");
+
+// AdminCouncil proposal helpers shared by the council:* and migrate:* tasks
+
+async function latestTimestamp(hre) {
+  return (await hre.ethers.provider.getBlock("latest")).timestamp;
+}
+
+/** "Payroll.withdrawEth(to=0x.., _amountWei=1000)" from the manifest ABIs, or the raw calldata. */
+function describeCall(deployment, target, data) {
+  for (const [name, entry] of Object.entries(deployment.contracts)) {
+    if (entry.address.toLowerCase() !== target.toLowerCase()) continue;
+    const call = new ethers.Interface(entry.abi).parseTransaction({ data });
+    if (!call) break;
+    const fields = call.fragment.inputs.map((input, i) => `${input.name}=${call.args[i]}`);
+    return `${name}.${call.name}(${fields.join(", ")})`;
+  }
+  return `${target} ${data}`;
+}
+
+async function printProposal(hre, deployment, council, id) {
+  const [target, data, proposer, eta, approvals, executed, cancelled] = await council.getProposal(id);
+  const threshold = await council.threshold();
+  const wait = Number(eta) - (await latestTimestamp(hre));
+  const status = executed
+    ? "executed"
+    : cancelled
+      ? "cancelled"
+      : approvals < threshold
+        ? `pending, ${approvals}/${threshold} approvals`
+        : wait > 0
+          ? `approved, timelocked for ${wait}s more`
+          : "ready to execute";
+  console.log(`#${id} ${describeCall(deployment, target, data)}`);
+  console.log(`    proposer ${proposer}, eta ${new Date(Number(eta) * 1000).toISOString()}, ${status}`);
+}
+
+/**
+ * Proposes `contract[method](...args)` through the council, prints the
+ * proposal and executes it straight away when the policy already allows it.
+ * Returns the proposal id and whether it was executed.
+ */
+async function propose(hre, deployment, council, contract, method, args, description) {
+  const data = contract.interface.encodeFunctionData(method, args);
+  const receipt = await sendTx(council, "propose", [await contract.getAddress(), data, description]);
+  const created = receipt.logs
+    .map((log) => council.interface.parseLog(log))
+    .find((e) => e?.name === "ProposalCreated");
+  const id = created.args.proposalId;
+
+  const [, , , eta, approvals] = await council.getProposal(id);
+  const executed = approvals >= (await council.threshold()) && eta <= (await latestTimestamp(hre));
+  if (executed) await sendTx(council, "execute", [id]);
+  await printProposal(hre, deployment, council, id);
+  return { id, executed };
+}
+
+module.exports = {
+  latestTimestamp,
+  describeCall,
+  printProposal,
+  propose
+};
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+
+// Per-network deployment manifests (deployments/<network>.json)
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+const FRONTEND_DEPLOYMENTS_DIR = path.join(
+  __dirname,
+  "..",
+  "..",
+  "payroll-frontend",
+  "public",
+  "deployments"
+);
+
+/**
+ * Builds a deployment record entry for a deployed contract: address, ABI from
+ * the compiled artifact and the block the contract was created in.
+ */
+async function describeContract(hre, name, contract) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const receipt = await contract.deploymentTransaction().wait();
+  return {
+    address: await contract.getAddress(),
+    abi: artifact.abi,
+    deployBlock: receipt.blockNumber
+  };
+}
+
+/**
+ * Deploys AdminCouncil, both salary tokens, Payroll and PrisonFund from the
+ * first signer and registers USDT as a supported token. Rates are 18-decimal
+ * fixed point; `admins` must include the deployer, which runs the setup.
+ */
+async function deploySystem(hre, options = {}) {
+  const { ethers } = hre;
+  const [deployer] = await ethers.getSigners();
+  const {
+    admins = [deployer.address],
+    threshold = 1,
+    delay = 0,
+    oracle,
+    initialSupply = 1_000_000,
+    eurRate = ethers.parseUnits("1", 18),
+    usdRate = ethers.parseUnits("2", 18),
+    ethToEurRate = ethers.parseUnits("1800", 18)
+  } = options;
+
+  const deploy = async (name, ...args) => {
+    const contract = await (await ethers.getContractFactory(name)).deploy(...args);
+    await contract.waitForDeployment();
+    console.log(`${name} deployed: ${await contract.getAddress()}`);
+    return contract;
+  };
+
+  const council = await deploy("AdminCouncil", admins, threshold, delay);
+  console.log(`  ${threshold} of ${admins.length} admins, timelock ${delay}s`);
+  const eurt = await deploy("EURToken", initialSupply);
+  const usdt = await deploy("USDToken", initialSupply);
+  const payroll = await deploy("Payroll", council.target, oracle, eurt.target, eurRate, ethToEurRate);
+  const prisonFund = await deploy("PrisonFund", council.target, payroll.target);
+
+  await (await payroll.addSupportedToken(usdt.target, usdRate, false)).wait();
+  console.log("USDT added to the supported tokens.");
+
+  return { council, eurt, usdt, payroll, prisonFund, admins, oracle };
+}
+
+/** The manifest for a system returned by deploySystem, ready for writeDeployment. */
+async function deploymentRecord(hre, system) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const erc20 = await hre.artifacts.readArtifact("IERC20Metadata");
+  const contracts = {
+    AdminCouncil: await describeContract(hre, "AdminCouncil", system.council),
+    Payroll: await describeContract(hre, "Payroll", system.payroll),
+    PrisonFund: await describeContract(hre, "PrisonFund", system.prisonFund),
+    EURToken: await describeContract(hre, "EURToken", system.eurt),
+    USDToken: await describeContract(hre, "USDToken", system.usdt)
+  };
+  return {
+    network: hre.network.name,
+    chainId: Number(chainId),
+    deployBlock: contracts.Payroll.deployBlock,
+    deployedAt: new Date().toISOString(),
+    admins: system.admins,
+    oracle: system.oracle,
+    contracts,
+    abis: { ERC20: erc20.abi }
+  };
+}
+
+/**
+ * Writes the manifest to deployments/<network>.json and mirrors it into the
+ * frontend as public/deployments/<chainId>.json so the app can load it at runtime.
+ */
+function writeDeployment(record) {
+  const files = [
+    path.join(DEPLOYMENTS_DIR, `${record.network}.json`),
+    path.join(FRONTEND_DEPLOYMENTS_DIR, `${record.chainId}.json`)
+  ];
+  const json = JSON.stringify(record, null, 2) + "\n";
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, json);
+  }
+  return files;
+}
+
+/** Reads deployments/<network>.json, throwing if the network was never deployed to. */
+function readDeployment(network) {
+  const file = path.join(DEPLOYMENTS_DIR, `${network}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `No deployment record for network "${network}" (${file}). Run scripts/deploy_all.js first.`
+    );
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  describeContract,
+  deploySystem,
+  deploymentRecord,
+  writeDeployment,
+  readDeployment
+};
@@ -0,0 +1,333 @@
+const { ethers } = require("ethers");
+const { fetchRoleHolders } = require("./taskHelpers");
+
+// Payroll state snapshots for migrating to a new contract version: read the
+// full state of a Payroll at one block, replay it into a fresh deployment and
+// diff two snapshots. Every uint256 is kept as a decimal string so the
+// snapshot round-trips through JSON unchanged.
+
+const SNAPSHOT_VERSION = 6;
+const ACCRUAL_PERIOD = 365n * 24n * 60n * 60n / 12n; // Payroll.ACCRUAL_PERIOD
+const FOUR_WEEKS = 4n * 7n * 24n * 60n * 60n; // monthly payday interval
+const PAY_MODE_ACCRUAL = "1";
+const ROLES = ["HR_ROLE", "ORACLE_ROLE"];
+const PAGE_SIZE = 100;
+
+const str = (value) => value.toString();
+
+/**
+ * Reads everything a new Payroll version needs from `payroll` at one block:
+ * settings, roles, supported tokens with their rate times and Payroll's balances, every employee
+ * with per-token allocations, payment times and accruals, the final pay still
+ * owed to removed employees, and every campaign with its contributions. `deployBlock` is where event scans start.
+ */
+async function takeSnapshot({ payroll, provider, deployBlock, erc20Abi, blockTag = "latest" }) {
+  const block = await provider.getBlock(blockTag);
+  const at = { blockTag: block.number };
+  const address = await payroll.getAddress();
+  const read = (method, ...args) => payroll[method](...args, at);
+
+  const [
+    paymentsState,
+    payMode,
+    accrualStartTime,
+    ethToEurRate,
+    ethReserveWei,
+    campaignEscrowWei,
+    council,
+    maxRateAge,
+    maxRateChangeBps
+  ] = await Promise.all([
+    read("paymentsState"),
+    read("payMode"),
+    read("accrualStartTime"),
+    read("ethToEurRate"),
+    read("ethReserveWei"),
+    read("campaignEscrowWei"),
+    read("council"),
+    // Payroll versions without rate safeguards have them off
+    read("maxRateAge").catch(() => 0n),
+    read("maxRateChangeBps").catch(() => 0n)
+  ]);
+  const accrual = str(payMode) === PAY_MODE_ACCRUAL;
+
+  const roles = {};
+  for (const role of ROLES) {
+    roles[role] = await fetchRoleHolders(payroll, await payroll[role](), deployBlock, block.number);
+  }
+
+  const supported = await payroll.queryFilter(payroll.filters.TokenSupported(), deployBlock, block.number);
+  const tokens = [];
+  for (const tokenAddress of new Set(supported.map((log) => log.args.token))) {
+    const erc20 = new ethers.Contract(tokenAddress, erc20Abi, provider);
+    const [{ exchangeRate, mintable, decimals, rateUpdatedAt }, symbol, balance] = await Promise.all([
+      read("supportedTokens", tokenAddress),
+      erc20.symbol(at),
+      erc20.balanceOf(address, at)
+    ]);
+    tokens.push({
+      address: tokenAddress,
+      symbol,
+      decimals: Number(decimals),
+      exchangeRate: str(exchangeRate),
+      // versions without rate times: count the rate as set at the snapshot
+      rateUpdatedAt: str(rateUpdatedAt ?? block.timestamp),
+      mintable,
+      balance: str(balance)
+    });
+  }
+
+  const employees = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await read("getEmployeeAddresses", offset, PAGE_SIZE);
+    for (const employee of page) {
+      const [salary, received, allowed] = await read("getEmployee", employee);
+      const employeeTokens = [];
+      for (const token of allowed) {
+        const [, lastAllocationTime, lastPaymentTime, monthlyEUR] = await read("getEmployeePayment", employee, token);
+        // accrual is settled at the snapshot block: claimable so far, counted up to now
+        const accruedEUR = accrual ? await read("claimableEUR", employee, token) : 0n;
+        employeeTokens.push({
+          token,
+          monthlyEUR: str(monthlyEUR),
+          lastAllocationTime: str(lastAllocationTime),
+          lastPaymentTime: str(lastPaymentTime),
+          accruedEUR: str(accruedEUR),
+          accruedUntil: accrual ? str(block.timestamp) : "0"
+        });
+      }
+      employees.push({
+        address: employee,
+        yearlyEURSalary: str(salary),
+        totalReceivedEUR: str(received),
+        tokens: employeeTokens
+      });
+    }
+    if (page.length < PAGE_SIZE) break;
+  }
+
+  // final pay left by removeEmployee in accrual mode, until claimed
+  const owed = await payroll.queryFilter(payroll.filters.FinalPayOwed(), deployBlock, block.number);
+  const finalPay = [];
+  const seen = new Set();
+  for (const { args } of owed) {
+    const key = `${args.employee}:${args.token}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const amountEUR = await read("finalPayEUR", args.employee, args.token);
+    if (amountEUR > 0n) finalPay.push({ employee: args.employee, token: args.token, amountEUR: str(amountEUR) });
+  }
+
+  const campaigns = [];
+  const campaignCount = Number(await read("getCampaignCount"));
+  for (let id = 0; id < campaignCount; id++) {
+    const info = await read("getCampaignInfo", id);
+    const contributors = [];
+    for (const contributor of await read("getCampaignContributors", id)) {
+      const [contributionEUR, [contributionWei, claimed]] = await Promise.all([
+        read("getCampaignContribution", id, contributor),
+        read("getCampaignClaim", id, contributor)
+      ]);
+      contributors.push({ address: contributor, contributionEUR: str(contributionEUR), contributionWei: str(contributionWei), claimed });
+    }
+    const [totalEthWei, rewardRate] = await read("getCampaignSettlement", id);
+    campaigns.push({
+      title: info.title,
+      goalEUR: str(info.goalEUR),
+      raisedEUR: str(info.raisedEUR),
+      deadline: str(info.deadline),
+      finalized: info.finalized,
+      rewardToken: info.rewardToken,
+      totalEthWei: str(totalEthWei),
+      rewardRate: str(rewardRate),
+      contributors
+    });
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    chainId: str((await provider.getNetwork()).chainId),
+    block: block.number,
+    timestamp: block.timestamp,
+    payroll: { address, deployBlock },
+    council,
+    settings: {
+      paymentsState: str(paymentsState),
+      payMode: str(payMode),
+      accrualStartTime: str(accrualStartTime),
+      ethToEurRate: str(ethToEurRate),
+      ethReserveWei: str(ethReserveWei),
+      campaignEscrowWei: str(campaignEscrowWei),
+      maxRateAge: str(maxRateAge),
+      maxRateChangeBps: str(maxRateChangeBps)
+    },
+    roles,
+    tokens,
+    employees,
+    finalPay,
+    campaigns
+  };
+}
+
+/** importEmployees() arguments for a batch of snapshot employees. */
+function toEmployeeImports(employees) {
+  return employees.map((e) => ({
+    id: e.address,
+    yearlyEURSalary: e.yearlyEURSalary,
+    totalReceivedEUR: e.totalReceivedEUR,
+    tokens: e.tokens
+  }));
+}
+
+/** importCampaigns() arguments for a batch of snapshot campaigns. */
+function toCampaignImports(campaigns) {
+  return campaigns.map((c) => ({
+    title: c.title,
+    goalEUR: c.goalEUR,
+    raisedEUR: c.raisedEUR,
+    deadline: c.deadline,
+    finalized: c.finalized,
+    rewardToken: c.rewardToken,
+    totalEthWei: c.totalEthWei,
+    rewardRate: c.rewardRate,
+    contributors: c.contributors.map((x) => x.address),
+    contributionsEUR: c.contributors.map((x) => x.contributionEUR),
+    contributionsWei: c.contributors.map((x) => x.contributionWei),
+    claimed: c.contributors.map((x) => x.claimed)
+  }));
+}
+
+/**
+ * Replays a snapshot into a freshly deployed Payroll connected to an admin:
+ * the snapshotted Payroll as the previous version, the tokens with their rate times (the constructor's base token included),
+ * employees, final pay and campaigns in batches, then accrual mode. The rate
+ * safeguards take a council proposal (migrate:switch).
+ * `send(contract, method, args)` submits and waits for each transaction.
+ */
+async function replaySnapshot(payroll, snapshot, send, { batchSize = 20 } = {}) {
+  const { tokens } = snapshot;
+  // the old version's moveCampaignEscrow is the only escrow the new one takes
+  await send(payroll, "importPreviousPayroll", [snapshot.payroll.address]);
+  await send(payroll, "importTokens", [
+    tokens.map((t) => t.address),
+    tokens.map((t) => t.exchangeRate),
+    tokens.map((t) => t.mintable),
+    tokens.map((t) => t.rateUpdatedAt)
+  ]);
+  for (let i = 0; i < snapshot.employees.length; i += batchSize) {
+    await send(payroll, "importEmployees", [toEmployeeImports(snapshot.employees.slice(i, i + batchSize))]);
+  }
+  for (let i = 0; i < snapshot.finalPay.length; i += batchSize) {
+    const batch = snapshot.finalPay.slice(i, i + batchSize);
+    await send(payroll, "importFinalPay", [
+      batch.map((f) => f.employee),
+      batch.map((f) => f.token),
+      batch.map((f) => f.amountEUR)
+    ]);
+  }
+  // campaigns carry their contributor lists, so keep those batches small
+  const campaignBatch = Math.max(1, Math.floor(batchSize / 4));
+  for (let i = 0; i < snapshot.campaigns.length; i += campaignBatch) {
+    await send(payroll, "importCampaigns", [toCampaignImports(snapshot.campaigns.slice(i, i + campaignBatch))]);
+  }
+  if (snapshot.settings.payMode === PAY_MODE_ACCRUAL) {
+    await send(payroll, "importAccrualStart", [snapshot.settings.accrualStartTime]);
+  }
+}
+
+/**
+ * The snapshot as it should read at `timestamp`: in accrual mode every
+ * allocation keeps accruing after the snapshot, exactly as Payroll computes it.
+ */
+function projectSnapshot(snapshot, timestamp) {
+  if (snapshot.settings.payMode !== PAY_MODE_ACCRUAL) return snapshot;
+  const now = BigInt(timestamp);
+  const start = BigInt(snapshot.settings.accrualStartTime);
+  return {
+    ...snapshot,
+    employees: snapshot.employees.map((e) => ({
+      ...e,
+      tokens: e.tokens.map((t) => {
+        let from = BigInt(t.accruedUntil) > start ? BigInt(t.accruedUntil) : start;
+        // a monthly payday made before the switch covers its 4 weeks
+        const last = BigInt(t.lastPaymentTime);
+        if (last !== 0n && last <= start && last + FOUR_WEEKS > from) from = last + FOUR_WEEKS;
+        const elapsed = now > from ? now - from : 0n;
+        const accrued = BigInt(t.accruedEUR) + (BigInt(t.monthlyEUR) * elapsed) / ACCRUAL_PERIOD;
+        return { ...t, accruedEUR: str(accrued), accruedUntil: str(now) };
+      })
+    }))
+  };
+}
+
+/**
+ * Differences between the state a migrated Payroll should have (`expected`,
+ * usually projectSnapshot(old, new.timestamp)) and what it has (`actual`).
+ * Balances, the payment freeze and contract addresses are not compared: they
+ * are expected to differ. Returns a list of human-readable lines.
+ */
+function diffSnapshots(expected, actual) {
+  const diffs = [];
+  const compare = (label, a, b) => {
+    const left = JSON.stringify(a);
+    const right = JSON.stringify(b);
+    if (left !== right) diffs.push(`${label}: expected ${left}, got ${right}`);
+  };
+  const byKey = (list, key) => new Map(list.map((item) => [item[key].toLowerCase(), item]));
+
+  // campaignEscrowWei is what the campaigns still owe, rebuilt by importCampaigns
+  for (const field of ["payMode", "accrualStartTime", "ethToEurRate", "campaignEscrowWei", "maxRateAge", "maxRateChangeBps"]) {
+    compare(`settings.${field}`, expected.settings[field], actual.settings[field]);
+  }
+  for (const role of ROLES) {
+    compare(`roles.${role}`, [...expected.roles[role]].sort(), [...actual.roles[role]].sort());
+  }
+
+  const actualTokens = byKey(actual.tokens, "address");
+  for (const token of expected.tokens) {
+    const found = actualTokens.get(token.address.toLowerCase());
+    if (!found) {
+      diffs.push(`token ${token.symbol} (${token.address}): missing`);
+      continue;
+    }
+    compare(`token ${token.symbol}.exchangeRate`, token.exchangeRate, found.exchangeRate);
+    compare(`token ${token.symbol}.rateUpdatedAt`, token.rateUpdatedAt, found.rateUpdatedAt);
+    compare(`token ${token.symbol}.mintable`, token.mintable, found.mintable);
+  }
+
+  const actualEmployees = byKey(actual.employees, "address");
+  for (const employee of expected.employees) {
+    const found = actualEmployees.get(employee.address.toLowerCase());
+    if (!found) {
+      diffs.push(`employee ${employee.address}: missing`);
+      continue;
+    }
+    actualEmployees.delete(employee.address.toLowerCase());
+    compare(`employee ${employee.address}.yearlyEURSalary`, employee.yearlyEURSalary, found.yearlyEURSalary);
+    compare(`employee ${employee.address}.totalReceivedEUR`, employee.totalReceivedEUR, found.totalReceivedEUR);
+    compare(`employee ${employee.address}.tokens`, employee.tokens, found.tokens);
+  }
+  for (const extra of actualEmployees.keys()) diffs.push(`employee ${extra}: not in the snapshot`);
+
+  const key = (f) => `${f.employee}:${f.token}`.toLowerCase();
+  const finalPay = (snapshot) => [...snapshot.finalPay].sort((a, b) => key(a).localeCompare(key(b)));
+  compare("finalPay", finalPay(expected), finalPay(actual));
+
+  compare("campaigns.length", expected.campaigns.length, actual.campaigns.length);
+  expected.campaigns.forEach((campaign, id) => {
+    if (actual.campaigns[id]) compare(`campaign #${id}`, campaign, actual.campaigns[id]);
+  });
+
+  return diffs;
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  ROLES,
+  takeSnapshot,
+  toEmployeeImports,
+  toCampaignImports,
+  replaySnapshot,
+  projectSnapshot,
+  diffSnapshots
+};
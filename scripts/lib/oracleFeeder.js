@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Fixed-point precision of the on-chain values the feeder writes
+const TOKEN_RATE_DECIMALS = 18; // Payroll.exchangeRate: tokens per 1 EUR, RATE_DECIMALS
+const ETH_RATE_DECIMALS = 18; // Payroll.ethToEurRate: EUR per 1 ETH, 18 decimals
+
+const ETH_KEY = "ETH";
+
+/** Decimal string from a source -> on-chain integer, rejecting values the contract cannot represent. */
+function toOnChainRate(value, decimals) {
+  try {
+    return ethers.parseUnits(value, decimals);
+  } catch {
+    throw new Error(`Rate ${value} cannot be represented with ${decimals} decimals`);
+  }
+}
+
+/**
+ * Decides whether a new rate should be pushed.
+ * Pushes when the rate moved by at least `deviationBps` basis points, when no
+ * previous push is recorded, or when the last push is older than `heartbeat` seconds.
+ */
+function shouldPush({ current, next, lastPushAt, now, deviationBps, heartbeat }) {
+  if (next <= 0n) return { push: false, reason: "source rate is zero" };
+  if (current === 0n) return { push: true, reason: "no rate on-chain" };
+
+  const diff = next > current ? next - current : current - next;
+  const movedBps = (diff * 10000n) / current;
+  if (movedBps >= BigInt(deviationBps)) {
+    return { push: true, reason: `moved ${Number(movedBps) / 100}%` };
+  }
+  if (lastPushAt === undefined) {
+    return { push: true, reason: "no previous push recorded" };
+  }
+  if (now - lastPushAt >= heartbeat) {
+    return { push: true, reason: `heartbeat (${now - lastPushAt}s since last push)` };
+  }
+  return { push: false, reason: `within ${deviationBps} bps and heartbeat` };
+}
+
+/** Looks a token up in the source rates by symbol first, then by address (case-insensitive). */
+function findRate(rates, { symbol, address }) {
+  if (rates[symbol] !== undefined) return rates[symbol];
+  const key = Object.keys(rates).find((k) => k.toLowerCase() === address.toLowerCase());
+  return key === undefined ? undefined : rates[key];
+}
+
+/**
+ * Last successful push per chain and rate key, kept in a small JSON file:
+ *   { "<chainId>": { "<key>": { "rate": "2", "pushedAt": 1700000000 } } }
+ */
+class FeederState {
+  constructor(file, chainId) {
+    this.file = file;
+    this.chainId = String(chainId);
+    this.data = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  }
+
+  lastPushAt(key) {
+    return this.data[this.chainId]?.[key]?.pushedAt;
+  }
+
+  record(key, rate, pushedAt) {
+    this.data[this.chainId] = this.data[this.chainId] || {};
+    this.data[this.chainId][key] = { rate: rate.toString(), pushedAt };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2) + "\n");
+  }
+}
+
+/** Console + JSON-lines log of every decision the feeder makes. */
+function createLogger(file) {
+  return (entry) => {
+    const line = { time: new Date().toISOString(), ...entry };
+    const { time, action, key, reason } = line;
+    const detail = [line.from && `${line.from} -> ${line.to}`, reason, line.tx].filter(Boolean).join(" | ");
+    console.log(`[${time}] ${action.padEnd(9)} ${key || ""} ${detail}`);
+    if (file) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(line) + "\n");
+    }
+  };
+}
+
+module.exports = {
+  TOKEN_RATE_DECIMALS,
+  ETH_RATE_DECIMALS,
+  ETH_KEY,
+  toOnChainRate,
+  shouldPush,
+  findRate,
+  FeederState,
+  createLogger
+};
@@ -0,0 +1,77 @@
+const fs = require("fs");
+const path = require("path");
+
+/*
+ * Rate sources for the oracle feeder. Every source exposes
+ *   { name, fetchRates() -> Promise<{ [key]: string }> }
+ * where key is a token symbol (e.g. "USDT"), a token address, or "ETH" for
+ * the ETH -> EUR rate, and the value is a decimal string.
+ *
+ * Supported specs:
+ *   rates.json / file:rates.json   {"USDT": "2", "ETH": "1800"} or {"rates": {...}}
+ *   rates.csv  / file:rates.csv    lines of "key,rate" (a "symbol,rate" header is allowed)
+ *   http://host:port/path           JSON, same shape as the file source
+ */
+
+function normalizeRates(raw, origin) {
+  const rates = raw && typeof raw.rates === "object" ? raw.rates : raw;
+  if (!rates || typeof rates !== "object" || Array.isArray(rates)) {
+    throw new Error(`${origin}: expected an object of rates`);
+  }
+  const out = {};
+  for (const [key, value] of Object.entries(rates)) {
+    const str = String(value).trim();
+    if (!/^\d+(\.\d+)?$/.test(str)) {
+      throw new Error(`${origin}: invalid rate for ${key}: ${value}`);
+    }
+    out[key] = str;
+  }
+  return out;
+}
+
+function parseCsv(text, origin) {
+  const rates = {};
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .forEach((line, i) => {
+      const [key, value] = line.split(",").map((c) => c.trim());
+      if (i === 0 && !/^\d/.test(value || "")) return; // header row
+      rates[key] = value;
+    });
+  return normalizeRates(rates, origin);
+}
+
+function fileSource(file) {
+  const resolved = path.resolve(file);
+  return {
+    name: `file:${resolved}`,
+    async fetchRates() {
+      const text = fs.readFileSync(resolved, "utf8");
+      return resolved.endsWith(".csv")
+        ? parseCsv(text, resolved)
+        : normalizeRates(JSON.parse(text), resolved);
+    }
+  };
+}
+
+function httpSource(url) {
+  return {
+    name: url,
+    async fetchRates() {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+      return normalizeRates(await res.json(), url);
+    }
+  };
+}
+
+/** Picks the adapter for a --source spec. */
+function createSource(spec) {
+  if (!spec) throw new Error("No rate source given (--source)");
+  if (/^https?:\/\//.test(spec)) return httpSource(spec);
+  return fileSource(spec.replace(/^file:/, ""));
+}
+
+module.exports = { createSource, parseCsv, normalizeRates };
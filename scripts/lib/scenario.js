@@ -0,0 +1,302 @@
+const fs = require("fs");
+const path = require("path");
+const { fail, parseAmount, revertReason, RATE_DECIMALS } = require("./taskHelpers");
+const { deploySystem } = require("./deployments");
+
+// Scenario files (scenarios/*.json) describe a demo state: who is employed,
+// how salaries are split between tokens and a timeline of paydays, rate
+// updates and campaigns played out on a Hardhat chain. See scenarios/demo.json.
+
+// Employee wallets are derived from the node's mnemonic after the 20 accounts
+// Hardhat funds itself, so QA can import them into a wallet by private key
+const HARDHAT_MNEMONIC = "test test test test test test test test test test test junk";
+const FIRST_EMPLOYEE_INDEX = 20;
+const EMPLOYEE_BALANCE = "100"; // ETH, for gas and campaign contributions
+const BATCH_SIZE = 25; // addEmployees / runPayroll page size
+
+const TOKEN_CONTRACTS = { EURT: "eurt", USDT: "usdt" };
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+const STEP_KINDS = ["advance", "payroll", "rates", "campaign", "finalize", "repeat"];
+
+/** Seconds from a number or a string with a unit: "90", "12h", "30d", "4w". */
+function parseDuration(value, label) {
+  const match = /^(\d+)\s*([smhdw]?)$/.exec(String(value).trim());
+  if (!match) throw fail(`${label} must be a duration such as "3600", "30d" or "4w", got "${value}"`);
+  return Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+}
+
+function checkToken(symbol, label) {
+  if (!TOKEN_CONTRACTS[symbol]) {
+    throw fail(`${label}: unknown token "${symbol}" (use ${Object.keys(TOKEN_CONTRACTS).join(" or ")})`);
+  }
+}
+
+function checkSteps(steps, label) {
+  if (!Array.isArray(steps)) throw fail(`${label} must be a list of steps`);
+  steps.forEach((step, i) => {
+    const where = `${label}[${i}]`;
+    const kinds = Object.keys(step || {}).filter((key) => STEP_KINDS.includes(key));
+    if (kinds.length !== 1) throw fail(`${where} needs exactly one of: ${STEP_KINDS.join(", ")}`);
+    if (step.advance !== undefined) parseDuration(step.advance, `${where}.advance`);
+    if (step.rates) {
+      for (const [symbol, rate] of Object.entries(step.rates)) {
+        if (symbol !== "ETH") checkToken(symbol, `${where}.rates`);
+        parseAmount(rate, `${where}.rates.${symbol}`, RATE_DECIMALS);
+      }
+    }
+    if (step.campaign) {
+      const c = step.campaign;
+      if (!c.title) throw fail(`${where}.campaign needs a title`);
+      parseAmount(c.goal, `${where}.campaign.goal`);
+      parseDuration(c.duration, `${where}.campaign.duration`);
+      checkToken(c.reward || "EURT", `${where}.campaign.reward`);
+      (c.contributions || []).forEach((eth, j) => parseAmount(eth, `${where}.campaign.contributions[${j}]`));
+    }
+    if (step.repeat !== undefined) {
+      if (!Number.isInteger(step.repeat) || step.repeat < 1) throw fail(`${where}.repeat must be a positive integer`);
+      checkSteps(step.steps, `${where}.steps`);
+    }
+  });
+}
+
+/**
+ * Reads and validates a scenario file up front, so a typo fails before
+ * anything is deployed rather than halfway through the timeline.
+ */
+function loadScenario(file) {
+  if (!fs.existsSync(file)) throw fail(`Scenario file not found: ${file}`);
+  const scenario = JSON.parse(fs.readFileSync(file, "utf8"));
+  scenario.name = scenario.name || path.basename(file, ".json");
+
+  const { employees } = scenario;
+  if (!employees || !Number.isInteger(employees.count) || employees.count < 0) {
+    throw fail("employees.count must be a non-negative integer");
+  }
+  if (employees.count > 0) {
+    if (!employees.salaries?.length) throw fail("employees.salaries needs at least one yearly salary");
+    if (!employees.allocations?.length) throw fail("employees.allocations needs at least one token split");
+  }
+  (employees.salaries || []).forEach((salary, i) => parseAmount(salary, `employees.salaries[${i}]`));
+  (employees.allocations || []).forEach((split, i) => {
+    const shares = Object.entries(split);
+    shares.forEach(([symbol, percent]) => {
+      checkToken(symbol, `employees.allocations[${i}]`);
+      if (!Number.isInteger(percent) || percent <= 0) {
+        throw fail(`employees.allocations[${i}].${symbol} must be a whole percentage`);
+      }
+    });
+    if (shares.reduce((sum, [, percent]) => sum + percent, 0) > 100) {
+      throw fail(`employees.allocations[${i}] adds up to more than 100% of the salary`);
+    }
+  });
+
+  for (const [symbol, token] of Object.entries(scenario.tokens || {})) {
+    checkToken(symbol, "tokens");
+    if (token.rate !== undefined) parseAmount(token.rate, `tokens.${symbol}.rate`, RATE_DECIMALS);
+    if (token.fund !== undefined) parseAmount(token.fund, `tokens.${symbol}.fund`);
+  }
+  if (scenario.ethToEurRate !== undefined) parseAmount(scenario.ethToEurRate, "ethToEurRate", RATE_DECIMALS);
+  if (scenario.rateLimits?.maxAge !== undefined) parseDuration(scenario.rateLimits.maxAge, "rateLimits.maxAge");
+  checkSteps(scenario.timeline || [], "timeline");
+  return scenario;
+}
+
+// evm_increaseTime only moves the clock of the next block, so mine one to apply it
+async function advanceTime(hre, seconds) {
+  await hre.network.provider.request({ method: "evm_increaseTime", params: [seconds] });
+  await hre.network.provider.request({ method: "evm_mine", params: [] });
+}
+
+async function send(contract, method, args = [], overrides = {}) {
+  try {
+    return await (await contract[method](...args, overrides)).wait();
+  } catch (err) {
+    throw fail(`${method} reverted: ${revertReason(err, contract.interface)}`);
+  }
+}
+
+// Council-only calls: the seeded council may need several approvals or a
+// timelock, so the scenario sends them as the council contract itself
+async function sendAsCouncil(hre, council, contract, method, args) {
+  const address = await council.getAddress();
+  const { provider } = hre.network;
+  await provider.request({ method: "hardhat_impersonateAccount", params: [address] });
+  await provider.request({ method: "hardhat_setBalance", params: [address, hre.ethers.toQuantity(hre.ethers.parseEther("1"))] });
+  try {
+    return await send(contract.connect(await hre.ethers.getSigner(address)), method, args);
+  } finally {
+    await provider.request({ method: "hardhat_stopImpersonatingAccount", params: [address] });
+  }
+}
+
+function findEvent(contract, receipt, name) {
+  return receipt.logs.map((log) => contract.interface.parseLog(log)).find((e) => e?.name === name);
+}
+
+async function employeeWallets(hre, count) {
+  const accounts = hre.network.config.accounts;
+  const mnemonic = accounts?.mnemonic || HARDHAT_MNEMONIC;
+  const root = hre.ethers.HDNodeWallet.fromPhrase(mnemonic, undefined, "m/44'/60'/0'/0");
+  const balance = hre.ethers.toQuantity(hre.ethers.parseEther(EMPLOYEE_BALANCE));
+
+  const wallets = [];
+  for (let i = 0; i < count; i++) {
+    const wallet = root.deriveChild(FIRST_EMPLOYEE_INDEX + i).connect(hre.ethers.provider);
+    await hre.network.provider.request({ method: "hardhat_setBalance", params: [wallet.address, balance] });
+    wallets.push(wallet);
+  }
+  return wallets;
+}
+
+async function hireEmployees(hre, system, scenario, wallets) {
+  const { employees } = scenario;
+  const hired = wallets.map((wallet, i) => {
+    const salary = parseAmount(employees.salaries[i % employees.salaries.length], "salary");
+    const split = employees.allocations[i % employees.allocations.length];
+    const allocations = Object.entries(split).map(([symbol, percent]) => ({
+      symbol,
+      token: system[TOKEN_CONTRACTS[symbol]].target,
+      monthlyEUR: (salary / 12n) * BigInt(percent) / 100n
+    }));
+    return { wallet, salary, allocations };
+  });
+
+  for (let i = 0; i < hired.length; i += BATCH_SIZE) {
+    const batch = hired.slice(i, i + BATCH_SIZE);
+    await send(system.payroll, "addEmployees", [
+      batch.map((e) => e.wallet.address),
+      batch.map((e) => e.salary),
+      batch.map((e) => e.allocations.map((a) => a.token))
+    ]);
+  }
+  for (const employee of hired) {
+    const payroll = system.payroll.connect(employee.wallet);
+    for (const a of employee.allocations) await send(payroll, "determineAllocation", [a.token, a.monthlyEUR]);
+  }
+  console.log(`Hired ${hired.length} employees`);
+  return hired;
+}
+
+async function runStep(hre, system, ctx, step) {
+  const { payroll } = system;
+  if (step.advance !== undefined) {
+    const seconds = parseDuration(step.advance, "advance");
+    await advanceTime(hre, seconds);
+    console.log(`Advanced time by ${step.advance} (${seconds}s)`);
+  } else if (step.payroll !== undefined) {
+    const total = Number(await payroll.getEmployeeCount());
+    let payments = 0;
+    let skipped = 0;
+    for (let offset = 0; offset < total; offset += BATCH_SIZE) {
+      const receipt = await send(payroll, "runPayroll", [offset, BATCH_SIZE]);
+      for (const log of receipt.logs) {
+        const event = payroll.interface.parseLog(log);
+        if (event?.name === "PayrollRun") payments += Number(event.args.payments);
+        if (event?.name === "PaymentSkipped") skipped++;
+      }
+    }
+    ctx.paydays++;
+    console.log(`Payroll run: ${payments} payments${skipped ? `, ${skipped} skipped` : ""}`);
+  } else if (step.rates) {
+    const asOracle = payroll.connect(ctx.oracle);
+    for (const [symbol, value] of Object.entries(step.rates)) {
+      const rate = parseAmount(value, symbol, RATE_DECIMALS);
+      if (symbol === "ETH") await send(asOracle, "setEthToEurRate", [rate]);
+      else await send(asOracle, "setExchangeRate", [system[TOKEN_CONTRACTS[symbol]].target, rate]);
+      console.log(`Rate ${symbol} set to ${value}`);
+    }
+  } else if (step.campaign) {
+    const c = step.campaign;
+    const contributions = c.contributions || [];
+    if (contributions.length > ctx.employees.length) {
+      throw fail(`Campaign "${c.title}" has more contributions than employees`);
+    }
+    const receipt = await send(payroll, "createCampaign", [
+      c.title,
+      parseAmount(c.goal, "goal"),
+      parseDuration(c.duration, "duration"),
+      system[TOKEN_CONTRACTS[c.reward || "EURT"]].target
+    ]);
+    const id = findEvent(payroll, receipt, "CampaignCreated").args.campaignId;
+    for (const [i, eth] of contributions.entries()) {
+      const asEmployee = payroll.connect(ctx.employees[i].wallet);
+      await send(asEmployee, "contributeToCampaign", [id], { value: hre.ethers.parseEther(eth) });
+    }
+    ctx.campaigns.set(c.title, id);
+    console.log(`Campaign #${id} "${c.title}": goal ${c.goal} EUR, ${contributions.length} contributions`);
+  } else if (step.finalize !== undefined) {
+    const id = ctx.campaigns.get(step.finalize);
+    if (id === undefined) throw fail(`finalize: no campaign titled "${step.finalize}" was created earlier`);
+    const receipt = await send(payroll, "finalizeCampaign", [id]);
+    const { success } = findEvent(payroll, receipt, "CampaignFinalized").args;
+    console.log(`Campaign #${id} "${step.finalize}" finalized: ${success ? "succeeded" : "failed"}`);
+  } else {
+    for (let i = 0; i < step.repeat; i++) {
+      for (const inner of step.steps) await runStep(hre, system, ctx, inner);
+    }
+  }
+}
+
+/**
+ * Deploys a fresh system from the first signer (admin) and the second
+ * (oracle), then hires the scenario's employees and plays its timeline.
+ * Only works on Hardhat Network, which provides the time and balance RPCs.
+ */
+async function seedScenario(hre, scenario) {
+  const client = await hre.network.provider.request({ method: "web3_clientVersion", params: [] });
+  if (!/hardhat/i.test(client)) throw fail(`Seeding needs a Hardhat node, not ${client}`);
+
+  const { ethers } = hre;
+  const [admin, oracle] = await ethers.getSigners();
+  const tokens = scenario.tokens || {};
+  const rate = (value, fallback) => parseAmount(value ?? fallback, "rate", RATE_DECIMALS);
+  const council = scenario.council || {};
+  const admins = (council.admins || [admin.address]).map((a) => ethers.getAddress(a));
+  if (!admins.includes(admin.address)) throw fail(`council.admins must include the deployer ${admin.address}`);
+
+  console.log(`--- Seeding scenario "${scenario.name}" ---`);
+  const system = await deploySystem(hre, {
+    admins,
+    threshold: council.threshold ?? 1,
+    delay: council.delay === undefined ? 0 : parseDuration(council.delay, "council.delay"),
+    oracle: oracle.address,
+    eurRate: rate(tokens.EURT?.rate, "1"),
+    usdRate: rate(tokens.USDT?.rate, "2"),
+    ethToEurRate: rate(scenario.ethToEurRate, "1800")
+  });
+  const { payroll } = system;
+
+  // salary tokens are minted straight into Payroll, so the scenario is not
+  // limited by the initial supply
+  for (const [symbol, token] of Object.entries(tokens)) {
+    if (token.fund === undefined) continue;
+    await send(system[TOKEN_CONTRACTS[symbol]], "mint", [payroll.target, parseAmount(token.fund, `${symbol} fund`)]);
+    console.log(`Payroll funded with ${token.fund} ${symbol}`);
+  }
+  // Payroll registers EURT as mintable, so it pays EURT salaries by minting
+  await send(system.eurt, "transferOwnership", [payroll.target]);
+  if (scenario.rateLimits) {
+    const { maxAge, maxChangeBps = 0 } = scenario.rateLimits;
+    const limits = [maxAge === undefined ? 0 : parseDuration(maxAge, "maxAge"), maxChangeBps];
+    await sendAsCouncil(hre, system.council, payroll, "setRateLimits", limits);
+  }
+  await send(payroll, "closeImport");
+
+  const ctx = {
+    oracle,
+    employees: await hireEmployees(hre, system, scenario, await employeeWallets(hre, scenario.employees.count)),
+    campaigns: new Map(),
+    paydays: 0
+  };
+  for (const step of scenario.timeline || []) await runStep(hre, system, ctx, step);
+
+  const block = await ethers.provider.getBlock("latest");
+  return { system, employees: ctx.employees, campaigns: ctx.campaigns, paydays: ctx.paydays, timestamp: block.timestamp };
+}
+
+module.exports = {
+  FIRST_EMPLOYEE_INDEX,
+  parseDuration,
+  loadScenario,
+  seedScenario
+};
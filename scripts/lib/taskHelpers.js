@@ -0,0 +1,206 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readDeployment } = require("./deployments");
+
+// Shared plumbing for the Hardhat tasks in tasks/: manifest lookup, role
+// signers (council admins, HR, oracle), token resolution and readable
+// transaction output.
+
+const PLUGIN_NAME = "payroll";
+
+function fail(message) {
+  return new HardhatPluginError(PLUGIN_NAME, message);
+}
+
+/**
+ * Deployment record for the selected network, or the manifest passed with
+ * --deployment. Refuses a manifest written for a different chain.
+ */
+async function loadTaskDeployment(hre, file) {
+  const deployment = file
+    ? JSON.parse(fs.readFileSync(path.resolve(file), "utf8"))
+    : readDeployment(hre.network.name);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (String(deployment.chainId) !== chainId.toString()) {
+    throw fail(
+      `Deployment record is for chain ${deployment.chainId}, but network "${hre.network.name}" is chain ${chainId}`
+    );
+  }
+  return deployment;
+}
+
+/** Contract from the manifest, connected to `runner` (defaults to the first configured account). */
+async function deployedContract(hre, deployment, name, runner) {
+  const entry = deployment.contracts[name];
+  if (!entry) throw fail(`Deployment record has no ${name} contract`);
+  return hre.ethers.getContractAt(entry.abi, entry.address, runner);
+}
+
+/** Configured account whose address equals `address`; null if none matches. */
+async function findSigner(hre, address) {
+  const signers = await hre.ethers.getSigners();
+  return signers.find((s) => s.address.toLowerCase() === address.toLowerCase()) || null;
+}
+
+/** First configured account for which `predicate(address)` resolves to true; null if none does. */
+async function findSignerWhere(hre, predicate) {
+  for (const signer of await hre.ethers.getSigners()) {
+    if (await predicate(signer.address)) return signer;
+  }
+  return null;
+}
+
+/** Configured account that is an AdminCouncil admin; null if there is none. */
+async function findAdminSigner(hre, deployment) {
+  const council = await deployedContract(hre, deployment, "AdminCouncil");
+  return findSignerWhere(hre, (address) => council.isAdmin(address));
+}
+
+/**
+ * Configured account holding a Payroll role ("HR_ROLE", "ORACLE_ROLE"); null
+ * if there is none. Admins pass every HR check, so for HR_ROLE they count too.
+ */
+async function findRoleSigner(hre, deployment, role) {
+  const payroll = await deployedContract(hre, deployment, "Payroll");
+  const roleId = await payroll[role]();
+  const signer = await findSignerWhere(hre, (address) => payroll.hasRole(roleId, address));
+  if (signer || role !== "HR_ROLE") return signer;
+  return findAdminSigner(hre, deployment);
+}
+
+/** Connects `contract` to a council admin ("admin") or a Payroll role holder ("HR_ROLE", ...), or fails. */
+async function connectAs(hre, deployment, contract, role) {
+  const signer =
+    role === "admin" ? await findAdminSigner(hre, deployment) : await findRoleSigner(hre, deployment, role);
+  if (!signer) {
+    const holder = role === "admin" ? "an AdminCouncil admin" : `a Payroll ${role} holder`;
+    throw fail(`No configured account for ${hre.network.name} is ${holder}`);
+  }
+  return contract.connect(signer);
+}
+
+/**
+ * Resolves a --token argument: a token address, a manifest contract name
+ * (EURToken, USDToken) or the symbol of a token in the manifest.
+ */
+async function resolveToken(hre, deployment, value) {
+  if (hre.ethers.isAddress(value)) return hre.ethers.getAddress(value);
+  if (deployment.contracts[value]) return deployment.contracts[value].address;
+
+  for (const [name, entry] of Object.entries(deployment.contracts)) {
+    if (!entry.abi.some((f) => f.name === "symbol")) continue;
+    const token = await deployedContract(hre, deployment, name);
+    if ((await token.symbol()).toLowerCase() === value.toLowerCase()) return entry.address;
+  }
+  throw fail(`Unknown token "${value}": use an address, a contract name or a symbol from the deployment record`);
+}
+
+/** Tokens registered through addSupportedToken since the Payroll deployment, with their symbols. */
+async function fetchSupportedTokens(hre, deployment, payroll) {
+  const logs = await payroll.queryFilter(payroll.filters.TokenSupported(), deployment.deployBlock);
+  const addresses = [...new Set(logs.map((log) => log.args.token))];
+  return Promise.all(
+    addresses.map(async (address) => {
+      const erc20 = await hre.ethers.getContractAt(deployment.abis.ERC20, address, payroll.runner);
+      const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+      return { address, symbol, decimals };
+    })
+  );
+}
+
+/** Holders of a Payroll `role` (bytes32 id) as of `toBlock`, replayed from the RoleUpdated events. */
+async function fetchRoleHolders(payroll, role, fromBlock, toBlock = "latest") {
+  const logs = await payroll.queryFilter(payroll.filters.RoleUpdated(role), fromBlock, toBlock);
+  const holders = new Set();
+  for (const log of logs) {
+    if (log.args.enabled) holders.add(log.args.account);
+    else holders.delete(log.args.account);
+  }
+  return [...holders];
+}
+
+// Payroll fixed-point precision for EUR amounts and exchange rates (Payroll.EUR_DECIMALS / RATE_DECIMALS)
+const EUR_DECIMALS = 18;
+const RATE_DECIMALS = 18;
+
+/** Parses a non-negative decimal argument ("36000", "1.08") into fixed point with `decimals` places. */
+function parseAmount(value, label, decimals = EUR_DECIMALS) {
+  const text = String(value).trim();
+  if (!/^\d+(\.\d+)?$/.test(text)) throw fail(`${label} must be a non-negative number, got "${value}"`);
+  try {
+    return ethers.parseUnits(text, decimals);
+  } catch {
+    throw fail(`${label} has more than ${decimals} decimals: ${value}`);
+  }
+}
+
+function formatArg(value) {
+  if (Array.isArray(value)) return `[${value.map(formatArg).join(", ")}]`;
+  return value.toString();
+}
+
+/** Revert reason from an ethers error, decoding custom errors with `iface` when possible. */
+function revertReason(err, iface) {
+  // ethers puts the revert data on err.data; Hardhat's JSON-RPC errors nest it as err.data.data
+  const data = typeof err.data === "object" && err.data !== null ? err.data.data : err.data;
+  if (iface && typeof data === "string" && data.length > 2) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed?.name === "Error") return parsed.args[0]; // plain require() message
+      if (parsed) return `${parsed.name}(${parsed.args.map(formatArg).join(", ")})`;
+    } catch {
+      // not a custom error of this contract; fall through
+    }
+  }
+  return err.reason || err.shortMessage || err.message;
+}
+
+/**
+ * Sends `contract[method](...args)`, waits for the receipt and prints the
+ * hash, gas used and every event the contract emitted. Reverts are rethrown
+ * as task errors carrying the decoded reason.
+ */
+async function sendTx(contract, method, args = [], overrides = {}) {
+  let receipt;
+  try {
+    const tx = await contract[method](...args, overrides);
+    console.log(`${method} sent: ${tx.hash}`);
+    receipt = await tx.wait();
+  } catch (err) {
+    throw fail(`${method} reverted: ${revertReason(err, contract.interface)}`);
+  }
+
+  console.log(`  mined in block ${receipt.blockNumber}, gas used ${receipt.gasUsed}`);
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed) continue;
+    const fields = parsed.fragment.inputs.map((input, i) => `${input.name}=${formatArg(parsed.args[i])}`);
+    console.log(`  event ${parsed.name}(${fields.join(", ")})`);
+  }
+  return receipt;
+}
+
+module.exports = {
+  EUR_DECIMALS,
+  RATE_DECIMALS,
+  fail,
+  loadTaskDeployment,
+  deployedContract,
+  findSigner,
+  findSignerWhere,
+  findRoleSigner,
+  connectAs,
+  resolveToken,
+  fetchSupportedTokens,
+  fetchRoleHolders,
+  parseAmount,
+  revertReason,
+  sendTx
+};
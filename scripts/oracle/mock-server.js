@@ -0,0 +1,71 @@
+const http = require("http");
+const fs = require("fs");
+const { normalizeRates, parseCsv } = require("../lib/oracleSources");
+
+/*
+ * Mock price endpoint for the oracle feeder.
+ *
+ *   node scripts/oracle/mock-server.js [--port 8787] [--file rates.json] [--drift 2]
+ *
+ * GET  /rates  -> {"rates": {...}, "updatedAt": <unix seconds>}
+ * POST /rates  -> replace some or all rates with a JSON body {"USDT": "2.1"}
+ *
+ * With --drift N every GET moves ETH by a random step of up to N percent, which
+ * is enough to watch the feeder's deviation threshold kick in.
+ */
+
+function argValue(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? fallback : process.argv[i + 1];
+}
+
+const port = Number(argValue("port", 8787));
+const drift = Number(argValue("drift", 0));
+const file = argValue("file");
+
+let rates = { EURT: "1", USDT: "2", ETH: "1800" };
+if (file) {
+  const text = fs.readFileSync(file, "utf8");
+  rates = file.endsWith(".csv") ? parseCsv(text, file) : normalizeRates(JSON.parse(text), file);
+}
+
+function applyDrift() {
+  if (!drift || rates.ETH === undefined) return;
+  const step = 1 + ((Math.random() * 2 - 1) * drift) / 100;
+  rates.ETH = (Number(rates.ETH) * step).toFixed(2);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.url !== "/rates") return send(res, 404, { error: "not found" });
+
+  if (req.method === "GET") {
+    applyDrift();
+    return send(res, 200, { rates, updatedAt: Math.floor(Date.now() / 1000) });
+  }
+
+  if (req.method === "POST") {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        rates = { ...rates, ...normalizeRates(JSON.parse(body), "POST /rates") };
+        send(res, 200, { rates });
+      } catch (err) {
+        send(res, 400, { error: err.message });
+      }
+    });
+    return;
+  }
+
+  send(res, 405, { error: "method not allowed" });
+});
+
+server.listen(port, () => {
+  console.log(`Mock rate server on http://127.0.0.1:${port}/rates`);
+  console.log(JSON.stringify(rates));
+});
@@ -0,0 +1,174 @@
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const {
+  fail,
+  loadTaskDeployment,
+  deployedContract,
+  connectAs,
+  resolveToken,
+  sendTx
+} = require("../scripts/lib/taskHelpers");
+const { printProposal, propose } = require("../scripts/lib/council");
+
+/*
+ * AdminCouncil proposals from the terminal. High-risk calls (withdrawing ETH
+ * or tokens, role changes, repointing PrisonFund, the council's own admins and
+ * policy) are proposed here, approved by the other admins and executed once
+ * the timelock has passed:
+ *
+ *   npx hardhat council:propose-role --network localhost --role HR --account 0x...
+ *   npx hardhat council:status --network localhost
+ *   npx hardhat council:approve --network localhost --id 0
+ *   npx hardhat council:execute --network localhost --id 0
+ *
+ * A proposal that can run right away (threshold 1, no delay) is executed by
+ * the proposing task itself.
+ */
+
+function councilTask(name, description) {
+  return task(name, description).addOptionalParam(
+    "deployment",
+    "Deployment record to use instead of deployments/<network>.json"
+  );
+}
+
+async function councilAsAdmin(hre, args) {
+  const deployment = await loadTaskDeployment(hre, args.deployment);
+  const council = await connectAs(hre, deployment, await deployedContract(hre, deployment, "AdminCouncil"), "admin");
+  return { deployment, council };
+}
+
+function checkAddress(hre, value, label) {
+  if (!hre.ethers.isAddress(value)) throw fail(`${label} is not a valid address: ${value}`);
+  return hre.ethers.getAddress(value);
+}
+
+councilTask("council:status", "Prints the council admins, policy and proposals")
+  .addFlag("all", "Also list executed and cancelled proposals")
+  .setAction(async (args, hre) => {
+    const deployment = await loadTaskDeployment(hre, args.deployment);
+    const council = await deployedContract(hre, deployment, "AdminCouncil");
+    const [admins, threshold, delay, count] = await Promise.all([
+      council.getAdmins(),
+      council.threshold(),
+      council.delay(),
+      council.getProposalCount()
+    ]);
+
+    console.log(`AdminCouncil ${await council.getAddress()}`);
+    console.log(`  policy           ${threshold} of ${admins.length} approvals, ${delay}s timelock`);
+    admins.forEach((admin) => console.log(`  admin            ${admin}`));
+
+    console.log("Proposals");
+    let listed = 0;
+    for (let id = 0n; id < count; id++) {
+      const [, , , , , executed, cancelled] = await council.getProposal(id);
+      if (!args.all && (executed || cancelled)) continue;
+      await printProposal(hre, deployment, council, id);
+      listed++;
+    }
+    if (listed === 0) console.log(args.all ? "  none" : "  no pending proposals (use --all for the history)");
+  });
+
+councilTask("council:approve", "Approves a pending proposal")
+  .addParam("id", "Proposal id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { deployment, council } = await councilAsAdmin(hre, args);
+    await sendTx(council, "approve", [args.id]);
+    await printProposal(hre, deployment, council, args.id);
+  });
+
+councilTask("council:execute", "Executes an approved proposal whose timelock has passed")
+  .addParam("id", "Proposal id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { deployment, council } = await councilAsAdmin(hre, args);
+    await sendTx(council, "execute", [args.id]);
+    await printProposal(hre, deployment, council, args.id);
+  });
+
+councilTask("council:cancel", "Cancels a proposal (proposer only)")
+  .addParam("id", "Proposal id", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { deployment, council } = await councilAsAdmin(hre, args);
+    await sendTx(council, "cancel", [args.id]);
+    await printProposal(hre, deployment, council, args.id);
+  });
+
+councilTask("council:propose-role", "Proposes granting (or revoking) a Payroll HR / ORACLE role")
+  .addParam("role", "HR or ORACLE")
+  .addParam("account", "Account to grant the role to")
+  .addFlag("revoke", "Revoke the role instead")
+  .setAction(async (args, hre) => {
+    const role = args.role.toUpperCase();
+    if (role !== "HR" && role !== "ORACLE") throw fail(`--role must be HR or ORACLE, got "${args.role}"`);
+    const { deployment, council } = await councilAsAdmin(hre, args);
+    const payroll = await deployedContract(hre, deployment, "Payroll");
+    const account = checkAddress(hre, args.account, "--account");
+    await propose(
+      hre,
+      deployment,
+      council,
+      payroll,
+      "setRole",
+      [await payroll[`${role}_ROLE`](), account, !args.revoke],
+      `${args.revoke ? "Revoke" : "Grant"} ${role} for ${account}`
+    );
+  });
+
+councilTask("council:propose-withdraw-eth", "Proposes withdrawing ETH from the Payroll reserve")
+  .addParam("to", "Recipient")
+  .addParam("amount", "Amount in ETH")
+  .setAction(async (args, hre) => {
+    const { deployment, council } = await councilAsAdmin(hre, args);
+    const payroll = await deployedContract(hre, deployment, "Payroll");
+    const to = checkAddress(hre, args.to, "--to");
+    const amount = ethers.parseEther(args.amount);
+    await propose(hre, deployment, council, payroll, "withdrawEth", [to, amount], `Withdraw ${args.amount} ETH to ${to}`);
+  });
+
+councilTask("council:propose-claim-tokens", "Proposes moving Payroll's whole balance of a token out")
+  .addParam("token", "Token address, contract name or symbol")
+  .addParam("to", "Recipient")
+  .setAction(async (args, hre) => {
+    const { deployment, council } = await councilAsAdmin(hre, args);
+    const payroll = await deployedContract(hre, deployment, "Payroll");
+    const token = await resolveToken(hre, deployment, args.token);
+    const to = checkAddress(hre, args.to, "--to");
+    await propose(hre, deployment, council, payroll, "claimTokenFunds", [token, to], `Claim ${args.token} funds to ${to}`);
+  });
+
+councilTask("council:propose-fund-payroll", "Proposes pointing PrisonFund at another Payroll contract")
+  .addParam("payroll", "New Payroll address")
+  .setAction(async (args, hre) => {
+    const { deployment, council } = await councilAsAdmin(hre, args);
+    const fund = await deployedContract(hre, deployment, "PrisonFund");
+    const payroll = checkAddress(hre, args.payroll, "--payroll");
+    await propose(hre, deployment, council, fund, "setPayroll", [payroll], `Repoint PrisonFund to ${payroll}`);
+  });
+
+councilTask("council:propose-admin", "Proposes adding (or removing) a council admin")
+  .addParam("admin", "Admin address")
+  .addFlag("remove", "Remove the admin instead")
+  .setAction(async (args, hre) => {
+    const { deployment, council } = await councilAsAdmin(hre, args);
+    const admin = checkAddress(hre, args.admin, "--admin");
+    const method = args.remove ? "removeAdmin" : "addAdmin";
+    await propose(hre, deployment, council, council, method, [admin], `${method} ${admin}`);
+  });
+
+councilTask("council:propose-policy", "Proposes a new approval threshold and timelock")
+  .addParam("threshold", "Approvals needed to execute", undefined, types.int)
+  .addParam("delay", "Timelock in seconds", undefined, types.int)
+  .setAction(async (args, hre) => {
+    if (args.threshold <= 0 || args.delay < 0) throw fail("--threshold must be positive and --delay non-negative");
+    const { deployment, council } = await councilAsAdmin(hre, args);
+    await propose(
+      hre,
+      deployment,
+      council,
+      council,
+      "setPolicy",
+      [args.threshold, args.delay],
+      `Require ${args.threshold} approvals and a ${args.delay}s timelock`
+    );
+  });
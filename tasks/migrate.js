@@ -0,0 +1,274 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const {
+  fail,
+  loadTaskDeployment,
+  deployedContract,
+  connectAs,
+  sendTx
+} = require("../scripts/lib/taskHelpers");
+const { describeContract, writeDeployment } = require("../scripts/lib/deployments");
+const { propose } = require("../scripts/lib/council");
+const {
+  SNAPSHOT_VERSION,
+  ROLES,
+  takeSnapshot,
+  replaySnapshot,
+  projectSnapshot,
+  diffSnapshots
+} = require("../scripts/lib/migration");
+
+/*
+ * Moving to a new Payroll version without losing state:
+ *
+ *   npx hardhat migrate:snapshot --network localhost          # freezes the old Payroll, writes snapshots/*.json
+ *   npx hardhat migrate:deploy --network localhost --snapshot snapshots/localhost-42.json
+ *   npx hardhat migrate:switch --network localhost --snapshot snapshots/localhost-42.json
+ *   npx hardhat migrate:verify --network localhost --snapshot snapshots/localhost-42.json
+ *   npx hardhat payroll:unfreeze --network localhost
+ *
+ * deploy replays the snapshot into a new Payroll and points the deployment
+ * record at it; switch moves the balances, the mint rights, the roles, the
+ * rate limits and PrisonFund over through council proposals; verify compares
+ * the new state with the snapshot. Both contracts stay frozen until the
+ * operator unfreezes the new one.
+ */
+
+const OWNABLE_ABI = ["function owner() view returns (address)"];
+
+function migrateTask(name, description) {
+  return task(name, description).addOptionalParam(
+    "deployment",
+    "Deployment record to use instead of deployments/<network>.json"
+  );
+}
+
+function readSnapshot(file) {
+  if (!fs.existsSync(file)) throw fail(`Snapshot file not found: ${file}`);
+  const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw fail(`Unsupported snapshot version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+  return snapshot;
+}
+
+// Deployment record plus the old (snapshotted) and new Payroll; the record
+// must already point at the new version
+async function loadMigration(hre, args) {
+  const deployment = await loadTaskDeployment(hre, args.deployment);
+  const snapshot = readSnapshot(args.snapshot);
+  if (snapshot.chainId !== String(deployment.chainId)) {
+    throw fail(`Snapshot is for chain ${snapshot.chainId}, the deployment record for chain ${deployment.chainId}`);
+  }
+  const payroll = await deployedContract(hre, deployment, "Payroll");
+  if ((await payroll.getAddress()) === snapshot.payroll.address) {
+    throw fail("The deployment record still points at the snapshotted Payroll: run migrate:deploy first");
+  }
+  const oldPayroll = await hre.ethers.getContractAt("Payroll", snapshot.payroll.address);
+  return { deployment, snapshot, payroll, oldPayroll };
+}
+
+function printSnapshot(snapshot) {
+  const accruing = snapshot.settings.payMode === "1" ? ", accrual mode" : "";
+  console.log(`Payroll ${snapshot.payroll.address} at block ${snapshot.block}${accruing}`);
+  console.log(`  employees        ${snapshot.employees.length}`);
+  console.log(`  campaigns        ${snapshot.campaigns.length}`);
+  console.log(`  tokens           ${snapshot.tokens.map((t) => t.symbol).join(", ")}`);
+  for (const role of ROLES) console.log(`  ${role.padEnd(16)} ${snapshot.roles[role].join(", ") || "none"}`);
+}
+
+migrateTask("migrate:snapshot", "Freezes the current Payroll and writes its full state to a JSON snapshot")
+  .addOptionalParam("out", "Snapshot file (default snapshots/<network>-<block>.json)")
+  .addFlag("keepActive", "Do not freeze payments first (the snapshot may go stale)")
+  .setAction(async (args, hre) => {
+    const deployment = await loadTaskDeployment(hre, args.deployment);
+    const payroll = await connectAs(hre, deployment, await deployedContract(hre, deployment, "Payroll"), "admin");
+    if (!args.keepActive && (await payroll.paymentsState()) === 0n) {
+      await sendTx(payroll, "blockPayments");
+    }
+
+    const snapshot = await takeSnapshot({
+      payroll,
+      provider: hre.ethers.provider,
+      deployBlock: deployment.contracts.Payroll.deployBlock,
+      erc20Abi: deployment.abis.ERC20
+    });
+    const file = path.resolve(args.out || path.join(hre.config.paths.root, "snapshots", `${hre.network.name}-${snapshot.block}.json`));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + "\n");
+
+    printSnapshot(snapshot);
+    console.log(`Snapshot written to ${file}`);
+  });
+
+migrateTask("migrate:deploy", "Deploys a new Payroll, replays a snapshot into it and updates the deployment record")
+  .addParam("snapshot", "Snapshot file written by migrate:snapshot")
+  .setAction(async (args, hre) => {
+    const deployment = await loadTaskDeployment(hre, args.deployment);
+    const snapshot = readSnapshot(args.snapshot);
+    if (deployment.contracts.Payroll.address !== snapshot.payroll.address) {
+      throw fail(`The deployment record points at ${deployment.contracts.Payroll.address}, not the snapshotted Payroll`);
+    }
+    if (deployment.contracts.AdminCouncil.address !== snapshot.council) {
+      throw fail(`The snapshotted Payroll is governed by ${snapshot.council}, not the council in the deployment record`);
+    }
+    const [oracle] = snapshot.roles.ORACLE_ROLE;
+    if (!oracle) throw fail("The snapshot has no ORACLE_ROLE holder to hand to the new Payroll");
+
+    const council = await deployedContract(hre, deployment, "AdminCouncil");
+    const { runner: admin } = await connectAs(hre, deployment, council, "admin");
+    const [baseToken] = snapshot.tokens;
+    const Payroll = await hre.ethers.getContractFactory("Payroll", admin);
+    const payroll = await Payroll.deploy(
+      snapshot.council,
+      oracle,
+      baseToken.address,
+      baseToken.exchangeRate,
+      snapshot.settings.ethToEurRate
+    );
+    await payroll.waitForDeployment();
+    console.log(`Payroll deployed at ${payroll.target}`);
+
+    // payouts stay frozen until migrate:verify passes and an admin unfreezes
+    await sendTx(payroll, "blockPayments");
+    await replaySnapshot(payroll, snapshot, sendTx);
+    await sendTx(payroll, "closeImport");
+
+    const entry = await describeContract(hre, "Payroll", payroll);
+    const record = {
+      ...deployment,
+      deployBlock: entry.deployBlock,
+      contracts: { ...deployment.contracts, Payroll: entry },
+      migrations: [
+        ...(deployment.migrations || []),
+        { from: snapshot.payroll.address, to: entry.address, snapshotBlock: snapshot.block, at: new Date().toISOString() }
+      ]
+    };
+    if (args.deployment) {
+      fs.writeFileSync(path.resolve(args.deployment), JSON.stringify(record, null, 2) + "\n");
+      console.log(`Deployment record updated: ${args.deployment}`);
+    } else {
+      writeDeployment(record).forEach((file) => console.log(`Deployment record updated: ${file}`));
+    }
+    console.log("Next: migrate:switch to move the funds, roles and PrisonFund over");
+  });
+
+migrateTask("migrate:switch", "Proposes moving funds, mint rights, roles, rate limits and PrisonFund to the new Payroll")
+  .addParam("snapshot", "Snapshot file written by migrate:snapshot")
+  .setAction(async (args, hre) => {
+    const { deployment, snapshot, payroll, oldPayroll } = await loadMigration(hre, args);
+    const council = await connectAs(hre, deployment, await deployedContract(hre, deployment, "AdminCouncil"), "admin");
+    const to = await payroll.getAddress();
+    const pending = [];
+    const submit = async (contract, method, callArgs, description) => {
+      const { id, executed } = await propose(hre, deployment, council, contract, method, callArgs, description);
+      if (!executed) pending.push(id);
+    };
+
+    for (const token of snapshot.tokens) {
+      if (token.mintable) {
+        const ownable = await hre.ethers.getContractAt(OWNABLE_ABI, token.address);
+        if ((await ownable.owner()) === oldPayroll.target) {
+          await submit(oldPayroll, "transferTokenOwnership", [token.address, to], `Hand ${token.symbol} minting to ${to}`);
+        }
+      }
+      const erc20 = await hre.ethers.getContractAt(deployment.abis.ERC20, token.address);
+      if ((await erc20.balanceOf(oldPayroll.target)) > 0n) {
+        await submit(oldPayroll, "claimTokenFunds", [token.address, to], `Move ${token.symbol} funds to ${to}`);
+      }
+    }
+
+    const reserve = await oldPayroll.ethReserveWei();
+    if (reserve > 0n) {
+      await submit(oldPayroll, "withdrawEth", [to, reserve], `Move the ETH reserve to ${to}`);
+    }
+    // campaign ETH stays escrowed: the new Payroll pays the imported campaigns' refunds
+    const escrow = await oldPayroll.campaignEscrowWei();
+    if (escrow > 0n) {
+      await submit(oldPayroll, "moveCampaignEscrow", [to], `Move the campaign escrow to ${to}`);
+    }
+
+    // the rate safeguards take the council, so the replay could not set them
+    const { maxRateAge, maxRateChangeBps } = snapshot.settings;
+    if ((await payroll.maxRateAge()).toString() !== maxRateAge || (await payroll.maxRateChangeBps()).toString() !== maxRateChangeBps) {
+      await submit(
+        payroll,
+        "setRateLimits",
+        [maxRateAge, maxRateChangeBps],
+        `Rate limits: max age ${maxRateAge}s, max change ${maxRateChangeBps} bps`
+      );
+    }
+
+    for (const role of ROLES) {
+      const roleId = await payroll[role]();
+      for (const account of snapshot.roles[role]) {
+        if (!(await payroll.hasRole(roleId, account))) {
+          await submit(payroll, "setRole", [roleId, account, true], `Grant ${role} for ${account}`);
+        }
+      }
+    }
+
+    if (deployment.contracts.PrisonFund) {
+      const fund = await deployedContract(hre, deployment, "PrisonFund");
+      if ((await fund.payroll()) !== to) {
+        await submit(fund, "setPayroll", [to], `Repoint PrisonFund to ${to}`);
+      }
+    }
+
+    if (pending.length > 0) {
+      console.log(`Waiting for council approval / timelock: ${pending.map((id) => `#${id}`).join(", ")}`);
+      console.log("Run council:approve and council:execute, then migrate:verify");
+    } else {
+      console.log("Switch complete. Next: migrate:verify");
+    }
+  });
+
+migrateTask("migrate:verify", "Checks the new Payroll against the snapshot and that the funds have moved")
+  .addParam("snapshot", "Snapshot file written by migrate:snapshot")
+  .setAction(async (args, hre) => {
+    const { deployment, snapshot, payroll, oldPayroll } = await loadMigration(hre, args);
+    const actual = await takeSnapshot({
+      payroll,
+      provider: hre.ethers.provider,
+      deployBlock: deployment.contracts.Payroll.deployBlock,
+      erc20Abi: deployment.abis.ERC20
+    });
+    const diffs = diffSnapshots(projectSnapshot(snapshot, actual.timestamp), actual);
+
+    if (!(await payroll.importClosed())) diffs.push("import is still open (closeImport was not called)");
+    for (const token of snapshot.tokens) {
+      const moved = actual.tokens.find((t) => t.address === token.address);
+      if (token.mintable) {
+        const owner = await (await hre.ethers.getContractAt(OWNABLE_ABI, token.address)).owner();
+        if (owner !== payroll.target) diffs.push(`token ${token.symbol}: owned by ${owner}, not the new Payroll`);
+      }
+      const erc20 = await hre.ethers.getContractAt(deployment.abis.ERC20, token.address);
+      const left = await erc20.balanceOf(oldPayroll.target);
+      if (left > 0n) diffs.push(`token ${token.symbol}: ${left} still held by the old Payroll`);
+      if (moved && BigInt(moved.balance) < BigInt(token.balance)) {
+        diffs.push(`token ${token.symbol}: new balance ${moved.balance} is below the snapshot's ${token.balance}`);
+      }
+    }
+    if ((await oldPayroll.ethReserveWei()) > 0n) diffs.push("ETH reserve: still held by the old Payroll");
+    if ((await oldPayroll.campaignEscrowWei()) > 0n) diffs.push("campaign escrow: still held by the old Payroll");
+    const ethNeeded = BigInt(actual.settings.ethReserveWei) + BigInt(actual.settings.campaignEscrowWei);
+    const ethHeld = await hre.ethers.provider.getBalance(payroll.target);
+    if (ethHeld < ethNeeded) {
+      diffs.push(`ETH balance: ${ethHeld} wei does not cover the reserve plus the campaign escrow (${ethNeeded} wei)`);
+    }
+    if (BigInt(actual.settings.ethReserveWei) < BigInt(snapshot.settings.ethReserveWei)) {
+      diffs.push(`ETH reserve: ${actual.settings.ethReserveWei} wei is below the snapshot's ${snapshot.settings.ethReserveWei}`);
+    }
+    if (deployment.contracts.PrisonFund) {
+      const fundPayroll = await (await deployedContract(hre, deployment, "PrisonFund")).payroll();
+      if (fundPayroll !== payroll.target) diffs.push(`PrisonFund: still pays into ${fundPayroll}`);
+    }
+
+    if (diffs.length > 0) {
+      diffs.forEach((line) => console.log(`  ${line}`));
+      throw fail(`Migration check failed with ${diffs.length} difference(s)`);
+    }
+    console.log(`Payroll ${payroll.target} matches the snapshot of block ${snapshot.block} and holds the funds`);
+    console.log("Unfreeze it with payroll:unfreeze when ready");
+  });
@@ -0,0 +1,119 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const {
+  loadTaskDeployment,
+  deployedContract,
+  findRoleSigner,
+  fetchSupportedTokens,
+  revertReason,
+  fail
+} = require("../scripts/lib/taskHelpers");
+const { createSource } = require("../scripts/lib/oracleSources");
+const {
+  TOKEN_RATE_DECIMALS,
+  ETH_RATE_DECIMALS,
+  ETH_KEY,
+  toOnChainRate,
+  shouldPush,
+  findRate,
+  FeederState,
+  createLogger
+} = require("../scripts/lib/oracleFeeder");
+
+// One feeder pass over every rate the source provides
+async function feedOnce({ payroll, tokens, source, state, log, args }) {
+  const rates = await source.fetchRates();
+  const now = Math.floor(Date.now() / 1000);
+
+  const targets = tokens.map((t) => ({
+    key: t.symbol,
+    value: findRate(rates, t),
+    decimals: TOKEN_RATE_DECIMALS,
+    read: async () => (await payroll.supportedTokens(t.address)).exchangeRate,
+    write: (rate) => payroll.setExchangeRate(t.address, rate)
+  }));
+  targets.push({
+    key: ETH_KEY,
+    value: rates[ETH_KEY],
+    decimals: ETH_RATE_DECIMALS,
+    read: () => payroll.ethToEurRate(),
+    write: (rate) => payroll.setEthToEurRate(rate)
+  });
+
+  for (const target of targets) {
+    const { key } = target;
+    if (target.value === undefined) {
+      log({ action: "missing", key, reason: `no rate in ${source.name}` });
+      continue;
+    }
+    try {
+      const next = toOnChainRate(target.value, target.decimals);
+      const current = await target.read();
+      const decision = shouldPush({
+        current,
+        next,
+        lastPushAt: state.lastPushAt(key),
+        now,
+        deviationBps: args.deviation,
+        heartbeat: args.heartbeat
+      });
+      const entry = { key, from: current.toString(), to: next.toString(), reason: decision.reason };
+
+      if (!decision.push) {
+        log({ action: "skip", ...entry });
+      } else if (args.dryRun) {
+        log({ action: "dry-run", ...entry });
+      } else {
+        const tx = await target.write(next);
+        await tx.wait();
+        state.record(key, next, now);
+        log({ action: "push", ...entry, tx: tx.hash });
+      }
+    } catch (err) {
+      log({ action: "error", key, reason: revertReason(err, payroll.interface) });
+    }
+  }
+}
+
+task("oracle:feed", "Pushes exchange rates from a price source to Payroll as the oracle")
+  .addParam("source", "Rate source: path to a .json/.csv file or an http(s) URL returning JSON")
+  .addOptionalParam("deviation", "Push when the rate moved by at least this many basis points", 100, types.int)
+  .addOptionalParam("heartbeat", "Push at least this often (seconds) even without deviation", 86400, types.int)
+  .addOptionalParam("interval", "Poll every N seconds; 0 runs a single pass", 0, types.int)
+  .addOptionalParam("state", "File with the last push per rate", path.join("cache", "oracle-feeder-state.json"))
+  .addOptionalParam("log", "JSON-lines log of every push/skip", path.join("cache", "oracle-feeder.log"))
+  .addOptionalParam("deployment", "Deployment record to use instead of deployments/<network>.json")
+  .addFlag("dryRun", "Only report what would be pushed")
+  .setAction(async (args, hre) => {
+    const deployment = await loadTaskDeployment(hre, args.deployment);
+    const readOnly = await deployedContract(hre, deployment, "Payroll");
+
+    // A dry run only reads, so it works without an oracle key
+    const signer = await findRoleSigner(hre, deployment, "ORACLE_ROLE");
+    if (!signer && !args.dryRun) {
+      throw fail(`No configured account for ${hre.network.name} holds the Payroll ORACLE_ROLE`);
+    }
+    const payroll = signer ? readOnly.connect(signer) : readOnly;
+
+    const tokens = await fetchSupportedTokens(hre, deployment, payroll);
+    const source = createSource(args.source);
+    const state = new FeederState(path.resolve(args.state), deployment.chainId);
+    const log = createLogger(path.resolve(args.log));
+
+    console.log(
+      `Oracle feeder on ${hre.network.name}: ${tokens.map((t) => t.symbol).join(", ")} + ${ETH_KEY}` +
+        ` from ${source.name}${args.dryRun ? " (dry run)" : ""}`
+    );
+
+    const context = { payroll, tokens, source, state, log, args };
+    for (;;) {
+      try {
+        await feedOnce(context);
+      } catch (err) {
+        log({ action: "error", reason: err.message });
+        if (args.interval === 0) throw err;
+      }
+      if (args.interval === 0) break;
+      await new Promise((resolve) => setTimeout(resolve, args.interval * 1000));
+    }
+  });
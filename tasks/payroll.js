@@ -0,0 +1,303 @@
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const {
+  EUR_DECIMALS,
+  RATE_DECIMALS,
+  fail,
+  loadTaskDeployment,
+  deployedContract,
+  connectAs,
+  resolveToken,
+  fetchSupportedTokens,
+  fetchRoleHolders,
+  parseAmount,
+  sendTx
+} = require("../scripts/lib/taskHelpers");
+const { propose } = require("../scripts/lib/council");
+
+/*
+ * Day-to-day administration from the terminal. Every task reads the contract
+ * addresses from deployments/<network>.json (or --deployment) and signs with
+ * a configured account that holds the needed role (a council admin, or an HR
+ * operator for the employee tasks):
+ *
+ *   npx hardhat payroll:status --network localhost
+ *   npx hardhat payroll:add-employee --network localhost --employee 0x... --salary 60000
+ */
+
+function payrollTask(name, description) {
+  return task(name, description).addOptionalParam(
+    "deployment",
+    "Deployment record to use instead of deployments/<network>.json"
+  );
+}
+
+async function contractAs(hre, args, name, role) {
+  const deployment = await loadTaskDeployment(hre, args.deployment);
+  const contract = await connectAs(hre, deployment, await deployedContract(hre, deployment, name), role);
+  return { deployment, contract };
+}
+
+function checkAddress(hre, value, label) {
+  if (hre.ethers.isAddress(value)) return hre.ethers.getAddress(value);
+  if (hre.ethers.isAddress(value.toLowerCase())) {
+    throw fail(`${label} has an invalid checksum: ${value} (expected ${hre.ethers.getAddress(value.toLowerCase())})`);
+  }
+  throw fail(`${label} is not a valid address: ${value}`);
+}
+
+const formatEur = (value) => ethers.formatUnits(value, EUR_DECIMALS);
+const formatRate = (value) => ethers.formatUnits(value, RATE_DECIMALS);
+
+function formatDate(seconds) {
+  return seconds === 0n ? "never" : new Date(Number(seconds) * 1000).toISOString();
+}
+
+async function printEmployee(hre, deployment, payroll, employee) {
+  const [salary, received, allowedTokens] = await payroll.getEmployee(employee);
+  console.log(`Employee ${employee}`);
+  console.log(`  yearly salary    ${formatEur(salary)} EUR (${formatEur(salary / 12n)} EUR / month)`);
+  console.log(`  total received   ${formatEur(received)} EUR`);
+  if (allowedTokens.length === 0) console.log("  allowed tokens   none");
+
+  const tokens = await fetchSupportedTokens(hre, deployment, payroll);
+  const accrual = (await payroll.payMode()) === 1n;
+  for (const address of allowedTokens) {
+    const symbol = tokens.find((t) => t.address === address)?.symbol || address;
+    const [, lastAllocation, lastPayment, monthlyEUR] = await payroll.getEmployeePayment(employee, address);
+    const claimable = accrual ? `, claimable ${formatEur(await payroll.claimableEUR(employee, address))} EUR` : "";
+    console.log(
+      `  ${symbol.padEnd(16)} ${formatEur(monthlyEUR)} EUR / month, allocated ${formatDate(lastAllocation)}, last paid ${formatDate(lastPayment)}${claimable}`
+    );
+  }
+}
+
+payrollTask("payroll:status", "Prints the Payroll and PrisonFund state")
+  .addOptionalParam("employee", "Also print this employee's salary, tokens and allocations")
+  .setAction(async (args, hre) => {
+    const deployment = await loadTaskDeployment(hre, args.deployment);
+    const payroll = await deployedContract(hre, deployment, "Payroll");
+    const payrollAddress = await payroll.getAddress();
+
+    const [council, state, payMode, count, burnrate, ethRate, ethRateUpdatedAt, reserve, escrow, maxRateAge, maxRateChangeBps] = await Promise.all([
+      payroll.council(),
+      payroll.paymentsState(),
+      payroll.payMode(),
+      payroll.getEmployeeCount(),
+      payroll.calculatePayrollBurnrate(),
+      payroll.ethToEurRate(),
+      payroll.ethRateUpdatedAt(),
+      payroll.ethReserveWei(),
+      payroll.campaignEscrowWei(),
+      payroll.maxRateAge(),
+      payroll.maxRateChangeBps()
+    ]);
+
+    console.log(`Payroll ${payrollAddress} on ${hre.network.name} (chain ${deployment.chainId})`);
+    console.log(`  council          ${council}`);
+    for (const [label, role] of [["HR", "HR_ROLE"], ["oracle", "ORACLE_ROLE"]]) {
+      const holders = await fetchRoleHolders(payroll, await payroll[role](), deployment.deployBlock);
+      console.log(`  ${label.padEnd(16)} ${holders.length > 0 ? holders.join(", ") : "none"}`);
+    }
+    console.log(`  payments         ${state === 0n ? "active" : "FROZEN"}`);
+    console.log(`  pay mode         ${payMode === 0n ? "monthly (payday)" : "accrual (claim)"}`);
+    console.log(`  employees        ${count}`);
+    console.log(`  burn rate        ${formatEur(burnrate)} EUR / month`);
+    console.log(`  ETH reserve      ${ethers.formatEther(reserve)} ETH (1 ETH = ${ethers.formatUnits(ethRate, 18)} EUR, set ${formatDate(ethRateUpdatedAt)})`);
+    console.log(`  campaign escrow  ${ethers.formatEther(escrow)} ETH (held until the campaign succeeds or is refunded)`);
+    console.log(
+      `  rate limits      max age ${maxRateAge === 0n ? "off" : `${maxRateAge}s`}, max change ${maxRateChangeBps === 0n ? "off" : `${maxRateChangeBps} bps`}`
+    );
+
+    console.log("Supported tokens");
+    for (const token of await fetchSupportedTokens(hre, deployment, payroll)) {
+      const erc20 = await hre.ethers.getContractAt(deployment.abis.ERC20, token.address);
+      const [{ exchangeRate, mintable, rateUpdatedAt }, balance, runway, fresh] = await Promise.all([
+        payroll.supportedTokens(token.address),
+        erc20.balanceOf(payrollAddress),
+        payroll.calculatePayrollRunway(token.address),
+        payroll.isRateFresh(token.address)
+      ]);
+      const runwayText = mintable
+        ? "unlimited (mintable)"
+        : runway === 9999n
+          ? "no burn"
+          : `${runway} days`;
+      console.log(
+        `  ${token.symbol.padEnd(16)} ${token.address} rate ${formatRate(exchangeRate)}/EUR (set ${formatDate(rateUpdatedAt)}${fresh ? "" : ", STALE"}), balance ${ethers.formatUnits(balance, token.decimals)}, runway ${runwayText}`
+      );
+    }
+
+    if (deployment.contracts.PrisonFund) {
+      const fund = await deployedContract(hre, deployment, "PrisonFund");
+      const [fundPayroll, fundBalance] = await Promise.all([
+        fund.payroll(),
+        fund.getBalance()
+      ]);
+      console.log(`PrisonFund ${await fund.getAddress()}`);
+      console.log(`  balance          ${ethers.formatEther(fundBalance)} ETH`);
+      if (fundPayroll !== payrollAddress) {
+        console.log(`  payroll          ${fundPayroll} (does not match the deployment record!)`);
+      }
+    }
+
+    if (args.employee) {
+      await printEmployee(hre, deployment, payroll, checkAddress(hre, args.employee, "--employee"));
+    }
+  });
+
+payrollTask("payroll:add-employee", "Registers an employee with a yearly salary")
+  .addParam("employee", "Employee address")
+  .addParam("salary", "Yearly salary in EUR")
+  .setAction(async (args, hre) => {
+    const { deployment, contract: payroll } = await contractAs(hre, args, "Payroll", "HR_ROLE");
+    const employee = checkAddress(hre, args.employee, "--employee");
+    await sendTx(payroll, "addEmployee", [employee, parseAmount(args.salary, "--salary")]);
+    await printEmployee(hre, deployment, payroll, employee);
+  });
+
+payrollTask("payroll:set-salary", "Changes an employee's yearly salary")
+  .addParam("employee", "Employee address")
+  .addParam("salary", "New yearly salary in EUR")
+  .setAction(async (args, hre) => {
+    const { deployment, contract: payroll } = await contractAs(hre, args, "Payroll", "HR_ROLE");
+    const employee = checkAddress(hre, args.employee, "--employee");
+    await sendTx(payroll, "setEmployeeSalary", [employee, parseAmount(args.salary, "--salary")]);
+    await printEmployee(hre, deployment, payroll, employee);
+  });
+
+payrollTask("payroll:allow-token", "Allows an employee to be paid in a supported token")
+  .addParam("employee", "Employee address")
+  .addParam("token", "Token address, contract name (EURToken) or symbol (EURT)")
+  .setAction(async (args, hre) => {
+    const { deployment, contract: payroll } = await contractAs(hre, args, "Payroll", "HR_ROLE");
+    const employee = checkAddress(hre, args.employee, "--employee");
+    const token = await resolveToken(hre, deployment, args.token);
+    // allowToken ignores its rate argument; pass the current one for the record
+    const { exchangeRate } = await payroll.supportedTokens(token);
+    await sendTx(payroll, "allowToken", [employee, token, exchangeRate]);
+    await printEmployee(hre, deployment, payroll, employee);
+  });
+
+payrollTask("payroll:remove-employee", "Removes an employee and their allocations")
+  .addParam("employee", "Employee address")
+  .setAction(async (args, hre) => {
+    const { deployment, contract: payroll } = await contractAs(hre, args, "Payroll", "HR_ROLE");
+    const employee = checkAddress(hre, args.employee, "--employee");
+    await printEmployee(hre, deployment, payroll, employee);
+    await sendTx(payroll, "removeEmployee", [employee]);
+    console.log(`Employees left: ${await payroll.getEmployeeCount()}`);
+  });
+
+payrollTask("payroll:add-token", "Adds (or, through a council proposal, updates) a token Payroll can pay in")
+  .addParam("token", "Token address, contract name (USDToken) or symbol (USDT)")
+  .addParam("rate", "Tokens per 1 EUR, decimals allowed (e.g. 1.08)")
+  .addFlag("mintable", "Payroll owns the token and mints payouts instead of transferring them")
+  .setAction(async (args, hre) => {
+    const { deployment, contract: payroll } = await contractAs(hre, args, "Payroll", "admin");
+    const token = await resolveToken(hre, deployment, args.token);
+    const callArgs = [token, parseAmount(args.rate, "--rate", RATE_DECIMALS), args.mintable];
+    if ((await payroll.supportedTokens(token)).id === ethers.ZeroAddress) {
+      await sendTx(payroll, "addSupportedToken", callArgs);
+    } else {
+      // changing a supported token's rate or mint mode is high-risk
+      const council = await connectAs(hre, deployment, await deployedContract(hre, deployment, "AdminCouncil"), "admin");
+      await propose(hre, deployment, council, payroll, "addSupportedToken", callArgs, `Update ${args.token}: rate ${args.rate}`);
+    }
+  });
+
+payrollTask("payroll:rate-limits", "Proposes the maximum rate age and change per oracle update (0 turns either off)")
+  .addParam("maxAge", "Payouts are refused at rates older than this many seconds", undefined, types.int)
+  .addParam("maxChangeBps", "One setExchangeRate may move a rate by at most this many basis points", undefined, types.int)
+  .setAction(async (args, hre) => {
+    if (args.maxAge < 0 || args.maxChangeBps < 0) throw fail("--max-age and --max-change-bps cannot be negative");
+    const { deployment, contract: council } = await contractAs(hre, args, "AdminCouncil", "admin");
+    const payroll = await deployedContract(hre, deployment, "Payroll");
+    const { executed } = await propose(
+      hre,
+      deployment,
+      council,
+      payroll,
+      "setRateLimits",
+      [args.maxAge, args.maxChangeBps],
+      `Rate limits: max age ${args.maxAge}s, max change ${args.maxChangeBps} bps`
+    );
+    if (executed) {
+      console.log(`Rate limits: max age ${await payroll.maxRateAge()}s, max change ${await payroll.maxRateChangeBps()} bps`);
+    }
+  });
+
+payrollTask("payroll:freeze", "Freezes all payouts (payday)")
+  .setAction(async (args, hre) => {
+    const { contract: payroll } = await contractAs(hre, args, "Payroll", "admin");
+    await sendTx(payroll, "blockPayments");
+    console.log(`Payments are now ${(await payroll.paymentsState()) === 0n ? "active" : "FROZEN"}`);
+  });
+
+payrollTask("payroll:unfreeze", "Resumes payouts")
+  .setAction(async (args, hre) => {
+    const { contract: payroll } = await contractAs(hre, args, "Payroll", "admin");
+    await sendTx(payroll, "allowPayments");
+    console.log(`Payments are now ${(await payroll.paymentsState()) === 0n ? "active" : "FROZEN"}`);
+  });
+
+payrollTask("payroll:run", "Pushes every due payment to all employees, one page per transaction")
+  .addOptionalParam("pageSize", "Employees per runPayroll transaction", 25, types.int)
+  .addOptionalParam("offset", "Start at this position of the employee list (to resume a run)", 0, types.int)
+  .setAction(async (args, hre) => {
+    if (args.pageSize <= 0) throw fail("--page-size must be greater than 0");
+    const { contract: payroll } = await contractAs(hre, args, "Payroll", "admin");
+    const total = Number(await payroll.getEmployeeCount());
+    const nonce = await payroll.employeeListNonce();
+    console.log(`Running payroll for employees ${args.offset}..${total - 1} in pages of ${args.pageSize}`);
+
+    let payments = 0;
+    const failed = [];
+    for (let offset = args.offset; offset < total; offset += args.pageSize) {
+      // a removal moves the last employee into the freed position, possibly a page already sent;
+      // the count alone misses a removal and an addition between two pages
+      if ((await payroll.employeeListNonce()) !== nonce) {
+        throw fail(
+          "Employees were added or removed during the run; " +
+            `rerun payroll:run from offset 0 (payments already made are not due again). Payments made so far: ${payments}`
+        );
+      }
+      try {
+        const receipt = await sendTx(payroll, "runPayroll", [offset, args.pageSize]);
+        const run = receipt.logs.map((log) => payroll.interface.parseLog(log)).find((e) => e?.name === "PayrollRun");
+        payments += Number(run.args.payments);
+      } catch (err) {
+        // keep going: one failing page (e.g. an unminted token) should not stop the others
+        console.log(`  page at offset ${offset} failed: ${err.message}`);
+        failed.push(offset);
+      }
+    }
+
+    console.log(`Payments made: ${payments}`);
+    if (failed.length > 0) {
+      throw fail(`${failed.length} page(s) failed at offsets ${failed.join(", ")}; rerun them with --offset`);
+    }
+  });
+
+payrollTask("payroll:enable-accrual", "Proposes switching payouts to per-second accrual (cannot be undone)")
+  .setAction(async (args, hre) => {
+    const { deployment, contract: council } = await contractAs(hre, args, "AdminCouncil", "admin");
+    const payroll = await deployedContract(hre, deployment, "Payroll");
+    const { executed } = await propose(hre, deployment, council, payroll, "enableAccrual", [], "Enable accrual mode");
+    if (executed) console.log("Salaries now accrue per second; employees withdraw them with claim()");
+  });
+
+payrollTask("fund:transfer", "Moves ETH from PrisonFund into the Payroll reserve")
+  .addOptionalParam("amount", "Amount in ETH (default: the whole fund balance)")
+  .setAction(async (args, hre) => {
+    const { deployment, contract: fund } = await contractAs(hre, args, "PrisonFund", "admin");
+    const amount = args.amount === undefined ? await fund.getBalance() : ethers.parseEther(args.amount);
+    if (amount === 0n) throw fail("PrisonFund is empty, nothing to transfer");
+
+    await sendTx(fund, "transferToPayroll", [amount]);
+    // the Payroll balance also holds the campaign escrow, which the reserve cannot spend
+    const payroll = await deployedContract(hre, deployment, "Payroll");
+    console.log(`PrisonFund balance ${ethers.formatEther(await fund.getBalance())} ETH`);
+    console.log(`Payroll reserve    ${ethers.formatEther(await payroll.ethReserveWei())} ETH`);
+    console.log(`Campaign escrow    ${ethers.formatEther(await payroll.campaignEscrowWei())} ETH`);
+  });
@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { deploymentRecord, writeDeployment } = require("../scripts/lib/deployments");
+const { FIRST_EMPLOYEE_INDEX, loadScenario, seedScenario } = require("../scripts/lib/scenario");
+
+/*
+ * A realistic demo state in one command instead of deploy_all.js plus
+ * fast-forwarding by hand:
+ *
+ *   npx hardhat node
+ *   npx hardhat scenario:seed --network localhost --scenario scenarios/demo.json
+ *
+ * Deploys a fresh system, hires the scenario's employees, plays its timeline
+ * (paydays, evm_increaseTime, rate updates, campaigns) and writes the
+ * deployment record the frontend and the other tasks read.
+ */
+
+const SHOWN_EMPLOYEES = 5;
+
+task("scenario:seed", "Deploys a fresh system and populates it from a scenario file (Hardhat node only)")
+  .addParam("scenario", "Scenario file, e.g. scenarios/demo.json")
+  .addOptionalParam("record", "Write the deployment record here instead of deployments/<network>.json and the frontend")
+  .setAction(async (args, hre) => {
+    const scenario = loadScenario(path.resolve(args.scenario));
+    const seeded = await seedScenario(hre, scenario);
+
+    const record = await deploymentRecord(hre, seeded.system);
+    if (args.record) {
+      fs.writeFileSync(path.resolve(args.record), JSON.stringify(record, null, 2) + "\n");
+      console.log(`Deployment record written: ${args.record}`);
+    } else {
+      writeDeployment(record).forEach((file) => console.log(`Deployment record written: ${file}`));
+    }
+
+    console.log(`\n--- Seeded: ${seeded.employees.length} employees, ${seeded.paydays} payroll runs, ${seeded.campaigns.size} campaigns ---`);
+    console.log(`Chain time: ${new Date(seeded.timestamp * 1000).toISOString()}`);
+    if (seeded.employees.length > 0) {
+      console.log(`Employee wallets are accounts #${FIRST_EMPLOYEE_INDEX}.. of the node's mnemonic, e.g.:`);
+      for (const { wallet, salary, allocations } of seeded.employees.slice(0, SHOWN_EMPLOYEES)) {
+        const split = allocations.map((a) => a.symbol).join("/");
+        console.log(`  ${wallet.address} ${hre.ethers.formatUnits(salary, 18)} EUR/year in ${split}, key ${wallet.privateKey}`);
+      }
+    }
+  });
@@ -0,0 +1,224 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("AdminCouncil", function () {
+  const DELAY = 2 * 24 * 60 * 60;
+
+  // Three admins, 2-of-3 approvals, two-day timelock, governing a Payroll
+  // that holds 1 ETH in its reserve.
+  async function deployCouncilFixture() {
+    const [alice, bob, carol, oracle, outsider] = await ethers.getSigners();
+
+    const AdminCouncil = await ethers.getContractFactory("AdminCouncil");
+    const council = await AdminCouncil.deploy(
+      [alice.address, bob.address, carol.address],
+      2,
+      DELAY,
+    );
+    const eurt = await (await ethers.getContractFactory("EURToken")).deploy(1_000_000);
+    const payroll = await (await ethers.getContractFactory("Payroll")).deploy(
+      council.target,
+      oracle.address,
+      eurt.target,
+      ethers.parseUnits("1", 18),
+      ethers.parseUnits("1800", 18),
+    );
+    await outsider.sendTransaction({ to: payroll.target, value: ethers.parseEther("1") });
+
+    const withdrawAll = payroll.interface.encodeFunctionData("withdrawEth", [
+      outsider.address,
+      ethers.parseEther("1"),
+    ]);
+
+    return { council, payroll, withdrawAll, alice, bob, carol, outsider };
+  }
+
+  // A withdrawal proposed by alice (which counts as her approval)
+  async function proposedFixture() {
+    const fixture = await deployCouncilFixture();
+    const { council, payroll, withdrawAll, alice } = fixture;
+    await council.connect(alice).propose(payroll.target, withdrawAll, "Empty the reserve");
+    return { ...fixture, proposedAt: await time.latest() };
+  }
+
+  describe("Deployment", function () {
+    it("Should register the admins and the policy", async function () {
+      const { council, alice, bob, carol, outsider } = await loadFixture(
+        deployCouncilFixture,
+      );
+
+      expect(await council.getAdmins()).to.deep.equal([alice.address, bob.address, carol.address]);
+      expect(await council.isAdmin(bob.address)).to.equal(true);
+      expect(await council.isAdmin(outsider.address)).to.equal(false);
+      expect(await council.threshold()).to.equal(2);
+      expect(await council.delay()).to.equal(DELAY);
+    });
+
+    it("Should reject a threshold above the number of admins", async function () {
+      const [alice] = await ethers.getSigners();
+      const AdminCouncil = await ethers.getContractFactory("AdminCouncil");
+
+      await expect(AdminCouncil.deploy([alice.address], 2, 0)).to.be.revertedWith(
+        "Invalid threshold",
+      );
+      await expect(AdminCouncil.deploy([alice.address], 0, 0)).to.be.revertedWith(
+        "Invalid threshold",
+      );
+    });
+  });
+
+  describe("Proposals", function () {
+    it("Should record the proposal and count the proposer's approval", async function () {
+      const { council, payroll, withdrawAll, alice, proposedAt } = await loadFixture(
+        proposedFixture,
+      );
+
+      const p = await council.getProposal(0);
+      expect(p.target).to.equal(payroll.target);
+      expect(p.data).to.equal(withdrawAll);
+      expect(p.proposer).to.equal(alice.address);
+      expect(p.eta).to.equal(proposedAt + DELAY);
+      expect(p.approvalCount).to.equal(1);
+      expect(await council.approvedBy(0, alice.address)).to.equal(true);
+    });
+
+    it("Should only let admins propose and approve", async function () {
+      const { council, payroll, withdrawAll, outsider } = await loadFixture(proposedFixture);
+
+      await expect(
+        council.connect(outsider).propose(payroll.target, withdrawAll, ""),
+      ).to.be.revertedWith("Only Admin");
+      await expect(council.connect(outsider).approve(0)).to.be.revertedWith("Only Admin");
+    });
+
+    it("Should not count the same approval twice", async function () {
+      const { council, alice } = await loadFixture(proposedFixture);
+
+      await expect(council.connect(alice).approve(0)).to.be.revertedWith("Already approved");
+    });
+
+    it("Should execute after enough approvals and the timelock", async function () {
+      const { council, payroll, bob, carol, outsider, proposedAt } = await loadFixture(
+        proposedFixture,
+      );
+
+      await time.increaseTo(proposedAt + DELAY);
+      await expect(council.connect(bob).execute(0)).to.be.revertedWith("Not enough approvals");
+
+      await expect(council.connect(bob).approve(0))
+        .to.emit(council, "ProposalApproved")
+        .withArgs(0, bob.address);
+      const tx = council.connect(carol).execute(0);
+      await expect(tx).to.emit(council, "ProposalExecuted").withArgs(0);
+      await expect(tx).to.changeEtherBalances(
+        [payroll, outsider],
+        [-ethers.parseEther("1"), ethers.parseEther("1")],
+      );
+
+      await expect(council.connect(carol).execute(0)).to.be.revertedWith("Already executed");
+    });
+
+    it("Should hold approved proposals until the timelock expires", async function () {
+      const { council, bob, proposedAt } = await loadFixture(proposedFixture);
+      await council.connect(bob).approve(0);
+
+      await time.setNextBlockTimestamp(proposedAt + DELAY - 1);
+      await expect(council.connect(bob).execute(0)).to.be.revertedWith("Timelock not expired");
+      await expect(council.connect(bob).execute(0)).not.to.be.reverted;
+    });
+
+    it("Should pass the target's revert reason through", async function () {
+      const { council, payroll, alice, bob, outsider } = await loadFixture(
+        deployCouncilFixture,
+      );
+      const tooMuch = payroll.interface.encodeFunctionData("withdrawEth", [
+        outsider.address,
+        ethers.parseEther("2"),
+      ]);
+      await council.connect(alice).propose(payroll.target, tooMuch, "");
+      await council.connect(bob).approve(0);
+      await time.increase(DELAY);
+
+      await expect(council.connect(alice).execute(0)).to.be.revertedWith("Amount > reserve");
+    });
+
+    it("Should let only the proposer cancel", async function () {
+      const { council, alice, bob } = await loadFixture(proposedFixture);
+
+      await expect(council.connect(bob).cancel(0)).to.be.revertedWith(
+        "Only the proposer can cancel",
+      );
+      await expect(council.connect(alice).cancel(0))
+        .to.emit(council, "ProposalCancelled")
+        .withArgs(0);
+      await expect(council.connect(bob).approve(0)).to.be.revertedWith("Proposal cancelled");
+    });
+  });
+
+  describe("Settings", function () {
+    // Runs a council call through propose -> approve -> timelock -> execute
+    async function passProposal(council, method, args, [first, second]) {
+      const data = council.interface.encodeFunctionData(method, args);
+      await council.connect(first).propose(council.target, data, method);
+      const id = (await council.getProposalCount()) - 1n;
+      await council.connect(second).approve(id);
+      await time.increase(DELAY);
+      return council.connect(first).execute(id);
+    }
+
+    it("Should only change admins and policy through a proposal", async function () {
+      const { council, alice, outsider } = await loadFixture(deployCouncilFixture);
+
+      await expect(council.connect(alice).addAdmin(outsider.address)).to.be.revertedWith(
+        "Only via council proposal",
+      );
+      await expect(council.connect(alice).setPolicy(1, 0)).to.be.revertedWith(
+        "Only via council proposal",
+      );
+    });
+
+    it("Should add and remove admins", async function () {
+      const { council, alice, bob, carol, outsider } = await loadFixture(
+        deployCouncilFixture,
+      );
+
+      await expect(passProposal(council, "addAdmin", [outsider.address], [alice, bob]))
+        .to.emit(council, "AdminAdded")
+        .withArgs(outsider.address);
+      await expect(passProposal(council, "removeAdmin", [carol.address], [alice, outsider]))
+        .to.emit(council, "AdminRemoved")
+        .withArgs(carol.address);
+
+      expect(await council.isAdmin(carol.address)).to.equal(false);
+      expect([...(await council.getAdmins())]).to.have.members([alice.address, bob.address, outsider.address]);
+    });
+
+    it("Should not count approvals of removed admins", async function () {
+      const { council, payroll, withdrawAll, alice, bob, carol } = await loadFixture(
+        deployCouncilFixture,
+      );
+      await council.connect(carol).propose(payroll.target, withdrawAll, "");
+      await passProposal(council, "removeAdmin", [carol.address], [alice, bob]);
+
+      expect((await council.getProposal(0)).approvalCount).to.equal(0);
+    });
+
+    it("Should keep the threshold reachable", async function () {
+      const { council, alice, bob, carol } = await loadFixture(deployCouncilFixture);
+      await passProposal(council, "setPolicy", [3, DELAY], [alice, bob]);
+
+      const data = council.interface.encodeFunctionData("removeAdmin", [carol.address]);
+      await council.connect(alice).propose(council.target, data, "");
+      const id = (await council.getProposalCount()) - 1n;
+      await council.connect(bob).approve(id);
+      await council.connect(carol).approve(id);
+      await time.increase(DELAY);
+      await expect(council.connect(alice).execute(id)).to.be.revertedWith(
+        "Would drop below threshold",
+      );
+    });
+  });
+});
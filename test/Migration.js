@@ -0,0 +1,268 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { describeContract } = require("../scripts/lib/deployments");
+
+describe("Migration", function () {
+  const eur = (amount) => ethers.parseUnits(String(amount), 18);
+
+  // A Payroll in use: an HR operator, an employee paid once in EURT (mintable)
+  // with a USDT allocation (pre-funded), an ETH reserve and a running campaign.
+  async function deployInUseFixture() {
+    const [owner, oracle, employee, donor, hr] = await ethers.getSigners();
+
+    const council = await (await ethers.getContractFactory("AdminCouncil")).deploy([owner.address], 1, 0);
+    const eurt = await (await ethers.getContractFactory("EURToken")).deploy(1_000_000);
+    const usdt = await (await ethers.getContractFactory("USDToken")).deploy(1_000_000);
+    const payroll = await (await ethers.getContractFactory("Payroll")).deploy(
+      council.target,
+      oracle.address,
+      eurt.target,
+      eur(1),
+      eur(1800),
+    );
+    const fund = await (await ethers.getContractFactory("PrisonFund")).deploy(council.target, payroll.target);
+    await payroll.closeImport();
+    await eurt.transferOwnership(payroll.target);
+    await payroll.addSupportedToken(usdt.target, eur(2), false);
+    await usdt.transfer(payroll.target, eur(5000));
+
+    const setRole = payroll.interface.encodeFunctionData("setRole", [await payroll.HR_ROLE(), hr.address, true]);
+    await council.propose(payroll.target, setRole, "");
+    await council.execute(0);
+
+    await payroll.addEmployee(employee.address, eur(24000));
+    await payroll.allowToken(employee.address, eurt.target, 0);
+    await payroll.allowToken(employee.address, usdt.target, 0);
+    await payroll.connect(employee).determineAllocation(eurt.target, eur(1500));
+    await payroll.connect(employee).determineAllocation(usdt.target, eur(500));
+    await payroll.connect(employee).payday(eurt.target);
+
+    await payroll.createCampaign("Legal fees", eur(3600), 7 * 24 * 60 * 60, eurt.target);
+    await payroll.connect(donor).contributeToCampaign(0, { value: ethers.parseEther("1") });
+    await donor.sendTransaction({ to: payroll.target, value: ethers.parseEther("2") });
+
+    const record = {
+      network: "hardhat",
+      chainId: 31337,
+      deployBlock: 0,
+      contracts: {
+        AdminCouncil: await describeContract(hre, "AdminCouncil", council),
+        Payroll: await describeContract(hre, "Payroll", payroll),
+        PrisonFund: await describeContract(hre, "PrisonFund", fund),
+        EURToken: await describeContract(hre, "EURToken", eurt),
+        USDToken: await describeContract(hre, "USDToken", usdt),
+      },
+      abis: { ERC20: (await hre.artifacts.readArtifact("IERC20Metadata")).abi },
+    };
+
+    return { council, payroll, fund, eurt, usdt, owner, oracle, employee, donor, hr, record };
+  }
+
+  // migrate:deploy rewrites the record, so every test works on its own copy
+  function writeRecord(record) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "payroll-migration-"));
+    const deployment = path.join(dir, "hardhat.json");
+    fs.writeFileSync(deployment, JSON.stringify(record));
+    return { deployment, snapshot: path.join(dir, "snapshot.json") };
+  }
+
+  async function migrate(record) {
+    const { deployment, snapshot } = writeRecord(record);
+    await hre.run("migrate:snapshot", { deployment, out: snapshot, keepActive: false });
+    await hre.run("migrate:deploy", { deployment, snapshot });
+    const updated = JSON.parse(fs.readFileSync(deployment, "utf8"));
+    const payroll = await ethers.getContractAt("Payroll", updated.contracts.Payroll.address);
+    return { deployment, snapshot, updated, payroll };
+  }
+
+  let log;
+  beforeEach(function () {
+    log = console.log;
+    console.log = () => {};
+  });
+  afterEach(function () {
+    console.log = log;
+  });
+
+  it("Should freeze the old Payroll and snapshot its state", async function () {
+    const { payroll, eurt, usdt, employee, donor, hr, record } = await loadFixture(deployInUseFixture);
+    const { deployment, snapshot: file } = writeRecord(record);
+
+    await hre.run("migrate:snapshot", { deployment, out: file, keepActive: false });
+
+    expect(await payroll.paymentsState()).to.equal(1);
+    const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+    expect(snapshot.payroll.address).to.equal(payroll.target);
+    expect(snapshot.roles.HR_ROLE).to.deep.equal([hr.address]);
+    expect(snapshot.tokens.map((t) => [t.address, t.mintable, t.balance])).to.deep.equal([
+      [eurt.target, true, "0"],
+      [usdt.target, false, eur(5000).toString()],
+    ]);
+    expect(snapshot.settings.ethReserveWei).to.equal(ethers.parseEther("2").toString());
+    expect(snapshot.settings.campaignEscrowWei).to.equal(ethers.parseEther("1").toString());
+    const [saved] = snapshot.employees;
+    expect(saved.address).to.equal(employee.address);
+    expect(saved.totalReceivedEUR).to.equal(eur(1500).toString());
+    expect(saved.tokens.map((t) => t.monthlyEUR)).to.deep.equal([eur(1500).toString(), eur(500).toString()]);
+    expect(snapshot.campaigns[0].contributors).to.deep.equal([
+      {
+        address: donor.address,
+        contributionEUR: eur(1800).toString(),
+        contributionWei: ethers.parseEther("1").toString(),
+        claimed: false,
+      },
+    ]);
+    expect(snapshot.campaigns[0].totalEthWei).to.equal(ethers.parseEther("1").toString());
+  });
+
+  it("Should move state, funds, roles and PrisonFund to the new Payroll", async function () {
+    const { payroll: old, fund, eurt, usdt, employee, hr, record } = await loadFixture(deployInUseFixture);
+
+    const { deployment, snapshot, updated, payroll } = await migrate(record);
+    expect(updated.migrations).to.have.length(1);
+    expect(updated.migrations[0].from).to.equal(old.target);
+    expect(await payroll.importClosed()).to.equal(true);
+    expect(await payroll.paymentsState()).to.equal(1);
+
+    await hre.run("migrate:switch", { deployment, snapshot });
+    await hre.run("migrate:verify", { deployment, snapshot });
+
+    expect(await eurt.owner()).to.equal(payroll.target);
+    expect(await usdt.balanceOf(payroll.target)).to.equal(eur(5000));
+    expect(await payroll.ethReserveWei()).to.equal(ethers.parseEther("2"));
+    expect(await payroll.campaignEscrowWei()).to.equal(ethers.parseEther("1"));
+    expect(await ethers.provider.getBalance(payroll.target)).to.equal(ethers.parseEther("3"));
+    expect(await fund.payroll()).to.equal(payroll.target);
+    expect(await payroll.hasRole(await payroll.HR_ROLE(), hr.address)).to.equal(true);
+    expect(await payroll.getCampaignContributors(0)).to.deep.equal(await old.getCampaignContributors(0));
+
+    // the 4-week payday limit carries over from the old contract
+    await hre.run("payroll:unfreeze", { deployment });
+    await expect(payroll.connect(employee).payday(eurt.target)).to.be.revertedWith("Monthly limit not reached");
+    await time.increase(4 * 7 * 24 * 60 * 60);
+    await expect(payroll.connect(employee).payday(eurt.target)).to.changeTokenBalance(eurt, employee, eur(1500));
+  });
+
+  it("Should refund a failed campaign from the escrow it moved to", async function () {
+    const { donor, record } = await loadFixture(deployInUseFixture);
+
+    const { deployment, snapshot, payroll } = await migrate(record);
+    await hre.run("migrate:switch", { deployment, snapshot });
+    await hre.run("migrate:verify", { deployment, snapshot });
+    await hre.run("payroll:unfreeze", { deployment });
+
+    await time.increase(7 * 24 * 60 * 60);
+    await payroll.finalizeCampaign(0);
+    await expect(payroll.connect(donor).claimCampaignRefund(0)).to.changeEtherBalance(donor, ethers.parseEther("1"));
+    expect(await payroll.ethReserveWei()).to.equal(ethers.parseEther("2"));
+  });
+
+  it("Should keep accruing salary across the migration", async function () {
+    const { council, payroll: old, usdt, employee, record } = await loadFixture(deployInUseFixture);
+    await council.propose(old.target, old.interface.encodeFunctionData("enableAccrual"), "");
+    await council.execute(1);
+    await time.increase(10 * 24 * 60 * 60);
+
+    const { deployment, snapshot, payroll } = await migrate(record);
+    await hre.run("migrate:switch", { deployment, snapshot });
+    await time.increase(24 * 60 * 60);
+    await hre.run("migrate:verify", { deployment, snapshot });
+
+    expect(await payroll.payMode()).to.equal(1);
+    expect(await payroll.accrualStartTime()).to.equal(await old.accrualStartTime());
+    // the snapshot checkpoints the accrual, which can round down by 1 wei
+    expect(await payroll.claimableEUR(employee.address, usdt.target)).to.be.closeTo(
+      await old.claimableEUR(employee.address, usdt.target),
+      1n,
+    );
+  });
+
+  it("Should carry the final pay of removed employees over", async function () {
+    const { council, payroll: old, usdt, employee, record } = await loadFixture(deployInUseFixture);
+    await council.propose(old.target, old.interface.encodeFunctionData("enableAccrual"), "");
+    await council.execute(1);
+    await time.increase(10 * 24 * 60 * 60);
+    await old.blockPayments();
+    await old.removeEmployee(employee.address);
+    const owed = await old.finalPayEUR(employee.address, usdt.target);
+    expect(owed).to.be.greaterThan(0);
+
+    const { deployment, snapshot, payroll } = await migrate(record);
+    await hre.run("migrate:switch", { deployment, snapshot });
+    await hre.run("migrate:verify", { deployment, snapshot });
+
+    expect(await payroll.finalPayEUR(employee.address, usdt.target)).to.equal(owed);
+    await hre.run("payroll:unfreeze", { deployment });
+    await expect(payroll.connect(employee).claimFinalPay(usdt.target)).to.changeTokenBalance(usdt, employee, owed * 2n);
+  });
+
+  it("Should carry the rate safeguards over", async function () {
+    const { council, payroll: old, record } = await loadFixture(deployInUseFixture);
+    const setRateLimits = old.interface.encodeFunctionData("setRateLimits", [7 * 24 * 60 * 60, 500]);
+    await council.propose(old.target, setRateLimits, "");
+    await council.execute(1);
+
+    const { deployment, snapshot, payroll } = await migrate(record);
+    await hre.run("migrate:switch", { deployment, snapshot });
+    await hre.run("migrate:verify", { deployment, snapshot });
+
+    expect(await payroll.maxRateAge()).to.equal(7 * 24 * 60 * 60);
+    expect(await payroll.maxRateChangeBps()).to.equal(500);
+  });
+
+  it("Should keep a stale rate stale across the migration", async function () {
+    const { council, payroll: old, usdt, record } = await loadFixture(deployInUseFixture);
+    const setRateLimits = old.interface.encodeFunctionData("setRateLimits", [7 * 24 * 60 * 60, 0]);
+    await council.propose(old.target, setRateLimits, "");
+    await council.execute(1);
+    await time.increase(8 * 24 * 60 * 60);
+    expect(await old.isRateFresh(usdt.target)).to.equal(false);
+
+    const { deployment, snapshot, payroll } = await migrate(record);
+    await hre.run("migrate:switch", { deployment, snapshot });
+    await hre.run("migrate:verify", { deployment, snapshot });
+
+    const { rateUpdatedAt } = await old.supportedTokens(usdt.target);
+    expect((await payroll.supportedTokens(usdt.target)).rateUpdatedAt).to.equal(rateUpdatedAt);
+    expect(await payroll.isRateFresh(usdt.target)).to.equal(false);
+  });
+
+  it("Should fail verification while council proposals are pending", async function () {
+    const { council, eurt, record } = await loadFixture(deployInUseFixture);
+    const setPolicy = council.interface.encodeFunctionData("setPolicy", [1, 3600]);
+    await council.propose(council.target, setPolicy, "");
+    await council.execute(1);
+
+    const { deployment, snapshot, payroll } = await migrate(record);
+    const lines = [];
+    console.log = (...args) => lines.push(args.join(" "));
+    await hre.run("migrate:switch", { deployment, snapshot });
+    expect(lines.join("\n")).to.include("Waiting for council approval / timelock: #2, #3, #4, #5, #6, #7");
+
+    await expect(hre.run("migrate:verify", { deployment, snapshot })).to.be.rejectedWith(
+      "Migration check failed",
+    );
+    expect(lines.join("\n")).to.include(`token EURT: owned by`);
+
+    await time.increase(3600);
+    for (let id = 2; id <= 7; id++) await hre.run("council:execute", { deployment, id });
+    await hre.run("migrate:verify", { deployment, snapshot });
+    expect(await eurt.owner()).to.equal(payroll.target);
+  });
+
+  it("Should refuse a snapshot that does not match the deployment record", async function () {
+    const { record } = await loadFixture(deployInUseFixture);
+
+    const { deployment, snapshot } = await migrate(record);
+    await expect(hre.run("migrate:deploy", { deployment, snapshot })).to.be.rejectedWith(
+      "not the snapshotted Payroll",
+    );
+    await expect(hre.run("migrate:verify", { deployment: writeRecord(record).deployment, snapshot })).to.be.rejectedWith(
+      "still points at the snapshotted Payroll",
+    );
+  });
+});
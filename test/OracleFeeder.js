@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSource, parseCsv, normalizeRates } = require("../scripts/lib/oracleSources");
+const { toOnChainRate, shouldPush, findRate, FeederState } = require("../scripts/lib/oracleFeeder");
+
+describe("Oracle feeder", function () {
+  const base = { lastPushAt: 1000, now: 1500, deviationBps: 100, heartbeat: 3600 };
+
+  describe("Sources", function () {
+    it("Should accept flat and nested JSON rates", async function () {
+      expect(normalizeRates({ USDT: 2 }, "test")).to.deep.equal({ USDT: "2" });
+      expect(normalizeRates({ rates: { ETH: "1800.5" }, updatedAt: 1 }, "test")).to.deep.equal({
+        ETH: "1800.5",
+      });
+    });
+
+    it("Should reject non-numeric rates", async function () {
+      expect(() => normalizeRates({ USDT: "-1" }, "test")).to.throw("invalid rate for USDT");
+      expect(() => normalizeRates(["2"], "test")).to.throw("expected an object");
+    });
+
+    it("Should parse CSV with a header and comments", async function () {
+      const csv = "symbol,rate\n# comment\nUSDT, 2\n\nETH,1800\n";
+      expect(parseCsv(csv, "test")).to.deep.equal({ USDT: "2", ETH: "1800" });
+    });
+
+    it("Should read the example rate files", async function () {
+      const dir = path.join(__dirname, "..", "scripts", "oracle");
+      const json = await createSource(path.join(dir, "rates.example.json")).fetchRates();
+      const csv = await createSource(`file:${path.join(dir, "rates.example.csv")}`).fetchRates();
+      expect(csv).to.deep.equal(json);
+    });
+  });
+
+  describe("Decisions", function () {
+    it("Should push when nothing is set on-chain", async function () {
+      expect(shouldPush({ ...base, current: 0n, next: 2n }).push).to.equal(true);
+    });
+
+    it("Should push when the deviation threshold is reached", async function () {
+      const decision = shouldPush({ ...base, current: 1000n, next: 1010n });
+      expect(decision).to.deep.equal({ push: true, reason: "moved 1%" });
+    });
+
+    it("Should skip small moves inside the heartbeat", async function () {
+      expect(shouldPush({ ...base, current: 1000n, next: 1009n }).push).to.equal(false);
+    });
+
+    it("Should push an unchanged rate once the heartbeat expires", async function () {
+      const decision = shouldPush({ ...base, current: 2n, next: 2n, now: base.lastPushAt + 3600 });
+      expect(decision.push).to.equal(true);
+      expect(decision.reason).to.match(/^heartbeat/);
+    });
+
+    it("Should push when the feeder has no record of a previous push", async function () {
+      expect(shouldPush({ ...base, current: 2n, next: 2n, lastPushAt: undefined }).push).to.equal(true);
+    });
+
+    it("Should never push a zero rate", async function () {
+      expect(shouldPush({ ...base, current: 2n, next: 0n }).push).to.equal(false);
+    });
+  });
+
+  describe("Helpers", function () {
+    it("Should scale rates to the on-chain precision", async function () {
+      expect(toOnChainRate("1800.5", 18)).to.equal(ethers.parseUnits("1800.5", 18));
+      expect(toOnChainRate("2", 0)).to.equal(2n);
+      expect(() => toOnChainRate("2.5", 0)).to.throw("cannot be represented");
+    });
+
+    it("Should match tokens by symbol or address", async function () {
+      const address = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+      expect(findRate({ USDT: "2" }, { symbol: "USDT", address })).to.equal("2");
+      expect(findRate({ [address.toLowerCase()]: "3" }, { symbol: "X", address })).to.equal("3");
+      expect(findRate({}, { symbol: "X", address })).to.equal(undefined);
+    });
+
+    it("Should persist the last push per chain", async function () {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "feeder-")), "state.json");
+      new FeederState(file, 31337).record("ETH", 1800n, 1234);
+
+      expect(new FeederState(file, 31337).lastPushAt("ETH")).to.equal(1234);
+      expect(new FeederState(file, 1).lastPushAt("ETH")).to.equal(undefined);
+    });
+  });
+});
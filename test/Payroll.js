@@ -0,0 +1,1614 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("Payroll", function () {
+  // EUR amounts and exchange rates are 18-decimal fixed point
+  const eur = (amount) => ethers.parseUnits(String(amount), 18);
+  const EUR_RATE = eur(1);
+  const USD_RATE = eur(2);
+  const ETH_TO_EUR_RATE = ethers.parseUnits("1800", 18);
+  const YEARLY_SALARY = eur(12000);
+  const MONTHLY_SALARY = YEARLY_SALARY / 12n;
+  const FOUR_WEEKS = 4 * 7 * 24 * 60 * 60;
+  const TWENTY_SIX_WEEKS = 26 * 7 * 24 * 60 * 60;
+
+  // High-risk calls only accept the AdminCouncil. The fixtures use a single
+  // admin and no timelock, so a proposal can be executed right away.
+  async function viaCouncil(council, target, method, args) {
+    const data = target.interface.encodeFunctionData(method, args);
+    await council.propose(target.target, data, method);
+    return council.execute((await council.getProposalCount()) - 1n);
+  }
+
+  // EURToken is registered as mintable by the constructor, so Payroll must own it.
+  // USDToken is added as a pre-funded (non-mintable) token.
+  async function deployPayrollFixture() {
+    const [owner, oracle, employee, otherAccount] = await ethers.getSigners();
+
+    const AdminCouncil = await ethers.getContractFactory("AdminCouncil");
+    const council = await AdminCouncil.deploy([owner.address], 1, 0);
+
+    const EURToken = await ethers.getContractFactory("EURToken");
+    const eurt = await EURToken.deploy(1_000_000);
+    const USDToken = await ethers.getContractFactory("USDToken");
+    const usdt = await USDToken.deploy(1_000_000);
+
+    const Payroll = await ethers.getContractFactory("Payroll");
+    const payroll = await Payroll.deploy(
+      council.target,
+      oracle.address,
+      eurt.target,
+      EUR_RATE,
+      ETH_TO_EUR_RATE,
+    );
+
+    await eurt.transferOwnership(payroll.target);
+    await payroll.addSupportedToken(usdt.target, USD_RATE, false);
+
+    return { payroll, council, eurt, usdt, owner, oracle, employee, otherAccount };
+  }
+
+  // Employee registered with both tokens allowed but no allocation yet
+  async function registeredEmployeeFixture() {
+    const fixture = await deployPayrollFixture();
+    const { payroll, eurt, usdt, employee } = fixture;
+
+    await payroll.addEmployee(employee.address, YEARLY_SALARY);
+    await payroll.allowToken(employee.address, eurt.target, EUR_RATE);
+    await payroll.allowToken(employee.address, usdt.target, USD_RATE);
+
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("Should set the council, oracle and ETH rate", async function () {
+      const { payroll, council, oracle } = await loadFixture(deployPayrollFixture);
+
+      expect(await payroll.council()).to.equal(council.target);
+      expect(await payroll.hasRole(await payroll.ORACLE_ROLE(), oracle.address)).to.equal(true);
+      expect(await payroll.ethToEurRate()).to.equal(ETH_TO_EUR_RATE);
+      expect(await payroll.paymentsState()).to.equal(0);
+    });
+
+    it("Should register the EUR token as mintable", async function () {
+      const { payroll, eurt } = await loadFixture(deployPayrollFixture);
+
+      const token = await payroll.supportedTokens(eurt.target);
+      expect(token.exchangeRate).to.equal(EUR_RATE);
+      expect(token.mintable).to.equal(true);
+      expect(token.decimals).to.equal(18);
+    });
+
+    it("Should fail if the council or the oracle is the zero address", async function () {
+      const { council } = await loadFixture(deployPayrollFixture);
+      const Payroll = await ethers.getContractFactory("Payroll");
+      await expect(
+        Payroll.deploy(ethers.ZeroAddress, council.target, ethers.ZeroAddress, 1, 1),
+      ).to.be.revertedWith("Invalid council");
+      await expect(
+        Payroll.deploy(council.target, ethers.ZeroAddress, ethers.ZeroAddress, 1, 1),
+      ).to.be.revertedWith("Invalid oracle");
+    });
+  });
+
+  describe("Roles", function () {
+    it("Should only let admins call admin functions", async function () {
+      const { payroll, employee, otherAccount } = await loadFixture(
+        deployPayrollFixture,
+      );
+
+      await expect(
+        payroll.connect(otherAccount).addEmployee(employee.address, YEARLY_SALARY),
+      ).to.be.revertedWith("Only HR");
+      await expect(payroll.connect(otherAccount).blockPayments()).to.be.revertedWith(
+        "Only Admin",
+      );
+    });
+
+    it("Should only accept high-risk calls from the council", async function () {
+      const { payroll, usdt, owner } = await loadFixture(deployPayrollFixture);
+
+      for (const call of [
+        () => payroll.withdrawEth(owner.address, 0),
+        () => payroll.claimTokenFunds(usdt.target, owner.address),
+        () => payroll.transferTokenOwnership(usdt.target, owner.address),
+        () => payroll.setRole(ethers.id("HR_ROLE"), owner.address, true),
+        () => payroll.setRateLimits(0, 0),
+        () => payroll.moveCampaignEscrow(owner.address),
+        () => payroll.addSupportedToken(usdt.target, eur(3), true),
+      ]) {
+        await expect(call()).to.be.revertedWith("Only via council proposal");
+      }
+    });
+
+    it("Should let HR operators manage employees but nothing else", async function () {
+      const { payroll, council, usdt, employee, otherAccount } = await loadFixture(
+        deployPayrollFixture,
+      );
+      const hr = otherAccount;
+      await expect(viaCouncil(council, payroll, "setRole", [await payroll.HR_ROLE(), hr.address, true]))
+        .to.emit(payroll, "RoleUpdated")
+        .withArgs(await payroll.HR_ROLE(), hr.address, true);
+
+      await payroll.connect(hr).addEmployee(employee.address, YEARLY_SALARY);
+      await payroll.connect(hr).allowToken(employee.address, usdt.target, 0);
+      await payroll.connect(hr).setEmployeeSalary(employee.address, eur(24000));
+      await payroll.connect(hr).removeEmployee(employee.address);
+
+      await expect(payroll.connect(hr).blockPayments()).to.be.revertedWith("Only Admin");
+      const other = await (await ethers.getContractFactory("USDToken")).deploy(1);
+      await expect(
+        payroll.connect(hr).addSupportedToken(other.target, eur(3), false),
+      ).to.be.revertedWith("Only Admin");
+    });
+
+    it("Should only grant known roles", async function () {
+      const { payroll, council, otherAccount } = await loadFixture(deployPayrollFixture);
+
+      await expect(
+        viaCouncil(council, payroll, "setRole", [ethers.id("ADMIN"), otherAccount.address, true]),
+      ).to.be.revertedWith("Unknown role");
+    });
+
+    it("Should only let the oracle set exchange rates", async function () {
+      const { payroll, usdt, owner, oracle } = await loadFixture(
+        deployPayrollFixture,
+      );
+
+      await expect(
+        payroll.connect(owner).setExchangeRate(usdt.target, 3),
+      ).to.be.revertedWith("Only Oracle");
+      await expect(payroll.connect(owner).setEthToEurRate(1)).to.be.revertedWith(
+        "Only Oracle",
+      );
+
+      await payroll.connect(oracle).setExchangeRate(usdt.target, 3);
+      expect((await payroll.supportedTokens(usdt.target)).exchangeRate).to.equal(3);
+    });
+
+    it("Should hand the oracle role over through the council", async function () {
+      const { payroll, council, usdt, oracle, otherAccount } = await loadFixture(
+        deployPayrollFixture,
+      );
+      const ORACLE_ROLE = await payroll.ORACLE_ROLE();
+
+      await viaCouncil(council, payroll, "setRole", [ORACLE_ROLE, otherAccount.address, true]);
+      await viaCouncil(council, payroll, "setRole", [ORACLE_ROLE, oracle.address, false]);
+
+      await expect(
+        payroll.connect(oracle).setExchangeRate(usdt.target, 3),
+      ).to.be.revertedWith("Only Oracle");
+      await expect(payroll.connect(otherAccount).setExchangeRate(usdt.target, 3)).not
+        .to.be.reverted;
+    });
+
+    it("Should only let registered employees allocate and claim", async function () {
+      const { payroll, eurt, otherAccount } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+
+      await expect(
+        payroll.connect(otherAccount).determineAllocation(eurt.target, 1),
+      ).to.be.revertedWith("Not a registered worker");
+      await expect(payroll.connect(otherAccount).payday(eurt.target)).to.be.revertedWith(
+        "Not a registered worker",
+      );
+    });
+  });
+
+  describe("Employees", function () {
+    it("Should add an employee and emit EmployeeAdded", async function () {
+      const { payroll, employee } = await loadFixture(deployPayrollFixture);
+
+      await expect(payroll.addEmployee(employee.address, YEARLY_SALARY))
+        .to.emit(payroll, "EmployeeAdded")
+        .withArgs(employee.address, YEARLY_SALARY);
+
+      expect(await payroll.getEmployeeCount()).to.equal(1);
+      expect(await payroll.calculatePayrollBurnrate()).to.equal(MONTHLY_SALARY);
+    });
+
+    it("Should reject duplicate employees", async function () {
+      const { payroll, employee } = await loadFixture(registeredEmployeeFixture);
+
+      await expect(
+        payroll.addEmployee(employee.address, YEARLY_SALARY),
+      ).to.be.revertedWith("Already exists");
+    });
+
+    it("Should only allow supported tokens once", async function () {
+      const { payroll, eurt, employee, otherAccount } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+
+      await expect(
+        payroll.allowToken(employee.address, otherAccount.address, 1),
+      ).to.be.revertedWith("Token not supported");
+      await expect(
+        payroll.allowToken(employee.address, eurt.target, EUR_RATE),
+      ).to.be.revertedWith("Already allowed");
+    });
+
+    it("Should update the burn rate when the salary changes", async function () {
+      const { payroll, employee } = await loadFixture(registeredEmployeeFixture);
+
+      await payroll.setEmployeeSalary(employee.address, eur(24000));
+
+      expect(await payroll.calculatePayrollBurnrate()).to.equal(eur(2000));
+      expect((await payroll.getEmployee(employee.address))[0]).to.equal(eur(24000));
+    });
+
+    it("Should remove an employee", async function () {
+      const { payroll, employee } = await loadFixture(registeredEmployeeFixture);
+
+      await expect(payroll.removeEmployee(employee.address))
+        .to.emit(payroll, "EmployeeRemoved")
+        .withArgs(employee.address);
+
+      expect(await payroll.getEmployeeCount()).to.equal(0);
+      expect(await payroll.calculatePayrollBurnrate()).to.equal(0);
+      await expect(payroll.removeEmployee(employee.address)).to.be.revertedWith(
+        "Employee does not exist",
+      );
+    });
+  });
+
+  describe("Batch onboarding", function () {
+    it("Should register employees with their tokens in one transaction", async function () {
+      const { payroll, eurt, usdt, employee, otherAccount } = await loadFixture(
+        deployPayrollFixture,
+      );
+
+      await expect(
+        payroll.addEmployees(
+          [employee.address, otherAccount.address],
+          [YEARLY_SALARY, eur(24000)],
+          [[eurt.target, usdt.target], [usdt.target]],
+        ),
+      )
+        .to.emit(payroll, "EmployeeAdded")
+        .withArgs(otherAccount.address, eur(24000));
+
+      expect(await payroll.getEmployeeCount()).to.equal(2);
+      expect(await payroll.calculatePayrollBurnrate()).to.equal(eur(3000));
+      const [, , tokens] = await payroll.getEmployee(employee.address);
+      expect(tokens).to.deep.equal([eurt.target, usdt.target]);
+      expect(await payroll.getEmployeeAddresses(0, 10)).to.deep.equal([
+        employee.address,
+        otherAccount.address,
+      ]);
+    });
+
+    it("Should revert the whole batch if one entry is invalid", async function () {
+      const { payroll, eurt, employee, otherAccount } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+
+      await expect(
+        payroll.addEmployees(
+          [otherAccount.address, employee.address],
+          [YEARLY_SALARY, YEARLY_SALARY],
+          [[eurt.target], []],
+        ),
+      ).to.be.revertedWith("Already exists");
+      await expect(
+        payroll.addEmployees([otherAccount.address], [YEARLY_SALARY], [[eurt.target, eurt.target]]),
+      ).to.be.revertedWith("Already allowed");
+
+      expect(await payroll.getEmployeeCount()).to.equal(1);
+    });
+
+    it("Should reject arrays of different lengths", async function () {
+      const { payroll, employee } = await loadFixture(deployPayrollFixture);
+
+      await expect(
+        payroll.addEmployees([employee.address], [YEARLY_SALARY, YEARLY_SALARY], [[]]),
+      ).to.be.revertedWith("Length mismatch");
+    });
+
+    it("Should only let admins and HR onboard", async function () {
+      const { payroll, employee } = await loadFixture(deployPayrollFixture);
+
+      await expect(
+        payroll.connect(employee).addEmployees([employee.address], [YEARLY_SALARY], [[]]),
+      ).to.be.revertedWith("Only HR");
+    });
+  });
+
+  describe("Enumeration", function () {
+    it("Should page through registered employees", async function () {
+      const { payroll, owner, employee, otherAccount } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      await payroll.addEmployee(otherAccount.address, YEARLY_SALARY);
+      await payroll.addEmployee(owner.address, YEARLY_SALARY);
+
+      expect(await payroll.getEmployeeAddresses(0, 10)).to.deep.equal([
+        employee.address,
+        otherAccount.address,
+        owner.address,
+      ]);
+      expect(await payroll.getEmployeeAddresses(1, 1)).to.deep.equal([
+        otherAccount.address,
+      ]);
+      expect(await payroll.getEmployeeAddresses(3, 10)).to.deep.equal([]);
+    });
+
+    it("Should drop removed employees from the list", async function () {
+      const { payroll, owner, employee, otherAccount } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      await payroll.addEmployee(otherAccount.address, YEARLY_SALARY);
+      await payroll.addEmployee(owner.address, YEARLY_SALARY);
+
+      await payroll.removeEmployee(employee.address);
+      expect(await payroll.getEmployeeAddresses(0, 10)).to.deep.equal([
+        owner.address,
+        otherAccount.address,
+      ]);
+
+      await payroll.removeEmployee(otherAccount.address);
+      expect(await payroll.getEmployeeAddresses(0, 10)).to.deep.equal([
+        owner.address,
+      ]);
+      expect(await payroll.getEmployeeCount()).to.equal(1);
+    });
+
+    it("Should bump the list nonce on every addition and removal", async function () {
+      const { payroll, employee, otherAccount } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      const nonce = await payroll.employeeListNonce();
+
+      // same count as before, but the positions have changed
+      await payroll.removeEmployee(employee.address);
+      await payroll.addEmployee(otherAccount.address, YEARLY_SALARY);
+      expect(await payroll.getEmployeeCount()).to.equal(1);
+      expect(await payroll.employeeListNonce()).to.equal(nonce + 2n);
+    });
+
+    it("Should re-register a removed employee with a clean state", async function () {
+      const { payroll, eurt, employee } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      await payroll.connect(employee).determineAllocation(eurt.target, MONTHLY_SALARY);
+      await payroll.connect(employee).payday(eurt.target);
+
+      await payroll.removeEmployee(employee.address);
+      await payroll.addEmployee(employee.address, YEARLY_SALARY);
+
+      const [, , tokens] = await payroll.getEmployee(employee.address);
+      expect(tokens).to.deep.equal([]);
+      const [, lastAllocation, lastPayment, monthly] =
+        await payroll.getEmployeePayment(employee.address, eurt.target);
+      expect([lastAllocation, lastPayment, monthly]).to.deep.equal([0n, 0n, 0n]);
+      await expect(
+        payroll.connect(employee).determineAllocation(eurt.target, 1),
+      ).to.be.revertedWith("Token not allowed for you");
+      expect(await payroll.getEmployeeAddresses(0, 10)).to.deep.equal([
+        employee.address,
+      ]);
+    });
+  });
+
+  describe("Allocations", function () {
+    it("Should record the allocation and emit AllocationChanged", async function () {
+      const { payroll, eurt, employee } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+
+      await expect(
+        payroll.connect(employee).determineAllocation(eurt.target, MONTHLY_SALARY),
+      )
+        .to.emit(payroll, "AllocationChanged")
+        .withArgs(employee.address, eurt.target, MONTHLY_SALARY);
+
+      const [rate, lastAllocation, lastPayment, monthly] =
+        await payroll.getEmployeePayment(employee.address, eurt.target);
+      expect(rate).to.equal(EUR_RATE);
+      expect(lastAllocation).to.equal(await time.latest());
+      expect(lastPayment).to.equal(0);
+      expect(monthly).to.equal(MONTHLY_SALARY);
+    });
+
+    it("Should reject allocations above the monthly salary", async function () {
+      const { payroll, eurt, employee } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+
+      await expect(
+        payroll
+          .connect(employee)
+          .determineAllocation(eurt.target, MONTHLY_SALARY + 1n),
+      ).to.be.revertedWith("Exceeds monthly salary");
+    });
+
+    it("Should reject tokens that are not allowed for the employee", async function () {
+      const { payroll, employee, otherAccount } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+
+      await expect(
+        payroll.connect(employee).determineAllocation(otherAccount.address, 1),
+      ).to.be.revertedWith("Token not allowed for you");
+    });
+
+    it("Should only allow a change every 26 weeks", async function () {
+      const { payroll, eurt, employee } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+
+      await payroll.connect(employee).determineAllocation(eurt.target, eur(500));
+      await expect(
+        payroll.connect(employee).determineAllocation(eurt.target, eur(600)),
+      ).to.be.revertedWith("Can change only every 6 months");
+
+      await time.increase(TWENTY_SIX_WEEKS);
+
+      await expect(payroll.connect(employee).determineAllocation(eurt.target, eur(600)))
+        .not.to.be.reverted;
+    });
+  });
+
+  describe("Payday", function () {
+    it("Should revert without an allocation", async function () {
+      const { payroll, eurt, employee } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+
+      await expect(payroll.connect(employee).payday(eurt.target)).to.be.revertedWith(
+        "No allocation for this token",
+      );
+    });
+
+    it("Should mint mintable tokens to the employee", async function () {
+      const { payroll, eurt, employee } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      await payroll.connect(employee).determineAllocation(eurt.target, MONTHLY_SALARY);
+
+      const amount = MONTHLY_SALARY; // 1 EURT per EUR, both 18 decimals
+      await expect(payroll.connect(employee).payday(eurt.target))
+        .to.emit(payroll, "PaymentMade")
+        .withArgs(employee.address, eurt.target, amount);
+
+      expect(await eurt.balanceOf(employee.address)).to.equal(amount);
+      expect((await payroll.getEmployee(employee.address))[1]).to.equal(MONTHLY_SALARY);
+    });
+
+    it("Should transfer pre-funded tokens to the employee", async function () {
+      const { payroll, usdt, employee } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      await usdt.transfer(payroll.target, ethers.parseEther("10000"));
+      await payroll.connect(employee).determineAllocation(usdt.target, eur(400));
+
+      // 400 EUR at 2 USDT/EUR
+      await expect(payroll.connect(employee).payday(usdt.target)).to.changeTokenBalances(
+        usdt,
+        [payroll, employee],
+        [-ethers.parseEther("800"), ethers.parseEther("800")],
+      );
+    });
+
+    it("Should revert when a pre-funded token is not funded", async function () {
+      const { payroll, usdt, employee } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      await payroll.connect(employee).determineAllocation(usdt.target, eur(400));
+
+      await expect(
+        payroll.connect(employee).payday(usdt.target),
+      ).to.be.revertedWithCustomError(usdt, "ERC20InsufficientBalance");
+    });
+
+    it("Should revert when a mintable token is not owned by Payroll", async function () {
+      const { payroll, employee } = await loadFixture(registeredEmployeeFixture);
+      const EURToken = await ethers.getContractFactory("EURToken");
+      const orphan = await EURToken.deploy(0);
+      await payroll.addSupportedToken(orphan.target, eur(1), true);
+      await payroll.allowToken(employee.address, orphan.target, eur(1));
+      await payroll.connect(employee).determineAllocation(orphan.target, eur(100));
+
+      await expect(
+        payroll.connect(employee).payday(orphan.target),
+      ).to.be.revertedWithCustomError(orphan, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should enforce the 4-week limit between payouts", async function () {
+      const { payroll, eurt, employee } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      await payroll.connect(employee).determineAllocation(eurt.target, MONTHLY_SALARY);
+      await payroll.connect(employee).payday(eurt.target);
+
+      await expect(payroll.connect(employee).payday(eurt.target)).to.be.revertedWith(
+        "Monthly limit not reached",
+      );
+
+      await time.increase(FOUR_WEEKS - 10);
+      await expect(payroll.connect(employee).payday(eurt.target)).to.be.revertedWith(
+        "Monthly limit not reached",
+      );
+
+      await time.increase(10);
+      await expect(payroll.connect(employee).payday(eurt.target)).not.to.be.reverted;
+      expect(await eurt.balanceOf(employee.address)).to.equal(MONTHLY_SALARY * 2n);
+    });
+
+    it("Should track the 4-week limit per token", async function () {
+      const { payroll, eurt, usdt, employee } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      await usdt.transfer(payroll.target, ethers.parseEther("10000"));
+      await payroll.connect(employee).determineAllocation(eurt.target, eur(600));
+      await payroll.connect(employee).determineAllocation(usdt.target, eur(400));
+
+      await payroll.connect(employee).payday(eurt.target);
+      await expect(payroll.connect(employee).payday(usdt.target)).not.to.be.reverted;
+    });
+  });
+
+  describe("Payroll run", function () {
+    // Three employees with 500 EUR/month in EURT (mintable) and 200 EUR/month in USDT (funded)
+    async function runFixture() {
+      const fixture = await deployPayrollFixture();
+      const { payroll, eurt, usdt } = fixture;
+      const staff = (await ethers.getSigners()).slice(2, 5);
+
+      await usdt.transfer(payroll.target, ethers.parseEther("10000"));
+      await payroll.addEmployees(
+        staff.map((s) => s.address),
+        staff.map(() => YEARLY_SALARY),
+        staff.map(() => [eurt.target, usdt.target]),
+      );
+      for (const member of staff) {
+        await payroll.connect(member).determineAllocation(eurt.target, eur(500));
+        await payroll.connect(member).determineAllocation(usdt.target, eur(200));
+      }
+      return { ...fixture, staff };
+    }
+
+    it("Should pay every due allocation", async function () {
+      const { payroll, eurt, usdt, staff } = await loadFixture(runFixture);
+
+      await expect(payroll.runPayroll(0, 10))
+        .to.emit(payroll, "PayrollRun")
+        .withArgs(0, 3, 6);
+
+      for (const member of staff) {
+        expect(await eurt.balanceOf(member.address)).to.equal(eur(500));
+        expect(await usdt.balanceOf(member.address)).to.equal(eur(400)); // 2 USDT/EUR
+        expect((await payroll.getEmployee(member.address))[1]).to.equal(eur(700));
+      }
+    });
+
+    it("Should skip payments that are not due under the 4-week rule", async function () {
+      const { payroll, eurt, staff } = await loadFixture(runFixture);
+      await payroll.connect(staff[1]).payday(eurt.target);
+
+      await expect(payroll.runPayroll(0, 10))
+        .to.emit(payroll, "PayrollRun")
+        .withArgs(0, 3, 5);
+      expect(await eurt.balanceOf(staff[1].address)).to.equal(eur(500));
+
+      await expect(payroll.runPayroll(0, 10))
+        .to.emit(payroll, "PayrollRun")
+        .withArgs(0, 3, 0);
+
+      await time.increase(FOUR_WEEKS);
+      await expect(payroll.runPayroll(0, 10))
+        .to.emit(payroll, "PayrollRun")
+        .withArgs(0, 3, 6);
+    });
+
+    it("Should page through the employee list", async function () {
+      const { payroll, eurt, staff } = await loadFixture(runFixture);
+
+      await expect(payroll.runPayroll(0, 2))
+        .to.emit(payroll, "PayrollRun")
+        .withArgs(0, 2, 4);
+      expect(await eurt.balanceOf(staff[2].address)).to.equal(0);
+
+      await expect(payroll.runPayroll(2, 2))
+        .to.emit(payroll, "PayrollRun")
+        .withArgs(2, 1, 2);
+      await expect(payroll.runPayroll(3, 2))
+        .to.emit(payroll, "PayrollRun")
+        .withArgs(3, 0, 0);
+      expect(await eurt.balanceOf(staff[2].address)).to.equal(eur(500));
+    });
+
+    it("Should skip pre-funded payments the contract cannot cover", async function () {
+      const { payroll, council, eurt, usdt, owner, staff } = await loadFixture(runFixture);
+      // leave enough USDT for exactly one 400 USDT payment
+      await viaCouncil(council, payroll, "claimTokenFunds", [usdt.target, owner.address]);
+      await usdt.connect(owner).transfer(payroll.target, eur(400));
+
+      await expect(payroll.runPayroll(0, 10))
+        .to.emit(payroll, "PaymentSkipped")
+        .withArgs(staff[1].address, usdt.target, eur(200))
+        .and.to.emit(payroll, "PayrollRun")
+        .withArgs(0, 3, 4);
+
+      expect(await usdt.balanceOf(staff[0].address)).to.equal(eur(400));
+      expect(await usdt.balanceOf(staff[1].address)).to.equal(0);
+      expect(await eurt.balanceOf(staff[2].address)).to.equal(eur(500));
+      expect((await payroll.getEmployeePayment(staff[1].address, usdt.target))[2]).to.equal(0);
+    });
+
+    it("Should pay accrued balances in accrual mode", async function () {
+      const { payroll, council, eurt, staff } = await loadFixture(runFixture);
+      await viaCouncil(council, payroll, "enableAccrual", []);
+      await time.increase(24 * 60 * 60);
+
+      await expect(payroll.runPayroll(0, 10))
+        .to.emit(payroll, "PayrollRun")
+        .withArgs(0, 3, 6);
+      const received = await eurt.balanceOf(staff[0].address);
+      expect(received).to.be.greaterThan(0);
+      expect(await payroll.claimableEUR(staff[0].address, eurt.target)).to.equal(0);
+    });
+
+    it("Should only let the owner run payroll while payments are allowed", async function () {
+      const { payroll, staff } = await loadFixture(runFixture);
+
+      await expect(payroll.connect(staff[0]).runPayroll(0, 10)).to.be.revertedWith(
+        "Only Admin",
+      );
+      await payroll.blockPayments();
+      await expect(payroll.runPayroll(0, 10)).to.be.revertedWith("Payments are frozen");
+    });
+  });
+
+  describe("Accrual mode", function () {
+    const ACCRUAL_PERIOD = (365 * 24 * 60 * 60) / 12;
+    const accrued = (monthly, seconds) => (monthly * BigInt(seconds)) / BigInt(ACCRUAL_PERIOD);
+
+    // Accrual enabled, 600 EUR/month allocated to EURT (mintable) and 400 EUR/month to USDT (funded)
+    async function accrualFixture() {
+      const fixture = await registeredEmployeeFixture();
+      const { payroll, council, eurt, usdt, employee } = fixture;
+
+      await viaCouncil(council, payroll, "enableAccrual", []);
+      await usdt.transfer(payroll.target, ethers.parseEther("10000"));
+      await payroll.connect(employee).determineAllocation(usdt.target, eur(400));
+      await payroll.connect(employee).determineAllocation(eurt.target, eur(600));
+      const allocatedAt = await time.latest();
+
+      return { ...fixture, allocatedAt };
+    }
+
+    it("Should let only the council enable accrual, once", async function () {
+      const { payroll, council } = await loadFixture(deployPayrollFixture);
+
+      // irreversible, so not even an admin can switch on their own
+      await expect(payroll.enableAccrual()).to.be.revertedWith(
+        "Only via council proposal",
+      );
+      await expect(viaCouncil(council, payroll, "enableAccrual", [])).to.emit(
+        payroll,
+        "AccrualEnabled",
+      );
+      expect(await payroll.payMode()).to.equal(1);
+      expect(await payroll.accrualStartTime()).to.equal(await time.latest());
+      await expect(viaCouncil(council, payroll, "enableAccrual", [])).to.be.revertedWith(
+        "Accrual already enabled",
+      );
+    });
+
+    it("Should accrue the allocation per second", async function () {
+      const { payroll, eurt, employee, allocatedAt } = await loadFixture(accrualFixture);
+
+      await time.increaseTo(allocatedAt + ACCRUAL_PERIOD / 2);
+      expect(await payroll.claimableEUR(employee.address, eurt.target)).to.equal(eur(300));
+
+      await time.increaseTo(allocatedAt + ACCRUAL_PERIOD);
+      expect(await payroll.claimableEUR(employee.address, eurt.target)).to.equal(eur(600));
+    });
+
+    it("Should pay out everything accrued with claim", async function () {
+      const { payroll, eurt, usdt, employee, allocatedAt } = await loadFixture(accrualFixture);
+      const elapsed = 10 * 24 * 60 * 60 + 17;
+
+      await time.setNextBlockTimestamp(allocatedAt + elapsed);
+      await expect(payroll.connect(employee).claim(usdt.target))
+        .to.emit(payroll, "PaymentMade")
+        .withArgs(employee.address, usdt.target, accrued(eur(400), elapsed + 1) * 2n); // 2 USDT/EUR
+      // USDT was allocated one block before EURT, hence the extra second
+
+      expect(await payroll.claimableEUR(employee.address, usdt.target)).to.equal(0);
+      expect((await payroll.getEmployee(employee.address))[1]).to.equal(
+        accrued(eur(400), elapsed + 1),
+      );
+
+      await time.setNextBlockTimestamp(allocatedAt + elapsed + 60);
+      await payroll.connect(employee).claim(eurt.target);
+      expect(await eurt.balanceOf(employee.address)).to.equal(
+        accrued(eur(600), elapsed + 60),
+      );
+    });
+
+    it("Should keep payday and claim to their own modes", async function () {
+      const { payroll, council, eurt, employee } = await loadFixture(registeredEmployeeFixture);
+      await payroll.connect(employee).determineAllocation(eurt.target, MONTHLY_SALARY);
+
+      await expect(payroll.connect(employee).claim(eurt.target)).to.be.revertedWith(
+        "Accrual not enabled",
+      );
+      await viaCouncil(council, payroll, "enableAccrual", []);
+      await expect(payroll.connect(employee).payday(eurt.target)).to.be.revertedWith(
+        "Use claim in accrual mode",
+      );
+    });
+
+    it("Should not accrue a month already paid by payday before the switch", async function () {
+      const { payroll, council, eurt, employee } = await loadFixture(registeredEmployeeFixture);
+      await payroll.connect(employee).determineAllocation(eurt.target, MONTHLY_SALARY);
+      await payroll.connect(employee).payday(eurt.target);
+      const paidAt = await time.latest();
+      await viaCouncil(council, payroll, "enableAccrual", []);
+
+      await time.increaseTo(paidAt + FOUR_WEEKS - 10);
+      expect(await payroll.claimableEUR(employee.address, eurt.target)).to.equal(0);
+      await expect(payroll.connect(employee).claim(eurt.target)).to.be.revertedWith(
+        "Nothing accrued",
+      );
+
+      // accrual picks up where the 4 weeks of the payday end
+      const elapsed = 10 * 24 * 60 * 60;
+      await time.setNextBlockTimestamp(paidAt + FOUR_WEEKS + elapsed);
+      await payroll.connect(employee).claim(eurt.target);
+      expect(await eurt.balanceOf(employee.address)).to.equal(
+        MONTHLY_SALARY + accrued(MONTHLY_SALARY, elapsed),
+      );
+    });
+
+    it("Should reject claims with nothing accrued", async function () {
+      const { payroll, council, eurt, employee } = await loadFixture(registeredEmployeeFixture);
+      await viaCouncil(council, payroll, "enableAccrual", []);
+
+      await time.increase(FOUR_WEEKS);
+      await expect(payroll.connect(employee).claim(eurt.target)).to.be.revertedWith(
+        "Nothing accrued",
+      );
+    });
+
+    it("Should block claims while payments are frozen but keep accruing", async function () {
+      const { payroll, eurt, employee, allocatedAt } = await loadFixture(accrualFixture);
+      await payroll.blockPayments();
+
+      await expect(payroll.connect(employee).claim(eurt.target)).to.be.revertedWith(
+        "Payments are frozen",
+      );
+      await time.increaseTo(allocatedAt + ACCRUAL_PERIOD);
+      expect(await payroll.claimableEUR(employee.address, eurt.target)).to.equal(eur(600));
+    });
+
+    it("Should settle the old allocation before it changes", async function () {
+      const { payroll, eurt, employee, allocatedAt } = await loadFixture(accrualFixture);
+
+      await time.setNextBlockTimestamp(allocatedAt + TWENTY_SIX_WEEKS);
+      await payroll.connect(employee).determineAllocation(eurt.target, eur(100));
+      const settled = accrued(eur(600), TWENTY_SIX_WEEKS);
+      expect(await payroll.claimableEUR(employee.address, eurt.target)).to.equal(settled);
+
+      await time.increaseTo(allocatedAt + TWENTY_SIX_WEEKS + ACCRUAL_PERIOD);
+      expect(await payroll.claimableEUR(employee.address, eurt.target)).to.equal(
+        settled + eur(100),
+      );
+    });
+
+    it("Should settle and cap allocations when the salary changes", async function () {
+      const { payroll, eurt, usdt, employee, allocatedAt } = await loadFixture(accrualFixture);
+
+      // 6000 EUR a year = 500 EUR a month: the 600 EUR EURT allocation is capped
+      await time.setNextBlockTimestamp(allocatedAt + ACCRUAL_PERIOD);
+      await expect(payroll.setEmployeeSalary(employee.address, eur(6000)))
+        .to.emit(payroll, "AllocationChanged")
+        .withArgs(employee.address, eurt.target, eur(500));
+      expect(await payroll.claimableEUR(employee.address, eurt.target)).to.equal(eur(600));
+
+      await time.increaseTo(allocatedAt + 2 * ACCRUAL_PERIOD);
+      expect(await payroll.claimableEUR(employee.address, eurt.target)).to.equal(eur(1100));
+      expect((await payroll.getEmployeePayment(employee.address, usdt.target))[3]).to.equal(
+        eur(400),
+      );
+    });
+
+    it("Should pay out accrued salary when the employee is removed", async function () {
+      const { payroll, eurt, usdt, employee, allocatedAt } = await loadFixture(accrualFixture);
+
+      await time.setNextBlockTimestamp(allocatedAt + ACCRUAL_PERIOD);
+      await expect(payroll.removeEmployee(employee.address))
+        .to.emit(payroll, "PaymentMade")
+        .withArgs(employee.address, eurt.target, eur(600));
+
+      expect(await eurt.balanceOf(employee.address)).to.equal(eur(600));
+      expect(await usdt.balanceOf(employee.address)).to.equal(
+        accrued(eur(400), ACCRUAL_PERIOD + 1) * 2n,
+      );
+      expect(await payroll.claimableEUR(employee.address, eurt.target)).to.equal(0);
+    });
+
+    it("Should keep the accrued salary as final pay when a removal cannot pay it", async function () {
+      const { payroll, council, eurt, usdt, oracle, employee, allocatedAt } = await loadFixture(accrualFixture);
+      await viaCouncil(council, payroll, "setRateLimits", [3600, 0]);
+
+      // only the EURT rate is fresh at the removal: USDT is skipped and kept
+      await time.increaseTo(allocatedAt + ACCRUAL_PERIOD);
+      await payroll.connect(oracle).setExchangeRate(eurt.target, EUR_RATE);
+      const owed = accrued(eur(400), ACCRUAL_PERIOD + 3); // USDT was allocated one block earlier
+      await expect(payroll.removeEmployee(employee.address))
+        .to.emit(payroll, "FinalPayOwed")
+        .withArgs(employee.address, usdt.target, owed)
+        .and.to.emit(payroll, "EmployeeRemoved");
+      expect(await eurt.balanceOf(employee.address)).to.equal(accrued(eur(600), ACCRUAL_PERIOD + 2));
+      expect(await payroll.finalPayEUR(employee.address, eurt.target)).to.equal(0);
+      expect(await payroll.finalPayEUR(employee.address, usdt.target)).to.equal(owed);
+
+      await payroll.connect(oracle).setExchangeRate(usdt.target, USD_RATE);
+      await expect(payroll.connect(employee).claimFinalPay(usdt.target))
+        .to.emit(payroll, "PaymentMade")
+        .withArgs(employee.address, usdt.target, owed * 2n);
+      await expect(payroll.connect(employee).claimFinalPay(usdt.target)).to.be.revertedWith(
+        "Nothing owed",
+      );
+    });
+
+    it("Should keep the accrued salary as final pay when the mint reverts", async function () {
+      const { payroll, council, eurt, usdt, employee, otherAccount, allocatedAt } =
+        await loadFixture(accrualFixture);
+      // EURT is mintable: without its ownership Payroll cannot mint it
+      await viaCouncil(council, payroll, "transferTokenOwnership", [eurt.target, otherAccount.address]);
+
+      await time.setNextBlockTimestamp(allocatedAt + ACCRUAL_PERIOD);
+      const owed = accrued(eur(600), ACCRUAL_PERIOD);
+      await expect(payroll.removeEmployee(employee.address))
+        .to.emit(payroll, "FinalPayOwed")
+        .withArgs(employee.address, eurt.target, owed)
+        .and.to.emit(payroll, "EmployeeRemoved");
+      expect(await eurt.balanceOf(employee.address)).to.equal(0);
+      expect(await usdt.balanceOf(employee.address)).to.equal(
+        accrued(eur(400), ACCRUAL_PERIOD + 1) * 2n,
+      );
+      expect(await payroll.finalPayEUR(employee.address, eurt.target)).to.equal(owed);
+      expect(await payroll.getEmployeeCount()).to.equal(0);
+    });
+
+    it("Should not pay out on removal while payments are frozen", async function () {
+      const { payroll, eurt, employee, allocatedAt } = await loadFixture(accrualFixture);
+      await payroll.blockPayments();
+
+      await time.setNextBlockTimestamp(allocatedAt + ACCRUAL_PERIOD);
+      await expect(payroll.removeEmployee(employee.address))
+        .to.emit(payroll, "FinalPayOwed")
+        .withArgs(employee.address, eurt.target, eur(600))
+        .and.not.to.emit(payroll, "PaymentMade");
+      expect(await payroll.getEmployeeCount()).to.equal(0);
+
+      await expect(payroll.connect(employee).claimFinalPay(eurt.target)).to.be.revertedWith(
+        "Payments are frozen",
+      );
+      await payroll.allowPayments();
+      await payroll.connect(employee).claimFinalPay(eurt.target);
+      expect(await eurt.balanceOf(employee.address)).to.equal(eur(600));
+    });
+  });
+
+  describe("Decimals", function () {
+    // 6-decimal token at 1.08 tokens per EUR
+    async function sixDecimalTokenFixture() {
+      const fixture = await registeredEmployeeFixture();
+      const { payroll, employee } = fixture;
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6, 1_000_000);
+      await payroll.addSupportedToken(usdc.target, eur("1.08"), false);
+      await payroll.allowToken(employee.address, usdc.target, 0);
+      await usdc.transfer(payroll.target, ethers.parseUnits("100000", 6));
+      return { ...fixture, usdc };
+    }
+
+    it("Should store the token decimals when a token is added", async function () {
+      const { payroll, usdc } = await loadFixture(sixDecimalTokenFixture);
+
+      expect((await payroll.supportedTokens(usdc.target)).decimals).to.equal(6);
+    });
+
+    it("Should pay fractional EUR amounts in the token's own units", async function () {
+      const { payroll, usdc, employee } = await loadFixture(sixDecimalTokenFixture);
+      await payroll.connect(employee).determineAllocation(usdc.target, eur("833.33"));
+
+      // 833.33 EUR * 1.08 = 899.9964 USDC
+      const expected = ethers.parseUnits("899.9964", 6);
+      expect(await payroll.eurToToken(usdc.target, eur("833.33"))).to.equal(expected);
+      await expect(payroll.connect(employee).payday(usdc.target))
+        .to.emit(payroll, "PaymentMade")
+        .withArgs(employee.address, usdc.target, expected);
+      expect(await usdc.balanceOf(employee.address)).to.equal(expected);
+    });
+
+    it("Should compute the runway in token units", async function () {
+      const { payroll, usdc } = await loadFixture(sixDecimalTokenFixture);
+
+      // 100000 USDC / (1000 EUR * 1.08) = 92 months -> 92 * 30 days
+      expect(await payroll.calculatePayrollRunway(usdc.target)).to.equal(92 * 30);
+    });
+
+    it("Should reject quotes for unsupported tokens", async function () {
+      const { payroll, otherAccount } = await loadFixture(sixDecimalTokenFixture);
+
+      await expect(payroll.eurToToken(otherAccount.address, eur(1))).to.be.revertedWith(
+        "Token not supported",
+      );
+    });
+  });
+
+  describe("Payment freeze", function () {
+    it("Should block payouts and allocations while frozen", async function () {
+      const { payroll, eurt, employee } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      await payroll.connect(employee).determineAllocation(eurt.target, MONTHLY_SALARY);
+
+      await payroll.blockPayments();
+      expect(await payroll.paymentsState()).to.equal(1);
+
+      await expect(payroll.connect(employee).payday(eurt.target)).to.be.revertedWith(
+        "Payments are frozen",
+      );
+      await time.increase(TWENTY_SIX_WEEKS);
+      await expect(
+        payroll.connect(employee).determineAllocation(eurt.target, eur(1)),
+      ).to.be.revertedWith("Payments are frozen");
+    });
+
+    it("Should resume payouts after allowPayments", async function () {
+      const { payroll, eurt, employee } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      await payroll.connect(employee).determineAllocation(eurt.target, MONTHLY_SALARY);
+      await payroll.blockPayments();
+
+      await payroll.allowPayments();
+
+      expect(await payroll.paymentsState()).to.equal(0);
+      await expect(payroll.connect(employee).payday(eurt.target)).not.to.be.reverted;
+    });
+  });
+
+  describe("Rate safeguards", function () {
+    const ONE_DAY = 24 * 60 * 60;
+
+    it("Should emit ExchangeRateUpdated and record when the rate was set", async function () {
+      const { payroll, usdt, oracle } = await loadFixture(deployPayrollFixture);
+
+      await expect(payroll.connect(oracle).setExchangeRate(usdt.target, eur(3)))
+        .to.emit(payroll, "ExchangeRateUpdated")
+        .withArgs(usdt.target, USD_RATE, eur(3));
+      expect((await payroll.supportedTokens(usdt.target)).rateUpdatedAt).to.equal(
+        await time.latest(),
+      );
+    });
+
+    it("Should emit ExchangeRateUpdated when a token is added", async function () {
+      const { payroll } = await loadFixture(deployPayrollFixture);
+      const USDToken = await ethers.getContractFactory("USDToken");
+      const other = await USDToken.deploy(1);
+
+      await expect(payroll.addSupportedToken(other.target, eur(5), false))
+        .to.emit(payroll, "ExchangeRateUpdated")
+        .withArgs(other.target, 0, eur(5));
+      expect((await payroll.supportedTokens(other.target)).rateUpdatedAt).to.equal(
+        await time.latest(),
+      );
+    });
+
+    it("Should only let the council set the rate limits", async function () {
+      const { payroll, council, oracle } = await loadFixture(deployPayrollFixture);
+
+      await expect(
+        payroll.connect(oracle).setRateLimits(ONE_DAY, 500),
+      ).to.be.revertedWith("Only via council proposal");
+      await expect(payroll.setRateLimits(0, 0)).to.be.revertedWith("Only via council proposal");
+      await expect(viaCouncil(council, payroll, "setRateLimits", [ONE_DAY, 500]))
+        .to.emit(payroll, "RateLimitsUpdated")
+        .withArgs(ONE_DAY, 500);
+      expect(await payroll.maxRateAge()).to.equal(ONE_DAY);
+      expect(await payroll.maxRateChangeBps()).to.equal(500);
+    });
+
+    it("Should reject rate changes above the bound", async function () {
+      const { payroll, council, usdt, oracle } = await loadFixture(deployPayrollFixture);
+      await viaCouncil(council, payroll, "setRateLimits", [0, 500]); // 5%
+
+      await expect(
+        payroll.connect(oracle).setExchangeRate(usdt.target, eur("2.11")),
+      ).to.be.revertedWith("Rate change too large");
+      await expect(
+        payroll.connect(oracle).setExchangeRate(usdt.target, eur("1.89")),
+      ).to.be.revertedWith("Rate change too large");
+      await expect(payroll.connect(oracle).setExchangeRate(usdt.target, eur("2.1"))).not
+        .to.be.reverted;
+      await expect(payroll.connect(oracle).setExchangeRate(usdt.target, eur("1.995"))).not
+        .to.be.reverted;
+
+      // re-adding the token resets its rate, so a single admin cannot do it
+      await expect(payroll.addSupportedToken(usdt.target, eur(4), false)).to.be.revertedWith(
+        "Only via council proposal",
+      );
+      // and the council is held to the same bound
+      await expect(
+        viaCouncil(council, payroll, "addSupportedToken", [usdt.target, eur(4), false]),
+      ).to.be.revertedWith("Rate change too large");
+      await expect(viaCouncil(council, payroll, "addSupportedToken", [usdt.target, eur("2.05"), false]))
+        .to.emit(payroll, "ExchangeRateUpdated")
+        .withArgs(usdt.target, eur("1.995"), eur("2.05"));
+      expect((await payroll.supportedTokens(usdt.target)).exchangeRate).to.equal(eur("2.05"));
+
+      // a new token still needs only an admin
+      const other = await (await ethers.getContractFactory("USDToken")).deploy(1);
+      await expect(payroll.addSupportedToken(other.target, eur(3), false)).to.emit(payroll, "TokenSupported");
+    });
+
+    it("Should record and bound ETH rate updates", async function () {
+      const { payroll, council, oracle } = await loadFixture(deployPayrollFixture);
+      await viaCouncil(council, payroll, "setRateLimits", [0, 500]); // 5%
+
+      await expect(
+        payroll.connect(oracle).setEthToEurRate(eur(1900)),
+      ).to.be.revertedWith("Rate change too large");
+      await expect(payroll.connect(oracle).setEthToEurRate(eur(1850)))
+        .to.emit(payroll, "EthToEurRateUpdated")
+        .withArgs(eur(1800), eur(1850));
+      expect(await payroll.ethToEurRate()).to.equal(eur(1850));
+      expect(await payroll.ethRateUpdatedAt()).to.equal(await time.latest());
+    });
+
+    it("Should refuse payouts at a stale rate until the oracle updates it", async function () {
+      const { payroll, council, eurt, employee, oracle } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      await payroll.connect(employee).determineAllocation(eurt.target, MONTHLY_SALARY);
+      await viaCouncil(council, payroll, "setRateLimits", [ONE_DAY, 0]);
+      expect(await payroll.isRateFresh(eurt.target)).to.equal(true);
+
+      await time.increase(ONE_DAY + 1);
+      expect(await payroll.isRateFresh(eurt.target)).to.equal(false);
+      await expect(payroll.connect(employee).payday(eurt.target)).to.be.revertedWith(
+        "Exchange rate is stale",
+      );
+
+      await payroll.connect(oracle).setExchangeRate(eurt.target, EUR_RATE);
+      await expect(payroll.connect(employee).payday(eurt.target))
+        .to.emit(payroll, "PaymentMade")
+        .withArgs(employee.address, eurt.target, MONTHLY_SALARY);
+    });
+
+    it("Should refuse claims at a stale rate in accrual mode", async function () {
+      const { payroll, council, eurt, employee } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      await payroll.connect(employee).determineAllocation(eurt.target, MONTHLY_SALARY);
+      await viaCouncil(council, payroll, "enableAccrual", []);
+      await viaCouncil(council, payroll, "setRateLimits", [ONE_DAY, 0]);
+
+      await time.increase(2 * ONE_DAY);
+      await expect(payroll.connect(employee).claim(eurt.target)).to.be.revertedWith(
+        "Exchange rate is stale",
+      );
+    });
+
+    it("Should skip stale-rate payments in a payroll run", async function () {
+      const { payroll, council, eurt, usdt, employee, oracle } = await loadFixture(
+        registeredEmployeeFixture,
+      );
+      await usdt.transfer(payroll.target, ethers.parseEther("10000"));
+      await payroll.connect(employee).determineAllocation(eurt.target, eur(500));
+      await payroll.connect(employee).determineAllocation(usdt.target, eur(200));
+      await viaCouncil(council, payroll, "setRateLimits", [ONE_DAY, 0]);
+
+      await time.increase(ONE_DAY + 1);
+      await payroll.connect(oracle).setExchangeRate(eurt.target, EUR_RATE);
+
+      await expect(payroll.runPayroll(0, 10))
+        .to.emit(payroll, "PaymentSkipped")
+        .withArgs(employee.address, usdt.target, eur(200))
+        .and.to.emit(payroll, "PayrollRun")
+        .withArgs(0, 1, 1);
+      expect(await eurt.balanceOf(employee.address)).to.equal(eur(500));
+      expect(await usdt.balanceOf(employee.address)).to.equal(0);
+    });
+
+    it("Should not freeze a stale reward rate when a campaign succeeds", async function () {
+      const { payroll, council, eurt, oracle, otherAccount } = await loadFixture(
+        deployPayrollFixture,
+      );
+      const duration = 7 * ONE_DAY;
+      await payroll.closeImport();
+      await payroll.createCampaign("Library", eur(3600), duration, eurt.target);
+      await payroll
+        .connect(otherAccount)
+        .contributeToCampaign(0, { value: ethers.parseEther("2") });
+      await viaCouncil(council, payroll, "setRateLimits", [ONE_DAY, 0]);
+      await time.increase(duration + 1);
+
+      await expect(payroll.finalizeCampaign(0)).to.be.revertedWith(
+        "Exchange rate is stale",
+      );
+      await payroll.connect(oracle).setExchangeRate(eurt.target, EUR_RATE);
+      await expect(payroll.finalizeCampaign(0))
+        .to.emit(payroll, "CampaignFinalized")
+        .withArgs(0, true);
+    });
+  });
+
+  describe("Treasury", function () {
+    it("Should report unlimited runway for mintable tokens", async function () {
+      const { payroll, eurt } = await loadFixture(registeredEmployeeFixture);
+
+      expect(await payroll.calculatePayrollRunway(eurt.target)).to.equal(
+        ethers.MaxUint256,
+      );
+    });
+
+    it("Should compute runway in days for pre-funded tokens", async function () {
+      const { payroll, usdt } = await loadFixture(registeredEmployeeFixture);
+      // monthly need = 1000 EUR * 2 USDT/EUR = 2000 USDT
+      await usdt.transfer(payroll.target, ethers.parseEther("6000"));
+
+      expect(await payroll.calculatePayrollRunway(usdt.target)).to.equal(90);
+    });
+
+    it("Should let the council claim token funds", async function () {
+      const { payroll, council, usdt, otherAccount } = await loadFixture(deployPayrollFixture);
+      await usdt.transfer(payroll.target, 500);
+
+      await expect(
+        viaCouncil(council, payroll, "claimTokenFunds", [usdt.target, otherAccount.address]),
+      ).to.changeTokenBalances(usdt, [payroll, otherAccount], [-500, 500]);
+    });
+
+    it("Should accept ETH and let the council withdraw the reserve", async function () {
+      const { payroll, council, owner, otherAccount } = await loadFixture(
+        deployPayrollFixture,
+      );
+      const amount = ethers.parseEther("1");
+
+      await expect(otherAccount.sendTransaction({ to: payroll.target, value: amount }))
+        .to.emit(payroll, "EthReceived")
+        .withArgs(otherAccount.address, amount);
+      expect(await payroll.ethReserveWei()).to.equal(amount);
+
+      await expect(
+        viaCouncil(council, payroll, "withdrawEth", [otherAccount.address, amount + 1n]),
+      ).to.be.revertedWith("Amount > reserve");
+      await expect(
+        viaCouncil(council, payroll, "withdrawEth", [owner.address, amount]),
+      ).to.changeEtherBalances([payroll, owner], [-amount, amount]);
+      expect(await payroll.ethReserveWei()).to.equal(0);
+    });
+  });
+
+  describe("Migration import", function () {
+    // One employee as exported from a previous Payroll version
+    async function snapshotOf(eurt, employee) {
+      const allocatedAt = (await time.latest()) - FOUR_WEEKS;
+      return {
+        id: employee.address,
+        yearlyEURSalary: YEARLY_SALARY,
+        totalReceivedEUR: eur(3000),
+        tokens: [
+          {
+            token: eurt.target,
+            monthlyEUR: MONTHLY_SALARY,
+            lastAllocationTime: allocatedAt,
+            lastPaymentTime: allocatedAt,
+            accruedEUR: eur(250),
+            accruedUntil: allocatedAt,
+          },
+        ],
+      };
+    }
+
+    it("Should replay employees with their allocations and payment times", async function () {
+      const { payroll, eurt, employee, otherAccount } = await loadFixture(deployPayrollFixture);
+      const snapshot = await snapshotOf(eurt, employee);
+
+      await expect(payroll.connect(otherAccount).importEmployees([snapshot])).to.be.revertedWith(
+        "Only Admin",
+      );
+      await expect(payroll.importEmployees([snapshot]))
+        .to.emit(payroll, "EmployeeAdded")
+        .withArgs(employee.address, YEARLY_SALARY);
+
+      const [salary, received, allowedTokens] = await payroll.getEmployee(employee.address);
+      expect(salary).to.equal(YEARLY_SALARY);
+      expect(received).to.equal(eur(3000));
+      expect(allowedTokens).to.deep.equal([eurt.target]);
+      const { lastAllocationTime } = snapshot.tokens[0];
+      expect(await payroll.getEmployeePayment(employee.address, eurt.target)).to.deep.equal([
+        EUR_RATE,
+        lastAllocationTime,
+        lastAllocationTime,
+        MONTHLY_SALARY,
+      ]);
+      // the 4 weeks since the imported payment have passed
+      await expect(payroll.connect(employee).payday(eurt.target)).to.changeTokenBalance(
+        eurt,
+        employee,
+        MONTHLY_SALARY,
+      );
+    });
+
+    it("Should continue accrual from the imported start and accrued amount", async function () {
+      const { payroll, eurt, employee } = await loadFixture(deployPayrollFixture);
+      const snapshot = await snapshotOf(eurt, employee);
+      await payroll.importEmployees([snapshot]);
+      const { accruedUntil } = snapshot.tokens[0];
+      const start = accruedUntil - FOUR_WEEKS; // accrual began before the last claim
+
+      await expect(payroll.importAccrualStart((await time.latest()) + 100)).to.be.revertedWith(
+        "Start in the future",
+      );
+      await expect(payroll.importAccrualStart(start))
+        .to.emit(payroll, "AccrualEnabled")
+        .withArgs(start);
+
+      const now = await time.latest();
+      const accrued = eur(250) + (MONTHLY_SALARY * BigInt(now - accruedUntil)) / (await payroll.ACCRUAL_PERIOD());
+      expect(await payroll.claimableEUR(employee.address, eurt.target)).to.equal(accrued);
+    });
+
+    it("Should replay campaigns with their contributions", async function () {
+      const { payroll, eurt, employee, otherAccount } = await loadFixture(deployPayrollFixture);
+      const campaign = {
+        title: "Legal fees",
+        goalEUR: eur(3600),
+        raisedEUR: eur(1800),
+        deadline: (await time.latest()) + FOUR_WEEKS,
+        finalized: false,
+        rewardToken: eurt.target,
+        totalEthWei: ethers.parseEther("1"),
+        rewardRate: 0,
+        contributors: [employee.address, otherAccount.address],
+        contributionsEUR: [eur(1200), eur(600)],
+        contributionsWei: [ethers.parseEther("0.6"), ethers.parseEther("0.4")],
+        claimed: [false, false],
+      };
+
+      await expect(
+        payroll.importCampaigns([{ ...campaign, contributionsEUR: [eur(1800)] }]),
+      ).to.be.revertedWith("Length mismatch");
+      await expect(payroll.importCampaigns([campaign]))
+        .to.emit(payroll, "CampaignCreated")
+        .withArgs(0, campaign.title, campaign.goalEUR, campaign.deadline, eurt.target);
+
+      const info = await payroll.getCampaignInfo(0);
+      expect(info.raisedEUR).to.equal(eur(1800));
+      expect(await payroll.getCampaignContributors(0)).to.deep.equal(campaign.contributors);
+      expect(await payroll.getCampaignContribution(0, otherAccount.address)).to.equal(eur(600));
+      expect(await payroll.getCampaignClaim(0, otherAccount.address)).to.deep.equal([
+        ethers.parseEther("0.4"),
+        false,
+      ]);
+      expect((await payroll.getCampaignSettlement(0)).totalEthWei).to.equal(ethers.parseEther("1"));
+      // the escrow only grows with the ETH the previous version moves over
+      expect(await payroll.campaignEscrowWei()).to.equal(0);
+    });
+
+    it("Should take the campaign escrow only from the previous Payroll", async function () {
+      const { payroll, owner, otherAccount } = await loadFixture(deployPayrollFixture);
+      const value = ethers.parseEther("1.4");
+
+      await expect(
+        payroll.connect(otherAccount).importPreviousPayroll(otherAccount.address),
+      ).to.be.revertedWith("Only Admin");
+      await expect(payroll.importPreviousPayroll(ethers.ZeroAddress)).to.be.revertedWith(
+        "Invalid address",
+      );
+      await expect(payroll.fundCampaignEscrow({ value })).to.be.revertedWith(
+        "Only previous Payroll",
+      );
+
+      // an account stands in for the previous version's moveCampaignEscrow
+      await payroll.importPreviousPayroll(otherAccount.address);
+      expect(await payroll.previousPayroll()).to.equal(otherAccount.address);
+      await payroll.connect(otherAccount).fundCampaignEscrow({ value });
+      expect(await payroll.campaignEscrowWei()).to.equal(value);
+      expect(await payroll.ethReserveWei()).to.equal(0);
+      await expect(payroll.connect(owner).fundCampaignEscrow({ value })).to.be.revertedWith(
+        "Only previous Payroll",
+      );
+
+      await payroll.closeImport();
+      await expect(payroll.importPreviousPayroll(owner.address)).to.be.revertedWith(
+        "Import closed",
+      );
+    });
+
+    it("Should replay tokens with the time their rate was set", async function () {
+      const { payroll, council, usdt } = await loadFixture(deployPayrollFixture);
+      const setAt = (await time.latest()) - 10 * 24 * 60 * 60;
+
+      await expect(
+        payroll.importTokens([usdt.target], [eur(3)], [false], []),
+      ).to.be.revertedWith("Length mismatch");
+      await expect(
+        payroll.importTokens([usdt.target], [eur(3)], [false], [(await time.latest()) + 100]),
+      ).to.be.revertedWith("Update in the future");
+      await expect(payroll.importTokens([usdt.target], [eur(3)], [false], [setAt]))
+        .to.emit(payroll, "TokenSupported")
+        .withArgs(usdt.target, eur(3), false);
+
+      const token = await payroll.supportedTokens(usdt.target);
+      expect(token.exchangeRate).to.equal(eur(3));
+      expect(token.rateUpdatedAt).to.equal(setAt);
+      // a rate that was stale before the migration stays stale
+      await viaCouncil(council, payroll, "setRateLimits", [24 * 60 * 60, 0]);
+      expect(await payroll.isRateFresh(usdt.target)).to.equal(false);
+    });
+
+    it("Should replay the final pay owed to removed employees", async function () {
+      const { payroll, eurt, otherAccount } = await loadFixture(deployPayrollFixture);
+
+      await expect(
+        payroll.importFinalPay([otherAccount.address], [eurt.target], []),
+      ).to.be.revertedWith("Length mismatch");
+      await expect(payroll.importFinalPay([otherAccount.address], [eurt.target], [eur(250)]))
+        .to.emit(payroll, "FinalPayOwed")
+        .withArgs(otherAccount.address, eurt.target, eur(250));
+
+      await payroll.connect(otherAccount).claimFinalPay(eurt.target);
+      expect(await eurt.balanceOf(otherAccount.address)).to.equal(eur(250));
+    });
+
+    it("Should refuse imports once closed", async function () {
+      const { payroll, eurt, employee } = await loadFixture(deployPayrollFixture);
+
+      await expect(payroll.closeImport()).to.emit(payroll, "ImportClosed");
+      expect(await payroll.importClosed()).to.equal(true);
+      await expect(payroll.importEmployees([await snapshotOf(eurt, employee)])).to.be.revertedWith(
+        "Import closed",
+      );
+      await expect(payroll.importTokens([], [], [], [])).to.be.revertedWith("Import closed");
+      await expect(payroll.importAccrualStart(0)).to.be.revertedWith("Import closed");
+      await expect(payroll.closeImport()).to.be.revertedWith("Import closed");
+    });
+
+    it("Should hand a mintable token over to the next version through the council", async function () {
+      const { payroll, council, eurt, otherAccount } = await loadFixture(deployPayrollFixture);
+
+      await viaCouncil(council, payroll, "transferTokenOwnership", [eurt.target, otherAccount.address]);
+      expect(await eurt.owner()).to.equal(otherAccount.address);
+    });
+  });
+
+  describe("Campaigns", function () {
+    const GOAL_EUR = ethers.parseUnits("3600", 18); // 2 ETH at 1800 EUR/ETH
+    const DURATION = 7 * 24 * 60 * 60;
+
+    async function campaignFixture() {
+      const fixture = await deployPayrollFixture();
+      // contributions wait for the migration import to close, as after deploy_all
+      await fixture.payroll.closeImport();
+      await fixture.payroll.createCampaign(
+        "Workshop tools",
+        GOAL_EUR,
+        DURATION,
+        fixture.eurt.target,
+      );
+      return fixture;
+    }
+
+    it("Should create a campaign and emit CampaignCreated", async function () {
+      const { payroll, eurt } = await loadFixture(deployPayrollFixture);
+
+      const start = (await time.latest()) + 10;
+      await time.setNextBlockTimestamp(start);
+      await expect(payroll.createCampaign("Library", GOAL_EUR, DURATION, eurt.target))
+        .to.emit(payroll, "CampaignCreated")
+        .withArgs(0, "Library", GOAL_EUR, start + DURATION, eurt.target);
+
+      const info = await payroll.getCampaignInfo(0);
+      expect(info.title).to.equal("Library");
+      expect(info.finalized).to.equal(false);
+      expect(await payroll.getCampaignCount()).to.equal(1);
+    });
+
+    it("Should reject campaigns with unsupported reward tokens", async function () {
+      const { payroll, otherAccount } = await loadFixture(deployPayrollFixture);
+
+      await expect(
+        payroll.createCampaign("Library", GOAL_EUR, DURATION, otherAccount.address),
+      ).to.be.revertedWith("Unsupported reward token");
+    });
+
+    it("Should convert ETH contributions to EUR", async function () {
+      const { payroll, otherAccount } = await loadFixture(campaignFixture);
+      const value = ethers.parseEther("1");
+
+      await expect(payroll.connect(otherAccount).contributeToCampaign(0, { value }))
+        .to.emit(payroll, "CampaignContribution")
+        .withArgs(0, otherAccount.address, ethers.parseUnits("1800", 18), value);
+
+      expect((await payroll.getCampaignInfo(0)).raisedEUR).to.equal(
+        ethers.parseUnits("1800", 18),
+      );
+      expect(await payroll.getCampaignContributors(0)).to.deep.equal([
+        otherAccount.address,
+      ]);
+      expect(await payroll.getCampaignContribution(0, otherAccount.address)).to.equal(
+        ethers.parseUnits("1800", 18),
+      );
+      expect(await payroll.campaignEscrowWei()).to.equal(value);
+      expect(await payroll.ethReserveWei()).to.equal(0);
+    });
+
+    it("Should reject contributions while payments are frozen or the import is open", async function () {
+      const { payroll, eurt, otherAccount } = await loadFixture(deployPayrollFixture);
+      await payroll.createCampaign("Library", GOAL_EUR, DURATION, eurt.target);
+      const value = ethers.parseEther("1");
+
+      await expect(
+        payroll.connect(otherAccount).contributeToCampaign(0, { value }),
+      ).to.be.revertedWith("Import not closed");
+      await payroll.closeImport();
+      await payroll.blockPayments();
+      await expect(
+        payroll.connect(otherAccount).contributeToCampaign(0, { value }),
+      ).to.be.revertedWith("Payments are frozen");
+
+      await payroll.allowPayments();
+      await payroll.connect(otherAccount).contributeToCampaign(0, { value });
+      expect(await payroll.campaignEscrowWei()).to.equal(value);
+    });
+
+    it("Should reject contributions after the deadline", async function () {
+      const { payroll, otherAccount } = await loadFixture(campaignFixture);
+      await time.increase(DURATION + 1);
+
+      await expect(
+        payroll
+          .connect(otherAccount)
+          .contributeToCampaign(0, { value: ethers.parseEther("1") }),
+      ).to.be.revertedWith("Campaign ended");
+    });
+
+    it("Should not finalize before the deadline or twice", async function () {
+      const { payroll } = await loadFixture(campaignFixture);
+
+      await expect(payroll.finalizeCampaign(0)).to.be.revertedWith(
+        "Campaign still active",
+      );
+      await time.increase(DURATION + 1);
+      await payroll.finalizeCampaign(0);
+      await expect(payroll.finalizeCampaign(0)).to.be.revertedWith("Already finalized");
+    });
+
+    it("Should let contributors of a successful campaign claim their reward", async function () {
+      const { payroll, oracle, eurt, employee, otherAccount } = await loadFixture(
+        campaignFixture,
+      );
+      await payroll
+        .connect(employee)
+        .contributeToCampaign(0, { value: ethers.parseEther("1.5") });
+      await payroll
+        .connect(otherAccount)
+        .contributeToCampaign(0, { value: ethers.parseEther("0.5") });
+      await time.increase(DURATION + 1);
+
+      await expect(payroll.connect(employee).claimCampaignReward(0)).to.be.revertedWith(
+        "Not finalized",
+      );
+      await expect(payroll.finalizeCampaign(0))
+        .to.emit(payroll, "CampaignFinalized")
+        .withArgs(0, true);
+      // nothing is paid out by finalization itself; the ETH joins the reserve
+      expect(await eurt.balanceOf(employee.address)).to.equal(0);
+      expect(await payroll.campaignEscrowWei()).to.equal(0);
+      expect(await payroll.ethReserveWei()).to.equal(ethers.parseEther("2"));
+
+      // the rate frozen at finalization applies: 1 EURT per EUR contributed
+      await payroll.connect(oracle).setExchangeRate(eurt.target, eur(2));
+      await expect(payroll.connect(employee).claimCampaignReward(0))
+        .to.emit(payroll, "CampaignRewardClaimed")
+        .withArgs(0, employee.address, eurt.target, ethers.parseEther("2700"));
+      await payroll.connect(otherAccount).claimCampaignReward(0);
+      expect(await eurt.balanceOf(otherAccount.address)).to.equal(ethers.parseEther("900"));
+
+      await expect(payroll.connect(employee).claimCampaignReward(0)).to.be.revertedWith(
+        "Already claimed",
+      );
+      await expect(payroll.connect(employee).claimCampaignRefund(0)).to.be.revertedWith(
+        "Campaign succeeded; claim the reward",
+      );
+      const [, outsider] = await ethers.getSigners();
+      await expect(payroll.connect(outsider).claimCampaignReward(0)).to.be.revertedWith(
+        "No contribution",
+      );
+    });
+
+    it("Should keep campaign ETH out of the reserve until the campaign succeeds", async function () {
+      const { payroll, council, owner, otherAccount } = await loadFixture(campaignFixture);
+      const value = ethers.parseEther("0.5");
+      await owner.sendTransaction({ to: payroll.target, value: ethers.parseEther("1") });
+      await payroll.connect(otherAccount).contributeToCampaign(0, { value });
+
+      await expect(
+        viaCouncil(council, payroll, "withdrawEth", [owner.address, ethers.parseEther("1.5")]),
+      ).to.be.revertedWith("Amount > reserve");
+      await viaCouncil(council, payroll, "withdrawEth", [owner.address, ethers.parseEther("1")]);
+
+      // the campaign misses its goal and the refund is still there
+      await time.increase(DURATION + 1);
+      await payroll.finalizeCampaign(0);
+      await expect(payroll.connect(otherAccount).claimCampaignRefund(0)).to.changeEtherBalance(
+        otherAccount,
+        value,
+      );
+    });
+
+    it("Should let contributors of a failed campaign withdraw their exact ETH", async function () {
+      const { payroll, oracle, otherAccount } = await loadFixture(campaignFixture);
+      const first = ethers.parseEther("0.3");
+      const second = ethers.parseEther("0.2") + 7n;
+      await payroll.connect(otherAccount).contributeToCampaign(0, { value: first });
+      // the EUR value of the second contribution differs from the first's rate
+      await payroll.connect(oracle).setEthToEurRate(ethers.parseUnits("2500", 18));
+      await payroll.connect(otherAccount).contributeToCampaign(0, { value: second });
+
+      await time.increase(DURATION + 1);
+      await expect(payroll.finalizeCampaign(0))
+        .to.emit(payroll, "CampaignFinalized")
+        .withArgs(0, false);
+
+      await expect(payroll.connect(otherAccount).claimCampaignReward(0)).to.be.revertedWith(
+        "Campaign failed; claim a refund",
+      );
+      const refund = payroll.connect(otherAccount).claimCampaignRefund(0);
+      await expect(refund)
+        .to.emit(payroll, "CampaignRefunded")
+        .withArgs(0, otherAccount.address, first + second);
+      await expect(refund).to.changeEtherBalances(
+        [payroll, otherAccount],
+        [-(first + second), first + second],
+      );
+
+      expect(await payroll.campaignEscrowWei()).to.equal(0);
+      expect(await payroll.getCampaignClaim(0, otherAccount.address)).to.deep.equal([
+        first + second,
+        true,
+      ]);
+      await expect(payroll.connect(otherAccount).claimCampaignRefund(0)).to.be.revertedWith(
+        "Already claimed",
+      );
+    });
+
+    it("Should finalize in constant gas regardless of the number of contributors", async function () {
+      const { payroll, eurt } = await loadFixture(deployPayrollFixture);
+      const signers = await ethers.getSigners();
+      await payroll.closeImport();
+      await payroll.createCampaign("Small", eur(1), DURATION, eurt.target);
+      await payroll.createCampaign("Crowded", eur(1), DURATION, eurt.target);
+      await payroll.connect(signers[0]).contributeToCampaign(0, { value: ethers.parseEther("0.01") });
+      for (const signer of signers) {
+        await payroll.connect(signer).contributeToCampaign(1, { value: ethers.parseEther("0.01") });
+      }
+      // keep the reserve and the escrow non-zero around both finalizations,
+      // so neither pays for a zero <-> non-zero storage write the other does not
+      await signers[0].sendTransaction({ to: payroll.target, value: ethers.parseEther("0.01") });
+      await payroll.createCampaign("Open", eur(1), 2 * DURATION, eurt.target);
+      await payroll.connect(signers[0]).contributeToCampaign(2, { value: ethers.parseEther("0.01") });
+      await time.increase(DURATION + 1);
+
+      const small = await (await payroll.finalizeCampaign(0)).wait();
+      const crowded = await (await payroll.finalizeCampaign(1)).wait();
+      // only the calldata differs (campaign id 1 instead of 0)
+      expect(crowded.gasUsed).to.be.closeTo(small.gasUsed, 100n);
+    });
+  });
+});
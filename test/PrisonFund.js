@@ -0,0 +1,138 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+describe("PrisonFund", function () {
+  async function deployPrisonFundFixture() {
+    const [owner, oracle, donor, otherAccount] = await ethers.getSigners();
+
+    const AdminCouncil = await ethers.getContractFactory("AdminCouncil");
+    const council = await AdminCouncil.deploy([owner.address], 1, 0);
+
+    const EURToken = await ethers.getContractFactory("EURToken");
+    const eurt = await EURToken.deploy(1_000_000);
+
+    const Payroll = await ethers.getContractFactory("Payroll");
+    const payroll = await Payroll.deploy(
+      council.target,
+      oracle.address,
+      eurt.target,
+      ethers.parseUnits("1", 18),
+      ethers.parseUnits("1800", 18),
+    );
+
+    const PrisonFund = await ethers.getContractFactory("PrisonFund");
+    const fund = await PrisonFund.deploy(council.target, payroll.target);
+
+    return { fund, payroll, council, owner, donor, otherAccount };
+  }
+
+  describe("Deployment", function () {
+    it("Should set the council and payroll", async function () {
+      const { fund, payroll, council } = await loadFixture(deployPrisonFundFixture);
+
+      expect(await fund.council()).to.equal(council.target);
+      expect(await fund.payroll()).to.equal(payroll.target);
+    });
+
+    it("Should fail if the council or the payroll is the zero address", async function () {
+      const { council } = await loadFixture(deployPrisonFundFixture);
+      const PrisonFund = await ethers.getContractFactory("PrisonFund");
+      await expect(PrisonFund.deploy(ethers.ZeroAddress, council.target)).to.be.revertedWith(
+        "Invalid council",
+      );
+      await expect(PrisonFund.deploy(council.target, ethers.ZeroAddress)).to.be.revertedWith(
+        "Invalid payroll address",
+      );
+    });
+  });
+
+  describe("Contributions", function () {
+    it("Should record contributions through contribute()", async function () {
+      const { fund, donor } = await loadFixture(deployPrisonFundFixture);
+      const value = ethers.parseEther("2");
+
+      await expect(fund.connect(donor).contribute({ value }))
+        .to.emit(fund, "ContributionReceived")
+        .withArgs(donor.address, value);
+
+      expect(await fund.contributions(donor.address)).to.equal(value);
+      expect(await fund.totalRaised()).to.equal(value);
+      expect(await fund.getBalance()).to.equal(value);
+    });
+
+    it("Should treat plain transfers as contributions", async function () {
+      const { fund, donor } = await loadFixture(deployPrisonFundFixture);
+      const value = ethers.parseEther("1");
+
+      await expect(donor.sendTransaction({ to: fund.target, value }))
+        .to.emit(fund, "ContributionReceived")
+        .withArgs(donor.address, value);
+      expect(await fund.contributions(donor.address)).to.equal(value);
+    });
+
+    it("Should reject zero contributions", async function () {
+      const { fund, donor } = await loadFixture(deployPrisonFundFixture);
+
+      await expect(fund.connect(donor).contribute()).to.be.revertedWith(
+        "Zero contribution",
+      );
+    });
+  });
+
+  describe("Transfers to Payroll", function () {
+    it("Should feed Payroll's receive() and ETH reserve", async function () {
+      const { fund, payroll, donor } = await loadFixture(deployPrisonFundFixture);
+      const value = ethers.parseEther("3");
+      await fund.connect(donor).contribute({ value });
+
+      const amount = ethers.parseEther("2");
+      await expect(fund.transferToPayroll(amount))
+        .to.emit(fund, "FundsTransferredToPayroll")
+        .withArgs(amount)
+        .and.to.emit(payroll, "EthReceived")
+        .withArgs(fund.target, amount);
+
+      expect(await payroll.ethReserveWei()).to.equal(amount);
+      expect(await fund.getBalance()).to.equal(value - amount);
+    });
+
+    it("Should only let admins transfer", async function () {
+      const { fund, donor } = await loadFixture(deployPrisonFundFixture);
+      await fund.connect(donor).contribute({ value: 1000 });
+
+      await expect(fund.connect(donor).transferToPayroll(1000)).to.be.revertedWith(
+        "Only admin",
+      );
+    });
+
+    it("Should reject zero or uncovered amounts", async function () {
+      const { fund, donor } = await loadFixture(deployPrisonFundFixture);
+      await fund.connect(donor).contribute({ value: 1000 });
+
+      await expect(fund.transferToPayroll(0)).to.be.revertedWith("Zero amount");
+      await expect(fund.transferToPayroll(1001)).to.be.revertedWith(
+        "Insufficient balance",
+      );
+    });
+
+    it("Should send to the new payroll after setPayroll", async function () {
+      const { fund, council, donor, otherAccount } = await loadFixture(deployPrisonFundFixture);
+      await fund.connect(donor).contribute({ value: 1000 });
+
+      // repointing the fund is a council proposal, even for an admin
+      await expect(fund.setPayroll(otherAccount.address)).to.be.revertedWith(
+        "Only via council proposal",
+      );
+      const data = fund.interface.encodeFunctionData("setPayroll", [otherAccount.address]);
+      await council.propose(fund.target, data, "Repoint PrisonFund");
+      await expect(council.execute(0))
+        .to.emit(fund, "PayrollAddressUpdated")
+        .withArgs(otherAccount.address);
+
+      await expect(fund.transferToPayroll(1000)).to.changeEtherBalances(
+        [fund, otherAccount],
+        [-1000, 1000],
+      );
+    });
+  });
+});
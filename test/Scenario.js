@@ -0,0 +1,108 @@
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+
+describe("scenario:seed", function () {
+  const scenario = {
+    tokens: { EURT: { rate: "1", fund: "10000" }, USDT: { rate: "2", fund: "50000" } },
+    rateLimits: { maxAge: "90d", maxChangeBps: 5000 },
+    employees: {
+      count: 3,
+      salaries: ["24000", "36000"],
+      allocations: [{ EURT: 100 }, { EURT: 50, USDT: 50 }],
+    },
+    timeline: [
+      { campaign: { title: "Missed", goal: "10000", duration: "2w", contributions: ["1"] } },
+      { repeat: 2, steps: [{ payroll: true }, { advance: "4w" }] },
+      { rates: { USDT: "2.5" } },
+      { finalize: "Missed" },
+      { campaign: { title: "Live", goal: "5000", duration: "30d", reward: "USDT", contributions: ["0.5", "1"] } },
+    ],
+  };
+
+  let dir;
+  let snapshot;
+  let log;
+
+  function write(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+  }
+
+  async function seed(content) {
+    const record = path.join(dir, "record.json");
+    await hre.run("scenario:seed", { scenario: write("scenario.json", content), record });
+    const deployment = JSON.parse(fs.readFileSync(record, "utf8"));
+    const payroll = await ethers.getContractAt("Payroll", deployment.contracts.Payroll.address);
+    return { deployment, payroll };
+  }
+
+  // seeding deploys and moves the clock; keep the other suites' chain as it was
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "payroll-scenario-"));
+    snapshot = await hre.network.provider.request({ method: "evm_snapshot", params: [] });
+    log = console.log;
+    console.log = () => {};
+  });
+  afterEach(async function () {
+    console.log = log;
+    await hre.network.provider.request({ method: "evm_revert", params: [snapshot] });
+  });
+
+  it("Should hire the employees with their allocations and run the paydays", async function () {
+    const start = await time.latest();
+    const { deployment, payroll } = await seed(scenario);
+    const { EURToken, USDToken } = deployment.contracts;
+
+    expect(await payroll.getEmployeeCount()).to.equal(3);
+    const [first, second] = await payroll.getEmployeeAddresses(0, 3);
+    const [salary, received, tokens] = await payroll.getEmployee(second);
+    expect(salary).to.equal(ethers.parseUnits("36000", 18));
+    expect(tokens).to.deep.equal([EURToken.address, USDToken.address]);
+    // two monthly payouts of 3000 EUR, half of it in USDT at 2 USDT per EUR
+    expect(received).to.equal(ethers.parseUnits("6000", 18));
+    const usdt = await ethers.getContractAt("USDToken", USDToken.address);
+    expect(await usdt.balanceOf(second)).to.equal(ethers.parseUnits("6000", 18));
+    const eurt = await ethers.getContractAt("EURToken", EURToken.address);
+    expect(await eurt.balanceOf(first)).to.equal(ethers.parseUnits("4000", 18));
+
+    expect(await time.latest()).to.be.at.least(start + 8 * 7 * 86400);
+    expect((await payroll.supportedTokens(USDToken.address)).exchangeRate).to.equal(ethers.parseUnits("2.5", 18));
+    expect(await payroll.maxRateAge()).to.equal(90 * 86400);
+    expect(await payroll.maxRateChangeBps()).to.equal(5000);
+  });
+
+  it("Should leave one failed and one live campaign", async function () {
+    const { payroll } = await seed(scenario);
+
+    expect(await payroll.getCampaignCount()).to.equal(2);
+    const missed = await payroll.getCampaignInfo(0);
+    expect(missed.finalized).to.equal(true);
+    expect(missed.raisedEUR).to.be.lessThan(missed.goalEUR);
+
+    const live = await payroll.getCampaignInfo(1);
+    expect(live.finalized).to.equal(false);
+    expect(live.raisedEUR).to.equal(ethers.parseUnits("2700", 18)); // 1.5 ETH at 1800 EUR
+    expect(live.deadline).to.be.greaterThan(await time.latest());
+  });
+
+  it("Should reject an invalid scenario before deploying anything", async function () {
+    const block = await ethers.provider.getBlockNumber();
+    const broken = { ...scenario, timeline: [{ advance: "four weeks" }] };
+
+    await expect(seed(broken)).to.be.rejectedWith('timeline[0].advance must be a duration such as "3600", "30d" or "4w"');
+    await expect(seed({ ...scenario, employees: { ...scenario.employees, allocations: [{ EURT: 60, USDT: 50 }] } }))
+      .to.be.rejectedWith("employees.allocations[0] adds up to more than 100% of the salary");
+    expect(await ethers.provider.getBlockNumber()).to.equal(block);
+  });
+
+  it("Should refuse to finalize a campaign the scenario never created", async function () {
+    await expect(seed({ ...scenario, timeline: [{ finalize: "Nope" }] })).to.be.rejectedWith(
+      'finalize: no campaign titled "Nope" was created earlier'
+    );
+  });
+});
@@ -0,0 +1,243 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { describeContract } = require("../scripts/lib/deployments");
+
+describe("Tasks", function () {
+  // Deploys the full system and writes a deployment record to a temp file,
+  // which the tasks pick up through --deployment.
+  async function deployWithRecordFixture() {
+    const [owner, oracle, employee, donor] = await ethers.getSigners();
+
+    const council = await (await ethers.getContractFactory("AdminCouncil")).deploy([owner.address], 1, 0);
+    const eurt = await (await ethers.getContractFactory("EURToken")).deploy(1_000_000);
+    const usdt = await (await ethers.getContractFactory("USDToken")).deploy(1_000_000);
+    const payroll = await (await ethers.getContractFactory("Payroll")).deploy(
+      council.target,
+      oracle.address,
+      eurt.target,
+      ethers.parseUnits("1", 18),
+      ethers.parseUnits("1800", 18),
+    );
+    const fund = await (await ethers.getContractFactory("PrisonFund")).deploy(council.target, payroll.target);
+    await eurt.transferOwnership(payroll.target);
+    await payroll.addSupportedToken(usdt.target, ethers.parseUnits("2", 18), false);
+
+    const record = {
+      network: "hardhat",
+      chainId: 31337,
+      deployBlock: 0,
+      contracts: {
+        AdminCouncil: await describeContract(hre, "AdminCouncil", council),
+        Payroll: await describeContract(hre, "Payroll", payroll),
+        PrisonFund: await describeContract(hre, "PrisonFund", fund),
+        EURToken: await describeContract(hre, "EURToken", eurt),
+        USDToken: await describeContract(hre, "USDToken", usdt),
+      },
+      abis: { ERC20: (await hre.artifacts.readArtifact("IERC20Metadata")).abi },
+    };
+    const deployment = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "payroll-")), "hardhat.json");
+    fs.writeFileSync(deployment, JSON.stringify(record));
+
+    return { council, payroll, fund, eurt, usdt, owner, oracle, employee, donor, deployment };
+  }
+
+  // The tasks print to the console; keep the test output readable
+  let log;
+  beforeEach(function () {
+    log = console.log;
+    console.log = () => {};
+  });
+  afterEach(function () {
+    console.log = log;
+  });
+
+  describe("payroll:*", function () {
+    it("Should add an employee, change the salary and allow a token by symbol", async function () {
+      const { payroll, usdt, employee, deployment } = await loadFixture(deployWithRecordFixture);
+
+      await hre.run("payroll:add-employee", { deployment, employee: employee.address, salary: "12000" });
+      await hre.run("payroll:set-salary", { deployment, employee: employee.address, salary: "24000" });
+      await hre.run("payroll:allow-token", { deployment, employee: employee.address, token: "USDT" });
+
+      const [salary, , allowedTokens] = await payroll.getEmployee(employee.address);
+      expect(salary).to.equal(ethers.parseUnits("24000", 18));
+      expect(allowedTokens).to.deep.equal([usdt.target]);
+    });
+
+    it("Should remove an employee", async function () {
+      const { payroll, employee, deployment } = await loadFixture(deployWithRecordFixture);
+
+      await hre.run("payroll:add-employee", { deployment, employee: employee.address, salary: "12000" });
+      await hre.run("payroll:remove-employee", { deployment, employee: employee.address });
+
+      expect(await payroll.getEmployeeCount()).to.equal(0);
+    });
+
+    it("Should add a token by contract name and toggle the payment freeze", async function () {
+      const { payroll, usdt, deployment } = await loadFixture(deployWithRecordFixture);
+
+      await hre.run("payroll:add-token", { deployment, token: "USDToken", rate: "1.08", mintable: false });
+      expect((await payroll.supportedTokens(usdt.target)).exchangeRate).to.equal(
+        ethers.parseUnits("1.08", 18),
+      );
+
+      await hre.run("payroll:freeze", { deployment });
+      expect(await payroll.paymentsState()).to.equal(1);
+      await hre.run("payroll:unfreeze", { deployment });
+      expect(await payroll.paymentsState()).to.equal(0);
+    });
+
+    it("Should set the rate limits and flag stale rates in the status", async function () {
+      const { payroll, deployment } = await loadFixture(deployWithRecordFixture);
+
+      await hre.run("payroll:rate-limits", { deployment, maxAge: 3600, maxChangeBps: 500 });
+      expect(await payroll.maxRateAge()).to.equal(3600);
+      expect(await payroll.maxRateChangeBps()).to.equal(500);
+
+      await time.increase(3601);
+      const lines = [];
+      console.log = (...args) => lines.push(args.join(" "));
+      await hre.run("payroll:status", { deployment });
+      expect(lines.join("\n")).to.include("rate limits      max age 3600s, max change 500 bps");
+      expect(lines.join("\n")).to.include(", STALE)");
+    });
+
+    it("Should print the status without sending transactions", async function () {
+      const { oracle, employee, deployment } = await loadFixture(deployWithRecordFixture);
+
+      const lines = [];
+      console.log = (...args) => lines.push(args.join(" "));
+      await hre.run("payroll:status", { deployment, employee: employee.address });
+
+      expect(lines.join("\n")).to.include("payments         active");
+      expect(lines.join("\n")).to.include(`oracle           ${oracle.address}`);
+      expect(lines.join("\n")).to.include("unlimited (mintable)");
+    });
+
+    it("Should run payroll over all employees page by page", async function () {
+      const { payroll, eurt, employee, donor, deployment } = await loadFixture(deployWithRecordFixture);
+      for (const member of [employee, donor]) {
+        await hre.run("payroll:add-employee", { deployment, employee: member.address, salary: "12000" });
+        await hre.run("payroll:allow-token", { deployment, employee: member.address, token: "EURT" });
+        await payroll.connect(member).determineAllocation(eurt.target, ethers.parseUnits("1000", 18));
+      }
+
+      const lines = [];
+      console.log = (...args) => lines.push(args.join(" "));
+      await hre.run("payroll:run", { deployment, pageSize: 1, offset: 0 });
+
+      expect(lines.filter((l) => l.startsWith("runPayroll sent"))).to.have.length(2);
+      expect(lines).to.include("Payments made: 2");
+      expect(await eurt.balanceOf(donor.address)).to.equal(ethers.parseUnits("1000", 18));
+    });
+
+    it("Should switch to accrual mode and show claimable balances", async function () {
+      const { payroll, employee, deployment } = await loadFixture(deployWithRecordFixture);
+      await hre.run("payroll:add-employee", { deployment, employee: employee.address, salary: "12000" });
+      await hre.run("payroll:allow-token", { deployment, employee: employee.address, token: "EURT" });
+
+      await hre.run("payroll:enable-accrual", { deployment });
+      expect(await payroll.payMode()).to.equal(1);
+
+      const lines = [];
+      console.log = (...args) => lines.push(args.join(" "));
+      await hre.run("payroll:status", { deployment, employee: employee.address });
+
+      expect(lines.join("\n")).to.include("pay mode         accrual (claim)");
+      expect(lines.join("\n")).to.include("claimable 0.0 EUR");
+    });
+
+    it("Should report the revert reason", async function () {
+      const { employee, deployment } = await loadFixture(deployWithRecordFixture);
+
+      await expect(
+        hre.run("payroll:set-salary", { deployment, employee: employee.address, salary: "1" }),
+      ).to.be.rejectedWith("setEmployeeSalary reverted: Employee not exists");
+    });
+
+    it("Should reject invalid arguments before sending", async function () {
+      const { employee, deployment } = await loadFixture(deployWithRecordFixture);
+
+      await expect(
+        hre.run("payroll:add-employee", { deployment, employee: "0x1234", salary: "1" }),
+      ).to.be.rejectedWith("--employee is not a valid address");
+      await expect(
+        hre.run("payroll:add-employee", { deployment, employee: employee.address, salary: "-5" }),
+      ).to.be.rejectedWith("--salary must be a non-negative number");
+      await expect(
+        hre.run("payroll:allow-token", { deployment, employee: employee.address, token: "DOGE" }),
+      ).to.be.rejectedWith('Unknown token "DOGE"');
+    });
+  });
+
+  describe("council:*", function () {
+    it("Should grant a role right away under a 1-of-1 policy without delay", async function () {
+      const { payroll, employee, deployment } = await loadFixture(deployWithRecordFixture);
+
+      await hre.run("council:propose-role", { deployment, role: "hr", account: employee.address, revoke: false });
+
+      expect(await payroll.hasRole(await payroll.HR_ROLE(), employee.address)).to.equal(true);
+    });
+
+    it("Should leave timelocked proposals pending until executed", async function () {
+      const { council, payroll, donor, deployment } = await loadFixture(deployWithRecordFixture);
+      await council.propose(council.target, council.interface.encodeFunctionData("setPolicy", [1, 3600]), "");
+      await council.execute(0);
+
+      await hre.run("council:propose-role", { deployment, role: "ORACLE", account: donor.address, revoke: false });
+      const lines = [];
+      console.log = (...args) => lines.push(args.join(" "));
+      await hre.run("council:status", { deployment, all: false });
+
+      expect(lines.join("\n")).to.include(`#1 Payroll.setRole(`);
+      expect(lines.join("\n")).to.include("approved, timelocked for");
+      await expect(hre.run("council:execute", { deployment, id: 1 })).to.be.rejectedWith(
+        "execute reverted: Timelock not expired",
+      );
+
+      await time.increase(3600);
+      await hre.run("council:execute", { deployment, id: 1 });
+      expect(await payroll.hasRole(await payroll.ORACLE_ROLE(), donor.address)).to.equal(true);
+    });
+  });
+
+  describe("fund:transfer", function () {
+    it("Should move the whole PrisonFund balance to Payroll by default", async function () {
+      const { payroll, fund, donor, deployment } = await loadFixture(deployWithRecordFixture);
+      const amount = ethers.parseEther("2");
+      await fund.connect(donor).contribute({ value: amount });
+
+      await hre.run("fund:transfer", { deployment });
+
+      expect(await ethers.provider.getBalance(fund.target)).to.equal(0);
+      expect(await ethers.provider.getBalance(payroll.target)).to.equal(amount);
+    });
+
+    it("Should print the reserve apart from the campaign escrow", async function () {
+      const { payroll, eurt, fund, donor, deployment } = await loadFixture(deployWithRecordFixture);
+      await payroll.closeImport();
+      await payroll.createCampaign("Library", ethers.parseUnits("3600", 18), 3600, eurt.target);
+      await payroll.connect(donor).contributeToCampaign(0, { value: ethers.parseEther("1") });
+      await fund.connect(donor).contribute({ value: ethers.parseEther("2") });
+
+      const lines = [];
+      console.log = (...args) => lines.push(args.join(" "));
+      await hre.run("fund:transfer", { deployment });
+
+      expect(lines).to.include("Payroll reserve    2.0 ETH");
+      expect(lines).to.include("Campaign escrow    1.0 ETH");
+    });
+
+    it("Should refuse to transfer from an empty fund", async function () {
+      const { deployment } = await loadFixture(deployWithRecordFixture);
+
+      await expect(hre.run("fund:transfer", { deployment })).to.be.rejectedWith(
+        "PrisonFund is empty",
+      );
+    });
+  });
+});